@@ -7,8 +7,29 @@ const session = require('express-session');
 const queryRoutes = require('./src/api/queryRoutes');
 const BackgroundExtractionService = require('./src/services/backgroundExtractor');
 const MultiThreadExtractor = require('./src/services/multiThreadExtractor');
-const { authenticateUser, generateToken, requireAuth, requireAdmin } = require('./src/auth/authMiddleware');
+const ExtractionScheduler = require('./src/services/extractionScheduler');
+const LandingPageResolver = require('./src/services/landingPageResolver');
+const ImageArchiver = require('./src/services/imageArchiver');
+const XlsxExporter = require('./src/services/xlsxExporter');
+const NotificationService = require('./src/services/notificationService');
+const SelectorLearningService = require('./src/services/selectorLearning');
+const AdClassificationService = require('./src/services/adClassificationService');
+const CityRotationService = require('./src/services/cityRotationService');
+const RotationPolicyService = require('./src/services/rotationPolicyService');
+const CrawlJobQueue = require('./src/services/crawlJobQueue');
+const ExtractionLogService = require('./src/services/extractionLogService');
+const EventStream = require('./src/services/eventStream');
+const { MAX_WORKERS, resolveAutoscaleOptions } = require('./src/services/workerAutoscaler');
+const { metrics } = require('./src/utils/metrics');
+const WebhookDispatcher = require('./src/services/webhookDispatcher');
+const { authenticateUser, generateToken, requireAuth, requireAdmin, requirePermission } = require('./src/auth/authMiddleware');
 const userManager = require('./src/auth/userManager');
+const { encodeCursor, decodeCursor } = require('./src/utils/cursor');
+const { parseAdFilters } = require('./src/utils/adFilters');
+const DatabaseModels = require('./src/database/models');
+const DatabaseConnection = require('./src/database/connection');
+const extractorRegistry = require('./src/extractors/registry');
+const { ROTATION_STRATEGIES } = require('./src/config/urlRotation');
 const app = express();
 
 // Store active extraction processes
@@ -20,6 +41,122 @@ const backgroundExtractor = new BackgroundExtractionService();
 // Initialize multi-thread extractor (optional, started via API)
 let multiThreadExtractor = null;
 
+// Start a multi-thread extraction on behalf of the scheduler.
+// Returns null when one is already running so the scheduled run is skipped.
+async function startScheduledMultiThread({ maxWorkers, deviceMode, urls, durationMinutes }) {
+    if (multiThreadExtractor && multiThreadExtractor.getStatus().isRunning) {
+        return null;
+    }
+
+    multiThreadExtractor = new MultiThreadExtractor({
+        maxWorkers,
+        deviceMode,
+        restartOnFailure: true,
+        sameUrl: false,
+        urls,
+        durationMinutes,
+        cityRotation,
+        extractionLogs
+    });
+
+    multiThreadExtractor.onUpdate = (data) => {
+        broadcastUpdate(data);
+    };
+
+    await multiThreadExtractor.start();
+    return multiThreadExtractor;
+}
+
+// Initialize scheduler for recurring extractions (started once services are ready)
+const extractionScheduler = new ExtractionScheduler({
+    backgroundExtractor,
+    startMultiThread: startScheduledMultiThread
+});
+
+// Background resolver for ad click redirect chains (disable with LANDING_RESOLVER_ENABLED=false)
+const landingPageResolver = new LandingPageResolver({
+    concurrency: parseInt(process.env.LANDING_RESOLVER_CONCURRENCY) || 2,
+    perHostIntervalMs: parseInt(process.env.LANDING_RESOLVER_HOST_INTERVAL_MS) || 1000
+});
+
+// Background archiver for ad images (disable with IMAGE_ARCHIVER_ENABLED=false)
+const imageArchiver = new ImageArchiver({
+    concurrency: parseInt(process.env.IMAGE_ARCHIVER_CONCURRENCY) || 2
+});
+
+// One connection for the services below; whichever initializes first opens it, so a failing
+// service doesn't take the others down with it
+const servicesDb = new DatabaseConnection();
+
+// Webhook deliveries queued by extraction workers (disable sending with WEBHOOKS_ENABLED=false)
+const webhookDispatcher = new WebhookDispatcher({
+    db: servicesDb,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 2,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+});
+const notificationService = new NotificationService({ db: servicesDb });
+
+// Selectors learned by SmartAdDetector waiting for review; approved ones are run by extraction workers
+const selectorLearning = new SelectorLearningService({ db: servicesDb });
+
+// Vertical/creative type category rules and reclassification of stored ads
+const adClassification = new AdClassificationService({ db: servicesDb });
+
+// Editable crawl city list and per-city yield used by URL rotation
+const cityRotation = new CityRotationService({ db: servicesDb });
+
+// Worker log lines tagged with run, worker and session, kept for EXTRACTION_LOG_RETENTION_DAYS
+const extractionLogs = new ExtractionLogService({
+    db: servicesDb,
+    retentionDays: parseInt(process.env.EXTRACTION_LOG_RETENTION_DAYS) || 7
+});
+backgroundExtractor.extractionLogs = extractionLogs;
+
+// What the adaptive scroll/refresh/rotate policy has learned across runs (workers write it)
+const rotationPolicy = new RotationPolicyService({ db: servicesDb });
+
+// Crawl tasks leased by multi-thread runs in queue mode
+const crawlJobQueue = new CrawlJobQueue({ db: servicesDb });
+
+// Database access for /api/export; the XLSX writer shares its connection
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const exportDb = new DatabaseModels();
+const xlsxExporter = new XlsxExporter({
+    db: exportDb.db,
+    storageDir: imageArchiver.storageDir,
+    maxImageRows: parseInt(process.env.XLSX_EXPORT_MAX_IMAGE_ROWS) || 2000
+});
+
+extractionScheduler.onRun = ({ schedule, status, error, result, manual }) => {
+    // Track single-thread scheduled runs like manually started ones
+    if (status === 'started' && result?.mode === 'single-thread') {
+        activeExtractions.set(result.extractionId, {
+            backgroundExtraction: true,
+            startTime: new Date(),
+            url: result.config.url,
+            duration: result.config.duration,
+            deviceMode: result.config.deviceMode,
+            extractionMode: result.config.extractionMode,
+            status: 'running',
+            logs: [],
+            scheduleId: schedule.id
+        });
+    }
+
+    broadcastUpdate({
+        type: 'schedule_run',
+        scheduleId: schedule.id,
+        name: schedule.name,
+        status,
+        error,
+        manual,
+        mode: result?.mode || null,
+        extractionId: result?.extractionId || null,
+        message: `⏰ Schedule "${schedule.name}" ${status}${error ? `: ${error}` : ''}`,
+        timestamp: new Date().toISOString()
+    });
+};
+
 // Set up callback to broadcast updates to SSE clients
 backgroundExtractor.onUpdate = (data) => {
     // Broadcast to all connected SSE clients
@@ -44,16 +181,34 @@ app.use(session({
 
 // Static files - only serve public assets, not protected pages
 app.use('/assets', express.static(path.join(__dirname, 'public', 'assets')));
-app.use('/data', express.static('data'));
 
 // Database query API routes
-app.use('/api/query', queryRoutes);
+app.use('/api/query', requireAuth, requirePermission('ads:read'), queryRoutes);
 
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// Prometheus scrape endpoint (extraction workers report their metrics to this process).
+// Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    // Gauges are read at scrape time
+    metrics.sseClients.set({}, eventStream.getClientCount());
+    metrics.workerUptime.reset();
+    const workers = multiThreadExtractor && multiThreadExtractor.isRunning ? [...multiThreadExtractor.workers.values()] : [];
+    workers.forEach(workerInfo => {
+        metrics.workerUptime.set({ worker: workerInfo.workerId }, Math.round((Date.now() - workerInfo.startTime) / 1000));
+    });
+    metrics.activeWorkers.set({}, workers.length);
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.registry.render());
+});
+
 // Authentication routes
 app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'login.html'));
@@ -82,7 +237,8 @@ app.post('/api/auth/login', async (req, res) => {
             token,
             user: {
                 username: user.username,
-                role: user.role
+                role: user.role,
+                permissions: userManager.getRolePermissions(user.role)
             }
         });
     } catch (error) {
@@ -100,7 +256,8 @@ app.get('/api/auth/me', requireAuth, (req, res) => {
     res.json({
         user: {
             username: req.user.username,
-            role: req.user.role
+            role: req.user.role,
+            permissions: req.user.apiKey ? req.user.apiKey.scopes : userManager.getRolePermissions(req.user.role)
         }
     });
 });
@@ -110,8 +267,8 @@ app.get('/', (req, res) => {
     res.redirect('/login');
 });
 
-// Admin dashboard - requires admin role
-app.get('/admin', requireAuth, requireAdmin, (req, res) => {
+// Admin dashboard - for roles that can run extractions
+app.get('/admin', requireAuth, requirePermission('extract:start'), (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
@@ -120,13 +277,13 @@ app.get('/viewer', requireAuth, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'viewer.html'));
 });
 
-// User management page - Admin only
-app.get('/users', requireAuth, requireAdmin, (req, res) => {
+// User management page - requires users:manage
+app.get('/users', requireAuth, requirePermission('users:manage'), (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'user-management.html'));
 });
 
 // User management API endpoints
-app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
+app.get('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
     try {
         const users = await userManager.getAllUsers();
         res.json(users);
@@ -136,7 +293,7 @@ app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
     }
 });
 
-app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
     const { username, password, role } = req.body;
 
     try {
@@ -148,7 +305,7 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
     }
 });
 
-app.put('/api/users/:username/role', requireAuth, requireAdmin, async (req, res) => {
+app.put('/api/users/:username/role', requireAuth, requirePermission('users:manage'), async (req, res) => {
     const { username } = req.params;
     const { role } = req.body;
 
@@ -161,7 +318,7 @@ app.put('/api/users/:username/role', requireAuth, requireAdmin, async (req, res)
     }
 });
 
-app.put('/api/users/:username/password', requireAuth, requireAdmin, async (req, res) => {
+app.put('/api/users/:username/password', requireAuth, requirePermission('users:manage'), async (req, res) => {
     const { username } = req.params;
     const { password } = req.body;
 
@@ -174,7 +331,7 @@ app.put('/api/users/:username/password', requireAuth, requireAdmin, async (req,
     }
 });
 
-app.delete('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
+app.delete('/api/users/:username', requireAuth, requirePermission('users:manage'), async (req, res) => {
     const { username } = req.params;
 
     try {
@@ -186,15 +343,398 @@ app.delete('/api/users/:username', requireAuth, requireAdmin, async (req, res) =
     }
 });
 
-// API endpoint to start extraction - Admin only (NOW WITH MULTI-THREADING)
-app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
+// Roles and the permissions they grant (admin always has all of them)
+app.get('/api/roles', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const roles = await userManager.getAllRoles();
+        res.json({ success: true, roles, permissions: userManager.PERMISSIONS });
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+});
+
+app.post('/api/roles', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const role = await userManager.createRole(req.body || {});
+        res.status(201).json({ success: true, role });
+    } catch (error) {
+        console.error('Error creating role:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/roles/:name', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const role = await userManager.updateRole(req.params.name, req.body || {});
+        res.json({ success: true, role });
+    } catch (error) {
+        console.error('Error updating role:', error);
+        res.status(/not found/i.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/roles/:name', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        await userManager.deleteRole(req.params.name);
+        res.json({ success: true, message: 'Role deleted' });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        res.status(/not found/i.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+});
+
+// API keys for scripts (Authorization: ApiKey <key>) - Admin only, never through a key
+app.get('/api/api-keys', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const keys = await userManager.getAllApiKeys();
+        res.json({ success: true, keys, scopes: userManager.PERMISSIONS });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// The plaintext key is only returned here
+app.post('/api/api-keys', requireAuth, requireAdmin, async (req, res) => {
+    const { name, scopes, expiresAt } = req.body || {};
+
+    try {
+        const apiKey = await userManager.createApiKey({ name, scopes, expiresAt, createdBy: req.user.username });
+        res.status(201).json({ success: true, apiKey });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/api-keys/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await userManager.revokeApiKey(req.params.id);
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(/not found/i.test(error.message) ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// WEBHOOK NOTIFICATION ENDPOINTS
+// ============================================================================
+
+// Validation problems are 400s, unknown ids 404s
+function sendServiceError(res, error, fallback) {
+    if (/not found/i.test(error.message)) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.validation) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback, details: error.message });
+}
+
+// Registered webhooks with their rules (secrets masked) - Admin only
+app.get('/api/webhooks', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const webhooks = await notificationService.getWebhooks();
+        res.json({ success: true, webhooks, ruleTypes: NotificationService.RULE_TYPES });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch webhooks');
+    }
+});
+
+// Register a webhook; the signing secret is only returned here - Admin only
+app.post('/api/webhooks', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const webhook = await notificationService.createWebhook(req.body || {});
+        res.status(201).json({ success: true, webhook });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create webhook');
+    }
+});
+
+// Delivery log, newest first (?webhook_id=&status=&limit=) - Admin only
+app.get('/api/webhooks/deliveries', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const deliveries = await webhookDispatcher.getDeliveries({
+            webhookId: parseInt(req.query.webhook_id) || null,
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        const status = await webhookDispatcher.getStatus();
+        res.json({ success: true, ...status, deliveries });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch webhook deliveries');
+    }
+});
+
+// Put permanently failed deliveries back on the queue - Admin only
+app.post('/api/webhooks/retry-failed', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const requeued = await webhookDispatcher.requeueFailed();
+        res.json({ success: true, requeued });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to re-queue failed deliveries');
+    }
+});
+
+app.put('/api/webhooks/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const webhook = await notificationService.updateWebhook(parseInt(req.params.id), req.body || {});
+        res.json({ success: true, webhook });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update webhook');
+    }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await notificationService.deleteWebhook(parseInt(req.params.id));
+        res.json({ success: true, message: 'Webhook deleted successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete webhook');
+    }
+});
+
+// Send a signed test event right away and report the receiver's response - Admin only
+app.post('/api/webhooks/:id/test', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await webhookDispatcher.sendTest(parseInt(req.params.id));
+        res.json({ success: result.status === 'delivered', ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to send test webhook');
+    }
+});
+
+app.post('/api/webhooks/:id/rules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rule = await notificationService.createRule(parseInt(req.params.id), req.body || {});
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create notification rule');
+    }
+});
+
+app.put('/api/webhooks/:id/rules/:ruleId', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rule = await notificationService.updateRule(
+            parseInt(req.params.id), parseInt(req.params.ruleId), req.body || {}
+        );
+        res.json({ success: true, rule });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update notification rule');
+    }
+});
+
+app.delete('/api/webhooks/:id/rules/:ruleId', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await notificationService.deleteRule(parseInt(req.params.id), parseInt(req.params.ruleId));
+        res.json({ success: true, message: 'Notification rule deleted successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete notification rule');
+    }
+});
+
+// Extractor plugins that can be chosen per extraction job
+app.get('/api/extractors', requireAuth, (req, res) => {
+    res.json({ success: true, extractors: extractorRegistry.list() });
+});
+
+// Learned selector review queue with hit/false-positive counts (?status=&limit=) - Admin only
+app.get('/api/selectors', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const selectors = await selectorLearning.listSelectors({
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        const counts = await selectorLearning.getStatus();
+        res.json({ success: true, selectors, counts });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch learned selectors');
+    }
+});
+
+// Approve or reject a candidate (approving a demoted selector puts it back in use) - Admin only
+app.post('/api/selectors/:id/:decision(approve|reject)', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const selector = await selectorLearning.review(parseInt(req.params.id), req.params.decision, req.user.username);
+        res.json({ success: true, selector });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to review learned selector');
+    }
+});
+
+// Flag ads found by a selector as not being ads ({ count }, default 1) - ads:annotate permission
+app.post('/api/selectors/:id/false-positive', requireAuth, requirePermission('ads:annotate'), async (req, res) => {
+    try {
+        const selector = await selectorLearning.markFalsePositive(parseInt(req.params.id), (req.body || {}).count || 1);
+        res.json({ success: true, selector });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to record false positive');
+    }
+});
+
+// Crawl city list with per-city yield and the available rotation strategies - Admin only
+app.get('/api/cities', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const cities = await cityRotation.getCities();
+        res.json({ success: true, cities, strategies: ROTATION_STRATEGIES });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch cities');
+    }
+});
+
+// Add a city: { url, region, enabled } (region defaults to the census region of its state) - Admin only
+app.post('/api/cities', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const city = await cityRotation.createCity(req.body || {});
+        res.status(201).json({ success: true, city });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add city');
+    }
+});
+
+// Retag or enable/disable a city - Admin only
+app.put('/api/cities/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const city = await cityRotation.updateCity(parseInt(req.params.id), req.body || {});
+        res.json({ success: true, city });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update city');
+    }
+});
+
+app.delete('/api/cities/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await cityRotation.deleteCity(parseInt(req.params.id));
+        res.json({ success: true, message: 'City removed from rotation' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove city');
+    }
+});
+
+// Crawl job queue with counts per status (?status=queued|leased|completed|dead|cancelled) - Admin only
+app.get('/api/jobs', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const jobs = await crawlJobQueue.listJobs({ status: req.query.status || null, limit });
+        res.json({ success: true, jobs, counts: await crawlJobQueue.getCounts() });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch crawl jobs');
+    }
+});
+
+// Queue crawl jobs: { url, deviceMode, timeBudgetMinutes, priority, maxAttempts } or { jobs: [...] } - Admin only
+app.post('/api/jobs', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const jobs = body.jobs !== undefined
+            ? await crawlJobQueue.enqueueMany(body.jobs)
+            : [await crawlJobQueue.enqueue(body)];
+
+        // A running queue-mode pool picks new jobs up right away
+        if (multiThreadExtractor && multiThreadExtractor.config.queue) {
+            multiThreadExtractor.dispatchJobs();
+        }
+
+        res.status(201).json({ success: true, jobs });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to queue crawl jobs');
+    }
+});
+
+// Requeue a dead-lettered or cancelled job with fresh attempts - Admin only
+app.post('/api/jobs/:id/retry', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const job = await crawlJobQueue.retryJob(parseInt(req.params.id));
+        res.json({ success: true, job });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to retry crawl job');
+    }
+});
+
+// Cancel a queued job - Admin only
+app.delete('/api/jobs/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const job = await crawlJobQueue.cancelJob(parseInt(req.params.id));
+        res.json({ success: true, job });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to cancel crawl job');
+    }
+});
+
+// Category rules (keyword and landing-domain dictionaries per vertical) - Admin only
+app.get('/api/classification/rules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rules = await adClassification.getRules();
+        res.json({ success: true, rules });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch category rules');
+    }
+});
+
+// Add a rule: { vertical, keywords, domains, weight, enabled } - Admin only
+app.post('/api/classification/rules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rule = await adClassification.createRule(req.body || {});
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create category rule');
+    }
+});
+
+// Update or enable/disable a rule - Admin only
+app.put('/api/classification/rules/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const rule = await adClassification.updateRule(parseInt(req.params.id), req.body || {});
+        res.json({ success: true, rule });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update category rule');
+    }
+});
+
+app.delete('/api/classification/rules/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await adClassification.deleteRule(parseInt(req.params.id));
+        res.json({ success: true, message: 'Category rule deleted successfully' });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete category rule');
+    }
+});
+
+// Start re-running the current rules over stored ads in the background
+// ({ onlyUnclassified: true } skips classified rows); poll GET for progress - Admin only
+app.post('/api/classification/reclassify', requireAuth, requireAdmin, (req, res) => {
+    try {
+        const reclassification = adClassification.startReclassification({ all: !(req.body || {}).onlyUnclassified });
+        res.status(202).json({ success: true, reclassification });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to start reclassification');
+    }
+});
+
+// Progress of the latest reclassification and the current category counts - Admin only
+app.get('/api/classification/reclassify', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const summary = await adClassification.getSummary();
+        res.json({ success: true, reclassification: adClassification.getReclassification(), summary });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to get reclassification status');
+    }
+});
+
+// API endpoint to start extraction - extract:start permission (NOW WITH MULTI-THREADING)
+app.post('/api/extract/start', requireAuth, requirePermission('extract:start'), async (req, res) => {
     const {
         url,
         duration,
         deviceMode = 'desktop',
         extractionMode = 'unlimited', // Changed default to unlimited
         useMultiThread = true, // Enable multi-threading for unlimited mode
-        maxWorkers = 5 // NEW: Default 5 workers
+        maxWorkers = 5, // NEW: Default 5 workers
+        extractors, // Extractor plugin names (see GET /api/extractors); defaults to forYou,learned
+        rotationStrategy = 'sequential' // City rotation in unlimited mode (see GET /api/cities)
     } = req.body;
 
     // Validate input
@@ -212,6 +752,19 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
         });
     }
 
+    let extractorNames;
+    try {
+        extractorNames = extractorRegistry.resolve(extractors);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (!ROTATION_STRATEGIES.includes(rotationStrategy)) {
+        return res.status(400).json({
+            error: `rotationStrategy must be one of: ${ROTATION_STRATEGIES.join(', ')}`
+        });
+    }
+
     const extractionId = Date.now().toString();
     const durationMinutes = extractionMode === 'unlimited' ? null : (parseInt(duration) || 5);
 
@@ -233,7 +786,11 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
                 deviceMode,
                 restartOnFailure: true,
                 sameUrl: false, // Different URLs for better ad diversity
-                baseUrl: url
+                baseUrl: url,
+                extractors: extractorNames,
+                rotationStrategy,
+                cityRotation,
+                extractionLogs
             });
 
             // Connect SSE updates for multi-thread extraction
@@ -249,6 +806,8 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
                 mode: 'multi-thread',
                 workers: maxWorkers,
                 extractionMode: 'unlimited',
+                extractors: extractorNames,
+                rotationStrategy,
                 url,
                 deviceMode
             });
@@ -263,6 +822,8 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
                 duration: durationMinutes,
                 deviceMode,
                 extractionMode,
+                extractors: extractorNames,
+                rotationStrategy,
                 sessionId: extractionId
             });
 
@@ -285,6 +846,7 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
                 duration: durationMinutes ? `${durationMinutes} minutes` : 'unlimited',
                 url,
                 extractionMode,
+                extractors: extractorNames,
                 deviceMode
             });
         }
@@ -297,8 +859,8 @@ app.post('/api/extract/start', requireAuth, requireAdmin, async (req, res) => {
     }
 });
 
-// API endpoint to resume extraction - Admin only
-app.post('/api/extract/resume/:id', requireAuth, requireAdmin, async (req, res) => {
+// API endpoint to resume extraction - extract:start permission
+app.post('/api/extract/resume/:id', requireAuth, requirePermission('extract:start'), async (req, res) => {
     try {
         const { id } = req.params;
         const result = await backgroundExtractor.resumeExtraction(id);
@@ -329,8 +891,8 @@ app.post('/api/extract/resume/:id', requireAuth, requireAdmin, async (req, res)
     }
 });
 
-// API endpoint to stop extraction - Admin only
-app.post('/api/extract/stop/:id', requireAuth, requireAdmin, async (req, res) => {
+// API endpoint to stop extraction - extract:stop permission
+app.post('/api/extract/stop/:id', requireAuth, requirePermission('extract:stop'), async (req, res) => {
     try {
         const { id } = req.params;
         const extraction = activeExtractions.get(id);
@@ -358,7 +920,7 @@ app.post('/api/extract/stop/:id', requireAuth, requireAdmin, async (req, res) =>
 });
 
 // API endpoint to get extraction status
-app.get('/api/extract/status/:id', async (req, res) => {
+app.get('/api/extract/status/:id', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const { id } = req.params;
         const extraction = activeExtractions.get(id);
@@ -400,143 +962,262 @@ app.get('/api/extract/status/:id', async (req, res) => {
 });
 
 
-// API endpoint to get ads from current or specific session with time filtering
-app.get('/api/ads', async (req, res) => {
-    try {
-        const { session, refresh, timeframe } = req.query;
-        let sessionId = null;
+// Map a database ad row to the shape the dashboards expect
+function mapDbAdForUi(ad) {
+    return {
+        id: ad.ad_id || ad.id,
+        dbId: ad.id,
+        timestamp: ad.timestamp,
+        containerId: ad.container_id || '',
+        adType: ad.ad_type || '',
+        advertiser: ad.ad_network || '',
+        headline: ad.heading || '',
+        body: ad.description || '',
+        image: ad.image_url || '',
+        archivedImage: ad.image_sha256 ? `/api/images/${ad.image_sha256}` : '',
+        link: ad.link_url || '',
+        landingDomain: ad.landing_domain || '',
+        vertical: ad.vertical || '',
+        creativeType: ad.creative_type || '',
+        sessionId: ad.session_id,
+        iframeSize: `${ad.width || 0}x${ad.height || 0}`,
+        iframeSrc: ''
+    };
+}
+
+// Same keyset semantics as DatabaseModels.getSessionAdsPage, for ads only in session JSON files
+function pageJsonAds(ads, { since, until, cursor, limit }) {
+    const sortKey = ad => ({ timestamp: ad.timestamp || ad.created_at || '', id: String(ad.id || '') });
+
+    let filtered = ads
+        .filter(ad => {
+            const { timestamp } = sortKey(ad);
+            return (!since || timestamp > since) && (!until || timestamp <= until);
+        })
+        .sort((a, b) => {
+            const ka = sortKey(a);
+            const kb = sortKey(b);
+            return kb.timestamp.localeCompare(ka.timestamp) || kb.id.localeCompare(ka.id);
+        });
+
+    const total = filtered.length;
 
-        if (session) {
-            // Load specific session - extract sessionId from filename
-            const sessionFile = path.join(__dirname, 'data', 'sessions', session);
-            if (await fs.exists(sessionFile)) {
-                const sessionData = await fs.readJson(sessionFile);
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        filtered = filtered.filter(ad => {
+            const key = sortKey(ad);
+            return key.timestamp < after.timestamp || (key.timestamp === after.timestamp && key.id < String(after.id));
+        });
+    }
+
+    const page = filtered.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        ads: page,
+        total,
+        nextCursor: filtered.length > limit && last ? encodeCursor(sortKey(last)) : null
+    };
+}
+
+// Session id behind a session file name, or the current / most recent session when none is given.
+// Returns undefined when the named session file does not exist and null when there is no session at all.
+async function resolveSessionId(session) {
+    if (session) {
+        const sessionFile = path.join(__dirname, 'data', 'sessions', session);
+        if (!(await fs.exists(sessionFile))) {
+            return undefined;
+        }
+        const sessionData = await fs.readJson(sessionFile);
+        return sessionData.sessionId || null;
+    }
+
+    let sessionId = null;
+
+    // First try to load from current_session.json
+    const currentSessionFile = path.join(__dirname, 'data', 'current_session.json');
+    if (await fs.exists(currentSessionFile)) {
+        const currentSession = await fs.readJson(currentSessionFile);
+        sessionId = currentSession.sessionId;
+    }
+
+    // If current session doesn't exist, find the most recent session
+    if (!sessionId) {
+        const sessionsDir = path.join(__dirname, 'data', 'sessions');
+        const sessionFiles = await fs.readdir(sessionsDir);
+        const workerSessions = sessionFiles
+            .filter(f => f.startsWith('worker_') && f.endsWith('.json'))
+            .sort().reverse(); // Get most recent first
+
+        if (workerSessions.length > 0) {
+            const recentFile = path.join(sessionsDir, workerSessions[0]);
+            try {
+                const sessionData = await fs.readJson(recentFile);
                 sessionId = sessionData.sessionId;
-            } else {
-                return res.status(404).json({ error: 'Session not found' });
+            } catch (e) {
+                // Skip invalid files
             }
-        } else {
-            // Load current session or most recent session
-            const currentSessionFile = path.join(__dirname, 'data', 'current_session.json');
+        }
+    }
+
+    return sessionId || null;
+}
 
-            // First try to load from current_session.json
-            if (await fs.exists(currentSessionFile)) {
-                const currentSession = await fs.readJson(currentSessionFile);
-                sessionId = currentSession.sessionId;
+const ADS_PAGE_DEFAULT = 200;
+const ADS_PAGE_MAX = 1000;
+
+// API endpoint to get ads from current or specific session with time filtering.
+// Session ads, newest first, with keyset pagination.
+// Query: session, limit, cursor, since/until (ISO), timeframe (minutes), refresh=true (last 5 minutes),
+// format=ndjson (stream every matching ad, one JSON object per line).
+// Headers: X-Total-Count, X-Next-Cursor and a Link rel="next" when more pages exist.
+app.get('/api/ads', requireAuth, requirePermission('ads:read'), async (req, res) => {
+    try {
+        const { session, refresh, timeframe, cursor } = req.query;
+        const streaming = req.query.format === 'ndjson' || (req.get('Accept') || '').includes('application/x-ndjson');
+
+        // Time filters are pushed into SQL as ISO bounds
+        let since = req.query.since ? new Date(req.query.since) : null;
+        let until = req.query.until ? new Date(req.query.until) : null;
+        if (refresh === 'true') {
+            since = new Date(Date.now() - (5 * 60 * 1000));
+        } else if (timeframe && !isNaN(parseInt(timeframe))) {
+            since = new Date(Date.now() - (parseInt(timeframe) * 60 * 1000));
+        }
+        if ((since && isNaN(since)) || (until && isNaN(until))) {
+            return res.status(400).json({ error: 'since/until must be valid dates' });
+        }
+        since = since ? since.toISOString() : null;
+        until = until ? until.toISOString() : null;
+
+        const limit = Math.min(parseInt(req.query.limit) || ADS_PAGE_DEFAULT, ADS_PAGE_MAX);
+
+        const sessionId = await resolveSessionId(session);
+        if (sessionId === undefined) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (!sessionId) {
+            res.setHeader('X-Total-Count', '0');
+            if (streaming) {
+                res.setHeader('Content-Type', 'application/x-ndjson');
+                return res.end();
             }
+            return res.json([]);
+        }
 
-            // If current session doesn't exist, find the most recent session
-            if (!sessionId) {
-                const sessionsDir = path.join(__dirname, 'data', 'sessions');
-                const sessionFiles = await fs.readdir(sessionsDir);
-                const workerSessions = sessionFiles
-                    .filter(f => f.startsWith('worker_') && f.endsWith('.json'))
-                    .sort().reverse(); // Get most recent first
-
-                if (workerSessions.length > 0) {
-                    const recentFile = path.join(sessionsDir, workerSessions[0]);
-                    try {
-                        const sessionData = await fs.readJson(recentFile);
-                        sessionId = sessionData.sessionId;
-                    } catch (e) {
-                        // Skip invalid files
+        // Try to load ads from DATABASE first, fallback to JSON if empty
+        const DatabaseSyncService = require('./src/database/syncService');
+        const dbSync = new DatabaseSyncService();
+        let page = null;
+
+        try {
+            await dbSync.initialize();
+
+            if (streaming) {
+                // Walk the keyset pages so memory stays flat however large the session is
+                const first = await dbSync.db.getSessionAdsPage(sessionId, { since, until, limit: ADS_PAGE_MAX });
+                if (first.total > 0) {
+                    let closed = false;
+                    res.once('close', () => { closed = true; });
+
+                    res.setHeader('Content-Type', 'application/x-ndjson');
+                    res.setHeader('X-Total-Count', String(first.total));
+
+                    let current = first;
+                    while (!closed) {
+                        for (const ad of current.ads) {
+                            if (closed || res.destroyed) break;
+                            if (!res.write(JSON.stringify(mapDbAdForUi(ad)) + '\n')) {
+                                // A client that disconnects while the socket is backed up never drains
+                                await new Promise(resolve => {
+                                    const done = () => {
+                                        res.off('drain', done);
+                                        res.off('close', done);
+                                        resolve();
+                                    };
+                                    res.once('drain', done);
+                                    res.once('close', done);
+                                });
+                            }
+                        }
+                        if (closed) break;
+                        if (!current.nextCursor) break;
+                        current = await dbSync.db.getSessionAdsPage(sessionId, {
+                            since, until, cursor: current.nextCursor, limit: ADS_PAGE_MAX, includeTotal: false
+                        });
                     }
+                    return res.end();
+                }
+            } else {
+                const dbPage = await dbSync.db.getSessionAdsPage(sessionId, { since, until, cursor, limit });
+                if (dbPage.total > 0) {
+                    page = { ...dbPage, ads: dbPage.ads.map(mapDbAdForUi) };
                 }
             }
+        } catch (dbError) {
+            if (dbError.message === 'Invalid cursor') {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            console.error('Database error:', dbError);
+        } finally {
+            await dbSync.close().catch(() => {});
         }
 
-        // Try to load ads from DATABASE first, fallback to JSON if empty
-        if (sessionId) {
+        // Fallback to JSON file if no ads in database
+        if (!page) {
             let ads = [];
-            let loadedFromDb = false;
-
-            // Try database first
             try {
-                const DatabaseSyncService = require('./src/database/syncService');
-                const dbSync = new DatabaseSyncService();
-                await dbSync.initialize();
-
-                // Get all ads for this session from database
-                ads = await dbSync.db.getSessionAds(sessionId);
-                await dbSync.close();
-
-                if (ads && ads.length > 0) {
-                    loadedFromDb = true;
-                    console.log(`Loaded ${ads.length} ads from database for session ${sessionId}`);
-
-                    // Convert database column names to match UI expectations
-                    ads = ads.map(ad => ({
-                        id: ad.ad_id || ad.id,
-                        timestamp: ad.timestamp,
-                        containerId: ad.container_id || '',
-                        adType: ad.ad_type || '',
-                        advertiser: ad.ad_network || '',
-                        headline: ad.heading || '',
-                        body: ad.description || '',
-                        image: ad.image_url || '',
-                        link: ad.link_url || '',
-                        iframeSize: `${ad.width || 0}x${ad.height || 0}`,
-                        iframeSrc: ''
-                    }));
-                }
-            } catch (dbError) {
-                console.error('Database error:', dbError);
-            }
+                // Find the session file
+                const sessionsDir = path.join(__dirname, 'data', 'sessions');
+                const sessionFiles = await fs.readdir(sessionsDir);
 
-            // Fallback to JSON file if no ads in database
-            if (!loadedFromDb || ads.length === 0) {
-                console.log(`No ads in database, trying JSON file for session ${sessionId}...`);
-                try {
-                    // Find the session file
-                    const sessionsDir = path.join(__dirname, 'data', 'sessions');
-                    const sessionFiles = await fs.readdir(sessionsDir);
-
-                    // Look for matching session file
-                    const matchingFile = sessionFiles.find(f =>
-                        f.includes(sessionId.replace(/:/g, '-').replace(/\./g, '-'))
-                    );
-
-                    if (matchingFile) {
-                        const sessionFilePath = path.join(sessionsDir, matchingFile);
-                        const sessionData = await fs.readJson(sessionFilePath);
-                        ads = sessionData.ads || [];
-                        console.log(`Loaded ${ads.length} ads from JSON file ${matchingFile}`);
-                    }
-                } catch (fileError) {
-                    console.error('Failed to load from JSON:', fileError.message);
+                // Look for matching session file
+                const matchingFile = sessionFiles.find(f =>
+                    f.includes(sessionId.replace(/:/g, '-').replace(/\./g, '-'))
+                );
+
+                if (matchingFile) {
+                    const sessionData = await fs.readJson(path.join(sessionsDir, matchingFile));
+                    ads = sessionData.ads || [];
+                    console.log(`Loaded ${ads.length} ads from JSON file ${matchingFile}`);
                 }
+            } catch (fileError) {
+                console.error('Failed to load from JSON:', fileError.message);
             }
 
-            // Apply time filtering
-            if (refresh === 'true') {
-                const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-                ads = ads.filter(ad => {
-                    const adTime = new Date(ad.created_at || ad.timestamp).getTime();
-                    return adTime > fiveMinutesAgo;
-                });
-            } else if (timeframe) {
-                const timeframeMinutes = parseInt(timeframe);
-                if (!isNaN(timeframeMinutes)) {
-                    const timeframeAgo = Date.now() - (timeframeMinutes * 60 * 1000);
-                    ads = ads.filter(ad => {
-                        const adTime = new Date(ad.created_at || ad.timestamp).getTime();
-                        return adTime > timeframeAgo;
-                    });
-                }
+            try {
+                page = pageJsonAds(ads, { since, until, cursor, limit: streaming ? Infinity : limit });
+            } catch (cursorError) {
+                return res.status(400).json({ error: 'Invalid cursor' });
             }
+        }
 
-            res.json(ads);
-        } else {
-            res.json([]);
+        res.setHeader('X-Total-Count', String(page.total));
+
+        if (streaming) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            page.ads.forEach(ad => res.write(JSON.stringify(ad) + '\n'));
+            return res.end();
         }
+
+        res.setHeader('X-Next-Cursor', page.nextCursor || '');
+        if (page.nextCursor) {
+            const nextQuery = new URLSearchParams({ ...req.query, cursor: page.nextCursor });
+            res.setHeader('Link', `<${req.path}?${nextQuery}>; rel="next"`);
+        }
+
+        res.json(page.ads);
     } catch (error) {
         console.error('Failed to load ads:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
         res.status(500).json({ error: 'Failed to load ads' });
     }
 });
 
 // API endpoint to get all sessions
-app.get('/api/sessions/list', async (req, res) => {
+app.get('/api/sessions/list', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const indexFile = path.join(__dirname, 'data', 'sessions', 'index.json');
         if (await fs.exists(indexFile)) {
@@ -553,7 +1234,7 @@ app.get('/api/sessions/list', async (req, res) => {
 });
 
 // API endpoint to get current session info
-app.get('/api/sessions/current', async (req, res) => {
+app.get('/api/sessions/current', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const currentSessionFile = path.join(__dirname, 'data', 'current_session.json');
         if (await fs.exists(currentSessionFile)) {
@@ -568,7 +1249,7 @@ app.get('/api/sessions/current', async (req, res) => {
 });
 
 // API endpoint to get sessions
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/sessions', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const sessionsFile = path.join(__dirname, 'data', 'sessions', 'index.json');
         if (await fs.exists(sessionsFile)) {
@@ -583,7 +1264,7 @@ app.get('/api/sessions', async (req, res) => {
 });
 
 // API endpoint to get specific session
-app.get('/api/sessions/:filename', async (req, res) => {
+app.get('/api/sessions/:filename', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const sessionFile = path.join(__dirname, 'data', 'sessions', req.params.filename);
         if (await fs.exists(sessionFile)) {
@@ -598,7 +1279,7 @@ app.get('/api/sessions/:filename', async (req, res) => {
 });
 
 // API endpoint to proxy image download
-app.get('/api/download-image', async (req, res) => {
+app.get('/api/download-image', requireAuth, requirePermission('ads:read'), async (req, res) => {
     const { url } = req.query;
 
     if (!url) {
@@ -606,80 +1287,155 @@ app.get('/api/download-image', async (req, res) => {
     }
 
     try {
-        const axios = require('axios');
-        const response = await axios.get(url, {
-            responseType: 'arraybuffer',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
-
-        // Get content type from response headers
-        const contentType = response.headers['content-type'] || 'image/jpeg';
+        // Same checks as archiving: public hosts only, raster images only
+        const { buffer, contentType } = await imageArchiver.download(url);
 
         // Set appropriate headers for download
         res.setHeader('Content-Type', contentType);
         res.setHeader('Content-Disposition', 'attachment; filename=image.jpg');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
 
         // Send the image data
-        res.send(Buffer.from(response.data));
+        res.send(buffer);
     } catch (error) {
+        // Source may have expired - fall back to the archived copy
+        try {
+            const archived = await imageArchiver.findArchivedImageByUrl(url);
+            if (archived) {
+                res.setHeader('Content-Type', archived.content_type || 'application/octet-stream');
+                res.setHeader('Content-Disposition', `attachment; filename=${path.basename(archived.file_path)}`);
+                return res.sendFile(archived.absolutePath);
+            }
+        } catch (archiveError) {
+            console.error('Failed to look up archived image:', archiveError.message);
+        }
+
         console.error('Failed to download image:', error.message);
         res.status(500).json({ error: 'Failed to download image' });
     }
 });
 
-// API endpoint to export data
-app.get('/api/export/:format', async (req, res) => {
+// Serve an archived ad image by content hash
+app.get('/api/images/:sha256', requireAuth, requirePermission('ads:read'), async (req, res) => {
+    const { sha256 } = req.params;
+
+    if (!/^[a-f0-9]{64}$/.test(sha256)) {
+        return res.status(400).json({ error: 'Invalid image hash' });
+    }
+
+    try {
+        const archived = await imageArchiver.getArchivedImage(sha256);
+        if (!archived || !(await fs.pathExists(archived.absolutePath))) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.setHeader('Content-Type', archived.content_type || 'application/octet-stream');
+        // Content-addressed, so the bytes behind a hash never change
+        res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+        // Scraped files: never rendered as a document on this origin (still fine in <img>)
+        res.setHeader('Content-Disposition', `attachment; filename=${path.basename(archived.file_path)}`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Security-Policy', "sandbox; default-src 'none'");
+        res.sendFile(archived.absolutePath);
+    } catch (error) {
+        console.error('Failed to serve archived image:', error.message);
+        res.status(500).json({ error: 'Failed to serve image' });
+    }
+});
+
+// API endpoint to export data (json, csv or xlsx) from the database.
+// Takes the same filters as /api/query/ads; without session_id(s) it exports the `session`
+// file (or the current session), and all=true exports every session.
+app.get('/api/export/:format', requireAuth, requirePermission('ads:export'), async (req, res) => {
     const { format } = req.params;
     const { session } = req.query;
 
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Invalid export format' });
+    }
+
     try {
-        let ads = [];
+        const filters = parseAdFilters(req.query);
+        if ((filters.startDate && isNaN(new Date(filters.startDate))) || (filters.endDate && isNaN(new Date(filters.endDate)))) {
+            return res.status(400).json({ error: 'start_date/end_date must be valid dates' });
+        }
 
-        if (session) {
-            // Export specific session
-            const sessionFile = path.join(__dirname, 'data', 'sessions', session);
-            if (await fs.exists(sessionFile)) {
-                const sessionData = await fs.readJson(sessionFile);
-                ads = sessionData.ads || [];
+        // A session file without a sessionId predates database sync: its ads are only in the file
+        let legacySession = false;
+        if (!filters.sessionIds && req.query.all !== 'true') {
+            const sessionId = await resolveSessionId(session);
+            if (sessionId === undefined || (sessionId === null && !session)) {
+                return res.status(404).json({ error: 'Session not found' });
             }
-        } else {
-            // Export current session
-            const currentSessionFile = path.join(__dirname, 'data', 'current_session.json');
-            if (await fs.exists(currentSessionFile)) {
-                const currentSession = await fs.readJson(currentSessionFile);
-                const sessionFile = path.join(__dirname, 'data', 'sessions', currentSession.sessionFile);
-                if (await fs.exists(sessionFile)) {
-                    const sessionData = await fs.readJson(sessionFile);
-                    ads = sessionData.ads || [];
-                }
+            if (sessionId) {
+                filters.sessionIds = [sessionId];
+            } else {
+                legacySession = true;
             }
         }
 
-        // If no session data, try legacy extracted_ads.json
-        if (ads.length === 0) {
-            const adsFile = path.join(__dirname, 'data', 'extracted_ads.json');
-            if (await fs.exists(adsFile)) {
-                ads = await fs.readJson(adsFile);
+        if (legacySession && format === 'xlsx') {
+            return res.status(400).json({ error: 'This session predates database sync; export it as json or csv' });
+        }
+
+        if (!exportDb.db.isConnected()) {
+            await exportDb.initialize();
+        }
+
+        let filename = `ads_export_${new Date().toISOString().slice(0, 10)}`;
+        if (filters.sessionIds && filters.sessionIds.length === 1) {
+            filename = `ads_${filters.sessionIds[0]}`;
+        } else if (legacySession) {
+            filename = `ads_${path.basename(session, '.json')}`;
+        }
+
+        if (format === 'xlsx') {
+            const embedImages = req.query.images === 'true' || req.query.images === '1';
+
+            // Embedded thumbnails need the whole workbook in memory
+            if (embedImages) {
+                const count = await xlsxExporter.countAds(filters);
+                if (count > xlsxExporter.maxImageRows) {
+                    return res.status(413).json({
+                        error: 'Too many ads to embed images',
+                        details: `${count} ads exceed the ${xlsxExporter.maxImageRows} row limit for images=true; export without images or narrow the filters`
+                    });
+                }
             }
+
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+            await xlsxExporter.exportAds(res, {
+                filters,
+                embedImages,
+                baseUrl: `${req.protocol}://${req.get('host')}`
+            });
+            return;
+        }
+
+        let ads = legacySession ? [] : (await exportDb.queryAds(filters)).map(mapDbAdForUi);
+
+        // Sessions recorded before database sync only have their ads in the session JSON file
+        if (ads.length === 0 && session && !req.query.session_id && !req.query.session_ids) {
+            const sessionData = await fs.readJson(path.join(__dirname, 'data', 'sessions', session));
+            ads = sessionData.ads || [];
         }
 
         if (format === 'json') {
-            res.setHeader('Content-Disposition', 'attachment; filename=ads.json');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
             res.json(ads);
-        } else if (format === 'csv') {
-            // Convert to CSV
+        } else {
             const csv = convertToCSV(ads);
             res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', 'attachment; filename=ads.csv');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
             res.send(csv);
-        } else {
-            res.status(400).json({ error: 'Invalid export format' });
         }
     } catch (error) {
         console.error('Export error:', error);
+        // A streamed workbook may already be partly sent
+        if (res.headersSent) {
+            return res.end();
+        }
         res.status(500).json({ error: 'Failed to export data: ' + error.message });
     }
 });
@@ -688,7 +1444,7 @@ app.get('/api/export/:format', async (req, res) => {
 function convertToCSV(ads) {
     if (!ads || ads.length === 0) return '';
 
-    const headers = ['ID', 'Timestamp', 'Advertiser', 'Headline', 'Body', 'Link', 'Image', 'Container ID', 'Size'];
+    const headers = ['ID', 'Timestamp', 'Advertiser', 'Headline', 'Body', 'Link', 'Landing Domain', 'Image', 'Archived Image', 'Session', 'Container ID', 'Size'];
     const rows = ads.map(ad => [
         ad.id || '',
         ad.timestamp || '',
@@ -696,7 +1452,10 @@ function convertToCSV(ads) {
         ad.headline || '',
         ad.body || '',
         ad.link || '',
+        ad.landingDomain || '',
         ad.image || '',
+        ad.archivedImage || '',
+        ad.sessionId || '',
         ad.containerId || '',
         ad.iframeSize || ''
     ]);
@@ -810,7 +1569,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Get active extractions endpoint
-app.get('/api/extract/active', async (req, res) => {
+app.get('/api/extract/active', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const activeExtractions = await backgroundExtractor.getActiveExtractions();
         console.log('📡 Active extractions requested:', activeExtractions.length);
@@ -840,7 +1599,7 @@ app.get('/api/extract/active', async (req, res) => {
 });
 
 // Get all extraction status endpoint
-app.get('/api/extract/status', async (req, res) => {
+app.get('/api/extract/status', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         const extractions = await backgroundExtractor.getExtractionStatus();
         res.json({
@@ -857,14 +1616,18 @@ app.get('/api/extract/status', async (req, res) => {
 // MULTI-THREAD EXTRACTION ENDPOINTS
 // ============================================================================
 
-// Start multi-thread extraction - Admin only
-app.post('/api/extract/multi-thread/start', requireAuth, requireAdmin, async (req, res) => {
+// Start multi-thread extraction - extract:start permission
+app.post('/api/extract/multi-thread/start', requireAuth, requirePermission('extract:start'), async (req, res) => {
     try {
         const {
             maxWorkers = 3,
             deviceMode = 'desktop',
             sameUrl = false,
-            url = 'https://www.newsbreak.com/new-york-ny'
+            url = 'https://www.newsbreak.com/new-york-ny',
+            extractors,
+            rotationStrategy = 'sequential',
+            queue = false,
+            autoscale = null
         } = req.body;
 
         if (multiThreadExtractor && multiThreadExtractor.getStatus().isRunning) {
@@ -872,11 +1635,33 @@ app.post('/api/extract/multi-thread/start', requireAuth, requireAdmin, async (re
         }
 
         // Validate maxWorkers
-        if (maxWorkers < 1 || maxWorkers > 10) {
-            return res.status(400).json({ error: 'maxWorkers must be between 1 and 10' });
+        if (maxWorkers < 1 || maxWorkers > MAX_WORKERS) {
+            return res.status(400).json({ error: `maxWorkers must be between 1 and ${MAX_WORKERS}` });
+        }
+
+        // Autoscaler settings: true for the defaults or { minWorkers, maxWorkers, ... }
+        if (autoscale) {
+            try {
+                resolveAutoscaleOptions(autoscale);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+
+        let extractorNames;
+        try {
+            extractorNames = extractorRegistry.resolve(extractors);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (!ROTATION_STRATEGIES.includes(rotationStrategy)) {
+            return res.status(400).json({ error: `rotationStrategy must be one of: ${ROTATION_STRATEGIES.join(', ')}` });
         }
 
-        if (sameUrl) {
+        if (queue) {
+            console.log(`🚀 Starting multi-thread extraction with ${maxWorkers} worker slots on the crawl job queue`);
+        } else if (sameUrl) {
             console.log(`🚀 Starting multi-thread extraction with ${maxWorkers} workers on SAME URL: ${url}`);
         } else {
             console.log(`🚀 Starting multi-thread extraction with ${maxWorkers} workers on DIFFERENT URLs`);
@@ -887,16 +1672,33 @@ app.post('/api/extract/multi-thread/start', requireAuth, requireAdmin, async (re
             deviceMode,
             restartOnFailure: true,
             sameUrl: sameUrl,
-            baseUrl: sameUrl ? url : null
+            baseUrl: sameUrl ? url : null,
+            extractors: extractorNames,
+            rotationStrategy,
+            queue: !!queue,
+            autoscale: autoscale || null,
+            cityRotation,
+            jobQueue: crawlJobQueue,
+            extractionLogs
         });
 
+        // Logs, new ads and scaling events go to the SSE stream
+        multiThreadExtractor.onUpdate = (data) => {
+            broadcastUpdate(data);
+        };
+
         await multiThreadExtractor.start();
 
+        let message = `Multi-thread extraction started with ${maxWorkers} workers on different cities`;
+        if (queue) {
+            message = `Multi-thread extraction started with ${maxWorkers} worker slots on the crawl job queue`;
+        } else if (sameUrl) {
+            message = `Multi-thread extraction started with ${maxWorkers} workers on ${url}`;
+        }
+
         res.json({
             success: true,
-            message: sameUrl
-                ? `Multi-thread extraction started with ${maxWorkers} workers on ${url}`
-                : `Multi-thread extraction started with ${maxWorkers} workers on different cities`,
+            message,
             status: multiThreadExtractor.getStatus()
         });
 
@@ -906,8 +1708,8 @@ app.post('/api/extract/multi-thread/start', requireAuth, requireAdmin, async (re
     }
 });
 
-// Stop multi-thread extraction - Admin only
-app.post('/api/extract/multi-thread/stop', requireAuth, requireAdmin, async (req, res) => {
+// Stop multi-thread extraction - extract:stop permission
+app.post('/api/extract/multi-thread/stop', requireAuth, requirePermission('extract:stop'), async (req, res) => {
     try {
         if (!multiThreadExtractor) {
             return res.status(400).json({ error: 'No multi-thread extraction running' });
@@ -930,22 +1732,67 @@ app.post('/api/extract/multi-thread/stop', requireAuth, requireAdmin, async (req
     }
 });
 
+// Add or remove workers on the running pool and/or switch the autoscaler - extract:start permission
+// Body: { workers: 1-10, autoscale: true | false | { minWorkers, maxWorkers, intervalSeconds, ... } }
+app.post('/api/extract/multi-thread/scale', requireAuth, requirePermission('extract:start'), async (req, res) => {
+    try {
+        if (!multiThreadExtractor || !multiThreadExtractor.getStatus().isRunning) {
+            return res.status(400).json({ error: 'No multi-thread extraction running' });
+        }
+
+        const { workers, autoscale } = req.body || {};
+        if (workers === undefined && autoscale === undefined) {
+            return res.status(400).json({ error: 'Provide workers and/or autoscale' });
+        }
+
+        const autoscaleStatus = autoscale !== undefined
+            ? multiThreadExtractor.setAutoscale(autoscale)
+            : multiThreadExtractor.getAutoscaleStatus();
+        const event = workers !== undefined ? await multiThreadExtractor.scale(workers) : null;
+
+        res.json({
+            success: true,
+            maxWorkers: multiThreadExtractor.maxWorkers,
+            event,
+            autoscale: autoscaleStatus
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to scale multi-thread extraction');
+    }
+});
+
 // Get multi-thread extraction status
-app.get('/api/extract/multi-thread/status', async (req, res) => {
+app.get('/api/extract/multi-thread/status', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
+        // Statistics persisted by the adaptive rotation policy (best city/time buckets, action rewards)
+        let learned = null;
+        try {
+            learned = {
+                topYields: await rotationPolicy.getTopYields(),
+                actions: await rotationPolicy.getActionSummary()
+            };
+        } catch (policyError) {
+            console.error('Failed to load rotation policy statistics:', policyError);
+        }
+
         if (!multiThreadExtractor) {
             return res.json({
                 success: true,
                 isRunning: false,
-                message: 'No multi-thread extraction running'
+                message: 'No multi-thread extraction running',
+                policy: { learned }
             });
         }
 
         const status = multiThreadExtractor.getStatus();
+        if (status.config.queue) {
+            status.queue = await crawlJobQueue.getCounts();
+        }
 
         res.json({
             success: true,
-            ...status
+            ...status,
+            policy: { ...status.policy, learned }
         });
 
     } catch (error) {
@@ -955,7 +1802,7 @@ app.get('/api/extract/multi-thread/status', async (req, res) => {
 });
 
 // Get logs from specific worker or all workers
-app.get('/api/extract/multi-thread/logs', async (req, res) => {
+app.get('/api/extract/multi-thread/logs', requireAuth, requirePermission('ads:read'), async (req, res) => {
     try {
         if (!multiThreadExtractor) {
             return res.status(404).json({ error: 'No multi-thread extraction running' });
@@ -982,85 +1829,228 @@ app.get('/api/extract/multi-thread/logs', async (req, res) => {
     }
 });
 
-// Error handling
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+// ============================================================================
+// EXTRACTION LOG ENDPOINTS
+// ============================================================================
+
+// Stored extraction logs, newest first - Admin only
+// Query: extractionId, workerId, level (that level and more severe), since, until, search, cursor, limit (max 1000)
+app.get('/api/logs', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        // Include lines still waiting in the write buffer
+        await extractionLogs.flush();
+
+        const { extractionId, workerId, level, since, until, search, cursor, limit } = req.query;
+        const page = await extractionLogs.query({ extractionId, workerId, level, since, until, search, cursor, limit });
+
+        res.json({
+            success: true,
+            count: page.logs.length,
+            logs: page.logs,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to get logs');
+    }
 });
 
-const PORT = process.env.PORT || 3000;
+// Runs with stored logs (for the run filter) - Admin only
+app.get('/api/logs/runs', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await extractionLogs.flush();
+        const runs = await extractionLogs.listRuns({ limit: Math.min(parseInt(req.query.limit) || 50, 500) });
+        res.json({ success: true, runs });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to get log runs');
+    }
+});
 
-// Store SSE connections for real-time updates
-const sseConnections = new Set();
-
-// SSE endpoint for real-time updates
-app.get('/api/events', (req, res) => {
-  // Set SSE headers with additional headers for proxies
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache, no-transform',
-    'Connection': 'keep-alive',
-    'X-Accel-Buffering': 'no', // Disable nginx buffering
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
+// ============================================================================
+// SCHEDULED EXTRACTION ENDPOINTS
+// ============================================================================
 
-  // Send initial connection message
-  res.write('data: {"type":"connected","message":"Real-time updates connected"}\n\n');
-  console.log('✅ SSE client connected. Total connections:', sseConnections.size + 1);
+// List all schedules - Admin only
+app.get('/api/schedules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const schedules = await extractionScheduler.getSchedules();
+        res.json({
+            success: true,
+            count: schedules.length,
+            schedules
+        });
+    } catch (error) {
+        console.error('Failed to get schedules:', error);
+        res.status(500).json({ error: 'Failed to get schedules', details: error.message });
+    }
+});
 
-  // Add connection to active connections
-  sseConnections.add(res);
+// Create a schedule - Admin only
+app.post('/api/schedules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const schedule = await extractionScheduler.createSchedule(req.body);
+        res.status(201).json({ success: true, schedule });
+    } catch (error) {
+        console.error('Failed to create schedule:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-  // Send heartbeat every 15 seconds to keep connection alive
-  const heartbeatInterval = setInterval(() => {
+// Update a schedule (including enable/disable) - Admin only
+app.put('/api/schedules/:id', requireAuth, requireAdmin, async (req, res) => {
     try {
-      res.write(': heartbeat\n\n');
+        const schedule = await extractionScheduler.updateSchedule(parseInt(req.params.id), req.body);
+        res.json({ success: true, schedule });
     } catch (error) {
-      clearInterval(heartbeatInterval);
-      sseConnections.delete(res);
+        console.error('Failed to update schedule:', error);
+        const status = error.message === 'Schedule not found' ? 404 : 400;
+        res.status(status).json({ error: error.message });
     }
-  }, 15000);
+});
 
-  // Handle client disconnect
-  req.on('close', () => {
-    clearInterval(heartbeatInterval);
-    sseConnections.delete(res);
-    console.log('❌ SSE client disconnected. Remaining connections:', sseConnections.size);
-  });
+// Delete a schedule - Admin only
+app.delete('/api/schedules/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        await extractionScheduler.deleteSchedule(parseInt(req.params.id));
+        res.json({ success: true, message: 'Schedule deleted successfully' });
+    } catch (error) {
+        console.error('Failed to delete schedule:', error);
+        const status = error.message === 'Schedule not found' ? 404 : 400;
+        res.status(status).json({ error: error.message });
+    }
+});
 
-  req.on('aborted', () => {
-    clearInterval(heartbeatInterval);
-    sseConnections.delete(res);
-    console.log('❌ SSE client aborted. Remaining connections:', sseConnections.size);
-  });
+// Run a schedule immediately without changing its next run - Admin only
+app.post('/api/schedules/:id/run', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const run = await extractionScheduler.triggerSchedule(parseInt(req.params.id));
+        res.json({
+            success: run.status === 'started',
+            status: run.status,
+            error: run.error,
+            mode: run.result?.mode || null,
+            extractionId: run.result?.extractionId || null
+        });
+    } catch (error) {
+        console.error('Failed to run schedule:', error);
+        const status = error.message === 'Schedule not found' ? 404 : 500;
+        res.status(status).json({ error: error.message });
+    }
 });
 
-// Function to broadcast updates to all connected clients
-function broadcastUpdate(data) {
-  const message = `data: ${JSON.stringify(data)}\n\n`;
+// ============================================================================
+// LANDING PAGE RESOLVER ENDPOINTS
+// ============================================================================
+
+// Resolver queue status and top landing domains - Admin only
+app.get('/api/resolver/status', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const status = await landingPageResolver.getStatus();
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Failed to get resolver status:', error);
+        res.status(500).json({ error: 'Failed to get resolver status', details: error.message });
+    }
+});
 
-  console.log(`📡 Broadcasting to ${sseConnections.size} clients:`, data.type, data.message || '');
+// Process one batch now instead of waiting for the next poll - Admin only
+app.post('/api/resolver/run', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await landingPageResolver.processQueue();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Failed to run resolver:', error);
+        res.status(500).json({ error: 'Failed to run resolver', details: error.message });
+    }
+});
 
-  // Send to all connected clients
-  sseConnections.forEach(connection => {
+// Put permanently failed ads back on the queue - Admin only
+app.post('/api/resolver/retry-failed', requireAuth, requireAdmin, async (req, res) => {
     try {
-      connection.write(message);
+        const requeued = await landingPageResolver.requeueFailed();
+        res.json({ success: true, requeued });
     } catch (error) {
-      console.warn('Failed to send SSE message, removing dead connection:', error.message);
-      // Remove dead connections
-      sseConnections.delete(connection);
+        console.error('Failed to re-queue failed resolutions:', error);
+        res.status(500).json({ error: 'Failed to re-queue failed resolutions', details: error.message });
     }
-  });
+});
+
+// ============================================================================
+// IMAGE ARCHIVER ENDPOINTS
+// ============================================================================
+
+// Archive queue status and store size - Admin only
+app.get('/api/archiver/status', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const status = await imageArchiver.getStatus();
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Failed to get archiver status:', error);
+        res.status(500).json({ error: 'Failed to get archiver status', details: error.message });
+    }
+});
+
+// Archive one batch now instead of waiting for the next poll - Admin only
+app.post('/api/archiver/run', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await imageArchiver.processQueue();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Failed to run archiver:', error);
+        res.status(500).json({ error: 'Failed to run archiver', details: error.message });
+    }
+});
+
+// Put permanently failed images back on the queue - Admin only
+app.post('/api/archiver/retry-failed', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const requeued = await imageArchiver.requeueFailed();
+        res.json({ success: true, requeued });
+    } catch (error) {
+        console.error('Failed to re-queue failed images:', error);
+        res.status(500).json({ error: 'Failed to re-queue failed images', details: error.message });
+    }
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ error: 'Something went wrong!' });
+});
 
-  // Log if no connections available
-  if (sseConnections.size === 0) {
-    console.warn('⚠️ No SSE connections available for broadcast');
+const PORT = process.env.PORT || 3000;
+
+// Real-time update stream: numbered events with replay, topics and per-role filtering
+const eventStream = new EventStream({ bufferSize: parseInt(process.env.SSE_BUFFER_SIZE) || 1000 });
+
+// SSE endpoint for real-time updates (JWT cookie or Authorization header)
+// Query: topics=ads,logs,status,extraction:<id>,run:<id> (default: everything the role may see),
+// lastEventId=<id> to resume (browsers send the Last-Event-ID header on automatic reconnects)
+app.get('/api/events', requireAuth, (req, res) => {
+  try {
+    const topics = EventStream.parseTopics(req.query.topics);
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+    eventStream.connect(req, res, { user: req.user, topics, lastEventId });
+    console.log(`✅ SSE client connected (${req.user.username}). Total connections:`, eventStream.getClientCount());
+
+    req.on('close', () => {
+      console.log('❌ SSE client disconnected. Remaining connections:', eventStream.getClientCount());
+    });
+  } catch (error) {
+    if (error.forbidden) {
+      return res.status(403).json({ error: error.message });
+    }
+    sendServiceError(res, error, 'Failed to open event stream');
   }
+});
+
+// Function to broadcast updates to connected clients
+function broadcastUpdate(data) {
+  eventStream.publish(data);
+  console.log(`📡 Broadcasting to ${eventStream.getClientCount()} clients:`, data.type, data.message || '');
 }
 
 // Test endpoint to verify SSE is working
-app.get('/api/test-sse', (req, res) => {
+app.get('/api/test-sse', requireAuth, requireAdmin, (req, res) => {
   console.log('🧪 Test SSE broadcast requested');
   broadcastUpdate({
     type: 'log',
@@ -1082,6 +2072,81 @@ app.get('/api/test-sse', (req, res) => {
         await backgroundExtractor.initialize();
         console.log('Background extraction service initialized');
 
+        // Start scheduler after the extractors it launches are ready
+        try {
+            await extractionScheduler.initialize();
+            extractionScheduler.start();
+        } catch (schedulerError) {
+            console.error('Failed to initialize extraction scheduler:', schedulerError);
+        }
+
+        try {
+            await landingPageResolver.initialize();
+            if (process.env.LANDING_RESOLVER_ENABLED !== 'false') {
+                landingPageResolver.start();
+            }
+        } catch (resolverError) {
+            console.error('Failed to initialize landing page resolver:', resolverError);
+        }
+
+        try {
+            await imageArchiver.initialize();
+            if (process.env.IMAGE_ARCHIVER_ENABLED !== 'false') {
+                imageArchiver.start();
+            }
+        } catch (archiverError) {
+            console.error('Failed to initialize image archiver:', archiverError);
+        }
+
+        try {
+            await webhookDispatcher.initialize();
+            if (process.env.WEBHOOKS_ENABLED !== 'false') {
+                webhookDispatcher.start();
+            }
+            // Queued like the workers' batch rules; WEBHOOKS_ENABLED only gates sending
+            notificationService.start();
+        } catch (webhookError) {
+            console.error('Failed to initialize webhook dispatcher:', webhookError);
+        }
+
+        try {
+            await extractionLogs.initialize();
+            extractionLogs.start();
+        } catch (logError) {
+            console.error('Failed to initialize extraction logs:', logError);
+        }
+
+        try {
+            await cityRotation.initialize();
+        } catch (cityError) {
+            console.error('Failed to initialize crawl cities:', cityError);
+        }
+
+        try {
+            await crawlJobQueue.initialize();
+        } catch (queueError) {
+            console.error('Failed to initialize crawl job queue:', queueError);
+        }
+
+        try {
+            await rotationPolicy.initialize();
+        } catch (policyError) {
+            console.error('Failed to initialize rotation policy statistics:', policyError);
+        }
+
+        try {
+            await adClassification.initialize();
+        } catch (classificationError) {
+            console.error('Failed to initialize ad classification:', classificationError);
+        }
+
+        try {
+            await selectorLearning.initialize();
+            await selectorLearning.importLegacyFile(path.join(__dirname, 'data', 'learned_selectors.json'));
+        } catch (learningError) {
+            console.error('Failed to initialize learned selectors:', learningError);
+        }
+
         // Override handleWorkerMessage to broadcast real-time updates
         const originalHandleWorkerMessage = backgroundExtractor.handleWorkerMessage;
         backgroundExtractor.handleWorkerMessage = async function(extractionId, message) {
@@ -1170,12 +2235,24 @@ app.get('/api/test-sse', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('Shutting down gracefully...');
+    extractionScheduler.stop();
+    landingPageResolver.stop();
+    imageArchiver.stop();
+    webhookDispatcher.stop();
+    notificationService.stop();
+    await extractionLogs.stop().catch(() => {});
     await backgroundExtractor.cleanup();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('Shutting down gracefully...');
+    extractionScheduler.stop();
+    landingPageResolver.stop();
+    imageArchiver.stop();
+    webhookDispatcher.stop();
+    notificationService.stop();
+    await extractionLogs.stop().catch(() => {});
     await backgroundExtractor.cleanup();
     process.exit(0);
 });
@@ -28,9 +28,10 @@ const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./src/utils/logger');
 const DatabaseSyncService = require('./src/database/syncService');
+const FixtureServer = require('./src/utils/fixtureServer');
 
 class ForYouAdExtractor {
-    constructor(continueSession = false) {
+    constructor(continueSession = false, options = {}) {
         this.extractedAds = [];
         this.seenAds = new Set();
         this.continueSession = continueSession;
@@ -40,6 +41,9 @@ class ForYouAdExtractor {
         // Keep a current session pointer
         this.currentSessionFile = path.join(__dirname, 'data', 'current_session.json');
         this.dbSync = new DatabaseSyncService();
+        // Replay mode: captured page snapshots served locally instead of newsbreak.com
+        this.fixturesDir = options.fixturesDir || process.env.EXTRACTION_FIXTURES_DIR || null;
+        this.fixtureServer = null;
     }
 
     async init() {
@@ -73,8 +77,8 @@ class ForYouAdExtractor {
         const isSpawned = process.send !== undefined;
 
         const launchOptions = {
-            // Headless in production or when spawned from server
-            headless: isProduction || isSpawned ? 'new' : false,
+            // Headless in production, when spawned from server or when replaying snapshots
+            headless: isProduction || isSpawned || this.fixturesDir ? 'new' : false,
             args: [
                 '--no-sandbox',
                 '--disable-setuid-sandbox',
@@ -171,6 +175,14 @@ class ForYouAdExtractor {
         // Set user agent to appear as regular Chrome
         await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
 
+        if (this.fixturesDir) {
+            this.fixtureServer = new FixtureServer({ dir: this.fixturesDir });
+            await this.fixtureServer.start();
+            await this.fixtureServer.isolatePage(this.page);
+            logger.info(`📼 Replay mode - no network, snapshots from ${this.fixturesDir}`);
+            return;
+        }
+
         logger.info('Browser ready - Using server location (USA Virginia)');
     }
 
@@ -182,7 +194,8 @@ class ForYouAdExtractor {
 
         // Navigate to main page ONCE with longer timeout
         try {
-            await this.page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+            const pageUrl = this.fixtureServer ? this.fixtureServer.resolve(url) : url;
+            await this.page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
         } catch (timeoutError) {
             logger.info('Navigation timeout, but continuing anyway...');
             // Continue even if timeout - page might still be loading
@@ -976,6 +989,9 @@ class ForYouAdExtractor {
                 logger.error('Error closing browser:', e.message);
             }
         }
+        if (this.fixtureServer) {
+            await this.fixtureServer.stop();
+        }
     }
 }
 
@@ -988,6 +1004,7 @@ async function main() {
     let continueSession = false;
     let switchSession = null;
     let listSessions = false;
+    let fixturesDir = null;
 
     // Parse arguments
     for (let i = 0; i < args.length; i++) {
@@ -998,6 +1015,8 @@ async function main() {
             switchSession = args[++i];
         } else if (arg === '--list' || arg === '-l') {
             listSessions = true;
+        } else if (arg === '--replay' || arg === '-r') {
+            fixturesDir = args[++i];
         } else if (arg.startsWith('http')) {
             url = arg;
         } else if (!isNaN(parseFloat(arg))) {
@@ -1005,7 +1024,7 @@ async function main() {
         }
     }
 
-    const extractor = new ForYouAdExtractor(continueSession);
+    const extractor = new ForYouAdExtractor(continueSession, { fixturesDir });
 
     try {
         // List sessions if requested
@@ -1052,6 +1071,7 @@ async function main() {
         logger.info('  --continue or -c    : Continue from last session');
         logger.info('  --switch <file> or -s : Switch to specific session');
         logger.info('  --list or -l        : List all available sessions');
+        logger.info('  --replay <dir> or -r : Replay captured page snapshots (no network)');
         logger.info('  Example: node extractAds.js --continue https://newsbreak.com/local 10');
 
     } catch (error) {
@@ -0,0 +1,36 @@
+// Downloads ad images into the content-addressed archive under data/images/
+// Usage: node scripts/archiveImages.js [--retry-failed] [--concurrency 2]
+
+const ImageArchiver = require('../src/services/imageArchiver');
+
+const concurrencyArg = process.argv.indexOf('--concurrency');
+const concurrency = concurrencyArg !== -1 ? parseInt(process.argv[concurrencyArg + 1]) || 2 : 2;
+
+async function run() {
+    const archiver = new ImageArchiver({ concurrency });
+
+    console.log('🖼️  Archiving ad images...');
+
+    try {
+        await archiver.initialize();
+
+        if (process.argv.includes('--retry-failed')) {
+            const requeued = await archiver.requeueFailed();
+            console.log(`   ♻️  Re-queued ${requeued} failed images`);
+        }
+
+        const processed = await archiver.drain();
+        const status = await archiver.getStatus();
+
+        console.log(`\n✅ Processed ${processed} ads`);
+        console.log(`📊 Archived: ${status.counts.archived} | Failed: ${status.counts.failed} | Waiting to retry: ${status.counts.retry} | Pending: ${status.counts.pending}`);
+        console.log(`💾 Store: ${status.store.images} images, ${status.store.creatives} distinct creatives, ${(status.store.bytes / 1024 / 1024).toFixed(1)} MB`);
+    } catch (error) {
+        console.error('\n❌ Image archiving failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await archiver.close();
+    }
+}
+
+run();
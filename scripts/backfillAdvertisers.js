@@ -0,0 +1,33 @@
+// Links existing ads to advertiser entities (ads saved before advertiser resolution existed)
+// Usage: node scripts/backfillAdvertisers.js [--batch-size 500]
+
+const DatabaseModels = require('../src/database/models');
+
+const batchArg = process.argv.indexOf('--batch-size');
+const batchSize = batchArg !== -1 ? parseInt(process.argv[batchArg + 1]) || 500 : 500;
+
+async function run() {
+    const db = new DatabaseModels();
+
+    console.log('🏷️  Backfilling advertisers for existing ads...');
+
+    try {
+        await db.initialize();
+
+        const result = await db.backfillAdvertisers(batchSize, ({ processed, linked }) => {
+            console.log(`   ⏳ Processed ${processed} ads (${linked} linked)`);
+        });
+
+        const totals = await db.db.get('SELECT COUNT(*) as count FROM advertisers');
+
+        console.log(`\n✅ Backfill complete: ${result.linked}/${result.processed} ads linked`);
+        console.log(`📊 Total advertisers: ${totals ? totals.count : 0}`);
+    } catch (error) {
+        console.error('\n❌ Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+run();
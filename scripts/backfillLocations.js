@@ -0,0 +1,34 @@
+// Gives existing sightings a state and records a sighting (on the session's city page) for ads
+// saved before sightings existed, so older ads show up in the geo analytics
+// Usage: node scripts/backfillLocations.js [--batch-size 500]
+
+const DatabaseModels = require('../src/database/models');
+
+const batchArg = process.argv.indexOf('--batch-size');
+const batchSize = batchArg !== -1 ? parseInt(process.argv[batchArg + 1]) || 500 : 500;
+
+async function run() {
+    const db = new DatabaseModels();
+
+    console.log('📍 Backfilling sighting locations...');
+
+    try {
+        await db.initialize();
+
+        const result = await db.backfillLocations(batchSize, ({ processed, located }) => {
+            console.log(`   ⏳ Processed ${processed} rows (${located} located)`);
+        });
+
+        const totals = await db.db.get('SELECT COUNT(DISTINCT city) as count FROM ad_sightings WHERE city IS NOT NULL');
+
+        console.log(`\n✅ Backfill complete: ${result.located}/${result.processed} rows located`);
+        console.log(`📊 Cities with sightings: ${totals ? totals.count : 0}`);
+    } catch (error) {
+        console.error('\n❌ Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+run();
@@ -0,0 +1,77 @@
+// Saves a live NewsBreak page (DOM plus iframe contents) as a replayable fixture
+// Usage: node scripts/captureFixture.js <url> [--name new-york-ny] [--out test/fixtures/pages]
+//        [--scrolls 6] [--wait 3000] [--mobile]
+// Replay with EXTRACTION_FIXTURES_DIR=<out> (extraction workers) or `node extractAds.js --replay <out>`.
+
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { capturePage } = require('../src/utils/pageCapture');
+const { getCityFromUrl } = require('../src/utils/pageUrl');
+
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const url = process.argv.slice(2).find(arg => arg.startsWith('http')) || 'https://www.newsbreak.com/new-york-ny';
+const name = getArg('--name', getCityFromUrl(url) || 'page');
+const outDir = path.resolve(getArg('--out', path.join(__dirname, '..', 'test', 'fixtures', 'pages')), name);
+const scrolls = parseInt(getArg('--scrolls', '6'));
+const waitMs = parseInt(getArg('--wait', '3000'));
+const mobile = process.argv.includes('--mobile');
+
+async function run() {
+    console.log(`📸 Capturing ${url} (${mobile ? 'mobile' : 'desktop'})...`);
+
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-web-security',
+            '--disable-features=IsolateOrigins,site-per-process'
+        ]
+    });
+
+    try {
+        const page = await browser.newPage();
+        if (mobile) {
+            await page.emulate({
+                name: 'iPhone 12',
+                userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15',
+                viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true }
+            });
+        } else {
+            await page.setViewport({ width: 1920, height: 1080 });
+            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        }
+
+        try {
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        } catch (navError) {
+            console.log(`   ⚠️  ${navError.message} - capturing what has loaded`);
+        }
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+
+        // Scroll so lazily inserted ForYou ads and their iframes are in the DOM
+        for (let i = 0; i < scrolls; i++) {
+            await page.evaluate(() => window.scrollBy(0, window.innerHeight * 0.8));
+            await new Promise(resolve => setTimeout(resolve, 1500));
+        }
+        await page.evaluate(() => window.scrollTo(0, 0));
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+
+        const manifest = await capturePage(page, outDir, { url, deviceMode: mobile ? 'mobile' : 'desktop' });
+
+        console.log(`\n✅ Saved fixture to ${outDir}`);
+        console.log(`📄 "${manifest.title}" with ${manifest.frames.length} frames (${manifest.skippedFrames} skipped)`);
+    } catch (error) {
+        console.error('\n❌ Capture failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await browser.close();
+    }
+}
+
+run();
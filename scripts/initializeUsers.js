@@ -34,7 +34,7 @@ class UserInitializer {
                         id INTEGER PRIMARY KEY AUTOINCREMENT,
                         username TEXT UNIQUE NOT NULL,
                         password TEXT NOT NULL,
-                        role TEXT NOT NULL CHECK(role IN ('admin', 'viewer')),
+                        role TEXT NOT NULL,
                         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                         updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
                     )
@@ -0,0 +1,39 @@
+// Re-runs the category rules over stored ads (after editing rules, or for ads saved before classification existed)
+// Usage: node scripts/reclassifyAds.js [--only-unclassified] [--batch-size 500]
+
+const DatabaseModels = require('../src/database/models');
+
+const batchArg = process.argv.indexOf('--batch-size');
+const batchSize = batchArg !== -1 ? parseInt(process.argv[batchArg + 1]) || 500 : 500;
+const onlyUnclassified = process.argv.includes('--only-unclassified');
+
+async function run() {
+    const db = new DatabaseModels();
+
+    console.log(`🏷️  Reclassifying ${onlyUnclassified ? 'unclassified' : 'all'} ads...`);
+
+    try {
+        await db.initialize();
+
+        const result = await db.classification.reclassifyAds({
+            all: !onlyUnclassified,
+            batchSize,
+            onProgress: ({ processed, changed }) => {
+                console.log(`   ⏳ Processed ${processed} ads (${changed} changed)`);
+            }
+        });
+
+        const summary = await db.classification.getSummary();
+
+        console.log(`\n✅ Reclassification complete: ${result.changed}/${result.processed} ads changed`);
+        console.log('📊 Ads per vertical:');
+        summary.verticals.forEach(row => console.log(`   ${row.vertical || '(unclassified)'}: ${row.count}`));
+    } catch (error) {
+        console.error('\n❌ Reclassification failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+run();
@@ -0,0 +1,41 @@
+// Resolves ad click redirect chains to their final landing pages
+// Usage: node scripts/resolveLandingPages.js [--retry-failed] [--concurrency 2]
+
+const LandingPageResolver = require('../src/services/landingPageResolver');
+
+const concurrencyArg = process.argv.indexOf('--concurrency');
+const concurrency = concurrencyArg !== -1 ? parseInt(process.argv[concurrencyArg + 1]) || 2 : 2;
+
+async function run() {
+    const resolver = new LandingPageResolver({ concurrency });
+
+    console.log('🔗 Resolving ad landing pages...');
+
+    try {
+        await resolver.initialize();
+
+        if (process.argv.includes('--retry-failed')) {
+            const requeued = await resolver.requeueFailed();
+            console.log(`   ♻️  Re-queued ${requeued} failed ads`);
+        }
+
+        const processed = await resolver.drain();
+        const status = await resolver.getStatus();
+
+        console.log(`\n✅ Processed ${processed} ads`);
+        console.log(`📊 Resolved: ${status.counts.resolved} | Failed: ${status.counts.failed} | Waiting to retry: ${status.counts.retry} | Pending: ${status.counts.pending}`);
+        if (status.topDomains.length > 0) {
+            console.log('\n🏁 Top landing domains:');
+            status.topDomains.forEach(({ landing_domain, count }) => {
+                console.log(`   ${landing_domain}: ${count}`);
+            });
+        }
+    } catch (error) {
+        console.error('\n❌ Landing page resolution failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await resolver.close();
+    }
+}
+
+run();
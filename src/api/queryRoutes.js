@@ -1,6 +1,8 @@
 const express = require('express');
 const DatabaseModels = require('../database/models');
 const logger = require('../utils/logger');
+const { buildFtsQuery } = require('../utils/ftsQuery');
+const { parseAdFilters } = require('../utils/adFilters');
 
 const router = express.Router();
 const db = new DatabaseModels();
@@ -18,25 +20,14 @@ router.use(async (req, res, next) => {
   }
 });
 
-// Query ads with filters
+// Query ads with filters (session_id/session_ids and ad_network accept comma-separated lists)
 router.get('/ads', async (req, res) => {
   try {
     const filters = {
-      sessionId: req.query.session_id,
-      adNetwork: req.query.ad_network,
-      startDate: req.query.start_date,
-      endDate: req.query.end_date,
-      search: req.query.search,
+      ...parseAdFilters(req.query),
       limit: parseInt(req.query.limit) || 1000000  // Default to 1 million for unlimited mode
     };
 
-    // Remove null/undefined filters
-    Object.keys(filters).forEach(key => {
-      if (filters[key] === undefined || filters[key] === null || filters[key] === '') {
-        delete filters[key];
-      }
-    });
-
     const ads = await db.queryAds(filters);
     res.json({
       success: true,
@@ -70,6 +61,79 @@ router.get('/ads/session/:sessionId', async (req, res) => {
   }
 });
 
+// Full-text search with ranking, phrases ("free shipping"), prefixes (insur*), OR and -exclusions
+router.get('/ads/search', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    const filters = {
+      ...parseAdFilters(req.query),
+      limit: Math.min(parseInt(req.query.limit) || 50, 1000),
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const { total, query, results } = await db.searchAds(q, filters);
+    res.json({
+      success: true,
+      q,
+      query,
+      total,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Failed to search ads:', error);
+    const unavailable = error.message.includes('not available');
+    res.status(unavailable ? 503 : 500).json({ error: 'Failed to search ads', details: error.message });
+  }
+});
+
+// Get an ad's sighting timeline and creative versions
+router.get('/ads/:id/history', async (req, res) => {
+  try {
+    const adId = parseInt(req.params.id);
+    if (isNaN(adId)) {
+      return res.status(400).json({ error: 'Invalid ad id' });
+    }
+
+    const history = await db.getAdHistory(adId);
+    if (!history) {
+      return res.status(404).json({ error: 'Ad not found' });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Failed to get ad history:', error);
+    res.status(500).json({ error: 'Failed to get ad history', details: error.message });
+  }
+});
+
+// Get ads sharing a visually identical archived creative
+router.get('/ads/:id/similar', async (req, res) => {
+  try {
+    const adId = parseInt(req.params.id);
+    if (isNaN(adId)) {
+      return res.status(400).json({ error: 'Invalid ad id' });
+    }
+
+    const ads = await db.getSimilarCreativeAds(adId, parseInt(req.query.limit) || 100);
+    res.json({
+      success: true,
+      count: ads.length,
+      data: ads
+    });
+  } catch (error) {
+    logger.error('Failed to get similar creative ads:', error);
+    res.status(500).json({ error: 'Failed to get similar creative ads', details: error.message });
+  }
+});
+
 // Get recent ads (last N minutes)
 router.get('/ads/recent', async (req, res) => {
   try {
@@ -172,6 +236,56 @@ router.get('/sessions/:sessionId', async (req, res) => {
   }
 });
 
+// Advertiser endpoints
+
+// List advertisers with ad counts
+router.get('/advertisers', async (req, res) => {
+  try {
+    const filters = {
+      search: req.query.search,
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      sort: req.query.sort,
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const advertisers = await db.getAdvertisers(filters);
+    res.json({
+      success: true,
+      count: advertisers.length,
+      filters,
+      data: advertisers
+    });
+  } catch (error) {
+    logger.error('Failed to get advertisers:', error);
+    res.status(500).json({ error: 'Failed to get advertisers', details: error.message });
+  }
+});
+
+// Get advertiser details (aliases, landing domains, recent ads)
+router.get('/advertisers/:id', async (req, res) => {
+  try {
+    const advertiserId = parseInt(req.params.id);
+    if (isNaN(advertiserId)) {
+      return res.status(400).json({ error: 'Invalid advertiser id' });
+    }
+
+    const advertiser = await db.getAdvertiser(advertiserId, parseInt(req.query.ads_limit) || 50);
+    if (!advertiser) {
+      return res.status(404).json({ error: 'Advertiser not found' });
+    }
+
+    res.json({
+      success: true,
+      data: advertiser
+    });
+  } catch (error) {
+    logger.error('Failed to get advertiser:', error);
+    res.status(500).json({ error: 'Failed to get advertiser', details: error.message });
+  }
+});
+
 // Analytics endpoints
 
 // Get ad network statistics
@@ -219,6 +333,81 @@ router.get('/analytics/daily', async (req, res) => {
   }
 });
 
+// Ad counts per vertical and creative type (values for the vertical/creative_type filters)
+router.get('/analytics/categories', async (req, res) => {
+  try {
+    const summary = await db.classification.getSummary();
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Failed to get category stats:', error);
+    res.status(500).json({ error: 'Failed to get category stats', details: error.message });
+  }
+});
+
+// Geo filters shared by the /analytics/geo endpoints (city accepts a comma-separated list of slugs)
+function parseGeoFilters(query) {
+  const { cities, state, startDate, endDate } = parseAdFilters(query);
+  return {
+    cities,
+    state,
+    startDate,
+    endDate,
+    limit: parseInt(query.limit) || undefined,
+    offset: parseInt(query.offset) || 0
+  };
+}
+
+// Ads, advertisers and sightings per city
+router.get('/analytics/geo', async (req, res) => {
+  try {
+    const filters = parseGeoFilters(req.query);
+    const stats = await db.getGeoCityStats(filters);
+    res.json({
+      success: true,
+      count: stats.length,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Failed to get geo stats:', error);
+    res.status(500).json({ error: 'Failed to get geo stats', details: error.message });
+  }
+});
+
+// Ads, advertisers and sightings per state
+router.get('/analytics/geo/states', async (req, res) => {
+  try {
+    const stats = await db.getGeoStateStats(parseGeoFilters(req.query));
+    res.json({
+      success: true,
+      count: stats.length,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Failed to get state stats:', error);
+    res.status(500).json({ error: 'Failed to get state stats', details: error.message });
+  }
+});
+
+// Advertisers with per-city ad counts (?city=houston-tx,chicago-il compares those markets)
+router.get('/analytics/geo/advertisers', async (req, res) => {
+  try {
+    const filters = parseGeoFilters(req.query);
+    const advertisers = await db.getGeoAdvertisers(filters);
+    res.json({
+      success: true,
+      count: advertisers.length,
+      cities: filters.cities || null,
+      data: advertisers
+    });
+  } catch (error) {
+    logger.error('Failed to get advertisers by city:', error);
+    res.status(500).json({ error: 'Failed to get advertisers by city', details: error.message });
+  }
+});
+
 // Advanced query endpoint with SQL-like filtering
 router.post('/ads/query', async (req, res) => {
   try {
@@ -284,6 +473,18 @@ router.post('/ads/query', async (req, res) => {
       params.push(...filters.adNetworks);
     }
 
+    if (filters.verticals && Array.isArray(filters.verticals)) {
+      const placeholders = filters.verticals.map(() => '?').join(',');
+      sql += ` AND vertical IN (${placeholders})`;
+      params.push(...filters.verticals);
+    }
+
+    if (filters.creativeTypes && Array.isArray(filters.creativeTypes)) {
+      const placeholders = filters.creativeTypes.map(() => '?').join(',');
+      sql += ` AND creative_type IN (${placeholders})`;
+      params.push(...filters.creativeTypes);
+    }
+
     if (filters.dateRange) {
       if (filters.dateRange.start) {
         sql += ' AND timestamp >= ?';
@@ -296,8 +497,14 @@ router.post('/ads/query', async (req, res) => {
     }
 
     if (filters.searchText) {
-      sql += ' AND (heading LIKE ? OR description LIKE ?)';
-      params.push(`%${filters.searchText}%`, `%${filters.searchText}%`);
+      const ftsQuery = db.db.ftsAvailable ? buildFtsQuery(filters.searchText) : null;
+      if (ftsQuery) {
+        sql += ' AND id IN (SELECT rowid FROM ads_fts WHERE ads_fts MATCH ?)';
+        params.push(ftsQuery);
+      } else {
+        sql += ' AND (heading LIKE ? OR description LIKE ?)';
+        params.push(`%${filters.searchText}%`, `%${filters.searchText}%`);
+      }
     }
 
     // Apply sorting
@@ -23,24 +23,67 @@ const generateToken = (user) => {
     );
 };
 
-// Verify JWT token middleware
-const verifyToken = (req, res, next) => {
-    const token = req.cookies?.token || req.headers?.authorization?.split(' ')[1];
+// "Authorization: ApiKey <key>" header, if the request carries one
+const getApiKey = (req) => {
+    const match = /^ApiKey\s+(\S+)$/i.exec(req.headers?.authorization || '');
+    return match ? match[1] : null;
+};
+
+// Resolve the caller from an API key or a JWT (cookie or Bearer header).
+// Returns { user } on success or { status, error } when the request has no valid credentials.
+const authenticateRequest = async (req) => {
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+        const key = await userManager.verifyApiKey(apiKey);
+        if (!key) {
+            return { status: 401, error: 'Invalid, expired or revoked API key.' };
+        }
+        return {
+            user: {
+                id: null,
+                username: `apikey:${key.name}`,
+                role: 'apikey',
+                apiKey: { id: key.id, name: key.name, scopes: key.scopes }
+            }
+        };
+    }
 
+    const token = req.cookies?.token || req.headers?.authorization?.split(' ')[1];
     if (!token) {
-        return res.status(401).json({ error: 'Access denied. No token provided.' });
+        return { status: 401, error: 'Access denied. No token provided.', missing: true };
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return { status: 403, error: 'Invalid token.' };
+    }
+
+    // Tokens live for 24h: take the role from the users table so demotions and deletions apply at once
+    const account = await userManager.getUserByUsername(decoded.username);
+    if (!account || account.id !== decoded.id) {
+        return { status: 401, error: 'User no longer exists.' };
+    }
+    return { user: { ...decoded, role: account.role } };
+};
+
+// Verify JWT token or API key middleware
+const verifyToken = async (req, res, next) => {
+    try {
+        const result = await authenticateRequest(req);
+        if (!result.user) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        req.user = result.user;
         next();
     } catch (error) {
-        return res.status(403).json({ error: 'Invalid token.' });
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed.' });
     }
 };
 
-// Check if user is admin
+// Check if user is admin (API keys never are; routes open to keys use requirePermission)
 const requireAdmin = (req, res, next) => {
     if (req.user?.role !== 'admin') {
         return res.status(403).json({ error: 'Admin access required.' });
@@ -48,28 +91,42 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-// Check if user is authenticated (any role)
-const requireAuth = (req, res, next) => {
-    const token = req.cookies?.token || req.headers?.authorization?.split(' ')[1];
+// Check if user is authenticated (any role, or an API key)
+const requireAuth = async (req, res, next) => {
+    try {
+        const result = await authenticateRequest(req);
+        if (result.user) {
+            req.user = result.user;
+            return next();
+        }
 
-    if (!token) {
-        // Redirect to login page for HTML requests
-        if (req.accepts('html')) {
+        // Redirect to login page for HTML requests; API key callers always get JSON
+        if (!getApiKey(req) && req.accepts('html')) {
             return res.redirect('/login');
         }
-        return res.status(401).json({ error: 'Authentication required.' });
+        if (result.missing) {
+            return res.status(401).json({ error: 'Authentication required.' });
+        }
+        return res.status(result.status).json({ error: result.error });
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed.' });
     }
+};
 
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        if (req.accepts('html')) {
-            return res.redirect('/login');
+// Allow API keys whose scopes include the permission, and users whose role grants it
+const requirePermission = (permission) => (req, res, next) => {
+    if (req.user?.apiKey) {
+        if (!req.user.apiKey.scopes.includes(permission)) {
+            return res.status(403).json({ error: `API key is missing the ${permission} scope.` });
         }
-        return res.status(403).json({ error: 'Invalid token.' });
+        return next();
     }
+
+    if (!userManager.hasPermission(req.user?.role, permission)) {
+        return res.status(403).json({ error: `Permission required: ${permission}.` });
+    }
+    next();
 };
 
 // Helper function to hash passwords (for creating new users)
@@ -83,5 +140,6 @@ module.exports = {
     verifyToken,
     requireAdmin,
     requireAuth,
+    requirePermission,
     hashPassword
 };
\ No newline at end of file
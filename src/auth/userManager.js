@@ -1,13 +1,50 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 
+// Everything a role or an API key can be allowed to do. API key scopes are permissions too.
+const PERMISSIONS = {
+    'ads:read': 'Read ads, sessions and analytics (/api/ads, /api/query/*)',
+    'ads:export': 'Export ads (/api/export/*)',
+    'ads:annotate': 'Flag ads found by learned selectors as false positives',
+    'extract:start': 'Start, resume and scale extractions',
+    'extract:stop': 'Stop extractions',
+    'users:manage': 'Manage users and roles'
+};
+
+// Roles created on first start. admin always has every permission and cannot be edited.
+const DEFAULT_ROLES = [
+    { name: 'admin', description: 'Full access', permissions: Object.keys(PERMISSIONS) },
+    { name: 'operator', description: 'Starts and stops crawls', permissions: ['ads:read', 'extract:start', 'extract:stop'] },
+    { name: 'analyst', description: 'Queries, exports and annotates ads', permissions: ['ads:read', 'ads:export', 'ads:annotate'] },
+    { name: 'viewer', description: 'Read-only access', permissions: ['ads:read'] }
+];
+
+// Keys are random, so a SHA-256 digest is enough to store them (no per-request bcrypt)
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Array or comma-separated list of known permissions, without duplicates
+function parsePermissions(value, label) {
+    const list = [...new Set((Array.isArray(value) ? value : String(value || '').split(','))
+        .map(permission => String(permission).trim())
+        .filter(Boolean))];
+    const unknown = list.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${label}: ${unknown.join(', ')} (use ${Object.keys(PERMISSIONS).join(', ')})`);
+    }
+    return list;
+}
+
 class UserManager {
     constructor() {
         this.dbPath = process.env.USER_DATABASE_PATH || path.join(process.cwd(), 'data', 'users.db');
         this.db = null;
         this.initialized = false;
+        this.roles = new Map(); // name -> { name, description, permissions, builtIn }
     }
 
     async initialize() {
@@ -15,45 +52,130 @@ class UserManager {
             // Ensure data directory exists
             await fs.ensureDir(path.dirname(this.dbPath));
 
-            return new Promise((resolve, reject) => {
-                this.db = new sqlite3.Database(this.dbPath, async (err) => {
+            await new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, (err) => {
                     if (err) {
                         console.error('Error opening users database:', err);
                         reject(err);
-                        return;
-                    }
-
-                    // Create users table if it doesn't exist
-                    this.db.run(`
-                        CREATE TABLE IF NOT EXISTS users (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            username TEXT UNIQUE NOT NULL,
-                            password TEXT NOT NULL,
-                            role TEXT NOT NULL CHECK(role IN ('admin', 'viewer')),
-                            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-                        )
-                    `, async (err) => {
-                        if (err) {
-                            console.error('Error creating users table:', err);
-                            reject(err);
-                            return;
-                        }
-
-                        // Check if default admin exists
-                        await this.ensureDefaultAdmin();
-                        this.initialized = true;
-                        console.log('User database initialized');
+                    } else {
                         resolve();
-                    });
+                    }
                 });
             });
+
+            // Create users table if it doesn't exist (roles are checked against the roles table)
+            await this.runStatement(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.migrateRoleConstraint();
+
+            await this.runStatement(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    name TEXT PRIMARY KEY,
+                    description TEXT,
+                    permissions TEXT NOT NULL DEFAULT '',
+                    builtIn INTEGER NOT NULL DEFAULT 0,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            for (const role of DEFAULT_ROLES) {
+                await this.runStatement(
+                    'INSERT OR IGNORE INTO roles (name, description, permissions, builtIn) VALUES (?, ?, ?, 1)',
+                    [role.name, role.description, role.permissions.join(',')]
+                );
+            }
+            await this.loadRoles();
+
+            // API keys for scripts; only the hash of each key is stored
+            await this.runStatement(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    keyPrefix TEXT NOT NULL,
+                    keyHash TEXT UNIQUE NOT NULL,
+                    scopes TEXT NOT NULL,
+                    createdBy TEXT,
+                    expiresAt DATETIME,
+                    lastUsedAt DATETIME,
+                    revokedAt DATETIME,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            // The extraction:control scope was split into extract:start and extract:stop
+            await this.runStatement(
+                "UPDATE api_keys SET scopes = REPLACE(scopes, 'extraction:control', 'extract:start,extract:stop') WHERE scopes LIKE '%extraction:control%'"
+            );
+
+            // Check if default admin exists
+            await this.ensureDefaultAdmin();
+            this.initialized = true;
+            console.log('User database initialized');
         } catch (error) {
             console.error('Failed to initialize user database:', error);
             throw error;
         }
     }
 
+    runStatement(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes, lastID: this.lastID });
+                }
+            });
+        });
+    }
+
+    // Older databases only allow 'admin' and 'viewer' in users.role; rebuild the table without that CHECK
+    async migrateRoleConstraint() {
+        const table = await new Promise((resolve, reject) => {
+            this.db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'", (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+        if (!table || !/CHECK\s*\(\s*role IN/i.test(table.sql)) {
+            return;
+        }
+
+        console.log('Migrating users table to configurable roles...');
+        await this.runStatement('BEGIN TRANSACTION');
+        try {
+            await this.runStatement(`
+                CREATE TABLE users_migrated (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.runStatement(`
+                INSERT INTO users_migrated (id, username, password, role, createdAt, updatedAt)
+                SELECT id, username, password, role, createdAt, updatedAt FROM users
+            `);
+            await this.runStatement('DROP TABLE users');
+            await this.runStatement('ALTER TABLE users_migrated RENAME TO users');
+            await this.runStatement('COMMIT');
+        } catch (error) {
+            await this.runStatement('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
     async ensureDefaultAdmin() {
         return new Promise((resolve, reject) => {
             this.db.get('SELECT * FROM users WHERE username = ?', ['admin'], async (err, row) => {
@@ -197,7 +319,7 @@ class UserManager {
         if (!password || password.length < 6) {
             throw new Error('Password must be at least 6 characters');
         }
-        if (!['admin', 'viewer'].includes(role)) {
+        if (!this.roles.has(role)) {
             throw new Error('Invalid role');
         }
 
@@ -231,7 +353,7 @@ class UserManager {
     }
 
     async updateUserRole(username, newRole) {
-        if (!['admin', 'viewer'].includes(newRole)) {
+        if (!this.roles.has(newRole)) {
             throw new Error('Invalid role');
         }
 
@@ -323,6 +445,248 @@ class UserManager {
         };
     }
 
+    async loadRoles() {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM roles ORDER BY builtIn DESC, name', [], (err, result) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result || []);
+                }
+            });
+        });
+
+        this.roles = new Map(rows.map(row => [row.name, {
+            name: row.name,
+            description: row.description,
+            // admin keeps every permission, including ones added later
+            permissions: row.name === 'admin' ? Object.keys(PERMISSIONS) : row.permissions.split(',').filter(Boolean),
+            builtIn: row.builtIn === 1
+        }]));
+        return [...this.roles.values()];
+    }
+
+    // Permissions of a role, from the cache loadRoles keeps in sync with the roles table
+    getRolePermissions(role) {
+        return this.roles.get(role)?.permissions || [];
+    }
+
+    hasPermission(role, permission) {
+        return this.getRolePermissions(role).includes(permission);
+    }
+
+    // Roles with the number of users holding each
+    async getAllRoles() {
+        const counts = await new Promise((resolve, reject) => {
+            this.db.all('SELECT role, COUNT(*) AS users FROM users GROUP BY role', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(new Map((rows || []).map(row => [row.role, row.users])));
+                }
+            });
+        });
+
+        return (await this.loadRoles()).map(role => ({ ...role, users: counts.get(role.name) || 0 }));
+    }
+
+    async createRole({ name, description, permissions } = {}) {
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]{2,29}$/.test(name)) {
+            throw new Error('Role name must be 3-30 lowercase letters, digits, - or _, starting with a letter');
+        }
+        if (this.roles.has(name)) {
+            throw new Error('Role already exists');
+        }
+
+        const permissionList = parsePermissions(permissions, 'permissions');
+        await this.runStatement(
+            'INSERT INTO roles (name, description, permissions) VALUES (?, ?, ?)',
+            [name, description ? String(description).slice(0, 200) : null, permissionList.join(',')]
+        );
+        await this.loadRoles();
+        return this.roles.get(name);
+    }
+
+    async updateRole(name, { description, permissions } = {}) {
+        if (name === 'admin') {
+            throw new Error('Cannot change the admin role');
+        }
+        const role = this.roles.get(name);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+
+        const permissionList = permissions !== undefined ? parsePermissions(permissions, 'permissions') : role.permissions;
+        await this.runStatement(
+            'UPDATE roles SET description = ?, permissions = ?, updatedAt = CURRENT_TIMESTAMP WHERE name = ?',
+            [description !== undefined ? String(description).slice(0, 200) : role.description, permissionList.join(','), name]
+        );
+        await this.loadRoles();
+        return this.roles.get(name);
+    }
+
+    async deleteRole(name) {
+        const role = this.roles.get(name);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+        if (role.builtIn) {
+            throw new Error('Cannot delete a built-in role');
+        }
+
+        const holders = await new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [name], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+        if (holders > 0) {
+            throw new Error(`Role is assigned to ${holders} user(s); change their role first`);
+        }
+
+        await this.runStatement('DELETE FROM roles WHERE name = ?', [name]);
+        await this.loadRoles();
+        return { success: true };
+    }
+
+    // Returns the plaintext key once; only its hash and prefix are kept
+    async createApiKey({ name, scopes, expiresAt, createdBy } = {}) {
+        name = typeof name === 'string' ? name.trim() : '';
+        if (name.length < 3 || name.length > 50) {
+            throw new Error('Name must be 3-50 characters');
+        }
+
+        const scopeList = parsePermissions(scopes, 'scopes');
+        if (scopeList.length === 0) {
+            throw new Error('At least one scope is required');
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            const date = new Date(expiresAt);
+            if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+                throw new Error('expiresAt must be a future date');
+            }
+            expiry = date.toISOString();
+        }
+
+        const key = `nbk_${crypto.randomBytes(24).toString('hex')}`;
+        const keyPrefix = key.slice(0, 12);
+        const createdAt = new Date().toISOString();
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO api_keys (name, keyPrefix, keyHash, scopes, createdBy, expiresAt, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [name, keyPrefix, hashApiKey(key), scopeList.join(','), createdBy || null, expiry, createdAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({
+                            id: this.lastID,
+                            name,
+                            key,
+                            keyPrefix,
+                            scopes: scopeList,
+                            createdBy: createdBy || null,
+                            expiresAt: expiry,
+                            createdAt
+                        });
+                    }
+                }
+            );
+        });
+    }
+
+    async getAllApiKeys() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM api_keys ORDER BY id DESC',
+                [],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve((rows || []).map(row => this.formatApiKey(row)));
+                    }
+                }
+            );
+        });
+    }
+
+    async revokeApiKey(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL',
+                [new Date().toISOString(), parseInt(id)],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else if (this.changes === 0) {
+                        reject(new Error('API key not found'));
+                    } else {
+                        resolve({ success: true });
+                    }
+                }
+            );
+        });
+    }
+
+    // Active key for a plaintext key, or null when unknown, revoked or expired
+    async verifyApiKey(key) {
+        if (!key || typeof key !== 'string') {
+            return null;
+        }
+
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM api_keys WHERE keyHash = ?', [hashApiKey(key)], (err, result) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+
+        const apiKey = row ? this.formatApiKey(row) : null;
+        if (!apiKey || apiKey.status !== 'active') {
+            return null;
+        }
+
+        apiKey.lastUsedAt = new Date().toISOString();
+        this.db.run('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?', [apiKey.lastUsedAt, apiKey.id], (err) => {
+            if (err) {
+                console.error('Error updating API key last use:', err);
+            }
+        });
+        return apiKey;
+    }
+
+    formatApiKey(row) {
+        let status = 'active';
+        if (row.revokedAt) {
+            status = 'revoked';
+        } else if (row.expiresAt && new Date(row.expiresAt).getTime() <= Date.now()) {
+            status = 'expired';
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            keyPrefix: row.keyPrefix,
+            scopes: row.scopes.split(','),
+            createdBy: row.createdBy,
+            expiresAt: row.expiresAt,
+            lastUsedAt: row.lastUsedAt,
+            revokedAt: row.revokedAt,
+            createdAt: row.createdAt,
+            status
+        };
+    }
+
     close() {
         if (this.db) {
             this.db.close();
@@ -332,5 +696,6 @@ class UserManager {
 
 // Create singleton instance
 const userManager = new UserManager();
+userManager.PERMISSIONS = PERMISSIONS;
 
 module.exports = userManager;
\ No newline at end of file
@@ -1,5 +1,9 @@
 // URL rotation configuration for unlimited ad extraction
-// Rotates through different NewsBreak locations to find fresh ads
+// Rotates through different NewsBreak locations to find fresh ads. The editable city list lives
+// in the crawl_cities table (services/cityRotationService.js); NEWSBREAK_LOCATIONS seeds it and is
+// the fallback when no database list is available.
+
+const { getLocationFromUrl } = require('../utils/pageUrl');
 
 const NEWSBREAK_LOCATIONS = [
   // Major US Cities - High traffic
@@ -49,10 +53,58 @@ const NEWSBREAK_LOCATIONS = [
   'https://www.newsbreak.com/tampa-fl'
 ];
 
+// Census regions, the default region tag of a city
+const STATE_REGIONS = {
+  northeast: ['CT', 'ME', 'MA', 'NH', 'NJ', 'NY', 'PA', 'RI', 'VT'],
+  midwest: ['IL', 'IN', 'IA', 'KS', 'MI', 'MN', 'MO', 'NE', 'ND', 'OH', 'SD', 'WI'],
+  south: ['AL', 'AR', 'DE', 'DC', 'FL', 'GA', 'KY', 'LA', 'MD', 'MS', 'NC', 'OK', 'SC', 'TN', 'TX', 'VA', 'WV'],
+  west: ['AK', 'AZ', 'CA', 'CO', 'HI', 'ID', 'MT', 'NV', 'NM', 'OR', 'UT', 'WA', 'WY']
+};
+
+// sequential: list order (the original behavior)
+// random: any other city
+// weighted_yield: random, weighted by historical new ads per crawl hour
+// region_round_robin: one region after the other, least recently crawled city within a region
+// least_recent: the city crawled longest ago (never crawled first)
+const ROTATION_STRATEGIES = ['sequential', 'random', 'weighted_yield', 'region_round_robin', 'least_recent'];
+
+// Smoothing for weighted_yield: every city starts as if it had been crawled for PRIOR_HOURS at the
+// average rate, so new cities get tried and one lucky visit doesn't dominate
+const PRIOR_HOURS = 1;
+
+function getRegionForUrl(url) {
+  const location = getLocationFromUrl(url);
+  if (!location || !location.state) return 'other';
+  const region = Object.keys(STATE_REGIONS).find(name => STATE_REGIONS[name].includes(location.state));
+  return region || 'other';
+}
+
+// New ads per crawl hour with the smoothing prior; `averageRate` is the fleet-wide rate
+function getYieldScore(city, averageRate) {
+  const hours = (city.crawlSeconds || 0) / 3600;
+  return ((city.newAds || 0) + averageRate * PRIOR_HOURS) / (hours + PRIOR_HOURS);
+}
+
 class URLRotationManager {
-  constructor(startingUrl = null) {
-    this.urls = [...NEWSBREAK_LOCATIONS];
+  // options.cities: [{ url, region, newAds, crawlSeconds, lastCrawledAt }] (defaults to
+  // NEWSBREAK_LOCATIONS); options.strategy: one of ROTATION_STRATEGIES
+  constructor(startingUrl = null, options = {}) {
+    const cities = options.cities && options.cities.length > 0
+      ? options.cities
+      : NEWSBREAK_LOCATIONS.map(url => ({ url }));
+
+    this.cities = cities.map(city => ({
+      url: city.url,
+      region: city.region || getRegionForUrl(city.url),
+      newAds: city.newAds || 0,
+      crawlSeconds: city.crawlSeconds || 0,
+      lastCrawledAt: city.lastCrawledAt ? new Date(city.lastCrawledAt).getTime() : 0
+    }));
+    this.urls = this.cities.map(city => city.url);
+    this.strategy = ROTATION_STRATEGIES.includes(options.strategy) ? options.strategy : 'sequential';
+    this.random = options.random || Math.random;
     this.currentIndex = 0;
+    this.regionIndex = -1;
 
     // If starting URL is provided and exists in list, start from there
     if (startingUrl) {
@@ -70,14 +122,26 @@ class URLRotationManager {
     return this.urls[this.currentIndex];
   }
 
-  getNextUrl() {
-    this.currentIndex = (this.currentIndex + 1) % this.urls.length;
+  // Next city by the configured strategy. `exclude` lists URLs to skip (e.g. cities other
+  // workers are on) unless nothing else is left.
+  getNextUrl({ exclude = [] } = {}) {
+    const candidates = this.cities
+      .map((city, index) => ({ city, index }))
+      .filter(({ city, index }) => index !== this.currentIndex && !exclude.includes(city.url));
+    const pool = candidates.length > 0
+      ? candidates
+      : this.cities.map((city, index) => ({ city, index })).filter(({ index }) => index !== this.currentIndex);
+
+    const index = pool.length > 0 ? this.pickIndex(pool) : this.currentIndex;
+    this.currentIndex = index;
     const url = this.urls[this.currentIndex];
+    this.cities[index].lastCrawledAt = Date.now();
 
     this.rotationHistory.push({
       url,
       timestamp: new Date().toISOString(),
-      index: this.currentIndex
+      index: this.currentIndex,
+      ...(this.strategy !== 'sequential' ? { strategy: this.strategy } : {})
     });
 
     this.lastRotationTime = Date.now();
@@ -90,6 +154,61 @@ class URLRotationManager {
     return url;
   }
 
+  pickIndex(pool) {
+    switch (this.strategy) {
+      case 'random':
+        return pool[Math.floor(this.random() * pool.length)].index;
+
+      case 'weighted_yield': {
+        const totalHours = this.cities.reduce((sum, city) => sum + city.crawlSeconds, 0) / 3600;
+        const totalAds = this.cities.reduce((sum, city) => sum + city.newAds, 0);
+        const averageRate = totalHours > 0 ? totalAds / totalHours : 1;
+        const weights = pool.map(({ city }) => getYieldScore(city, averageRate) || 0.0001);
+        let target = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < pool.length; i++) {
+          target -= weights[i];
+          if (target <= 0) return pool[i].index;
+        }
+        return pool[pool.length - 1].index;
+      }
+
+      case 'region_round_robin': {
+        const regions = [...new Set(this.cities.map(city => city.region))];
+        for (let step = 1; step <= regions.length; step++) {
+          const region = regions[(this.regionIndex + step) % regions.length];
+          const inRegion = pool.filter(({ city }) => city.region === region);
+          if (inRegion.length > 0) {
+            this.regionIndex = (this.regionIndex + step) % regions.length;
+            return this.leastRecent(inRegion);
+          }
+        }
+        return this.leastRecent(pool);
+      }
+
+      case 'least_recent':
+        return this.leastRecent(pool);
+
+      default: {
+        // Sequential: the first pool entry after the current index, wrapping around
+        const after = pool.find(({ index }) => index > this.currentIndex);
+        return (after || pool[0]).index;
+      }
+    }
+  }
+
+  leastRecent(pool) {
+    return pool.reduce((best, entry) => (entry.city.lastCrawledAt < best.city.lastCrawledAt ? entry : best)).index;
+  }
+
+  // Time spent and new ads found on a city, so weighted_yield adapts during a run
+  recordVisit(url, { newAds = 0, seconds = 0 } = {}) {
+    const city = this.cities.find(entry => entry.url === url);
+    if (!city) return;
+    city.newAds += newAds;
+    city.crawlSeconds += seconds;
+    city.lastCrawledAt = Date.now();
+  }
+
   getRandomUrl() {
     // Get a random URL different from current
     let newIndex;
@@ -114,6 +233,7 @@ class URLRotationManager {
 
   getRotationStats() {
     return {
+      strategy: this.strategy,
       totalUrls: this.urls.length,
       currentIndex: this.currentIndex,
       currentUrl: this.getCurrentUrl(),
@@ -127,5 +247,9 @@ class URLRotationManager {
 
 module.exports = {
   NEWSBREAK_LOCATIONS,
-  URLRotationManager
+  STATE_REGIONS,
+  ROTATION_STRATEGIES,
+  URLRotationManager,
+  getRegionForUrl,
+  getYieldScore
 };
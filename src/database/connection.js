@@ -2,12 +2,15 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
 const logger = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
 
 class DatabaseConnection {
   constructor() {
     this.db = null;
     this.dbPath = path.join(process.cwd(), 'data', 'ads_crawler.db');
     this.schemaPath = path.join(__dirname, 'schema.sql');
+    this.ftsAvailable = false; // Set by migrateFullTextSearch once ads_fts is verified
+    this.transactionQueue = Promise.resolve();
   }
 
   async initialize() {
@@ -61,6 +64,11 @@ class DatabaseConnection {
       for (const line of lines) {
         const trimmedLine = line.trim();
 
+        // Skip comment lines so they don't get glued onto the next statement
+        if (trimmedLine.startsWith('--')) {
+          continue;
+        }
+
         if (trimmedLine.startsWith('CREATE TRIGGER')) {
           inTrigger = true;
         }
@@ -81,6 +89,7 @@ class DatabaseConnection {
 
       // Separate statements by type for proper execution order
       const tableStatements = [];
+      const virtualTableStatements = [];
       const indexStatements = [];
       const triggerStatements = [];
 
@@ -89,6 +98,8 @@ class DatabaseConnection {
           const upperStatement = statement.toUpperCase().trim();
           if (upperStatement.startsWith('CREATE TABLE')) {
             tableStatements.push(statement);
+          } else if (upperStatement.startsWith('CREATE VIRTUAL TABLE')) {
+            virtualTableStatements.push(statement);
           } else if (upperStatement.startsWith('CREATE INDEX')) {
             indexStatements.push(statement);
           } else if (upperStatement.startsWith('CREATE TRIGGER')) {
@@ -110,6 +121,20 @@ class DatabaseConnection {
         }
       }
 
+      // Virtual tables depend on compiled-in modules (e.g. FTS5) - a missing module
+      // disables that feature instead of failing the whole schema
+      const unavailableTables = [];
+      for (const statement of virtualTableStatements) {
+        try {
+          await this.run(statement);
+          logger.debug(`Executed: ${statement.substring(0, 50)}...`);
+        } catch (err) {
+          const name = (statement.match(/CREATE VIRTUAL TABLE\s+(?:IF NOT EXISTS\s+)?(\w+)/i) || [])[1];
+          logger.warn(`Virtual table ${name} unavailable: ${err.message}`);
+          if (name) unavailableTables.push(name);
+        }
+      }
+
       // Verify tables exist before creating indexes
       await this.verifyTablesExist();
 
@@ -128,6 +153,12 @@ class DatabaseConnection {
 
       logger.info('Creating database triggers...');
       for (const statement of triggerStatements) {
+        // A trigger writing to a missing virtual table would break every insert
+        if (unavailableTables.some(name => new RegExp(`\\b${name}\\b`).test(statement))) {
+          logger.warn(`Skipping trigger that depends on unavailable table: ${statement.substring(0, 60)}...`);
+          continue;
+        }
+
         try {
           await this.run(statement);
           logger.debug(`Executed: ${statement.substring(0, 50)}...`);
@@ -260,7 +291,31 @@ class DatabaseConnection {
       const columnsToAdd = [
         { table: 'ads', name: 'ad_signature', type: 'TEXT' },
         { table: 'ads', name: 'ad_type', type: 'TEXT' },
-        { table: 'ads', name: 'container_id', type: 'TEXT' }
+        { table: 'ads', name: 'container_id', type: 'TEXT' },
+        { table: 'ads', name: 'advertiser_id', type: 'INTEGER' },
+        // Landing page resolver (redirect chain of link_url)
+        { table: 'ads', name: 'landing_url', type: 'TEXT' },
+        { table: 'ads', name: 'landing_domain', type: 'TEXT' },
+        { table: 'ads', name: 'redirect_chain', type: 'TEXT' },
+        { table: 'ads', name: 'resolve_status', type: 'TEXT' },
+        { table: 'ads', name: 'resolve_attempts', type: 'INTEGER DEFAULT 0' },
+        { table: 'ads', name: 'resolve_error', type: 'TEXT' },
+        { table: 'ads', name: 'resolved_at', type: 'DATETIME' },
+        { table: 'ads', name: 'next_resolve_at', type: 'DATETIME' },
+        // Image archiver (content-addressed copy of image_url)
+        { table: 'ads', name: 'image_sha256', type: 'TEXT' },
+        { table: 'ads', name: 'image_archive_status', type: 'TEXT' },
+        { table: 'ads', name: 'image_archive_attempts', type: 'INTEGER DEFAULT 0' },
+        { table: 'ads', name: 'image_archive_error', type: 'TEXT' },
+        { table: 'ads', name: 'next_archive_at', type: 'DATETIME' },
+        // Rule-based classification (vertical and creative type)
+        { table: 'ads', name: 'vertical', type: 'TEXT' },
+        { table: 'ads', name: 'vertical_confidence', type: 'REAL' },
+        { table: 'ads', name: 'creative_type', type: 'TEXT' },
+        { table: 'ads', name: 'creative_type_confidence', type: 'REAL' },
+        { table: 'ads', name: 'classified_at', type: 'DATETIME' },
+        // State of the city page a sighting came from
+        { table: 'ad_sightings', name: 'state', type: 'TEXT' }
       ];
 
       for (const column of columnsToAdd) {
@@ -287,6 +342,27 @@ class DatabaseConnection {
         logger.warn(`Failed to create index: ${err.message}`);
       }
 
+      // Indexes on migrated columns (added above on older databases)
+      try {
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_advertiser_id ON ads(advertiser_id)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_resolve_status ON ads(resolve_status, next_resolve_at)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_landing_domain ON ads(landing_domain)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_image_archive ON ads(image_archive_status, next_archive_at)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_image_sha256 ON ads(image_sha256)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_vertical ON ads(vertical)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_ads_creative_type ON ads(creative_type)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_sightings_state ON ad_sightings(state)');
+      } catch (err) {
+        logger.warn(`Failed to create index: ${err.message}`);
+      }
+
+      // Build the full-text index for ads saved before it existed
+      await this.migrateFullTextSearch();
+
+      await this.migrateCreativeVersionNumbers();
+
+      await this.migrateAdSignatures();
+
       logger.info('Migrations completed successfully');
     } catch (error) {
       logger.warn('Migrations encountered errors:', error.message);
@@ -294,10 +370,140 @@ class DatabaseConnection {
     }
   }
 
+  // Databases created before UNIQUE(ad_id, version_number) get it as an index, after renumbering
+  // any ad whose versions share a number
+  async migrateCreativeVersionNumbers() {
+    try {
+      const indexes = await this.all('PRAGMA index_list(ad_creative_versions)');
+      for (const index of indexes.filter(entry => entry.unique)) {
+        const columns = await this.all(`PRAGMA index_info(${index.name})`);
+        if (columns.map(column => column.name).join(',') === 'ad_id,version_number') return;
+      }
+
+      await this.run(
+        `UPDATE ad_creative_versions
+         SET version_number = (
+           SELECT COUNT(*) FROM ad_creative_versions v
+           WHERE v.ad_id = ad_creative_versions.ad_id AND v.id <= ad_creative_versions.id
+         )
+         WHERE ad_id IN (
+           SELECT ad_id FROM ad_creative_versions GROUP BY ad_id, version_number HAVING COUNT(*) > 1
+         )`
+      );
+      await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_creative_versions_number ON ad_creative_versions(ad_id, version_number)');
+      logger.info('✅ Created index: idx_creative_versions_number');
+    } catch (err) {
+      logger.warn(`Failed to add unique creative version numbers: ${err.message}`);
+    }
+  }
+
+  // One row per ad signature, so concurrent workers saving the same ad hit a UNIQUE constraint
+  // (handled in DatabaseModels.saveAd). Older databases may hold duplicates: the oldest row is
+  // kept and the others' sightings move to it before they are deleted.
+  async migrateAdSignatures() {
+    try {
+      const indexes = await this.all('PRAGMA index_list(ads)');
+      for (const index of indexes.filter(entry => entry.unique)) {
+        const columns = await this.all(`PRAGMA index_info(${index.name})`);
+        if (columns.map(column => column.name).join(',') === 'ad_signature') return;
+      }
+
+      const duplicates = `
+        SELECT a.id, (SELECT MIN(k.id) FROM ads k WHERE k.ad_signature = a.ad_signature) AS keep_id
+        FROM ads a
+        WHERE a.ad_signature IS NOT NULL
+          AND a.id > (SELECT MIN(k.id) FROM ads k WHERE k.ad_signature = a.ad_signature)`;
+
+      await this.run('BEGIN TRANSACTION');
+      try {
+        const moved = await this.run(
+          `UPDATE OR IGNORE ad_sightings
+           SET ad_id = (SELECT d.keep_id FROM (${duplicates}) d WHERE d.id = ad_sightings.ad_id), version_id = NULL
+           WHERE ad_id IN (SELECT id FROM (${duplicates}))`
+        );
+        // Their creative versions and any sightings left behind go with them (ON DELETE CASCADE)
+        const removed = await this.run(`DELETE FROM ads WHERE id IN (SELECT id FROM (${duplicates}))`);
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_ads_signature_unique ON ads(ad_signature)');
+        await this.run('COMMIT');
+
+        if (removed.changes > 0) {
+          logger.info(`Merged ${removed.changes} duplicate ads (${moved.changes} sightings moved)`);
+        }
+        logger.info('✅ Created index: idx_ads_signature_unique');
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    } catch (err) {
+      logger.warn(`Failed to make ad signatures unique: ${err.message}`);
+    }
+  }
+
+  async migrateFullTextSearch() {
+    try {
+      const fts = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ads_fts'");
+      this.ftsAvailable = !!fts;
+
+      if (!fts) {
+        logger.warn('Full-text search table ads_fts not available - search falls back to LIKE');
+        return;
+      }
+
+      // Ads saved before ads_fts existed are indexed once per database; the ads_fts_* triggers
+      // keep it in sync after that, so workers opening their own connections skip the scan
+      if (!(await this.markOnce('backfilled:ads_fts'))) return;
+
+      try {
+        const total = await this.get('SELECT COUNT(*) as count FROM ads');
+        if (total.count > 0) {
+          logger.info(`Building full-text index for ${total.count} ads...`);
+          await this.run("INSERT INTO ads_fts(ads_fts) VALUES('rebuild')");
+          logger.info('✅ Full-text index built');
+        }
+      } catch (err) {
+        // Let the next start try again
+        await this.run("DELETE FROM app_settings WHERE key = 'backfilled:ads_fts'");
+        throw err;
+      }
+    } catch (err) {
+      this.ftsAvailable = false;
+      logger.warn(`Failed to build full-text index: ${err.message}`);
+    }
+  }
+
+  // Records a one-time step in app_settings; true only for the first call on this database
+  async markOnce(key) {
+    const result = await this.run(
+      'INSERT OR IGNORE INTO app_settings (key, value) VALUES (?, ?)',
+      [key, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  // Runs fn between BEGIN IMMEDIATE and COMMIT, rolling back if it throws. All callers share one
+  // SQLite handle, so transactions on a connection are queued rather than nested.
+  transaction(fn) {
+    const result = this.transactionQueue.then(async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const value = await fn();
+        await this.run('COMMIT');
+        return value;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
   // Promisify database operations
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
+      const start = process.hrtime.bigint();
       this.db.run(sql, params, function(err) {
+        metrics.dbWriteDuration.observeSince({}, start);
         if (err) {
           reject(err);
         } else {
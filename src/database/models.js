@@ -1,13 +1,28 @@
 const DatabaseConnection = require('./connection');
 const logger = require('../utils/logger');
+const { normalizeAdvertiserName, extractLandingDomain, normalizeLinkUrl } = require('../utils/advertiserNormalizer');
+const { buildFtsQuery, renderHighlight, HIGHLIGHT_START, HIGHLIGHT_END } = require('../utils/ftsQuery');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { buildAdFilterSql } = require('../utils/adFilters');
+const { getCityFromUrl, parseCitySlug } = require('../utils/pageUrl');
+const { normalizeAd, validateAd, getAdSignature } = require('../extractors/adSchema');
+const { metrics } = require('../utils/metrics');
+const AdClassificationService = require('../services/adClassificationService');
 
 class DatabaseModels {
   constructor() {
     this.db = new DatabaseConnection();
+    this.classification = new AdClassificationService({ db: this.db });
   }
 
   async initialize() {
     await this.db.initialize();
+
+    try {
+      await this.classification.seedDefaultRules();
+    } catch (error) {
+      logger.warn(`Could not seed category rules: ${error.message}`);
+    }
   }
 
   // Session operations
@@ -85,66 +100,305 @@ class DatabaseModels {
   }
 
   // Ad operations
+
+  // Accepts normalized ads or legacy shapes (heading/description/ad_network...)
+  getAdSignature(adData) {
+    return getAdSignature(normalizeAd(adData));
+  }
+
+  // adData is normalized to the common ad schema (src/extractors/adSchema.js) first
   async saveAd(adData) {
+    const ad = normalizeAd(adData);
     try {
-      // Generate ad signature for multi-thread deduplication
-      // Use same logic as extractionWorker.js
-      const headline = (adData.heading || adData.headline || '').trim().toLowerCase();
-      const body = (adData.description || adData.body || '').trim().toLowerCase().substring(0, 200);
-      const advertiser = (adData.adNetwork || adData.ad_network || adData.advertiser || '').trim().toLowerCase();
-      const adSignature = `${headline}_${body}_${advertiser}`;
-
-      // First check if ad already exists by signature (cross-thread deduplication)
-      const existing = await this.db.get(
-        'SELECT id FROM ads WHERE ad_signature = ?',
-        [adSignature]
-      );
-      if (existing) {
-        logger.debug(`Duplicate ad detected (signature match): ${headline.substring(0, 30)}...`);
-        return { id: existing.id, changes: 0, duplicate: true };
-      }
+      // Signature check, advertiser, ad row and sighting commit together (one write lock per ad)
+      return await this.db.transaction(async () => {
+        // Generate ad signature for multi-thread deduplication
+        const adSignature = getAdSignature(ad);
 
-      const sql = `
-        INSERT INTO ads (
-          session_id, ad_id, heading, description, image_url, link_url,
-          ad_network, timestamp, element_html, position_x, position_y,
-          width, height, viewport_width, viewport_height, ad_signature
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
+        // First check if ad already exists by signature (cross-thread deduplication)
+        const existing = await this.db.get(
+          'SELECT id FROM ads WHERE ad_signature = ?',
+          [adSignature]
+        );
+        if (existing) {
+          metrics.duplicateAds.inc({ reason: 'signature' });
+          logger.debug(`Duplicate ad detected (signature match): ${(ad.headline || '').substring(0, 30)}...`);
+          await this.recordSightingSafely(existing.id, ad);
+          return { id: existing.id, changes: 0, duplicate: true };
+        }
 
-      const params = [
-        adData.sessionId,
-        adData.id || adData.ad_id || null,
-        adData.heading || adData.headline || null,  // Support both 'heading' and 'headline'
-        adData.description || adData.body || null,  // Support both 'description' and 'body'
-        adData.image || adData.imageUrl || adData.image_url || null,
-        adData.link || adData.linkUrl || adData.link_url || null,
-        adData.adNetwork || adData.ad_network || adData.advertiser || null,  // Support 'advertiser' field
-        adData.timestamp || new Date().toISOString(),
-        adData.elementHtml || adData.element_html || null,
-        adData.position?.x || adData.position_x || null,
-        adData.position?.y || adData.position_y || null,
-        adData.dimensions?.width || adData.width || null,
-        adData.dimensions?.height || adData.height || null,
-        adData.viewport?.width || adData.viewport_width || null,
-        adData.viewport?.height || adData.viewport_height || null,
-        adSignature  // NEW: Add signature for UNIQUE constraint
-      ];
+        // Resolve the raw advertiser string to a canonical advertiser (never blocks the save)
+        let advertiser = null;
+        try {
+          advertiser = await this.upsertAdvertiser(ad.advertiser, ad.link, ad.timestamp);
+        } catch (resolveError) {
+          logger.debug(`Advertiser resolution failed: ${resolveError.message}`);
+        }
 
-      const result = await this.db.run(sql, params);
-      logger.debug(`Saved ad to database: session ${adData.sessionId}`);
-      return result;
+        // Tag the ad with a vertical and creative type (never blocks the save)
+        let classification = null;
+        try {
+          classification = await this.classification.classify(ad);
+        } catch (classifyError) {
+          logger.debug(`Ad classification failed: ${classifyError.message}`);
+        }
+
+        const sql = `
+          INSERT INTO ads (
+            session_id, ad_id, heading, description, image_url, link_url,
+            ad_network, ad_type, container_id, timestamp, element_html, position_x, position_y,
+            width, height, viewport_width, viewport_height, ad_signature, advertiser_id,
+            vertical, vertical_confidence, creative_type, creative_type_confidence, classified_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+          ad.sessionId,
+          ad.id,
+          ad.headline,
+          ad.body,
+          ad.image,
+          ad.link,
+          ad.advertiser,
+          ad.adType,
+          ad.containerId,
+          ad.timestamp,
+          ad.elementHtml,
+          ad.position ? ad.position.x : null,
+          ad.position ? ad.position.y : null,
+          ad.dimensions ? ad.dimensions.width : null,
+          ad.dimensions ? ad.dimensions.height : null,
+          ad.viewport ? ad.viewport.width : null,
+          ad.viewport ? ad.viewport.height : null,
+          adSignature,  // UNIQUE: cross-thread deduplication
+          advertiser ? advertiser.advertiserId : null,
+          classification ? classification.vertical : null,
+          classification ? classification.verticalConfidence : null,
+          classification ? classification.creativeType : null,
+          classification ? classification.creativeTypeConfidence : null,
+          classification ? new Date().toISOString() : null
+        ];
+
+        const result = await this.db.run(sql, params);
+        logger.debug(`Saved ad to database: session ${ad.sessionId}`);
+        await this.recordSightingSafely(result.id, ad);
+        return {
+          ...result,
+          advertiserId: advertiser ? advertiser.advertiserId : null,
+          isNewAdvertiser: advertiser ? advertiser.isNewAdvertiser : false,
+          newDomain: advertiser ? advertiser.newDomain : null
+        };
+      });
     } catch (error) {
       // Check if it's a unique constraint violation (duplicate from another thread)
       if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        metrics.duplicateAds.inc({ reason: 'constraint' });
         logger.debug('Duplicate ad detected by database constraint (from another thread)');
-        return { id: null, changes: 0, duplicate: true };
+        const winner = await this.db.get('SELECT id FROM ads WHERE ad_signature = ?', [getAdSignature(ad)]).catch(() => null);
+        if (winner) {
+          await this.recordSightingSafely(winner.id, ad);
+        }
+        return { id: winner ? winner.id : null, changes: 0, duplicate: true };
       }
       logger.error('Failed to save ad:', error);
       throw error;
     }
   }
 
+  // Sighting operations
+
+  // Record one observation of an ad and attach it to the matching creative version.
+  // Re-sending the same extracted ad (same observation id) is a no-op.
+  async recordSighting(adId, adData) {
+    const ad = normalizeAd(adData);
+    const seenAt = ad.timestamp;
+    const imageUrl = ad.image || '';
+    const linkUrl = normalizeLinkUrl(ad.link); // Per-click tracking parameters are not a new creative
+    const pageUrl = ad.pageUrl;
+    const city = getCityFromUrl(pageUrl);
+    const location = parseCitySlug(city);
+    const observationId = ad.id;
+
+    if (observationId) {
+      const seen = await this.db.get(
+        'SELECT id FROM ad_sightings WHERE ad_id = ? AND observation_id = ?',
+        [adId, observationId]
+      );
+      if (seen) return seen.id;
+    }
+
+    // UNIQUE(ad_id, version_number) turns a lost numbering race into an ignored insert; try again
+    let version = null;
+    for (let attempt = 0; attempt < 3 && !version; attempt++) {
+      await this.db.run(
+        `INSERT OR IGNORE INTO ad_creative_versions (ad_id, version_number, image_url, link_url, first_seen, last_seen)
+         VALUES (?, (SELECT COALESCE(MAX(version_number), 0) + 1 FROM ad_creative_versions WHERE ad_id = ?), ?, ?, ?, ?)`,
+        [adId, adId, imageUrl, linkUrl, seenAt, seenAt]
+      );
+
+      version = await this.db.get(
+        'SELECT id, version_number FROM ad_creative_versions WHERE ad_id = ? AND image_url = ? AND link_url = ?',
+        [adId, imageUrl, linkUrl]
+      );
+    }
+
+    const result = await this.db.run(
+      `INSERT OR IGNORE INTO ad_sightings
+         (ad_id, version_id, observation_id, session_id, page_url, city, state, seen_at, position_x, position_y)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        adId,
+        version ? version.id : null,
+        observationId,
+        ad.sessionId,
+        pageUrl,
+        city,
+        location ? location.state : null,
+        seenAt,
+        ad.position ? ad.position.x : null,
+        ad.position ? ad.position.y : null
+      ]
+    );
+
+    // A creative that keeps running keeps its advertiser and landing domain current
+    if (result.changes > 0) {
+      await this.db.run(
+        `UPDATE advertisers
+         SET last_seen = MAX(COALESCE(last_seen, ?), ?), updated_at = CURRENT_TIMESTAMP
+         WHERE id = (SELECT advertiser_id FROM ads WHERE id = ?)`,
+        [seenAt, seenAt, adId]
+      );
+
+      const domain = extractLandingDomain(ad.link);
+      if (domain) {
+        await this.db.run(
+          `UPDATE advertiser_domains SET last_seen = MAX(last_seen, ?)
+           WHERE advertiser_id = (SELECT advertiser_id FROM ads WHERE id = ?) AND domain = ?`,
+          [seenAt, adId, domain]
+        );
+      }
+    }
+
+    if (version && result.changes > 0) {
+      await this.db.run(
+        `UPDATE ad_creative_versions
+         SET sighting_count = sighting_count + 1,
+             first_seen = MIN(first_seen, ?),
+             last_seen = MAX(last_seen, ?)
+         WHERE id = ?`,
+        [seenAt, seenAt, version.id]
+      );
+
+      if (version.version_number > 1) {
+        logger.debug(`Creative change detected for ad ${adId} (version ${version.version_number})`);
+      }
+    }
+
+    return result.id;
+  }
+
+  // Sightings are history only - never fail an ad save because of them
+  async recordSightingSafely(adId, adData) {
+    if (!adId) return;
+    try {
+      await this.recordSighting(adId, adData);
+    } catch (error) {
+      logger.debug(`Failed to record sighting for ad ${adId}: ${error.message}`);
+    }
+  }
+
+  async getAdHistory(adId) {
+    try {
+      const ad = await this.db.get('SELECT * FROM ads WHERE id = ?', [adId]);
+      if (!ad) return null;
+
+      const versions = await this.db.all(
+        'SELECT * FROM ad_creative_versions WHERE ad_id = ? ORDER BY version_number ASC',
+        [adId]
+      );
+
+      let sightings = await this.db.all(
+        `SELECT s.id, s.session_id, s.page_url, s.city, s.state, s.seen_at, s.position_x, s.position_y,
+                v.version_number
+         FROM ad_sightings s
+         LEFT JOIN ad_creative_versions v ON v.id = s.version_id
+         WHERE s.ad_id = ?
+         ORDER BY s.seen_at ASC`,
+        [adId]
+      );
+
+      // Ads saved before sightings existed only have their first observation
+      if (sightings.length === 0) {
+        sightings = [{
+          id: null,
+          session_id: ad.session_id,
+          page_url: null,
+          city: null,
+          state: null,
+          seen_at: ad.timestamp,
+          position_x: ad.position_x,
+          position_y: ad.position_y,
+          version_number: null
+        }];
+      }
+
+      const firstSeen = sightings[0].seen_at;
+      const lastSeen = sightings[sightings.length - 1].seen_at;
+      const cities = {};
+      sightings.forEach(sighting => {
+        if (sighting.city) {
+          cities[sighting.city] = (cities[sighting.city] || 0) + 1;
+        }
+      });
+
+      return {
+        ad,
+        summary: {
+          firstSeen,
+          lastSeen,
+          runningHours: Math.round((new Date(lastSeen) - new Date(firstSeen)) / 36000) / 100,
+          sightingCount: sightings.length,
+          sessionCount: new Set(sightings.map(s => s.session_id).filter(Boolean)).size,
+          versionCount: versions.length,
+          cities
+        },
+        versions: versions.map(version => ({
+          ...version,
+          image_url: version.image_url || null,
+          link_url: version.link_url || null
+        })),
+        sightings
+      };
+    } catch (error) {
+      logger.error('Failed to get ad history:', error);
+      throw error;
+    }
+  }
+
+  // Other ads whose archived image is the same creative (perceptual hash match)
+  async getSimilarCreativeAds(adId, limit = 100) {
+    try {
+      return await this.db.all(
+        `SELECT ads.*, ai.creative_group
+         FROM ads
+         JOIN archived_images ai ON ai.sha256 = ads.image_sha256
+         WHERE ai.creative_group = (
+           SELECT ai2.creative_group FROM ads a2
+           JOIN archived_images ai2 ON ai2.sha256 = a2.image_sha256
+           WHERE a2.id = ?
+         )
+         AND ads.id != ?
+         ORDER BY ads.timestamp DESC
+         LIMIT ?`,
+        [adId, adId, limit]
+      );
+    } catch (error) {
+      logger.error('Failed to get similar creative ads:', error);
+      throw error;
+    }
+  }
+
+  // Results line up with `ads` by index; ads failing schema validation are skipped
   async saveAds(ads, sessionId) {
     try {
       console.log(`💾 DatabaseModels.saveAds called: ${ads?.length} ads for session ${sessionId}`);
@@ -154,10 +408,19 @@ class DatabaseModels {
       const results = [];
 
       // Process ads one by one to handle errors gracefully
-      for (const [index, ad] of ads.entries()) {
+      for (const [index, rawAd] of ads.entries()) {
+        const ad = normalizeAd({ ...rawAd, sessionId });
+        const errors = validateAd(ad);
+        if (errors.length > 0) {
+          failCount++;
+          results.push({ id: null, changes: 0, invalid: true, errors });
+          console.log(`    ⚠️ Ad ${index + 1} skipped: ${errors.join('; ')}`);
+          continue;
+        }
+
         try {
-          console.log(`  📦 Saving ad ${index + 1}/${ads.length}: ${ad.headline || ad.heading || 'No headline'}`);
-          const result = await this.saveAd({ ...ad, sessionId });
+          console.log(`  📦 Saving ad ${index + 1}/${ads.length}: ${ad.headline || 'No headline'}`);
+          const result = await this.saveAd(ad);
           results.push(result);
           if (result.changes > 0) {
             successCount++;
@@ -167,6 +430,7 @@ class DatabaseModels {
           }
         } catch (error) {
           failCount++;
+          results.push({ id: null, changes: 0, error: error.message });
           console.error(`    ❌ Failed to save ad ${index + 1}: ${error.message}`);
           logger.debug(`Failed to save individual ad: ${error.message}`);
           // Continue with next ad
@@ -184,6 +448,266 @@ class DatabaseModels {
     }
   }
 
+  // Advertiser operations
+
+  // Map a raw advertiser string (and optional landing URL) to an advertiser id,
+  // creating the advertiser/alias/domain rows as needed
+  async resolveAdvertiser(rawName, linkUrl = null, seenAt = new Date().toISOString()) {
+    const resolved = await this.upsertAdvertiser(rawName, linkUrl, seenAt);
+    return resolved ? resolved.advertiserId : null;
+  }
+
+  // resolveAdvertiser, also reporting whether the advertiser or its landing domain is new
+  // ({ advertiserId, isNewAdvertiser, newDomain }); used to drive notifications
+  async upsertAdvertiser(rawName, linkUrl = null, seenAt = new Date().toISOString()) {
+    const normalized = normalizeAdvertiserName(rawName);
+    if (!normalized) return null;
+
+    const alias = rawName.trim();
+
+    let row = await this.db.get(
+      'SELECT advertiser_id FROM advertiser_aliases WHERE normalized_alias = ? LIMIT 1',
+      [normalized]
+    );
+
+    let advertiserId = row ? row.advertiser_id : null;
+    let isNewAdvertiser = false;
+    let newDomain = null;
+
+    if (!advertiserId) {
+      // INSERT OR IGNORE keeps this safe when several workers see a new advertiser at once
+      const inserted = await this.db.run(
+        'INSERT OR IGNORE INTO advertisers (canonical_name, normalized_name, first_seen, last_seen) VALUES (?, ?, ?, ?)',
+        [alias, normalized, seenAt, seenAt]
+      );
+      isNewAdvertiser = inserted.changes > 0;
+      row = await this.db.get('SELECT id FROM advertisers WHERE normalized_name = ?', [normalized]);
+      advertiserId = row.id;
+    }
+
+    await this.db.run(
+      'INSERT OR IGNORE INTO advertiser_aliases (advertiser_id, alias, normalized_alias) VALUES (?, ?, ?)',
+      [advertiserId, alias, normalized]
+    );
+
+    await this.db.run(
+      `UPDATE advertisers
+       SET first_seen = MIN(COALESCE(first_seen, ?), ?),
+           last_seen = MAX(COALESCE(last_seen, ?), ?),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [seenAt, seenAt, seenAt, seenAt, advertiserId]
+    );
+
+    const domain = extractLandingDomain(linkUrl);
+    if (domain) {
+      const inserted = await this.db.run(
+        'INSERT OR IGNORE INTO advertiser_domains (advertiser_id, domain, first_seen, last_seen) VALUES (?, ?, ?, ?)',
+        [advertiserId, domain, seenAt, seenAt]
+      );
+      if (inserted.changes > 0) {
+        // New for this advertiser; only report domains no other advertiser has used either
+        const usage = await this.db.get('SELECT COUNT(*) as count FROM advertiser_domains WHERE domain = ?', [domain]);
+        newDomain = usage.count === 1 ? domain : null;
+      }
+      await this.db.run(
+        `UPDATE advertiser_domains
+         SET first_seen = MIN(first_seen, ?), last_seen = MAX(last_seen, ?)
+         WHERE advertiser_id = ? AND domain = ?`,
+        [seenAt, seenAt, advertiserId, domain]
+      );
+    }
+
+    return { advertiserId, isNewAdvertiser, newDomain };
+  }
+
+  async getAdvertisers(filters = {}) {
+    try {
+      let sql = `
+        SELECT
+          a.id,
+          a.canonical_name,
+          a.first_seen,
+          a.last_seen,
+          COUNT(ads.id) as ad_count,
+          COUNT(DISTINCT ads.session_id) as session_count,
+          (SELECT COUNT(*) FROM advertiser_aliases aa WHERE aa.advertiser_id = a.id) as alias_count,
+          (SELECT GROUP_CONCAT(domain, ',') FROM advertiser_domains ad WHERE ad.advertiser_id = a.id) as domains
+        FROM advertisers a
+        LEFT JOIN ads ON ads.advertiser_id = a.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.search) {
+        sql += ' AND (a.canonical_name LIKE ? OR a.id IN (SELECT advertiser_id FROM advertiser_aliases WHERE alias LIKE ?))';
+        params.push(`%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      if (filters.startDate) {
+        sql += ' AND a.last_seen >= ?';
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        sql += ' AND a.first_seen <= ?';
+        params.push(filters.endDate);
+      }
+
+      sql += ' GROUP BY a.id';
+
+      const sortColumns = {
+        ad_count: 'ad_count DESC',
+        last_seen: 'a.last_seen DESC',
+        first_seen: 'a.first_seen DESC',
+        name: 'a.canonical_name COLLATE NOCASE ASC'
+      };
+      sql += ` ORDER BY ${sortColumns[filters.sort] || sortColumns.ad_count}`;
+
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(filters.limit || 100, filters.offset || 0);
+
+      const rows = await this.db.all(sql, params);
+      return rows.map(row => ({
+        ...row,
+        domains: row.domains ? row.domains.split(',') : []
+      }));
+    } catch (error) {
+      logger.error('Failed to get advertisers:', error);
+      throw error;
+    }
+  }
+
+  async getAdvertiser(advertiserId, adsLimit = 50) {
+    try {
+      const advertiser = await this.db.get(
+        `SELECT a.*, COUNT(ads.id) as ad_count, COUNT(DISTINCT ads.session_id) as session_count
+         FROM advertisers a
+         LEFT JOIN ads ON ads.advertiser_id = a.id
+         WHERE a.id = ?
+         GROUP BY a.id`,
+        [advertiserId]
+      );
+
+      if (!advertiser) return null;
+
+      advertiser.aliases = await this.db.all(
+        'SELECT alias, created_at FROM advertiser_aliases WHERE advertiser_id = ? ORDER BY created_at ASC',
+        [advertiserId]
+      );
+      advertiser.domains = await this.db.all(
+        'SELECT domain, first_seen, last_seen FROM advertiser_domains WHERE advertiser_id = ? ORDER BY last_seen DESC',
+        [advertiserId]
+      );
+      advertiser.recentAds = await this.db.all(
+        'SELECT * FROM ads WHERE advertiser_id = ? ORDER BY timestamp DESC LIMIT ?',
+        [advertiserId, adsLimit]
+      );
+
+      return advertiser;
+    } catch (error) {
+      logger.error('Failed to get advertiser:', error);
+      throw error;
+    }
+  }
+
+  // Link existing ads (saved before advertiser resolution existed) to advertisers
+  async backfillAdvertisers(batchSize = 500, onProgress = null) {
+    let processed = 0;
+    let linked = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await this.db.all(
+        `SELECT id, ad_network, link_url, timestamp FROM ads
+         WHERE advertiser_id IS NULL AND ad_network IS NOT NULL AND id > ?
+         ORDER BY id ASC LIMIT ?`,
+        [lastId, batchSize]
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const advertiserId = await this.resolveAdvertiser(row.ad_network, row.link_url, row.timestamp);
+        if (advertiserId) {
+          await this.db.run('UPDATE ads SET advertiser_id = ? WHERE id = ?', [advertiserId, row.id]);
+          linked++;
+        }
+        processed++;
+        lastId = row.id;
+      }
+
+      if (onProgress) onProgress({ processed, linked });
+    }
+
+    return { processed, linked };
+  }
+
+  // Give older data a location: fill in the state of sightings recorded before it was stored, and
+  // record a sighting on the session's page for ads saved before sightings existed
+  async backfillLocations(batchSize = 500, onProgress = null) {
+    let processed = 0;
+    let located = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await this.db.all(
+        `SELECT id, city FROM ad_sightings
+         WHERE state IS NULL AND city IS NOT NULL AND id > ?
+         ORDER BY id ASC LIMIT ?`,
+        [lastId, batchSize]
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const location = parseCitySlug(row.city);
+        if (location && location.state) {
+          await this.db.run('UPDATE ad_sightings SET state = ? WHERE id = ?', [location.state, row.id]);
+          located++;
+        }
+        processed++;
+        lastId = row.id;
+      }
+
+      if (onProgress) onProgress({ processed, located });
+    }
+
+    lastId = 0;
+    while (true) {
+      const rows = await this.db.all(
+        `SELECT ads.id, ads.ad_id, ads.session_id, ads.timestamp, ads.image_url, ads.link_url,
+                ads.position_x, ads.position_y, sessions.url AS page_url
+         FROM ads
+         LEFT JOIN sessions ON sessions.session_id = ads.session_id
+         WHERE ads.id > ? AND NOT EXISTS (SELECT 1 FROM ad_sightings s WHERE s.ad_id = ads.id)
+         ORDER BY ads.id ASC LIMIT ?`,
+        [lastId, batchSize]
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        await this.recordSighting(row.id, {
+          id: row.ad_id,
+          sessionId: row.session_id,
+          pageUrl: row.page_url,
+          timestamp: row.timestamp,
+          image: row.image_url,
+          link: row.link_url,
+          position: { x: row.position_x, y: row.position_y }
+        });
+        if (getCityFromUrl(row.page_url)) located++;
+        processed++;
+        lastId = row.id;
+      }
+
+      if (onProgress) onProgress({ processed, located });
+    }
+
+    return { processed, located };
+  }
+
   async getSessionAds(sessionId, limit = null, offset = 0) {
     try {
       let sql = 'SELECT * FROM ads WHERE session_id = ? ORDER BY timestamp DESC';
@@ -201,6 +725,59 @@ class DatabaseModels {
     }
   }
 
+  // Keyset-paginated session ads, newest first. Time filters run in SQL.
+  // Returns { ads, total, nextCursor }; pass the cursor back to get the next page.
+  async getSessionAdsPage(sessionId, options = {}) {
+    try {
+      const { since, until, cursor, limit = 200, includeTotal = true } = options;
+
+      let where = 'session_id = ?';
+      const params = [sessionId];
+
+      if (since) {
+        where += ' AND timestamp > ?';
+        params.push(since);
+      }
+
+      if (until) {
+        where += ' AND timestamp <= ?';
+        params.push(until);
+      }
+
+      let total = null;
+      if (includeTotal) {
+        const countRow = await this.db.get(`SELECT COUNT(*) as count FROM ads WHERE ${where}`, params);
+        total = countRow ? countRow.count : 0;
+      }
+
+      const pageParams = [...params];
+      let pageWhere = where;
+      if (cursor) {
+        const { timestamp, id } = decodeCursor(cursor);
+        pageWhere += ' AND (timestamp < ? OR (timestamp = ? AND id < ?))';
+        pageParams.push(timestamp, timestamp, id);
+      }
+
+      // Fetch one extra row to know whether another page exists
+      const rows = await this.db.all(
+        `SELECT * FROM ads WHERE ${pageWhere} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+        [...pageParams, limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const ads = hasMore ? rows.slice(0, limit) : rows;
+
+      return {
+        ads,
+        total,
+        nextCursor: hasMore ? encodeCursor(ads[ads.length - 1]) : null
+      };
+    } catch (error) {
+      logger.error('Failed to get session ads page:', error);
+      throw error;
+    }
+  }
+
   async getRecentAds(minutes = 5) {
     try {
       const sql = `
@@ -218,44 +795,68 @@ class DatabaseModels {
   // Query operations
   async queryAds(filters = {}) {
     try {
-      let sql = 'SELECT * FROM ads WHERE 1=1';
-      const params = [];
+      const { where, params } = buildAdFilterSql(filters, { ftsAvailable: this.db.ftsAvailable });
+      let sql = `SELECT * FROM ads WHERE ${where} ORDER BY timestamp DESC`;
 
-      if (filters.sessionId) {
-        sql += ' AND session_id = ?';
-        params.push(filters.sessionId);
+      if (filters.limit) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(filters.limit, filters.offset || 0);
       }
 
-      if (filters.adNetwork) {
-        sql += ' AND ad_network = ?';
-        params.push(filters.adNetwork);
-      }
+      return await this.db.all(sql, params);
+    } catch (error) {
+      logger.error('Failed to query ads:', error);
+      throw error;
+    }
+  }
 
-      if (filters.startDate) {
-        sql += ' AND timestamp >= ?';
-        params.push(filters.startDate);
-      }
+  // Ranked full-text search with highlighted headline and description snippet
+  async searchAds(query, filters = {}) {
+    const ftsQuery = buildFtsQuery(query);
+    if (!ftsQuery) {
+      return { total: 0, results: [] };
+    }
 
-      if (filters.endDate) {
-        sql += ' AND timestamp <= ?';
-        params.push(filters.endDate);
-      }
+    if (!this.db.ftsAvailable) {
+      throw new Error('Full-text search is not available on this database');
+    }
 
-      if (filters.search) {
-        sql += ' AND (heading LIKE ? OR description LIKE ?)';
-        params.push(`%${filters.search}%`, `%${filters.search}%`);
-      }
+    try {
+      // The query is the MATCH itself; every other filter is shared with queryAds
+      const filterSql = buildAdFilterSql({ ...filters, search: undefined }, { alias: 'ads' });
+      const where = `ads_fts MATCH ? AND ${filterSql.where}`;
+      const params = [ftsQuery, ...filterSql.params];
 
-      sql += ' ORDER BY timestamp DESC';
+      const countRow = await this.db.get(
+        `SELECT COUNT(*) as total FROM ads_fts JOIN ads ON ads.id = ads_fts.rowid WHERE ${where}`,
+        params
+      );
 
-      if (filters.limit) {
-        sql += ' LIMIT ?';
-        params.push(filters.limit);
-      }
+      // bm25 weights: headline matches count most, then advertiser, then body
+      const rows = await this.db.all(
+        `SELECT ads.*,
+                bm25(ads_fts, 10.0, 2.0, 5.0) as rank,
+                highlight(ads_fts, 0, ?, ?) as heading_highlight,
+                snippet(ads_fts, 1, ?, ?, '…', 24) as description_snippet
+         FROM ads_fts
+         JOIN ads ON ads.id = ads_fts.rowid
+         WHERE ${where}
+         ORDER BY rank
+         LIMIT ? OFFSET ?`,
+        [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, ...params, filters.limit || 50, filters.offset || 0]
+      );
 
-      return await this.db.all(sql, params);
+      return {
+        total: countRow ? countRow.total : 0,
+        query: ftsQuery,
+        results: rows.map(row => ({
+          ...row,
+          heading_highlight: renderHighlight(row.heading_highlight),
+          description_snippet: renderHighlight(row.description_snippet)
+        }))
+      };
     } catch (error) {
-      logger.error('Failed to query ads:', error);
+      logger.error('Failed to search ads:', error);
       throw error;
     }
   }
@@ -318,6 +919,138 @@ class DatabaseModels {
     }
   }
 
+  // Geo analytics (from ad sightings, so an ad counts in every city it was seen in)
+
+  // WHERE clause over ad_sightings `s` for { cities, state, startDate, endDate }
+  buildGeoFilterSql(filters = {}) {
+    const conditions = ['s.city IS NOT NULL'];
+    const params = [];
+
+    if (filters.cities && filters.cities.length > 0) {
+      conditions.push(`s.city IN (${filters.cities.map(() => '?').join(',')})`);
+      params.push(...filters.cities);
+    }
+
+    if (filters.state) {
+      conditions.push('s.state = ?');
+      params.push(String(filters.state).toUpperCase());
+    }
+
+    if (filters.startDate) {
+      conditions.push('s.seen_at >= ?');
+      params.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+      conditions.push('s.seen_at <= ?');
+      params.push(filters.endDate);
+    }
+
+    return { where: conditions.join(' AND '), params };
+  }
+
+  // Ads, advertisers and sightings per city
+  async getGeoCityStats(filters = {}) {
+    try {
+      const { where, params } = this.buildGeoFilterSql(filters);
+      const rows = await this.db.all(
+        `SELECT
+           s.city,
+           MAX(s.state) as state,
+           COUNT(DISTINCT s.ad_id) as ad_count,
+           COUNT(DISTINCT a.advertiser_id) as advertiser_count,
+           COUNT(*) as sighting_count,
+           COUNT(DISTINCT s.session_id) as session_count,
+           MIN(s.seen_at) as first_seen,
+           MAX(s.seen_at) as last_seen
+         FROM ad_sightings s
+         JOIN ads a ON a.id = s.ad_id
+         WHERE ${where}
+         GROUP BY s.city
+         ORDER BY ad_count DESC, sighting_count DESC, s.city ASC
+         LIMIT ?`,
+        [...params, filters.limit || 200]
+      );
+      return rows.map(row => ({ ...row, city_name: parseCitySlug(row.city).name }));
+    } catch (error) {
+      logger.error('Failed to get city stats:', error);
+      throw error;
+    }
+  }
+
+  // Ads, advertisers and sightings per state
+  async getGeoStateStats(filters = {}) {
+    try {
+      const { where, params } = this.buildGeoFilterSql(filters);
+      return await this.db.all(
+        `SELECT
+           s.state,
+           COUNT(DISTINCT s.city) as city_count,
+           COUNT(DISTINCT s.ad_id) as ad_count,
+           COUNT(DISTINCT a.advertiser_id) as advertiser_count,
+           COUNT(*) as sighting_count,
+           MIN(s.seen_at) as first_seen,
+           MAX(s.seen_at) as last_seen
+         FROM ad_sightings s
+         JOIN ads a ON a.id = s.ad_id
+         WHERE ${where} AND s.state IS NOT NULL
+         GROUP BY s.state
+         ORDER BY ad_count DESC, sighting_count DESC, s.state ASC`,
+        params
+      );
+    } catch (error) {
+      logger.error('Failed to get state stats:', error);
+      throw error;
+    }
+  }
+
+  // Advertisers with their ad counts per city, most widely seen first. With `cities` this
+  // compares markets ("who runs in houston-tx but not chicago-il").
+  async getGeoAdvertisers(filters = {}) {
+    try {
+      const { where, params } = this.buildGeoFilterSql(filters);
+      const rows = await this.db.all(
+        `SELECT
+           adv.id as advertiser_id,
+           adv.canonical_name,
+           s.city,
+           COUNT(DISTINCT s.ad_id) as ad_count,
+           COUNT(*) as sighting_count
+         FROM ad_sightings s
+         JOIN ads a ON a.id = s.ad_id
+         JOIN advertisers adv ON adv.id = a.advertiser_id
+         WHERE ${where}
+         GROUP BY adv.id, s.city`,
+        params
+      );
+
+      const advertisers = new Map();
+      rows.forEach(row => {
+        if (!advertisers.has(row.advertiser_id)) {
+          advertisers.set(row.advertiser_id, {
+            advertiser_id: row.advertiser_id,
+            canonical_name: row.canonical_name,
+            city_count: 0,
+            sighting_count: 0,
+            cities: {}
+          });
+        }
+        const advertiser = advertisers.get(row.advertiser_id);
+        advertiser.city_count++;
+        advertiser.sighting_count += row.sighting_count;
+        advertiser.cities[row.city] = { ad_count: row.ad_count, sighting_count: row.sighting_count };
+      });
+
+      return [...advertisers.values()]
+        .sort((a, b) => b.city_count - a.city_count || b.sighting_count - a.sighting_count ||
+          a.canonical_name.localeCompare(b.canonical_name))
+        .slice(filters.offset || 0, (filters.offset || 0) + (filters.limit || 100));
+    } catch (error) {
+      logger.error('Failed to get advertisers by city:', error);
+      throw error;
+    }
+  }
+
   async close() {
     await this.db.close();
   }
@@ -27,6 +27,7 @@ CREATE TABLE IF NOT EXISTS ads (
   image_url TEXT,
   link_url TEXT,
   ad_network TEXT,
+  advertiser_id INTEGER,
   ad_type TEXT,
   container_id TEXT,
   timestamp DATETIME NOT NULL,
@@ -37,6 +38,24 @@ CREATE TABLE IF NOT EXISTS ads (
   height INTEGER,
   viewport_width INTEGER,
   viewport_height INTEGER,
+  landing_url TEXT,
+  landing_domain TEXT,
+  redirect_chain TEXT,
+  resolve_status TEXT,
+  resolve_attempts INTEGER DEFAULT 0,
+  resolve_error TEXT,
+  resolved_at DATETIME,
+  next_resolve_at DATETIME,
+  image_sha256 TEXT,
+  image_archive_status TEXT,
+  image_archive_attempts INTEGER DEFAULT 0,
+  image_archive_error TEXT,
+  next_archive_at DATETIME,
+  vertical TEXT,
+  vertical_confidence REAL,
+  creative_type TEXT,
+  creative_type_confidence REAL,
+  classified_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (session_id) REFERENCES sessions(session_id)
 );
@@ -50,13 +69,303 @@ CREATE TABLE IF NOT EXISTS ad_networks (
   last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Canonical advertiser identities (ads.ad_network holds the raw string)
+CREATE TABLE IF NOT EXISTS advertisers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  canonical_name TEXT NOT NULL,
+  normalized_name TEXT UNIQUE NOT NULL,
+  first_seen DATETIME,
+  last_seen DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Raw advertiser strings that resolve to an advertiser
+CREATE TABLE IF NOT EXISTS advertiser_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  advertiser_id INTEGER NOT NULL,
+  alias TEXT UNIQUE NOT NULL,
+  normalized_alias TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (advertiser_id) REFERENCES advertisers(id) ON DELETE CASCADE
+);
+
+-- Landing domains seen in an advertiser's ad links
+CREATE TABLE IF NOT EXISTS advertiser_domains (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  advertiser_id INTEGER NOT NULL,
+  domain TEXT NOT NULL,
+  first_seen DATETIME,
+  last_seen DATETIME,
+  UNIQUE(advertiser_id, domain),
+  FOREIGN KEY (advertiser_id) REFERENCES advertisers(id) ON DELETE CASCADE
+);
+
+-- Distinct creatives (image + link URL without tracking parameters) seen under one ad signature
+CREATE TABLE IF NOT EXISTS ad_creative_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ad_id INTEGER NOT NULL,
+  version_number INTEGER NOT NULL,
+  image_url TEXT NOT NULL DEFAULT '',
+  link_url TEXT NOT NULL DEFAULT '',
+  first_seen DATETIME NOT NULL,
+  last_seen DATETIME NOT NULL,
+  sighting_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(ad_id, image_url, link_url),
+  UNIQUE(ad_id, version_number),
+  FOREIGN KEY (ad_id) REFERENCES ads(id) ON DELETE CASCADE
+);
+
+-- Every observation of an ad, linked to the first-seen ads row
+CREATE TABLE IF NOT EXISTS ad_sightings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ad_id INTEGER NOT NULL,
+  version_id INTEGER,
+  observation_id TEXT,
+  session_id TEXT,
+  page_url TEXT,
+  city TEXT,
+  state TEXT,
+  seen_at DATETIME NOT NULL,
+  position_x INTEGER,
+  position_y INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(ad_id, observation_id),
+  FOREIGN KEY (ad_id) REFERENCES ads(id) ON DELETE CASCADE,
+  FOREIGN KEY (version_id) REFERENCES ad_creative_versions(id) ON DELETE SET NULL
+);
+
+-- Content-addressed archive of ad images (files live under data/images/)
+CREATE TABLE IF NOT EXISTS archived_images (
+  sha256 TEXT PRIMARY KEY,
+  phash TEXT,
+  creative_group TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  content_type TEXT,
+  byte_size INTEGER,
+  width INTEGER,
+  height INTEGER,
+  source_url TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full-text search over ad text (external content table kept in sync by the ads_fts_* triggers)
+CREATE VIRTUAL TABLE IF NOT EXISTS ads_fts USING fts5(
+  heading,
+  description,
+  ad_network,
+  content='ads',
+  content_rowid='id',
+  tokenize='porter unicode61 remove_diacritics 2'
+);
+
+-- Scheduled (recurring) extraction jobs
+CREATE TABLE IF NOT EXISTS extraction_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  cron_expression TEXT NOT NULL,
+  urls TEXT NOT NULL,
+  device_mode TEXT DEFAULT 'desktop',
+  duration INTEGER,
+  max_workers INTEGER DEFAULT 1,
+  enabled INTEGER DEFAULT 1,
+  next_run_at DATETIME,
+  last_run_at DATETIME,
+  last_status TEXT,
+  last_error TEXT,
+  run_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook endpoints that receive notification events
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rules evaluated on every saved batch of ads (config is JSON, shape depends on type)
+CREATE TABLE IF NOT EXISTS notification_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  config TEXT NOT NULL DEFAULT '{}',
+  enabled INTEGER DEFAULT 1,
+  last_triggered_at DATETIME,
+  trigger_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+-- Outbound webhook queue and delivery log; event_key makes each event deliver once per webhook
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  rule_id INTEGER,
+  event_type TEXT NOT NULL,
+  event_key TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  next_attempt_at DATETIME,
+  delivered_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+  UNIQUE(webhook_id, event_key)
+);
+
+-- CSS selectors proposed by SmartAdDetector. Candidates wait for admin review; approved ones are
+-- run by the `learned` extractor, which keeps the hit/false-positive counts and demotes selectors
+-- that stop matching
+CREATE TABLE IF NOT EXISTS learned_selectors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  selector TEXT UNIQUE NOT NULL,
+  status TEXT DEFAULT 'candidate',
+  times_proposed INTEGER DEFAULT 1,
+  sample_page_url TEXT,
+  hit_count INTEGER DEFAULT 0,
+  false_positive_count INTEGER DEFAULT 0,
+  miss_streak INTEGER DEFAULT 0,
+  confidence REAL DEFAULT 0.5,
+  status_reason TEXT,
+  reviewed_by TEXT,
+  reviewed_at DATETIME,
+  last_proposed_at DATETIME,
+  last_matched_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Keyword dictionaries for ad classification: keywords match the headline, description and
+-- advertiser, domains are fragments of the landing domain name (JSON arrays)
+CREATE TABLE IF NOT EXISTS category_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vertical TEXT NOT NULL,
+  keywords TEXT NOT NULL DEFAULT '[]',
+  domains TEXT NOT NULL DEFAULT '[]',
+  weight REAL DEFAULT 1,
+  enabled INTEGER DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cities the URL rotation crawls, with the yield statistics rotation strategies use
+CREATE TABLE IF NOT EXISTS crawl_cities (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT UNIQUE NOT NULL,
+  slug TEXT NOT NULL,
+  name TEXT,
+  state TEXT,
+  region TEXT,
+  enabled INTEGER DEFAULT 1,
+  visit_count INTEGER DEFAULT 0,
+  crawl_seconds INTEGER DEFAULT 0,
+  new_ads INTEGER DEFAULT 0,
+  last_crawled_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Adaptive rotation policy: reward per action (scroll/refresh/rotate) in a city and time-of-day bucket
+CREATE TABLE IF NOT EXISTS rotation_policy_arms (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  hour_bucket INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  pulls INTEGER DEFAULT 0,
+  reward_sum REAL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(url, hour_bucket, action)
+);
+
+-- New ads and crawl time per city and time-of-day bucket
+CREATE TABLE IF NOT EXISTS rotation_policy_yield (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  hour_bucket INTEGER NOT NULL,
+  new_ads INTEGER DEFAULT 0,
+  seconds REAL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(url, hour_bucket)
+);
+
+-- Crawl job queue: pool workers lease tasks, heartbeat while crawling and retry or dead-letter on failure
+CREATE TABLE IF NOT EXISTS crawl_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  device_mode TEXT DEFAULT 'desktop',
+  time_budget_minutes INTEGER NOT NULL,
+  priority INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'queued', -- queued, leased, completed, dead, cancelled
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  available_at DATETIME NOT NULL, -- Not leased before this time (retry backoff)
+  lease_owner TEXT,
+  lease_token TEXT,
+  lease_expires_at DATETIME,
+  heartbeat_at DATETIME,
+  last_error TEXT,
+  new_ads INTEGER DEFAULT 0,
+  started_at DATETIME,
+  finished_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Extraction log lines tagged with their run (extraction ID), worker and session; old rows are pruned
+CREATE TABLE IF NOT EXISTS extraction_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  extraction_id TEXT NOT NULL, -- Single-thread extraction ID or multi-thread run ID
+  worker_id INTEGER, -- Multi-thread worker; NULL for single-thread runs and run-level events
+  session_id TEXT, -- The worker's ads session
+  level TEXT NOT NULL DEFAULT 'info', -- error, warn, info, debug
+  message TEXT NOT NULL,
+  timestamp DATETIME NOT NULL
+);
+
+-- One-time steps already done on this database (e.g. "seeded:crawl_cities"), so they are not repeated
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_ads_session_id ON ads(session_id);
 CREATE INDEX IF NOT EXISTS idx_ads_timestamp ON ads(timestamp);
 CREATE INDEX IF NOT EXISTS idx_ads_ad_network ON ads(ad_network);
 CREATE INDEX IF NOT EXISTS idx_ads_ad_signature ON ads(ad_signature);
+CREATE INDEX IF NOT EXISTS idx_ads_session_timestamp ON ads(session_id, timestamp, id);
 CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON sessions(start_time);
 CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+CREATE INDEX IF NOT EXISTS idx_advertiser_aliases_normalized ON advertiser_aliases(normalized_alias);
+CREATE INDEX IF NOT EXISTS idx_advertiser_domains_domain ON advertiser_domains(domain);
+CREATE INDEX IF NOT EXISTS idx_sightings_ad_id ON ad_sightings(ad_id, seen_at);
+CREATE INDEX IF NOT EXISTS idx_sightings_session_id ON ad_sightings(session_id);
+CREATE INDEX IF NOT EXISTS idx_sightings_seen_at ON ad_sightings(seen_at);
+CREATE INDEX IF NOT EXISTS idx_sightings_city ON ad_sightings(city, ad_id);
+CREATE INDEX IF NOT EXISTS idx_archived_images_group ON archived_images(creative_group);
+CREATE INDEX IF NOT EXISTS idx_archived_images_source ON archived_images(source_url);
+CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON extraction_schedules(enabled, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_notification_rules_webhook ON notification_rules(webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_learned_selectors_status ON learned_selectors(status, confidence);
+CREATE INDEX IF NOT EXISTS idx_category_rules_vertical ON category_rules(vertical);
+CREATE INDEX IF NOT EXISTS idx_crawl_cities_enabled ON crawl_cities(enabled, region);
+CREATE INDEX IF NOT EXISTS idx_crawl_jobs_queue ON crawl_jobs(status, priority, available_at);
+CREATE INDEX IF NOT EXISTS idx_extraction_logs_run ON extraction_logs(extraction_id, id);
+CREATE INDEX IF NOT EXISTS idx_extraction_logs_timestamp ON extraction_logs(timestamp);
 
 -- Create triggers to update ad network stats
 CREATE TRIGGER IF NOT EXISTS update_ad_network_stats
@@ -80,4 +389,31 @@ BEGIN
   SET total_ads = total_ads + 1,
       updated_at = CURRENT_TIMESTAMP
   WHERE session_id = NEW.session_id;
-END;
\ No newline at end of file
+END;
+
+-- Keep the full-text index in sync with ads
+CREATE TRIGGER IF NOT EXISTS ads_fts_insert
+  AFTER INSERT ON ads
+  FOR EACH ROW
+BEGIN
+  INSERT INTO ads_fts(rowid, heading, description, ad_network)
+  VALUES (NEW.id, NEW.heading, NEW.description, NEW.ad_network);
+END;
+
+CREATE TRIGGER IF NOT EXISTS ads_fts_delete
+  AFTER DELETE ON ads
+  FOR EACH ROW
+BEGIN
+  INSERT INTO ads_fts(ads_fts, rowid, heading, description, ad_network)
+  VALUES ('delete', OLD.id, OLD.heading, OLD.description, OLD.ad_network);
+END;
+
+CREATE TRIGGER IF NOT EXISTS ads_fts_update
+  AFTER UPDATE OF heading, description, ad_network ON ads
+  FOR EACH ROW
+BEGIN
+  INSERT INTO ads_fts(ads_fts, rowid, heading, description, ad_network)
+  VALUES ('delete', OLD.id, OLD.heading, OLD.description, OLD.ad_network);
+  INSERT INTO ads_fts(rowid, heading, description, ad_network)
+  VALUES (NEW.id, NEW.heading, NEW.description, NEW.ad_network);
+END;
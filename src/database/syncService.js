@@ -95,6 +95,7 @@ class DatabaseSyncService {
 
       logger.info(`Synced ${ads.length} ads to database for session ${sessionId}`);
       console.log(`✅ Successfully synced ${ads.length} ads to database for session ${sessionId}`);
+      return result;
     } catch (error) {
       console.error('❌ Failed to sync ads to database:', error);
       logger.error('Failed to sync ads:', error.message);
@@ -0,0 +1,130 @@
+// src/extractors/adSchema.js
+// The one ad shape every extractor result is converted to before it is saved, sent to the UI or
+// matched against notification rules. Older names (heading, description, imageUrl, ad_network,
+// link_url, ...) are still accepted on input so JSON session files and database rows normalize too.
+
+const MAX_LENGTHS = {
+  advertiser: 150,
+  headline: 300,
+  body: 1000,
+  image: 2048,
+  link: 2048,
+  iframeSrc: 2048,
+  elementHtml: 20000
+};
+
+// Text used for deduplication; an ad needs at least one of these
+const TEXT_FIELDS = ['advertiser', 'headline', 'body'];
+
+// URL schemes kept per field; anything else (javascript:, relative paths) is dropped
+const URL_PATTERNS = {
+  image: /^(https?:|data:image\/)/i,
+  link: /^https?:/i,
+  iframeSrc: /^(https?:|about:blank)/i
+};
+
+// First value that is present (not undefined, null or '')
+function pick(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function toText(value, maxLength) {
+  const text = pick(value);
+  if (text === undefined || typeof text === 'object') return null;
+  const trimmed = String(text).trim();
+  if (!trimmed) return null;
+  return maxLength && trimmed.length > maxLength ? trimmed.substring(0, maxLength) : trimmed;
+}
+
+function toUrl(value, field) {
+  const url = toText(value, MAX_LENGTHS[field]);
+  return url && URL_PATTERNS[field].test(url) ? url : null;
+}
+
+function toNumber(value) {
+  const number = Number(pick(value));
+  return pick(value) !== undefined && Number.isFinite(number) ? Math.round(number) : null;
+}
+
+function toBox(x, y, keys) {
+  const first = toNumber(x);
+  const second = toNumber(y);
+  if (first === null && second === null) return null;
+  return { [keys[0]]: first, [keys[1]]: second };
+}
+
+function toTimestamp(value) {
+  const timestamp = pick(value);
+  if (timestamp === undefined) return new Date().toISOString();
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? String(timestamp) : date.toISOString();
+}
+
+// Raw extractor output or a stored row -> normalized ad. Unknown fields are dropped;
+// `defaults` fill fields the raw ad leaves empty (e.g. { source, pageUrl, sessionId }).
+function normalizeAd(raw = {}, defaults = {}) {
+  const ad = { ...raw };
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (pick(ad[key]) === undefined) ad[key] = value;
+  });
+  const position = ad.position || {};
+  const dimensions = ad.dimensions || {};
+  const viewport = ad.viewport || {};
+
+  return {
+    id: toText(pick(ad.id, ad.ad_id, ad.observationId)),
+    sessionId: toText(pick(ad.sessionId, ad.session_id)),
+    source: toText(ad.source),
+    adType: toText(pick(ad.adType, ad.ad_type, ad.type)),
+    advertiser: toText(pick(ad.advertiser, ad.adNetwork, ad.ad_network), MAX_LENGTHS.advertiser),
+    headline: toText(pick(ad.headline, ad.heading, ad.title), MAX_LENGTHS.headline),
+    body: toText(pick(ad.body, ad.description), MAX_LENGTHS.body),
+    image: toUrl(pick(ad.image, ad.imageUrl, ad.image_url), 'image'),
+    link: toUrl(pick(ad.link, ad.linkUrl, ad.link_url), 'link'),
+    iframeSrc: toUrl(ad.iframeSrc, 'iframeSrc'),
+    containerId: toText(ad.containerId),
+    pageUrl: toText(pick(ad.pageUrl, ad.page_url)),
+    timestamp: toTimestamp(ad.timestamp),
+    position: toBox(pick(position.x, ad.position_x), pick(position.y, ad.position_y), ['x', 'y']),
+    dimensions: toBox(pick(dimensions.width, ad.width), pick(dimensions.height, ad.height), ['width', 'height']),
+    viewport: toBox(pick(viewport.width, ad.viewport_width), pick(viewport.height, ad.viewport_height), ['width', 'height']),
+    elementHtml: toText(pick(ad.elementHtml, ad.element_html), MAX_LENGTHS.elementHtml)
+  };
+}
+
+// Problems that make a normalized ad unusable; an empty list means it is valid
+function validateAd(ad) {
+  if (!ad || typeof ad !== 'object') return ['ad must be an object'];
+
+  const errors = [];
+  if (!TEXT_FIELDS.some(field => ad[field])) {
+    errors.push(`ad needs at least one of ${TEXT_FIELDS.join(', ')}`);
+  }
+
+  Object.entries(URL_PATTERNS).forEach(([field, pattern]) => {
+    if (ad[field] && (typeof ad[field] !== 'string' || !pattern.test(ad[field]))) {
+      errors.push(`${field} is not a usable URL`);
+    }
+  });
+
+  if (Number.isNaN(new Date(ad.timestamp).getTime())) {
+    errors.push('timestamp must be a valid date');
+  }
+
+  return errors;
+}
+
+// Deduplication key shared by the database and the extraction worker:
+// headline + first 200 chars of body + advertiser, case-insensitive
+function getAdSignature(ad) {
+  const headline = (ad.headline || '').trim().toLowerCase();
+  const body = (ad.body || '').trim().toLowerCase().substring(0, 200);
+  const advertiser = (ad.advertiser || '').trim().toLowerCase();
+  return `${headline}_${body}_${advertiser}`;
+}
+
+module.exports = {
+  normalizeAd,
+  validateAd,
+  getAdSignature
+};
@@ -0,0 +1,443 @@
+// src/extractors/forYouPageExtractor.js
+// In-page ad extraction used by the extraction worker. The function is handed to
+// page.evaluate, so it must stay self-contained: no closures, no requires.
+
+// mode: 'unlimited' scans ForYou containers plus ad network iframes and sponsored markup;
+// 'timed' scans ForYou containers and only falls back to broader detection when none are found
+function extractForYouAds(mode) {
+  const foundAds = [];
+
+  console.log(`Starting NewsBreak ad extraction (${mode} mode)...`);
+
+  if (mode === 'unlimited') {
+    // UNLIMITED MODE: FOCUS ONLY ON ForYou CONTAINERS
+    console.log('🎯 UNLIMITED MODE: Focusing on ForYou containers only');
+
+    // Primary ForYou containers with enhanced selectors
+    const forYouSelectors = [
+      '[id^="ForYou"]',
+      '[id*="ForYou" i]',
+      '[id*="foryou" i]',
+      '[id*="for-you" i]',
+      '[class*="ForYou"]',
+      '[class*="for-you"]',
+      '[class*="foryou" i]',
+      '[class*="for_you" i]',
+      'div[class*="ForYou"]',
+      'div[class*="for-you"]',
+      'section[class*="ForYou"]',
+      'section[class*="for-you"]',
+      '[data-testid*="foryou" i]',
+      '[data-testid*="ForYou" i]',
+      '[data-testid*="for-you" i]'
+    ];
+
+    forYouSelectors.forEach(selector => {
+      try {
+        const containers = document.querySelectorAll(selector);
+        if (containers.length > 0) {
+          console.log(`Found ${containers.length} containers with "${selector}"`);
+        }
+
+        containers.forEach((container, index) => {
+          // Skip if already processed
+          if (foundAds.find(ad => ad.container === container)) return;
+
+          // Check for iframe (primary ad indicator)
+          const iframe = container.querySelector('iframe');
+          if (iframe) {
+            console.log('✅ ForYou container with iframe:', container.id || container.className);
+            foundAds.push({ container, iframe, type: 'ForYou-Iframe' });
+            return;
+          }
+
+          // Also check for sponsored content in ForYou containers even without iframes
+          const hasAdIndicators = container.querySelector('[class*="sponsor" i], [class*="promoted" i], [class*="ad-" i]') ||
+                                container.textContent.toLowerCase().includes('sponsored') ||
+                                container.textContent.toLowerCase().includes('promoted');
+
+          if (hasAdIndicators) {
+            console.log('✅ ForYou container with ad indicators:', container.id || container.className);
+            foundAds.push({ container, iframe: null, type: 'ForYou-Sponsored' });
+          }
+        });
+      } catch (e) {
+        console.warn('Error with selector:', selector, e.message);
+      }
+    });
+
+    console.log(`🎯 UNLIMITED MODE: Found ${foundAds.length} ForYou ads`);
+
+    // ALWAYS RUN MULTI-PATTERN DETECTION IN UNLIMITED MODE
+    // Don't wait for zero ads - extract from all sources for maximum results
+
+    // Pattern 2: Ad network iframes (mspai, nova, google ads, taboola, outbrain)
+    const adIframeSelectors = [
+      'iframe[class*="mspai"]',
+      'iframe[class*="nova"]',
+      'iframe[id*="google_ads"]',
+      'iframe[name*="google_ads"]',
+      'iframe[src*="doubleclick"]',
+      'iframe[src*="googlesyndication"]',
+      'iframe[src*="adsystem"]',
+      'iframe[src*="adnxs"]',
+      'iframe[src*="taboola"]',
+      'iframe[src*="outbrain"]'
+    ];
+
+    adIframeSelectors.forEach(selector => {
+      try {
+        const iframes = document.querySelectorAll(selector);
+        iframes.forEach(iframe => {
+          if (!foundAds.find(ad => ad.iframe === iframe)) {
+            const container = iframe.closest('div, section, article') || iframe.parentElement;
+            foundAds.push({ container, iframe, type: 'AdNetwork' });
+          }
+        });
+      } catch (e) {}
+    });
+
+    // Pattern 3: ALL iframes as potential ads
+    document.querySelectorAll('iframe').forEach(iframe => {
+      if (foundAds.find(ad => ad.iframe === iframe)) return;
+      const src = iframe.src || '';
+      const className = iframe.className || '';
+      const id = iframe.id || '';
+      // Any iframe with ad indicators or any src could be an ad
+      if (src.includes('ad') || src.includes('sponsor') ||
+          className.includes('ad') || className.includes('sponsor') ||
+          id.includes('ad') || id.includes('sponsor') ||
+          src.length > 0) {
+        const container = iframe.closest('div, section, article') || iframe.parentElement;
+        foundAds.push({ container, iframe, type: 'Generic-Iframe' });
+      }
+    });
+
+    // Pattern 4: Expanded sponsored content selectors
+    const sponsoredSelectors = [
+      '[class*="sponsor" i]',
+      '[class*="promoted" i]',
+      '[class*="ad-" i]',
+      '[class*="advertisement" i]',
+      '[data-ad]',
+      '[data-sponsor]',
+      '[data-promoted]',
+      'div[class*="taboola"]',
+      'div[class*="outbrain"]',
+      'div[id*="taboola"]',
+      'div[id*="outbrain"]',
+      '[class*="native-ad" i]',
+      '[class*="paid-content" i]',
+      '[class*="partner-content" i]'
+    ];
+
+    sponsoredSelectors.forEach(selector => {
+      try {
+        const elements = document.querySelectorAll(selector);
+        elements.forEach(element => {
+          if (!foundAds.find(ad => ad.container === element)) {
+            foundAds.push({ container: element, iframe: null, type: 'Sponsored-Content' });
+          }
+        });
+      } catch (e) {}
+    });
+
+    // Pattern 5: Native ads (articles/cards with sponsored text)
+    document.querySelectorAll('article, div[class*="card"], div[class*="post"], div[class*="item"], div[class*="story"]').forEach(article => {
+      if (foundAds.find(ad => ad.container === article)) return;
+      const text = article.textContent.toLowerCase();
+      if (text.includes('sponsored') || text.includes('promoted') ||
+          text.includes('advertisement') || text.includes('partner content') ||
+          text.includes('paid content')) {
+        foundAds.push({ container: article, iframe: null, type: 'NativeAd' });
+      }
+    });
+
+    console.log(`✅ Total ads found with multi-pattern detection: ${foundAds.length}`);
+
+    if (foundAds.length === 0) {
+      console.log('No ads found even with broader detection - page may be loading or have no ads');
+    } else {
+      console.log(`✅ Total ads found: ${foundAds.length} (ForYou + fallback detection)`);
+    }
+
+  } else {
+    // TIMED MODE: USE COMPREHENSIVE EXTRACTION
+    console.log('🔍 TIMED MODE: Using comprehensive ad detection');
+
+    // PATTERN 1: ForYou containers (highest priority) - Same selectors as unlimited mode
+    const forYouSelectors = [
+      '[id^="ForYou"]',
+      '[id*="ForYou" i]',
+      '[id*="foryou" i]',
+      '[id*="for-you" i]',
+      '[class*="ForYou"]',
+      '[class*="for-you"]',
+      '[class*="foryou" i]',
+      '[class*="for_you" i]',
+      'div[class*="ForYou"]',
+      'div[class*="for-you"]',
+      'section[class*="ForYou"]',
+      'section[class*="for-you"]',
+      '[data-testid*="foryou" i]',
+      '[data-testid*="ForYou" i]',
+      '[data-testid*="for-you" i]'
+    ];
+
+    forYouSelectors.forEach(selector => {
+      try {
+        const containers = document.querySelectorAll(selector);
+
+        containers.forEach((container, index) => {
+          // Skip if already processed
+          if (foundAds.find(ad => ad.container === container)) return;
+
+          // Check for iframe (primary ad indicator)
+          const iframe = container.querySelector('iframe');
+          if (iframe) {
+            foundAds.push({ container, iframe, type: 'ForYou' });
+            return;
+          }
+
+          // Check for ad-related content even without iframe
+          const hasAdContent = container.querySelector('[class*="sponsor"], [class*="promoted"], [class*="ad"], [class*="Sponsor"], [class*="Promoted"]') ||
+                             container.textContent.toLowerCase().includes('sponsored') ||
+                             container.textContent.toLowerCase().includes('promoted');
+
+          if (hasAdContent) {
+            foundAds.push({ container, iframe: null, type: 'ForYou-NoIframe' });
+          }
+        });
+      } catch (e) {
+        console.warn('Error with selector:', selector, e.message);
+      }
+    });
+
+    // Add the same fallback logic as unlimited mode
+    // ENHANCED DETECTION: If no ForYou containers found, use broader detection
+    if (foundAds.length === 0) {
+      console.log('No ForYou containers found, trying broader detection...');
+
+      // FALLBACK 1: Look for any containers with iframes (broader than ForYou)
+      const allIframes = document.querySelectorAll('iframe');
+      allIframes.forEach((iframe, index) => {
+        const container = iframe.closest('div, section, article') || iframe.parentElement;
+        if (container && !foundAds.find(ad => ad.container === container)) {
+          foundAds.push({ container, iframe, type: 'General-Iframe' });
+        }
+      });
+
+      // FALLBACK 2: Look for sponsored/promoted content indicators
+      const sponsoredSelectors = [
+        '[class*="sponsored" i]',
+        '[class*="promoted" i]',
+        '[class*="advertisement" i]',
+        '[class*="ad-" i]',
+        '[data-ad]',
+        '[data-sponsored]',
+        'div[class*="ad_"]'
+      ];
+
+      sponsoredSelectors.forEach(selector => {
+        try {
+          const elements = document.querySelectorAll(selector);
+          elements.forEach(element => {
+            if (!foundAds.find(ad => ad.container === element)) {
+              foundAds.push({ container: element, iframe: null, type: 'Sponsored-Content' });
+            }
+          });
+        } catch (e) {
+          console.warn('Error with sponsored selector:', selector, e.message);
+        }
+      });
+
+      console.log(`Found ${foundAds.length} ads using broader detection`);
+    }
+
+    // ORIGINAL LOGIC: Only use ForYou containers, no other patterns
+  }
+
+
+  // Extract data from all found ads
+  const extractedAds = [];
+  foundAds.forEach(({ container, iframe, type }) => {
+    if (!container && !iframe) return;
+
+    const adData = {
+      id: `ad_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: new Date().toISOString(),
+      containerId: container ? container.id : 'no-container',
+      adType: type,
+      advertiser: '',
+      headline: '',
+      body: '',
+      image: '',
+      link: '',
+      iframeSize: iframe ? `${iframe.width}x${iframe.height}` : 'N/A',
+      iframeSrc: iframe ? (iframe.src || '') : ''
+    };
+
+    try {
+      // Try to extract from iframe if available
+      if (iframe) {
+        const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
+        if (iframeDoc && iframeDoc.body) {
+          // Extract from iframe
+          const advertiserEl = iframeDoc.querySelector('.ad-advertiser');
+          const headlineEl = iframeDoc.querySelector('.ad-headline');
+          const bodyEl = iframeDoc.querySelector('.ad-body');
+          const imageContainer = iframeDoc.querySelector('.ad-image-container');
+
+          adData.advertiser = advertiserEl ? advertiserEl.textContent.trim() : '';
+          adData.headline = headlineEl ? headlineEl.textContent.trim() : '';
+          adData.body = bodyEl ? bodyEl.textContent.trim() : '';
+
+          if (imageContainer) {
+            const img = imageContainer.querySelector('img');
+            if (img && img.src) {
+              adData.image = img.src;
+            } else {
+              const bgImage = window.getComputedStyle(imageContainer).backgroundImage;
+              if (bgImage && bgImage !== 'none') {
+                const match = bgImage.match(/url\(['"]?(.*?)['"]?\)/);
+                if (match) adData.image = match[1];
+              }
+            }
+          }
+
+          // Extract ad link
+          const linkEl = iframeDoc.querySelector('a[href]');
+          if (linkEl && linkEl.href) {
+            adData.link = linkEl.href;
+          }
+
+          // Look for click tracking in iframe attributes
+          if (!adData.link && iframe.src) {
+            const urlParams = new URLSearchParams(iframe.src.split('?')[1] || '');
+            const clickUrl = urlParams.get('click_url') ||
+                           urlParams.get('clickUrl') ||
+                           urlParams.get('click') ||
+                           urlParams.get('url');
+            if (clickUrl) {
+              adData.link = decodeURIComponent(clickUrl);
+            }
+          }
+        }
+      }
+
+      // Extract from container if no iframe or couldn't extract from iframe
+      if (container && (!adData.headline && !adData.body)) {
+        // FILTER: Skip main page containers that aren't actually ads
+        const containerId = container.id || '';
+        const containerClass = container.className || '';
+
+        // Skip main page containers
+        const invalidContainers = ['__next', 'root', 'main', 'body', 'header', 'footer', 'nav', 'content'];
+        const isInvalidContainer = invalidContainers.some(invalid =>
+          containerId.toLowerCase().includes(invalid) ||
+          containerClass.toLowerCase().includes(invalid)
+        );
+
+        if (!isInvalidContainer) {
+          // Look for common ad text patterns (but limit text length to prevent page dumps)
+          const textElements = container.querySelectorAll('h1, h2, h3, h4, h5, h6, p, span, div, [class*="title"], [class*="headline"], [class*="description"], [class*="summary"]');
+          textElements.forEach(el => {
+            const text = el.textContent.trim();
+            // Limit text length to prevent capturing entire page content
+            if (text && text.length <= 200 && !adData.headline && (el.tagName.match(/^H[1-6]$/) || el.className.includes('title') || el.className.includes('headline'))) {
+              adData.headline = text;
+            } else if (text && text.length > 20 && text.length <= 500 && !adData.body) {
+              adData.body = text;
+            }
+          });
+
+          // Look for advertiser name
+          const advertiserEl = container.querySelector('[class*="advertiser"], [class*="sponsor"], [class*="promoted-by"], [class*="source"]');
+          if (advertiserEl) {
+            const advertiserText = advertiserEl.textContent.trim();
+            if (advertiserText.length <= 100) { // Limit advertiser name length
+              adData.advertiser = advertiserText;
+            }
+          }
+
+          // Look for images
+          const img = container.querySelector('img');
+          if (img && img.src) {
+            adData.image = img.src || img.dataset.src || img.dataset.lazySrc || '';
+          }
+
+          // Look for links
+          const link = container.querySelector('a[href]') || container.closest('a[href]');
+          if (link && link.href) {
+            adData.link = link.href;
+          }
+        }
+      }
+    } catch (e) {
+      // Cross-origin iframe or error
+      if (iframe) {
+        adData.advertiser = 'Protected Ad';
+        adData.headline = 'Cross-origin iframe';
+        adData.body = `Cannot access content (${adData.iframeSize})`;
+
+        // For cross-origin, try to extract URL from iframe src
+        if (iframe.src && iframe.src.includes('http')) {
+          adData.link = iframe.src;
+        }
+      }
+    }
+
+    // Additional check: Look for click URL in container data attributes
+    if (!adData.link && container) {
+      const containerClickUrl = container.getAttribute('data-click-url') ||
+                              container.getAttribute('data-link') ||
+                              container.getAttribute('data-ad-link');
+      if (containerClickUrl) {
+        adData.link = containerClickUrl;
+      }
+
+      // Check parent elements for click tracking
+      let parent = container.parentElement;
+      while (!adData.link && parent && parent !== document.body) {
+        const parentClickUrl = parent.getAttribute('data-click-url') ||
+                              parent.getAttribute('data-link') ||
+                              parent.getAttribute('data-ad-link');
+        if (parentClickUrl) {
+          adData.link = parentClickUrl;
+          break;
+        }
+        parent = parent.parentElement;
+      }
+    }
+
+    // VALIDATION: Only save if it's a valid ad with reasonable content
+    const hasValidContent = (adData.advertiser || adData.headline || adData.body || adData.link) &&
+                            (!adData.body || adData.body.length <= 1000) && // Prevent page dumps
+                            (!adData.headline || adData.headline.length <= 300) && // Reasonable headline length
+                            (!adData.advertiser || adData.advertiser.length <= 150); // Reasonable advertiser length
+
+    // Additional check: Skip if body contains navigation/page elements
+    const containsPageElements = adData.body && (
+      adData.body.includes('Sign In') ||
+      adData.body.includes('About NewsBreak') ||
+      adData.body.includes('Terms of Use') ||
+      adData.body.includes('Privacy Policy') ||
+      adData.body.includes('See all locations') ||
+      adData.body.includes('emoji_like') ||
+      adData.body.length > 800
+    );
+
+    if (hasValidContent && !containsPageElements) {
+      extractedAds.push(adData);
+    }
+  });
+
+  if (extractedAds.length > 0) {
+    console.log(`✅ Extracted ${extractedAds.length} valid ads`);
+  }
+  return extractedAds;
+}
+
+module.exports = {
+  extractForYouAds
+};
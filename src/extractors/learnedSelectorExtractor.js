@@ -0,0 +1,76 @@
+// src/extractors/learnedSelectorExtractor.js
+// In-page extraction for admin-approved learned selectors (see services/selectorLearning.js).
+// Handed to page.evaluate, so it must stay self-contained: no closures, no requires.
+
+// selectors: CSS selector strings. Returns one entry per selector with the number of matched
+// elements and the ads read from them, so the caller can score each selector separately.
+function extractBySelectors(selectors) {
+  const MAX_ELEMENTS = 20; // per selector and pass
+
+  const firstText = (root, query) => {
+    const element = root.querySelector(query);
+    return element ? element.textContent.trim() : '';
+  };
+
+  const readAd = (element) => {
+    // Prefer the creative inside a same-origin iframe; fall back to the element itself
+    let root = element;
+    const iframe = element.tagName === 'IFRAME' ? element : element.querySelector('iframe');
+    try {
+      const iframeDoc = iframe && (iframe.contentDocument || iframe.contentWindow?.document);
+      if (iframeDoc && iframeDoc.body) root = iframeDoc;
+    } catch (e) {
+      // Cross-origin iframe: only the outer element is readable
+    }
+
+    let image = '';
+    const img = root.querySelector('img[src]');
+    if (img) {
+      image = img.src;
+    } else {
+      const imageContainer = root.querySelector('.ad-image-container');
+      const bgImage = imageContainer ? window.getComputedStyle(imageContainer).backgroundImage : '';
+      const match = bgImage && bgImage.match(/url\(['"]?(.*?)['"]?\)/);
+      if (match) image = match[1];
+    }
+
+    // Click URL: a link in the creative, the container's data-click-url or the iframe's click_url parameter
+    const anchor = root.querySelector('a[href]');
+    let link = anchor ? anchor.href : element.getAttribute('data-click-url');
+    if (!link && iframe && iframe.src) {
+      try {
+        link = new URL(iframe.src).searchParams.get('click_url');
+      } catch (e) {
+        // Not an absolute URL
+      }
+    }
+
+    const rect = element.getBoundingClientRect();
+
+    return {
+      containerId: element.id || '',
+      advertiser: firstText(root, '.ad-advertiser, .advertiser-name, [class*="advertiser"], [class*="sponsor-name"]'),
+      headline: firstText(root, '.ad-headline, [class*="headline"], [class*="title"], h1, h2, h3, h4'),
+      body: firstText(root, '.ad-body, [class*="description"], [class*="body"], p'),
+      image,
+      link: link || '',
+      iframeSrc: iframe ? iframe.src : '',
+      position: { x: rect.left + window.scrollX, y: rect.top + window.scrollY },
+      dimensions: { width: rect.width, height: rect.height }
+    };
+  };
+
+  return selectors.map(selector => {
+    let elements = [];
+    try {
+      elements = Array.from(document.querySelectorAll(selector));
+    } catch (e) {
+      return { selector, matched: 0, ads: [], error: e.message };
+    }
+
+    const ads = elements.slice(0, MAX_ELEMENTS).map(element => ({ ...readAd(element), selector }));
+    return { selector, matched: Math.min(elements.length, MAX_ELEMENTS), ads };
+  });
+}
+
+module.exports = { extractBySelectors };
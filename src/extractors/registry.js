@@ -0,0 +1,263 @@
+// src/extractors/registry.js
+// Extractor plugins. A plugin is { name, description, extract(page, context) -> raw ads, toAd(raw) }:
+// extract runs the extractor against a loaded page and toAd maps one of its results onto the
+// fields of the common schema (see adSchema.js). Jobs pick plugins by name (workerData.extractors).
+// context carries { mode, deviceMode, pageUrl, logger, selectorLearning }; selectorLearning is the
+// learned selector store (services/selectorLearning.js) used by the smart and learned plugins.
+
+const defaultLogger = require('../utils/logger');
+const { normalizeAd, validateAd, getAdSignature } = require('./adSchema');
+const { extractForYouAds } = require('./forYouPageExtractor');
+const { extractBySelectors } = require('./learnedSelectorExtractor');
+const AdDetector = require('./adDetector');
+const AdNetworkDetector = require('./adNetworkDetector');
+const GPTAdExtractor = require('./gptAdExtractor');
+const MobileAdExtractor = require('./mobileAdExtractor');
+const SimpleAdExtractor = require('./simpleAdExtractor');
+const SmartAdDetector = require('./smartAdDetector');
+
+const DEFAULT_EXTRACTORS = ['forYou', 'learned'];
+
+// { top, left, width, height } as used by the DOM-scanning extractors
+function boxFields(box = {}) {
+  return {
+    position: { x: box.left, y: box.top },
+    dimensions: { width: box.width, height: box.height }
+  };
+}
+
+// { text, images, links } read from inside an ad slot
+function contentFields(content) {
+  if (!content) return {};
+  const firstLink = (content.links || [])[0] || {};
+  const firstImage = (content.images || [])[0] || {};
+  return {
+    headline: firstLink.text,
+    body: content.text,
+    link: firstLink.href,
+    image: firstImage.src
+  };
+}
+
+class ExtractorRegistry {
+  constructor() {
+    this.plugins = new Map();
+  }
+
+  register(plugin) {
+    if (!plugin || !plugin.name || typeof plugin.extract !== 'function') {
+      throw new Error('Extractor plugins need a name and an extract(page, context) function');
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Extractor already registered: ${plugin.name}`);
+    }
+    this.plugins.set(plugin.name, { toAd: raw => raw, description: '', ...plugin });
+    return this;
+  }
+
+  get(name) {
+    return this.plugins.get(name) || null;
+  }
+
+  list() {
+    return [...this.plugins.values()].map(plugin => ({
+      name: plugin.name,
+      description: plugin.description,
+      default: DEFAULT_EXTRACTORS.includes(plugin.name)
+    }));
+  }
+
+  // Extractor names for a job: an array or comma-separated string, defaulting to DEFAULT_EXTRACTORS
+  resolve(names) {
+    const list = (Array.isArray(names) ? names : String(names || '').split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+    if (list.length === 0) return [...DEFAULT_EXTRACTORS];
+
+    const unknown = list.filter(name => !this.plugins.has(name));
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown extractors: ${unknown.join(', ')} (available: ${[...this.plugins.keys()].join(', ')})`);
+      error.validation = true;
+      throw error;
+    }
+    return [...new Set(list)];
+  }
+
+  // Run the named extractors in order and return their ads in the common schema.
+  // An ad found by several extractors is kept once (first extractor wins); ads failing
+  // validation are dropped and counted in `rejected`. One failing extractor doesn't stop the rest.
+  async run(page, names, context = {}) {
+    const logger = context.logger || defaultLogger;
+    const ads = [];
+    const seen = new Set();
+    let rejected = 0;
+
+    for (const name of this.resolve(names)) {
+      const plugin = this.plugins.get(name);
+      let rawAds = [];
+      try {
+        rawAds = (await plugin.extract(page, context)) || [];
+      } catch (error) {
+        logger.warn(`Extractor ${name} failed: ${error.message}`);
+        continue;
+      }
+
+      for (const raw of rawAds) {
+        const ad = normalizeAd(plugin.toAd(raw), { source: name, pageUrl: context.pageUrl });
+        const errors = validateAd(ad);
+        if (errors.length > 0) {
+          rejected++;
+          logger.debug(`Rejected ${name} ad: ${errors.join('; ')}`);
+          continue;
+        }
+
+        const signature = getAdSignature(ad);
+        if (seen.has(signature)) continue;
+        seen.add(signature);
+        ads.push(ad);
+      }
+    }
+
+    return { ads, rejected };
+  }
+}
+
+const registry = new ExtractorRegistry();
+
+registry.register({
+  name: 'forYou',
+  description: 'NewsBreak ForYou feed containers and their iframe creatives (extraction worker default)',
+  extract: (page, context) => page.evaluate(extractForYouAds, context.mode || 'timed'),
+  toAd: raw => {
+    const [width, height] = String(raw.iframeSize || '').split('x').map(Number);
+    return { ...raw, dimensions: { width, height } };
+  }
+});
+
+registry.register({
+  name: 'learned',
+  description: 'Admin-approved selectors learned by SmartAdDetector; scored on every pass and demoted when they stop matching',
+  extract: async (page, context) => {
+    const store = context.selectorLearning;
+    if (!store) return [];
+
+    const approved = await store.getApprovedSelectors();
+    if (approved.length === 0) return [];
+
+    const results = await page.evaluate(extractBySelectors, approved.map(row => row.selector));
+
+    // Matched elements that don't yield a valid ad count against the selector
+    try {
+      await store.recordResults(results.map(result => ({
+        selector: result.selector,
+        matched: result.matched,
+        valid: result.ads.filter(raw => validateAd(normalizeAd(raw)).length === 0).length
+      })));
+    } catch (error) {
+      (context.logger || defaultLogger).warn(`Failed to record learned selector results: ${error.message}`);
+    }
+
+    return results.flatMap(result => result.ads);
+  },
+  toAd: raw => ({ ...raw, adType: `learned:${raw.selector}` })
+});
+
+registry.register({
+  name: 'smart',
+  description: 'ForYou iframe creatives read by SmartAdDetector, which also proposes new selectors for review',
+  extract: (page, context) => new SmartAdDetector({
+    learning: context.selectorLearning,
+    pageUrl: context.pageUrl
+  }).detectAds(page),
+  toAd: raw => ({
+    ...raw,
+    adType: raw.type,
+    body: raw.text,
+    containerId: raw.attributes && raw.attributes.containerId
+  })
+});
+
+registry.register({
+  name: 'mobile',
+  description: 'Mobile banner, native, sticky and iframe ads',
+  extract: (page, context) => new MobileAdExtractor(page, context.deviceMode || 'mobile').extractMobileAds(),
+  toAd: raw => ({
+    ...raw,
+    image: raw.imageUrl,
+    link: raw.targetUrl,
+    ...boxFields(raw.dimensions)
+  })
+});
+
+registry.register({
+  name: 'gpt',
+  description: 'Google Publisher Tag slots, safeframes and AdSense units',
+  extract: async page => {
+    const extractor = new GPTAdExtractor();
+    const ads = await extractor.extractGoogleAds(page);
+    return Promise.all(ads.map(ad => extractor.extractAdvertiserInfo(page, ad)));
+  },
+  toAd: raw => ({
+    ...raw,
+    adType: `${raw.source}:${raw.type}`,
+    iframeSrc: raw.iframe && raw.iframe.src,
+    containerId: (raw.container && raw.container.id) || (raw.divInfo && raw.divInfo.id),
+    ...contentFields(raw.content),
+    ...boxFields(raw.position)
+  })
+});
+
+registry.register({
+  name: 'adNetwork',
+  description: 'Ad network placements (Google, Amazon, Taboola, Outbrain, labeled iframes)',
+  extract: async page => {
+    const detector = new AdNetworkDetector();
+    const ads = await detector.detectAds(page);
+    return Promise.all(ads.map(ad => detector.extractAdDetails(page, ad)));
+  },
+  toAd: raw => {
+    // Taboola/Outbrain widgets list their links directly; other slots only have the details content
+    const content = contentFields(raw.content);
+    const firstLink = (raw.links || [])[0] || {};
+    return {
+      ...raw,
+      ...content,
+      adType: `${raw.network}:${raw.type}`,
+      headline: firstLink.text || content.headline,
+      link: firstLink.href || content.link,
+      iframeSrc: raw.src || raw.innerIframeSrc,
+      containerId: raw.attributes && raw.attributes.id,
+      ...boxFields(raw.position)
+    };
+  }
+});
+
+registry.register({
+  name: 'simple',
+  description: 'Ad banners inside for-you sections, with a sponsored-content fallback',
+  extract: page => new SimpleAdExtractor().extractAdsFromPage(page),
+  toAd: raw => raw
+});
+
+registry.register({
+  name: 'generic',
+  description: 'Broad selector and sponsored-keyword scan (AdDetector)',
+  extract: page => new AdDetector().detectAds(page),
+  toAd: raw => {
+    const firstLink = (raw.links || [])[0] || {};
+    const firstImage = (raw.images || [])[0] || {};
+    return {
+      ...raw,
+      headline: firstLink.text,
+      body: raw.text,
+      link: firstLink.href,
+      image: firstImage.src,
+      elementHtml: raw.html,
+      ...boxFields(raw.position)
+    };
+  }
+});
+
+module.exports = registry;
+module.exports.ExtractorRegistry = ExtractorRegistry;
+module.exports.DEFAULT_EXTRACTORS = DEFAULT_EXTRACTORS;
@@ -1,40 +1,13 @@
 // src/extractors/smartAdDetector.js
 const logger = require('../utils/logger');
-const fs = require('fs-extra');
-const path = require('path');
 
+// Selectors generated from a page's ad containers are proposed to the learned selector store
+// (services/selectorLearning.js) as review candidates; without a store they are only kept in memory.
 class SmartAdDetector {
-  constructor() {
+  constructor(options = {}) {
+    this.learning = options.learning || null;
+    this.pageUrl = options.pageUrl || null;
     this.learnedSelectors = [];
-    this.adPatterns = [];
-    this.selectorsFile = path.join(__dirname, '../../data/learned_selectors.json');
-    this.loadLearnedSelectors();
-  }
-
-  async loadLearnedSelectors() {
-    try {
-      if (await fs.exists(this.selectorsFile)) {
-        const data = await fs.readJson(this.selectorsFile);
-        this.learnedSelectors = data.selectors || [];
-        this.adPatterns = data.patterns || [];
-        logger.info(`Loaded ${this.learnedSelectors.length} learned selectors`);
-      }
-    } catch (error) {
-      logger.warn('Could not load learned selectors:', error.message);
-    }
-  }
-
-  async saveLearnedSelectors() {
-    try {
-      await fs.writeJson(this.selectorsFile, {
-        selectors: this.learnedSelectors,
-        patterns: this.adPatterns,
-        lastUpdated: new Date().toISOString()
-      }, { spaces: 2 });
-      logger.info('Saved learned selectors');
-    } catch (error) {
-      logger.error('Failed to save learned selectors:', error.message);
-    }
   }
 
   async analyzePageStructure(page) {
@@ -74,6 +47,16 @@ class SmartAdDetector {
         if (!iframe) return;
 
         const rect = container.getBoundingClientRect();
+
+        // Container classes and data attributes shared by several ads become selector candidates
+        Array.from(container.classList).forEach(className => {
+          data.patterns.classes[className] = (data.patterns.classes[className] || 0) + 1;
+        });
+        Array.from(container.attributes)
+          .filter(attr => attr.name.startsWith('data-'))
+          .forEach(attr => {
+            data.patterns.attributes[attr.name] = (data.patterns.attributes[attr.name] || 0) + 1;
+          });
         
         // No need to check for footers/headers since we're only looking at ForYou containers
         
@@ -169,7 +152,8 @@ class SmartAdDetector {
 
     // Generate selectors from high-frequency patterns
     Object.entries(analysis.patterns.classes).forEach(([className, count]) => {
-      if (count >= 2) {
+      // Skip class names that would need escaping (utility classes like md:flex)
+      if (count >= 2 && /^-?[A-Za-z_][\w-]*$/.test(className)) {
         selectors.add(`.${className}`);
       }
     });
@@ -198,9 +182,11 @@ class SmartAdDetector {
         selectors.add(`#${ad.id}`);
       }
       
-      if (ad.classes.length > 0) {
+      // ForYou candidates carry no classes/attributes, only extracted iframe content
+      const classes = ad.classes || [];
+      if (classes.length > 0) {
         // Use most specific class combination
-        const classSelector = ad.classes
+        const classSelector = classes
           .filter(c => c && !c.match(/^[0-9]/))
           .slice(0, 2)
           .map(c => `.${c}`)
@@ -212,7 +198,7 @@ class SmartAdDetector {
       }
 
       // Create attribute selectors for data attributes with ad keywords
-      Object.entries(ad.attributes).forEach(([key, value]) => {
+      Object.entries(ad.attributes || {}).forEach(([key, value]) => {
         if (key.includes('ad') || key.includes('sponsor') || key.includes('promo')) {
           selectors.add(`[${key}]`);
         }
@@ -231,8 +217,14 @@ class SmartAdDetector {
       }
     });
 
-    // Save to file
-    await this.saveLearnedSelectors();
+    // Queue them for admin review
+    if (!this.learning) return;
+
+    try {
+      await this.learning.recordCandidates(newSelectors, { pageUrl: this.pageUrl });
+    } catch (error) {
+      logger.warn('Could not record learned selectors:', error.message);
+    }
   }
 
   async detectAds(page) {
@@ -354,11 +346,8 @@ class SmartAdDetector {
     }));
   }
 
-  async reset() {
-    logger.info('Resetting learned selectors...');
+  reset() {
     this.learnedSelectors = [];
-    this.adPatterns = [];
-    await this.saveLearnedSelectors();
   }
 }
 
@@ -0,0 +1,295 @@
+// Ad classification rules and reclassification
+// Category rules (keyword and landing-domain dictionaries per vertical) are stored in
+// category_rules and edited through the admin API. New ads are classified when they are saved
+// (DatabaseModels.saveAd); reclassifyAds re-runs the current rules over stored rows.
+
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+const { DEFAULT_CATEGORY_RULES, compileRules, classifyAd } = require('../utils/adClassifier');
+
+const VERTICAL_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// "a, b" / ["a", "b"] -> ["a", "b"], lowercased and deduplicated
+function toTermList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(values.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+class AdClassificationService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : 60000;
+
+    this.rulesCache = null;
+    this.reclassification = null; // Latest background run started from the admin API
+    this.reclassificationRun = null;
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+    await this.seedDefaultRules();
+  }
+
+  // Seeded once per database, so deleting the built-in rules is permanent
+  async seedDefaultRules() {
+    if (!(await this.db.markOnce('seeded:category_rules'))) return 0;
+
+    const existing = await this.db.get('SELECT COUNT(*) AS count FROM category_rules');
+    if (existing.count > 0) return 0; // Rules from before the flag existed
+
+    for (const rule of DEFAULT_CATEGORY_RULES) {
+      await this.db.run(
+        'INSERT INTO category_rules (vertical, keywords, domains) VALUES (?, ?, ?)',
+        [rule.vertical, JSON.stringify(rule.keywords), JSON.stringify(rule.domains)]
+      );
+    }
+
+    logger.info(`🏷️ Seeded ${DEFAULT_CATEGORY_RULES.length} default category rules`);
+    return DEFAULT_CATEGORY_RULES.length;
+  }
+
+  // Rules
+
+  validateRule(data, partial = false) {
+    const errors = [];
+
+    if (!partial || data.vertical !== undefined) {
+      if (!VERTICAL_PATTERN.test(String(data.vertical || ''))) {
+        errors.push('vertical must be a lowercase identifier (letters, digits, underscores)');
+      }
+    }
+
+    const keywords = data.keywords !== undefined ? toTermList(data.keywords) : null;
+    const domains = data.domains !== undefined ? toTermList(data.domains) : null;
+    if (!partial && (keywords || []).length === 0 && (domains || []).length === 0) {
+      errors.push('a rule needs at least one keyword or domain');
+    }
+
+    if (data.weight !== undefined) {
+      const weight = Number(data.weight);
+      if (!Number.isFinite(weight) || weight <= 0 || weight > 10) {
+        errors.push('weight must be a number between 0 and 10');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw validationError(errors.join('; '));
+    }
+
+    return { keywords, domains };
+  }
+
+  async createRule(data) {
+    const { keywords, domains } = this.validateRule(data);
+
+    const result = await this.db.run(
+      'INSERT INTO category_rules (vertical, keywords, domains, weight, enabled) VALUES (?, ?, ?, ?, ?)',
+      [
+        data.vertical,
+        JSON.stringify(keywords || []),
+        JSON.stringify(domains || []),
+        data.weight !== undefined ? Number(data.weight) : 1,
+        data.enabled === false ? 0 : 1
+      ]
+    );
+
+    this.rulesCache = null;
+    logger.info(`🏷️ Added category rule for ${data.vertical}`);
+    return this.getRule(result.id);
+  }
+
+  async updateRule(id, data) {
+    const existing = await this.db.get('SELECT id FROM category_rules WHERE id = ?', [id]);
+    if (!existing) {
+      throw new Error('Category rule not found');
+    }
+
+    const { keywords, domains } = this.validateRule(data, true);
+
+    const columns = {
+      vertical: data.vertical,
+      keywords: keywords ? JSON.stringify(keywords) : undefined,
+      domains: domains ? JSON.stringify(domains) : undefined,
+      weight: data.weight !== undefined ? Number(data.weight) : undefined,
+      enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : undefined
+    };
+
+    const setParts = [];
+    const params = [];
+    Object.entries(columns).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setParts.push(`${column} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (setParts.length > 0) {
+      setParts.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+      await this.db.run(`UPDATE category_rules SET ${setParts.join(', ')} WHERE id = ?`, params);
+      this.rulesCache = null;
+    }
+
+    return this.getRule(id);
+  }
+
+  async deleteRule(id) {
+    const result = await this.db.run('DELETE FROM category_rules WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      throw new Error('Category rule not found');
+    }
+    this.rulesCache = null;
+    return { success: true };
+  }
+
+  async getRule(id) {
+    const row = await this.db.get('SELECT * FROM category_rules WHERE id = ?', [id]);
+    return row ? this.formatRule(row) : null;
+  }
+
+  async getRules() {
+    const rows = await this.db.all('SELECT * FROM category_rules ORDER BY vertical ASC, id ASC');
+    return rows.map(row => this.formatRule(row));
+  }
+
+  formatRule(row) {
+    return {
+      id: row.id,
+      vertical: row.vertical,
+      keywords: JSON.parse(row.keywords || '[]'),
+      domains: JSON.parse(row.domains || '[]'),
+      weight: row.weight,
+      enabled: !!row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Compiled enabled rules, cached for cacheTtlMs (edits in this process clear the cache)
+  async getCompiledRules() {
+    if (this.rulesCache && Date.now() - this.rulesCache.loadedAt < this.cacheTtlMs) {
+      return this.rulesCache.rules;
+    }
+
+    const rules = compileRules(await this.getRules());
+    this.rulesCache = { loadedAt: Date.now(), rules };
+    return rules;
+  }
+
+  // Classification
+
+  // ad: a database row or an object with the same column names
+  async classify(ad) {
+    return classifyAd(ad, await this.getCompiledRules());
+  }
+
+  async classifyAndStore(adId) {
+    const row = await this.db.get('SELECT * FROM ads WHERE id = ?', [adId]);
+    if (!row) return null;
+
+    const classification = await this.classify(row);
+    await this.storeClassification(row.id, classification);
+    return classification;
+  }
+
+  async storeClassification(adId, classification) {
+    await this.db.run(
+      `UPDATE ads SET vertical = ?, vertical_confidence = ?, creative_type = ?, creative_type_confidence = ?, classified_at = ?
+       WHERE id = ?`,
+      [
+        classification.vertical,
+        classification.verticalConfidence,
+        classification.creativeType,
+        classification.creativeTypeConfidence,
+        new Date().toISOString(),
+        adId
+      ]
+    );
+  }
+
+  // Re-run the current rules over stored ads (all of them, or only unclassified ones) in id order.
+  // Returns { processed, changed } where changed counts ads whose vertical or creative type moved.
+  async reclassifyAds({ all = true, batchSize = 500, onProgress = null } = {}) {
+    const rules = await this.getCompiledRules();
+    let processed = 0;
+    let changed = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await this.db.all(
+        `SELECT * FROM ads WHERE id > ? ${all ? '' : 'AND classified_at IS NULL'} ORDER BY id ASC LIMIT ?`,
+        [lastId, batchSize]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const classification = classifyAd(row, rules);
+        if (classification.vertical !== row.vertical || classification.creativeType !== row.creative_type) {
+          changed++;
+        }
+        await this.storeClassification(row.id, classification);
+        processed++;
+        lastId = row.id;
+      }
+
+      if (onProgress) onProgress({ processed, changed });
+    }
+
+    logger.info(`🏷️ Reclassified ${processed} ads (${changed} changed)`);
+    return { processed, changed };
+  }
+
+  // Run reclassifyAds in the background; progress and the outcome are read with getReclassification()
+  startReclassification({ all = true } = {}) {
+    if (this.reclassification && this.reclassification.status === 'running') {
+      throw validationError('A reclassification is already running');
+    }
+
+    const job = {
+      status: 'running',
+      all,
+      processed: 0,
+      changed: 0,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.reclassification = job;
+
+    this.reclassificationRun = this.reclassifyAds({ all, onProgress: progress => Object.assign(job, progress) })
+      .then(result => Object.assign(job, result, { status: 'completed' }))
+      .catch((error) => {
+        logger.error(`🏷️ Reclassification failed: ${error.message}`);
+        Object.assign(job, { status: 'failed', error: error.message });
+      })
+      .then(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return this.getReclassification();
+  }
+
+  getReclassification() {
+    return this.reclassification ? { ...this.reclassification } : { status: 'idle' };
+  }
+
+  // Ad counts per vertical and creative type (unclassified rows are reported as null)
+  async getSummary() {
+    const verticals = await this.db.all(
+      'SELECT vertical, COUNT(*) AS count FROM ads GROUP BY vertical ORDER BY count DESC'
+    );
+    const creativeTypes = await this.db.all(
+      'SELECT creative_type AS creativeType, COUNT(*) AS count FROM ads GROUP BY creative_type ORDER BY count DESC'
+    );
+    return { verticals, creativeTypes };
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = AdClassificationService;
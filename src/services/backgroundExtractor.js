@@ -3,10 +3,12 @@ const path = require('path');
 const fs = require('fs-extra');
 const logger = require('../utils/logger');
 const DatabaseSyncService = require('../database/syncService');
+const { metrics } = require('../utils/metrics');
 
 class BackgroundExtractionService {
   constructor() {
     this.activeExtractions = new Map();
+    this.extractionLogs = null; // ExtractionLogService: persisted worker logs (set by the app)
     this.dbSync = new DatabaseSyncService();
     this.statusFile = path.join(process.cwd(), 'data', 'extraction_status.json');
     this.sessionsDir = path.join(process.cwd(), 'data', 'sessions');
@@ -39,6 +41,8 @@ class BackgroundExtractionService {
       duration,
       deviceMode = 'desktop',
       extractionMode = 'timed', // 'timed' or 'unlimited'
+      extractors = null, // extractor plugin names; null = registry defaults
+      rotationStrategy = null, // city rotation strategy for unlimited runs (see config/urlRotation.js)
       sessionId = null
     } = options;
 
@@ -52,6 +56,8 @@ class BackgroundExtractionService {
         duration: extractionMode === 'unlimited' ? null : duration,
         deviceMode,
         extractionMode,
+        extractors,
+        rotationStrategy,
         startTime: new Date().toISOString(),
         status: 'starting',
         pid: null,
@@ -92,7 +98,9 @@ class BackgroundExtractionService {
           duration: extractionMode === 'unlimited' ? 0 : duration,
           deviceMode,
           extractionId,
-          extractionMode
+          extractionMode,
+          extractors,
+          rotationStrategy
         }
       });
 
@@ -225,6 +233,8 @@ class BackgroundExtractionService {
           deviceMode: extraction.deviceMode,
           extractionId: extractionId,
           extractionMode: extraction.extractionMode,
+          extractors: extraction.extractors || null,
+          rotationStrategy: extraction.rotationStrategy || null,
           resumeFrom: extraction.sessionFile // Tell worker to resume from existing session
         }
       });
@@ -290,13 +300,23 @@ class BackgroundExtractionService {
                 type: 'new_ads',
                 newAds: data.newAds,
                 totalAds: data.totalAds,
-                sessionId: extraction.sessionId || extractionId
+                sessionId: extraction.sessionId || extractionId,
+                extractionId
             });
         }
     }
 
     switch (type) {
       case 'log':
+        if (this.extractionLogs) {
+          this.extractionLogs.record({
+            extractionId,
+            sessionId: extraction.sessionId || null,
+            level: data.level || 'info',
+            message: data.message
+          });
+        }
+
         extraction.logs.push({
           timestamp: new Date().toISOString(),
           message: data.message,
@@ -419,6 +439,11 @@ class BackgroundExtractionService {
         extraction.error = data.message;
         logger.error(`Extraction ${extractionId} error:`, data.message);
         break;
+
+      case 'metrics':
+        // Counters and histograms the worker thread recorded since its last report (nothing to persist)
+        metrics.registry.merge(data);
+        return;
     }
 
     await this.persistExtractionStatus();
@@ -0,0 +1,185 @@
+// Crawl city list
+// The cities URL rotation visits live in crawl_cities and are edited through the admin API
+// (add/remove, region tags, enable/disable). MultiThreadExtractor loads the enabled cities with
+// their yield statistics for URLRotationManager and reports every visit back (time spent and new
+// ads found), which drives the weighted_yield and least_recent strategies.
+
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+const { parseCitySlug, getCityFromUrl } = require('../utils/pageUrl');
+const { NEWSBREAK_LOCATIONS, getRegionForUrl } = require('../config/urlRotation');
+
+const REGION_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+
+class CityRotationService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+    await this.seedDefaultCities();
+  }
+
+  // The built-in city list is seeded once per database; cities deleted later stay deleted
+  async seedDefaultCities() {
+    if (!(await this.db.markOnce('seeded:crawl_cities'))) return 0;
+
+    // Databases from before the flag already have their list
+    const existing = await this.db.get('SELECT COUNT(*) AS count FROM crawl_cities');
+    if (existing.count > 0) return 0;
+
+    for (const url of NEWSBREAK_LOCATIONS) {
+      await this.insertCity(url, getRegionForUrl(url), true);
+    }
+
+    logger.info(`🌆 Seeded ${NEWSBREAK_LOCATIONS.length} crawl cities`);
+    return NEWSBREAK_LOCATIONS.length;
+  }
+
+  async insertCity(url, region, enabled) {
+    const location = parseCitySlug(getCityFromUrl(url));
+    return this.db.run(
+      'INSERT INTO crawl_cities (url, slug, name, state, region, enabled) VALUES (?, ?, ?, ?, ?, ?)',
+      [url, location.slug, location.name, location.state, region, enabled ? 1 : 0]
+    );
+  }
+
+  // "https://www.newsbreak.com/houston-tx/" -> "https://www.newsbreak.com/houston-tx"
+  normalizeUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value || '').trim());
+    } catch (error) {
+      throw validationError('url must be a NewsBreak city URL like https://www.newsbreak.com/houston-tx');
+    }
+
+    const slug = getCityFromUrl(url.href);
+    if (url.protocol !== 'https:' || !/(^|\.)newsbreak\.com$/.test(url.hostname) || !slug) {
+      throw validationError('url must be a NewsBreak city URL like https://www.newsbreak.com/houston-tx');
+    }
+    return `https://www.newsbreak.com/${slug.toLowerCase()}`;
+  }
+
+  validateRegion(region) {
+    const value = String(region).trim().toLowerCase();
+    if (!REGION_PATTERN.test(value)) {
+      throw validationError('region must be a short lowercase tag (letters, digits, - and _)');
+    }
+    return value;
+  }
+
+  async createCity(data) {
+    const url = this.normalizeUrl(data.url);
+    const region = data.region ? this.validateRegion(data.region) : getRegionForUrl(url);
+
+    const existing = await this.db.get('SELECT id FROM crawl_cities WHERE url = ?', [url]);
+    if (existing) {
+      throw validationError(`${url} is already in the city list`);
+    }
+
+    const result = await this.insertCity(url, region, data.enabled !== false);
+    logger.info(`🌆 Added crawl city ${url} (${region})`);
+    return this.getCity(result.id);
+  }
+
+  async updateCity(id, data) {
+    const existing = await this.db.get('SELECT id FROM crawl_cities WHERE id = ?', [id]);
+    if (!existing) {
+      throw new Error('City not found');
+    }
+
+    const setParts = [];
+    const params = [];
+
+    if (data.region !== undefined) {
+      setParts.push('region = ?');
+      params.push(this.validateRegion(data.region));
+    }
+
+    if (data.enabled !== undefined) {
+      setParts.push('enabled = ?');
+      params.push(data.enabled ? 1 : 0);
+    }
+
+    if (setParts.length > 0) {
+      setParts.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+      await this.db.run(`UPDATE crawl_cities SET ${setParts.join(', ')} WHERE id = ?`, params);
+    }
+
+    return this.getCity(id);
+  }
+
+  async deleteCity(id) {
+    const result = await this.db.run('DELETE FROM crawl_cities WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      throw new Error('City not found');
+    }
+    return { success: true };
+  }
+
+  async getCity(id) {
+    const row = await this.db.get('SELECT * FROM crawl_cities WHERE id = ?', [id]);
+    return row ? this.formatCity(row) : null;
+  }
+
+  // All cities (or only enabled ones) in list order
+  async getCities({ enabledOnly = false } = {}) {
+    const rows = await this.db.all(
+      `SELECT * FROM crawl_cities ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY id ASC`
+    );
+    return rows.map(row => this.formatCity(row));
+  }
+
+  // Enabled cities in the shape URLRotationManager takes
+  async getRotationCities() {
+    const cities = await this.getCities({ enabledOnly: true });
+    return cities.map(city => ({
+      url: city.url,
+      region: city.region,
+      newAds: city.newAds,
+      crawlSeconds: city.crawlSeconds,
+      lastCrawledAt: city.lastCrawledAt
+    }));
+  }
+
+  // One worker visit to a city ended (rotation, restart or stop)
+  async recordVisit(url, { newAds = 0, seconds = 0 } = {}) {
+    await this.db.run(
+      `UPDATE crawl_cities
+       SET visit_count = visit_count + 1, new_ads = new_ads + ?, crawl_seconds = crawl_seconds + ?,
+           last_crawled_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE url = ?`,
+      [Math.max(0, parseInt(newAds) || 0), Math.max(0, Math.round(seconds) || 0), new Date().toISOString(), url]
+    );
+  }
+
+  formatCity(row) {
+    const hours = row.crawl_seconds / 3600;
+    return {
+      id: row.id,
+      url: row.url,
+      slug: row.slug,
+      name: row.name,
+      state: row.state,
+      region: row.region,
+      enabled: !!row.enabled,
+      visitCount: row.visit_count,
+      crawlSeconds: row.crawl_seconds,
+      newAds: row.new_ads,
+      adsPerHour: hours > 0 ? Math.round((row.new_ads / hours) * 10) / 10 : null,
+      lastCrawledAt: row.last_crawled_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = CityRotationService;
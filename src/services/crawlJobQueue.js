@@ -0,0 +1,328 @@
+// Crawl job queue
+// Crawl tasks (URL, device mode, time budget, priority) live in crawl_jobs. MultiThreadExtractor's
+// queue mode leases the next job for each free worker slot and heartbeats the lease while the
+// worker runs. A failed job goes back to the queue with a backoff until it runs out of attempts
+// and is dead-lettered; a lease that stops being renewed (crashed worker or server) expires and
+// the job is retried, so a crash never loses a task.
+
+const crypto = require('crypto');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+
+const JOB_STATUSES = ['queued', 'leased', 'completed', 'dead', 'cancelled'];
+const VALID_DEVICE_MODES = ['desktop', 'mobile', 'tablet', 'mixed'];
+
+class CrawlJobQueue {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.leaseSeconds = options.leaseSeconds || 90; // A lease not renewed for this long expires
+    this.retryDelaySeconds = options.retryDelaySeconds !== undefined ? options.retryDelaySeconds : 30; // Doubles per attempt
+    this.defaultMaxAttempts = options.maxAttempts || 3;
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+    // Jobs leased by a process that is gone are retried right away
+    await this.requeueExpired();
+  }
+
+  leaseExpiry(from = Date.now()) {
+    return new Date(from + this.leaseSeconds * 1000).toISOString();
+  }
+
+  // Jobs
+
+  validateJob(data) {
+    const errors = [];
+
+    let url = null;
+    try {
+      url = new URL(String(data.url || '').trim());
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !/^https?:$/.test(url.protocol) || !/(^|\.)newsbreak\.com$/.test(url.hostname)) {
+      errors.push('url must be a NewsBreak URL');
+    }
+
+    if (data.deviceMode !== undefined && !VALID_DEVICE_MODES.includes(data.deviceMode)) {
+      errors.push(`deviceMode must be one of: ${VALID_DEVICE_MODES.join(', ')}`);
+    }
+
+    const budget = parseInt(data.timeBudgetMinutes);
+    if (isNaN(budget) || budget < 1 || budget > 1440) {
+      errors.push('timeBudgetMinutes must be between 1 and 1440');
+    }
+
+    if (data.priority !== undefined && !Number.isInteger(Number(data.priority))) {
+      errors.push('priority must be an integer (higher runs first)');
+    }
+
+    if (data.maxAttempts !== undefined) {
+      const attempts = parseInt(data.maxAttempts);
+      if (isNaN(attempts) || attempts < 1 || attempts > 10) {
+        errors.push('maxAttempts must be between 1 and 10');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw validationError(errors.join('; '));
+    }
+
+    return url.href;
+  }
+
+  async enqueue(data) {
+    const url = this.validateJob(data);
+
+    const result = await this.db.run(
+      `INSERT INTO crawl_jobs (url, device_mode, time_budget_minutes, priority, max_attempts, available_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        url,
+        data.deviceMode || 'desktop',
+        parseInt(data.timeBudgetMinutes),
+        parseInt(data.priority) || 0,
+        data.maxAttempts !== undefined ? parseInt(data.maxAttempts) : this.defaultMaxAttempts,
+        new Date().toISOString()
+      ]
+    );
+
+    logger.info(`📥 Queued crawl job #${result.id}: ${url} (${data.timeBudgetMinutes} min, priority ${parseInt(data.priority) || 0})`);
+    return this.getJob(result.id);
+  }
+
+  // All jobs are validated before any is queued
+  async enqueueMany(jobs) {
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      throw validationError('jobs must be a non-empty array');
+    }
+    jobs.forEach((job, index) => {
+      try {
+        this.validateJob(job);
+      } catch (error) {
+        throw validationError(`jobs[${index}]: ${error.message}`);
+      }
+    });
+
+    const created = [];
+    for (const job of jobs) {
+      created.push(await this.enqueue(job));
+    }
+    return created;
+  }
+
+  // Next job by priority then age, or null. The UPDATE only matches a row that is still queued, so
+  // two slots (or processes) racing for the same job cannot both get it.
+  async lease(owner) {
+    const now = new Date().toISOString();
+    const token = crypto.randomUUID();
+
+    for (let tries = 0; tries < 3; tries++) {
+      const next = await this.db.get(
+        `SELECT id FROM crawl_jobs WHERE status = 'queued' AND available_at <= ?
+         ORDER BY priority DESC, id ASC LIMIT 1`,
+        [now]
+      );
+      if (!next) return null;
+
+      const result = await this.db.run(
+        `UPDATE crawl_jobs
+         SET status = 'leased', lease_owner = ?, lease_token = ?, lease_expires_at = ?, heartbeat_at = ?,
+             attempts = attempts + 1, started_at = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'queued'`,
+        [owner, token, this.leaseExpiry(), now, now, next.id]
+      );
+      if (result.changes === 1) {
+        return this.getJob(next.id, { includeToken: true });
+      }
+    }
+    return null;
+  }
+
+  // Extend a lease; false when it expired and was given up (the job may already run elsewhere)
+  async heartbeat(id, token) {
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `UPDATE crawl_jobs SET lease_expires_at = ?, heartbeat_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND lease_token = ? AND status = 'leased'`,
+      [this.leaseExpiry(), now, id, token]
+    );
+    return result.changes === 1;
+  }
+
+  async complete(id, token, { newAds = 0 } = {}) {
+    const result = await this.db.run(
+      `UPDATE crawl_jobs
+       SET status = 'completed', new_ads = ?, finished_at = ?, lease_token = NULL, lease_expires_at = NULL,
+           last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND lease_token = ? AND status = 'leased'`,
+      [newAds, new Date().toISOString(), id, token]
+    );
+    return result.changes === 1;
+  }
+
+  // Retry with backoff, or dead-letter once max_attempts is used up
+  async fail(id, token, errorMessage) {
+    const job = await this.db.get(
+      "SELECT * FROM crawl_jobs WHERE id = ? AND lease_token = ? AND status = 'leased'",
+      [id, token]
+    );
+    if (!job) return null;
+    return this.retryOrBury(job, errorMessage);
+  }
+
+  // job is the leased row as read by the caller; returns null when the lease changed hands since
+  // (completed, renewed elsewhere, or already requeued by another process)
+  async retryOrBury(job, errorMessage) {
+    if (job.attempts >= job.max_attempts) {
+      const result = await this.db.run(
+        `UPDATE crawl_jobs
+         SET status = 'dead', last_error = ?, finished_at = ?, lease_token = NULL, lease_expires_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'leased' AND lease_token = ?`,
+        [errorMessage, new Date().toISOString(), job.id, job.lease_token]
+      );
+      if (result.changes === 0) return null;
+      logger.warn(`☠️ Crawl job #${job.id} dead-lettered after ${job.attempts} attempts: ${errorMessage}`);
+      return 'dead';
+    }
+
+    const delayMs = this.retryDelaySeconds * 1000 * 2 ** (job.attempts - 1);
+    const result = await this.db.run(
+      `UPDATE crawl_jobs
+       SET status = 'queued', last_error = ?, available_at = ?, lease_owner = NULL, lease_token = NULL,
+           lease_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'leased' AND lease_token = ?`,
+      [errorMessage, new Date(Date.now() + delayMs).toISOString(), job.id, job.lease_token]
+    );
+    if (result.changes === 0) return null;
+    logger.warn(`🔁 Crawl job #${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delayMs / 1000)}s: ${errorMessage}`);
+    return 'queued';
+  }
+
+  // Give a job back without counting the attempt (the pool is stopping or shrinking)
+  async release(id, token) {
+    const result = await this.db.run(
+      `UPDATE crawl_jobs
+       SET status = 'queued', attempts = MAX(attempts - 1, 0), lease_owner = NULL, lease_token = NULL,
+           lease_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND lease_token = ? AND status = 'leased'`,
+      [id, token]
+    );
+    return result.changes === 1;
+  }
+
+  // Leases nobody renewed in time count as a failed attempt
+  async requeueExpired() {
+    const expired = await this.db.all(
+      "SELECT * FROM crawl_jobs WHERE status = 'leased' AND lease_expires_at < ?",
+      [new Date().toISOString()]
+    );
+    let requeued = 0;
+    for (const job of expired) {
+      if (await this.retryOrBury(job, `Lease expired (held by ${job.lease_owner || 'unknown'})`)) {
+        requeued++;
+      }
+    }
+    return requeued;
+  }
+
+  // Put a dead or cancelled job back in the queue with fresh attempts
+  async retryJob(id) {
+    const job = await this.db.get('SELECT * FROM crawl_jobs WHERE id = ?', [id]);
+    if (!job) {
+      throw new Error('Crawl job not found');
+    }
+    if (!['dead', 'cancelled'].includes(job.status)) {
+      throw validationError(`Only dead or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    await this.db.run(
+      `UPDATE crawl_jobs
+       SET status = 'queued', attempts = 0, available_at = ?, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+    return this.getJob(id);
+  }
+
+  // Queued jobs are cancelled; running ones finish their lease first
+  async cancelJob(id) {
+    const job = await this.db.get('SELECT * FROM crawl_jobs WHERE id = ?', [id]);
+    if (!job) {
+      throw new Error('Crawl job not found');
+    }
+    if (job.status !== 'queued') {
+      throw validationError(`Only queued jobs can be cancelled (job is ${job.status})`);
+    }
+
+    await this.db.run(
+      "UPDATE crawl_jobs SET status = 'cancelled', finished_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [new Date().toISOString(), id]
+    );
+    return this.getJob(id);
+  }
+
+  async getJob(id, { includeToken = false } = {}) {
+    const row = await this.db.get('SELECT * FROM crawl_jobs WHERE id = ?', [id]);
+    return row ? this.formatJob(row, includeToken) : null;
+  }
+
+  async listJobs({ status = null, limit = 100 } = {}) {
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw validationError(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const rows = await this.db.all(
+      `SELECT * FROM crawl_jobs ${status ? 'WHERE status = ?' : ''}
+       ORDER BY CASE status WHEN 'leased' THEN 0 WHEN 'queued' THEN 1 ELSE 2 END, priority DESC, id DESC
+       LIMIT ?`,
+      status ? [status, limit] : [limit]
+    );
+    return rows.map(row => this.formatJob(row));
+  }
+
+  // Job counts per status (every status is present)
+  async getCounts() {
+    const rows = await this.db.all('SELECT status, COUNT(*) AS count FROM crawl_jobs GROUP BY status');
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  formatJob(row, includeToken = false) {
+    const job = {
+      id: row.id,
+      url: row.url,
+      deviceMode: row.device_mode,
+      timeBudgetMinutes: row.time_budget_minutes,
+      priority: row.priority,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      availableAt: row.available_at,
+      leaseOwner: row.lease_owner,
+      leaseExpiresAt: row.lease_expires_at,
+      heartbeatAt: row.heartbeat_at,
+      lastError: row.last_error,
+      newAds: row.new_ads,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      createdAt: row.created_at
+    };
+    if (includeToken) job.leaseToken = row.lease_token;
+    return job;
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+CrawlJobQueue.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = CrawlJobQueue;
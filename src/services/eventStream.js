@@ -0,0 +1,137 @@
+// Real-time update stream (GET /api/events)
+// Every published event gets the next id and is kept in a ring buffer, so a client that reconnects
+// with Last-Event-ID (or ?lastEventId=) receives what it missed. Clients can subscribe to topics:
+//   ads                new ads from any run
+//   logs               worker log lines (admins only)
+//   status             everything else (status changes, sessions, schedules, scaling)
+//   extraction:<id>    every event of one single-thread extraction
+//   run:<id>           every event of one multi-thread run
+// No topics means everything the user's role may see. Viewers never receive admin-only events.
+
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+
+const ADMIN_ONLY_TYPES = ['log', 'scaling', 'schedule_run'];
+const TOPIC_PATTERN = /^(ads|logs|status|extraction:[\w.-]+|run:[\w.-]+)$/;
+
+// Topics an event belongs to
+function getEventTopics(data) {
+  const topics = [data.type === 'new_ads' ? 'ads' : data.type === 'log' ? 'logs' : 'status'];
+  if (data.extractionId) topics.push(`extraction:${data.extractionId}`);
+  if (data.runId) topics.push(`run:${data.runId}`);
+  return topics;
+}
+
+// "ads,run:multi_1" -> ['ads', 'run:multi_1']; throws a validation error for unknown topics
+function parseTopics(value) {
+  if (!value) return [];
+  const topics = String(value).split(',').map(topic => topic.trim()).filter(Boolean);
+  const invalid = topics.filter(topic => !TOPIC_PATTERN.test(topic));
+  if (invalid.length > 0) {
+    throw validationError(`Unknown topics: ${invalid.join(', ')} (use ads, logs, status, extraction:<id> or run:<id>)`);
+  }
+  return [...new Set(topics)];
+}
+
+class EventStream {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 1000;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.buffer = []; // Last bufferSize events: { id, data, topics, adminOnly }
+    this.lastId = 0;
+    this.clients = new Set();
+  }
+
+  canReceive(client, event) {
+    if (event.adminOnly && !client.isAdmin) return false;
+    return client.topics.length === 0 || event.topics.some(topic => client.topics.includes(topic));
+  }
+
+  send(client, event) {
+    client.res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  publish(data) {
+    const event = {
+      id: ++this.lastId,
+      data,
+      topics: getEventTopics(data),
+      adminOnly: ADMIN_ONLY_TYPES.includes(data.type)
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (!this.canReceive(client, event)) continue;
+      try {
+        this.send(client, event);
+      } catch (error) {
+        logger.warn(`Failed to send SSE message, removing dead connection: ${error.message}`);
+        this.removeClient(client);
+      }
+    }
+    return event.id;
+  }
+
+  // Open a stream for an authenticated request: { user, topics, lastEventId }
+  connect(req, res, { user, topics = [], lastEventId = null }) {
+    const isAdmin = user && user.role === 'admin';
+    if (!isAdmin && topics.includes('logs')) {
+      const error = new Error('Admin access required for the logs topic');
+      error.forbidden = true;
+      throw error;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+
+    const client = { res, topics, isAdmin, username: user ? user.username : null, heartbeat: null };
+    res.write(`retry: 5000\ndata: ${JSON.stringify({ type: 'connected', message: 'Real-time updates connected', topics, lastEventId: this.lastId })}\n\n`);
+
+    // Replay what the client missed. It has to reload when the buffer no longer reaches back that
+    // far, or when the ids restarted (server restart).
+    const since = parseInt(lastEventId);
+    if (!isNaN(since)) {
+      const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+      if (since > this.lastId || since < oldest - 1) {
+        res.write(`data: ${JSON.stringify({ type: 'resync', message: 'Missed events are no longer available - reload to catch up' })}\n\n`);
+      }
+      this.buffer
+        .filter(event => event.id > since && this.canReceive(client, event))
+        .forEach(event => this.send(client, event));
+    }
+
+    this.clients.add(client);
+    client.heartbeat = setInterval(() => {
+      try {
+        res.write(': heartbeat\n\n');
+      } catch (error) {
+        this.removeClient(client);
+      }
+    }, this.heartbeatMs);
+
+    req.on('close', () => this.removeClient(client));
+    return client;
+  }
+
+  removeClient(client) {
+    clearInterval(client.heartbeat);
+    this.clients.delete(client);
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+EventStream.ADMIN_ONLY_TYPES = ADMIN_ONLY_TYPES;
+EventStream.getEventTopics = getEventTopics;
+EventStream.parseTopics = parseTopics;
+
+module.exports = EventStream;
@@ -0,0 +1,239 @@
+// Persistent extraction logs
+// Log lines from extraction workers are tagged with the run they belong to (single-thread
+// extraction ID or multi-thread run ID), the worker and its ads session, buffered and written to
+// extraction_logs in batches. Rows older than the retention period, or beyond the row cap, are
+// pruned every hour. GET /api/logs filters them by run, level, worker and time range.
+
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Most severe first: filtering by a level returns it and everything more severe
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+function parseTime(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw validationError(`${name} must be a date or ISO timestamp`);
+  }
+  return date.toISOString();
+}
+
+class ExtractionLogService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.retentionDays = options.retentionDays || 7;
+    this.maxRows = options.maxRows || 500000;
+    this.flushIntervalMs = options.flushIntervalMs || 2000;
+    this.maxBuffer = options.maxBuffer || 5000; // Oldest buffered lines are dropped beyond this
+    this.batchSize = 200;
+
+    this.buffer = [];
+    this.dropped = 0;
+    this.flushInterval = null;
+    this.pruneInterval = null;
+    this.isFlushing = false;
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+    await this.prune();
+  }
+
+  start() {
+    if (this.flushInterval) return;
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => logger.error(`Failed to write extraction logs: ${error.message}`));
+    }, this.flushIntervalMs);
+    this.pruneInterval = setInterval(() => {
+      this.prune().catch(error => logger.error(`Failed to prune extraction logs: ${error.message}`));
+    }, 60 * 60 * 1000);
+
+    logger.info(`📜 Extraction logs kept for ${this.retentionDays} days (max ${this.maxRows} lines)`);
+  }
+
+  async stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      clearInterval(this.pruneInterval);
+      this.flushInterval = null;
+      this.pruneInterval = null;
+    }
+    await this.flush();
+  }
+
+  // Queue a line: { extractionId, workerId, sessionId, level, message, timestamp }
+  record(entry) {
+    if (!entry || !entry.extractionId || !entry.message) return;
+
+    this.buffer.push({
+      extractionId: String(entry.extractionId),
+      workerId: entry.workerId !== undefined && entry.workerId !== null ? parseInt(entry.workerId) : null,
+      sessionId: entry.sessionId || null,
+      level: LOG_LEVELS.includes(entry.level) ? entry.level : 'info',
+      message: String(entry.message),
+      timestamp: entry.timestamp || new Date().toISOString()
+    });
+
+    if (this.buffer.length > this.maxBuffer) {
+      this.dropped += this.buffer.length - this.maxBuffer;
+      this.buffer = this.buffer.slice(-this.maxBuffer);
+    }
+  }
+
+  async flush() {
+    if (this.isFlushing || this.buffer.length === 0) return 0;
+    this.isFlushing = true;
+
+    const entries = this.buffer;
+    this.buffer = [];
+    try {
+      for (let i = 0; i < entries.length; i += this.batchSize) {
+        const batch = entries.slice(i, i + this.batchSize);
+        await this.db.run(
+          `INSERT INTO extraction_logs (extraction_id, worker_id, session_id, level, message, timestamp)
+           VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+          batch.flatMap(entry => [entry.extractionId, entry.workerId, entry.sessionId, entry.level, entry.message, entry.timestamp])
+        );
+      }
+      if (this.dropped > 0) {
+        logger.warn(`📜 ${this.dropped} extraction log lines dropped (write buffer full)`);
+        this.dropped = 0;
+      }
+      return entries.length;
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  async prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = await this.db.run('DELETE FROM extraction_logs WHERE timestamp < ?', [cutoff]);
+
+    const newest = await this.db.get('SELECT MAX(id) AS id FROM extraction_logs');
+    let overflow = { changes: 0 };
+    if (newest && newest.id > this.maxRows) {
+      overflow = await this.db.run('DELETE FROM extraction_logs WHERE id <= ?', [newest.id - this.maxRows]);
+    }
+
+    const removed = expired.changes + overflow.changes;
+    if (removed > 0) {
+      logger.info(`📜 Pruned ${removed} old extraction log lines`);
+    }
+    return removed;
+  }
+
+  // Newest first. level returns that level and more severe ones; search matches the message text.
+  // Returns { logs, nextCursor }; pass the cursor back for older lines.
+  async query({ extractionId, workerId, level, since, until, search, cursor, limit = 200 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (extractionId) {
+      conditions.push('extraction_id = ?');
+      params.push(String(extractionId));
+    }
+    if (workerId !== undefined && workerId !== null && workerId !== '') {
+      const id = parseInt(workerId);
+      if (isNaN(id)) {
+        throw validationError('workerId must be a number');
+      }
+      conditions.push('worker_id = ?');
+      params.push(id);
+    }
+    if (level) {
+      if (!LOG_LEVELS.includes(level)) {
+        throw validationError(`level must be one of: ${LOG_LEVELS.join(', ')}`);
+      }
+      const levels = LOG_LEVELS.slice(0, LOG_LEVELS.indexOf(level) + 1);
+      conditions.push(`level IN (${levels.map(() => '?').join(', ')})`);
+      params.push(...levels);
+    }
+    if (since) {
+      conditions.push('timestamp >= ?');
+      params.push(parseTime(since, 'since'));
+    }
+    if (until) {
+      conditions.push('timestamp <= ?');
+      params.push(parseTime(until, 'until'));
+    }
+    if (search) {
+      conditions.push('message LIKE ?');
+      params.push(`%${search}%`);
+    }
+    if (cursor) {
+      let after;
+      try {
+        after = decodeCursor(cursor);
+      } catch (error) {
+        throw validationError(error.message);
+      }
+      conditions.push('id < ?');
+      params.push(after.id);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+    const rows = await this.db.all(
+      `SELECT * FROM extraction_logs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, pageSize + 1]
+    );
+
+    const logs = rows.slice(0, pageSize).map(row => this.formatLog(row));
+    return {
+      logs,
+      nextCursor: rows.length > pageSize ? encodeCursor(logs[logs.length - 1]) : null
+    };
+  }
+
+  // Runs with stored logs, most recent first
+  async listRuns({ limit = 50 } = {}) {
+    const rows = await this.db.all(
+      `SELECT extraction_id, COUNT(*) AS lines, MIN(timestamp) AS first_at, MAX(timestamp) AS last_at,
+              COUNT(DISTINCT worker_id) AS workers,
+              SUM(CASE WHEN level = 'error' THEN 1 ELSE 0 END) AS errors,
+              SUM(CASE WHEN level = 'warn' THEN 1 ELSE 0 END) AS warnings
+       FROM extraction_logs
+       GROUP BY extraction_id
+       ORDER BY MAX(id) DESC
+       LIMIT ?`,
+      [limit]
+    );
+    return rows.map(row => ({
+      extractionId: row.extraction_id,
+      lines: row.lines,
+      workers: row.workers,
+      errors: row.errors,
+      warnings: row.warnings,
+      firstAt: row.first_at,
+      lastAt: row.last_at
+    }));
+  }
+
+  formatLog(row) {
+    return {
+      id: row.id,
+      extractionId: row.extraction_id,
+      workerId: row.worker_id,
+      sessionId: row.session_id,
+      level: row.level,
+      message: row.message,
+      timestamp: row.timestamp
+    };
+  }
+
+  async close() {
+    await this.stop();
+    await this.db.close();
+  }
+}
+
+ExtractionLogService.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = ExtractionLogService;
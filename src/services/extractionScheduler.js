@@ -0,0 +1,363 @@
+// Persistent scheduler for recurring extractions
+// Stores cron-style job definitions in SQLite and fires them through
+// BackgroundExtractionService (single URL) or MultiThreadExtractor (several workers/URLs)
+
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { parseCron, getNextRun, getNextRuns } = require('../utils/cronParser');
+
+const VALID_DEVICE_MODES = ['desktop', 'mobile', 'tablet', 'mixed'];
+
+class ExtractionScheduler {
+  constructor(options = {}) {
+    this.db = new DatabaseConnection();
+    this.backgroundExtractor = options.backgroundExtractor || null;
+    this.startMultiThread = options.startMultiThread || null; // async (config) => MultiThreadExtractor
+    this.checkIntervalMs = options.checkIntervalMs || 30000; // Check for due schedules every 30 seconds
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.onRun = null; // Callback after a schedule fires (used for SSE + active extraction tracking)
+  }
+
+  async initialize() {
+    await this.db.initialize();
+
+    // Schedules that were due while the server was down are not replayed -
+    // move them to their next future slot instead of firing a burst on startup
+    const schedules = await this.db.all('SELECT * FROM extraction_schedules WHERE enabled = 1');
+    const now = new Date();
+
+    for (const schedule of schedules) {
+      if (!schedule.next_run_at || new Date(schedule.next_run_at) < now) {
+        const nextRun = this.computeNextRun(schedule.cron_expression, now);
+        await this.db.run(
+          'UPDATE extraction_schedules SET next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [nextRun, schedule.id]
+        );
+        if (schedule.next_run_at) {
+          logger.info(`⏰ Schedule "${schedule.name}" missed a run while offline - next run ${nextRun}`);
+        }
+      }
+    }
+
+    logger.info(`⏰ Extraction scheduler initialized with ${schedules.length} enabled schedules`);
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.checkDueSchedules().catch(error => {
+        logger.error(`Schedule check failed: ${error.message}`);
+      });
+    }, this.checkIntervalMs);
+
+    logger.info(`⏰ Extraction scheduler started (checking every ${this.checkIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  computeNextRun(cronExpression, from = new Date()) {
+    const next = getNextRun(cronExpression, from);
+    return next ? next.toISOString() : null;
+  }
+
+  async checkDueSchedules() {
+    // Avoid overlapping checks if a launch takes longer than the interval
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const due = await this.db.all(
+        'SELECT * FROM extraction_schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at ASC',
+        [new Date().toISOString()]
+      );
+
+      for (const schedule of due) {
+        await this.runSchedule(schedule);
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async runSchedule(schedule, { manual = false } = {}) {
+    const urls = JSON.parse(schedule.urls || '[]');
+    const startedAt = new Date();
+    let status = 'started';
+    let error = null;
+    let result = null;
+
+    logger.info(`⏰ Running ${manual ? 'manual' : 'scheduled'} extraction "${schedule.name}" (${urls.length} URLs, ${schedule.max_workers} workers)`);
+
+    try {
+      result = await this.launch(schedule, urls);
+      if (result.skipped) {
+        status = 'skipped';
+        error = result.reason;
+        logger.warn(`⏰ Schedule "${schedule.name}" skipped: ${result.reason}`);
+      }
+    } catch (launchError) {
+      status = 'failed';
+      error = launchError.message;
+      logger.error(`⏰ Schedule "${schedule.name}" failed to start: ${launchError.message}`);
+    }
+
+    // Manual runs don't shift the regular cadence
+    const nextRun = manual ? schedule.next_run_at : this.computeNextRun(schedule.cron_expression, startedAt);
+
+    await this.db.run(
+      `UPDATE extraction_schedules
+       SET last_run_at = ?, last_status = ?, last_error = ?, next_run_at = ?,
+           run_count = run_count + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [startedAt.toISOString(), status, error, nextRun, status === 'started' ? 1 : 0, schedule.id]
+    );
+
+    if (this.onRun && typeof this.onRun === 'function') {
+      this.onRun({ schedule, status, error, result, manual });
+    }
+
+    return { status, error, result, nextRun };
+  }
+
+  async launch(schedule, urls) {
+    const duration = schedule.duration || null;
+    const maxWorkers = schedule.max_workers || 1;
+
+    // Several workers or several cities -> multi-thread extractor
+    if (maxWorkers > 1 || urls.length > 1) {
+      if (!this.startMultiThread) {
+        throw new Error('Multi-thread extraction is not available');
+      }
+
+      const extractor = await this.startMultiThread({
+        maxWorkers,
+        deviceMode: schedule.device_mode,
+        urls,
+        durationMinutes: duration
+      });
+
+      if (!extractor) {
+        return { skipped: true, reason: 'Multi-thread extraction already running' };
+      }
+
+      return { mode: 'multi-thread', sessionId: extractor.getStatus().sessionId };
+    }
+
+    if (!this.backgroundExtractor) {
+      throw new Error('Background extraction service is not available');
+    }
+
+    // Unlimited runs never end on their own; don't stack another browser on the previous run
+    const previous = await this.findRunningExtraction(schedule.id);
+    if (previous) {
+      return { skipped: true, reason: `Previous run ${previous.id} is still running` };
+    }
+
+    const extractionId = `scheduled_${schedule.id}_${Date.now()}`;
+    const started = await this.backgroundExtractor.startExtraction({
+      url: urls[0],
+      duration,
+      deviceMode: schedule.device_mode,
+      extractionMode: duration ? 'timed' : 'unlimited',
+      sessionId: extractionId
+    });
+
+    return { mode: 'single-thread', extractionId: started.extractionId, config: started.config };
+  }
+
+  // Single-thread runs of a schedule are the extractions whose ID carries its schedule ID (see launch)
+  async findRunningExtraction(scheduleId) {
+    const prefix = `scheduled_${scheduleId}_`;
+    const extractions = await this.backgroundExtractor.getExtractionStatus();
+    return (extractions || []).find(extraction =>
+      extraction.id.startsWith(prefix) && ['starting', 'running'].includes(extraction.status)
+    ) || null;
+  }
+
+  validateSchedule(data, partial = false) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) {
+        errors.push('name is required');
+      }
+    }
+
+    if (!partial || data.cronExpression !== undefined) {
+      try {
+        parseCron(data.cronExpression);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (!partial || data.urls !== undefined) {
+      if (!Array.isArray(data.urls) || data.urls.length === 0) {
+        errors.push('urls must be a non-empty array');
+      } else if (data.urls.some(url => typeof url !== 'string' || !url.includes('newsbreak.com'))) {
+        errors.push('All urls must be NewsBreak URLs');
+      }
+    }
+
+    if (data.deviceMode !== undefined && !VALID_DEVICE_MODES.includes(data.deviceMode)) {
+      errors.push(`deviceMode must be one of: ${VALID_DEVICE_MODES.join(', ')}`);
+    }
+
+    if (data.duration !== undefined && data.duration !== null) {
+      const duration = parseInt(data.duration);
+      if (isNaN(duration) || duration < 1 || duration > 10080) {
+        errors.push('duration must be between 1 and 10080 minutes (or null for unlimited)');
+      }
+    }
+
+    if (data.maxWorkers !== undefined) {
+      const workers = parseInt(data.maxWorkers);
+      if (isNaN(workers) || workers < 1 || workers > 10) {
+        errors.push('maxWorkers must be between 1 and 10');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  async createSchedule(data) {
+    this.validateSchedule(data);
+
+    const enabled = data.enabled === false ? 0 : 1;
+    const nextRun = enabled ? this.computeNextRun(data.cronExpression) : null;
+
+    const result = await this.db.run(
+      `INSERT INTO extraction_schedules
+         (name, cron_expression, urls, device_mode, duration, max_workers, enabled, next_run_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(data.name).trim(),
+        data.cronExpression.trim(),
+        JSON.stringify(data.urls),
+        data.deviceMode || 'desktop',
+        data.duration ? parseInt(data.duration) : null,
+        parseInt(data.maxWorkers) || 1,
+        enabled,
+        nextRun
+      ]
+    );
+
+    logger.info(`⏰ Created schedule "${data.name}" (${data.cronExpression}) - next run ${nextRun}`);
+    return this.getSchedule(result.id);
+  }
+
+  async updateSchedule(id, data) {
+    const existing = await this.db.get('SELECT * FROM extraction_schedules WHERE id = ?', [id]);
+    if (!existing) {
+      throw new Error('Schedule not found');
+    }
+
+    this.validateSchedule(data, true);
+
+    const columns = {
+      name: data.name !== undefined ? String(data.name).trim() : undefined,
+      cron_expression: data.cronExpression !== undefined ? data.cronExpression.trim() : undefined,
+      urls: data.urls !== undefined ? JSON.stringify(data.urls) : undefined,
+      device_mode: data.deviceMode,
+      duration: data.duration !== undefined ? (data.duration ? parseInt(data.duration) : null) : undefined,
+      max_workers: data.maxWorkers !== undefined ? parseInt(data.maxWorkers) : undefined,
+      enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : undefined
+    };
+
+    // Recalculate next run whenever the cadence or enabled flag changes
+    const cron = columns.cron_expression || existing.cron_expression;
+    const enabled = columns.enabled !== undefined ? columns.enabled : existing.enabled;
+    if (columns.cron_expression !== undefined || columns.enabled !== undefined) {
+      columns.next_run_at = enabled ? this.computeNextRun(cron) : null;
+    }
+
+    const setParts = [];
+    const params = [];
+    Object.entries(columns).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setParts.push(`${column} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (setParts.length > 0) {
+      setParts.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+      await this.db.run(`UPDATE extraction_schedules SET ${setParts.join(', ')} WHERE id = ?`, params);
+    }
+
+    return this.getSchedule(id);
+  }
+
+  async deleteSchedule(id) {
+    const result = await this.db.run('DELETE FROM extraction_schedules WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      throw new Error('Schedule not found');
+    }
+    return { success: true };
+  }
+
+  async getSchedule(id) {
+    const row = await this.db.get('SELECT * FROM extraction_schedules WHERE id = ?', [id]);
+    return row ? this.formatSchedule(row) : null;
+  }
+
+  async getSchedules() {
+    const rows = await this.db.all('SELECT * FROM extraction_schedules ORDER BY next_run_at IS NULL, next_run_at ASC, id ASC');
+    return rows.map(row => this.formatSchedule(row));
+  }
+
+  async triggerSchedule(id) {
+    const row = await this.db.get('SELECT * FROM extraction_schedules WHERE id = ?', [id]);
+    if (!row) {
+      throw new Error('Schedule not found');
+    }
+    return this.runSchedule(row, { manual: true });
+  }
+
+  formatSchedule(row) {
+    let upcomingRuns = [];
+    if (row.enabled) {
+      try {
+        upcomingRuns = getNextRuns(row.cron_expression, 3).map(date => date.toISOString());
+      } catch (error) {
+        // Invalid expressions are rejected on write; ignore anything legacy
+      }
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      urls: JSON.parse(row.urls || '[]'),
+      deviceMode: row.device_mode,
+      duration: row.duration,
+      maxWorkers: row.max_workers,
+      enabled: !!row.enabled,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      runCount: row.run_count,
+      upcomingRuns,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+}
+
+module.exports = ExtractionScheduler;
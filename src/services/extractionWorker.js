@@ -3,6 +3,12 @@ const puppeteer = require('puppeteer');
 const fs = require('fs-extra');
 const path = require('path');
 const { URLRotationManager } = require('../config/urlRotation');
+const { AdaptiveRotationPolicy } = require('../utils/rotationPolicy');
+const FixtureServer = require('../utils/fixtureServer');
+const extractorRegistry = require('../extractors/registry');
+const { normalizeAd, getAdSignature } = require('../extractors/adSchema');
+const { getCityFromUrl } = require('../utils/pageUrl');
+const { metrics } = require('../utils/metrics');
 
 // Worker logger that sends messages to parent
 const logger = {
@@ -38,16 +44,60 @@ class WorkerAdExtractor {
     this.totalAdsExtracted = 0; // Track total ads extracted (for stats)
     this.maxRecentAds = 10; // Only keep last 10 ads for UI display
 
-    // URL rotation for unlimited mode
-    this.urlRotation = new URLRotationManager(workerData.url);
+    // URL rotation for unlimited mode (multi-thread runs pass the database city list and strategy)
+    this.urlRotation = new URLRotationManager(workerData.url, {
+      cities: workerData.rotationCities,
+      strategy: workerData.rotationStrategy
+    });
     this.currentUrl = workerData.url;
     this.consecutiveNoNewAds = 0;
     this.lastUrlRotation = Date.now();
     this.adsBeforeRotation = 0;
 
+    // Adaptive scroll/refresh/rotate decisions for unlimited mode (see utils/rotationPolicy.js)
+    this.policy = null;
+    this.policyStore = null; // RotationPolicyService: learned statistics shared across runs
+    this.lastPassAt = null;
+    this.lastPolicySave = Date.now();
+    this.policySaveInterval = 5 * 60 * 1000; // Persist policy statistics every 5 minutes
+
     // Browser health monitoring (every 2 hours)
     this.lastBrowserHealthCheck = Date.now();
     this.browserHealthCheckInterval = 2 * 60 * 60 * 1000; // 2 hours
+
+    // Extractor plugins run on every pass (see src/extractors/registry.js)
+    this.extractors = extractorRegistry.resolve(workerData.extractors);
+    this.selectorLearning = null; // Learned selector store for the smart/learned plugins
+
+    // Replay mode: load captured page snapshots from a local server instead of newsbreak.com
+    this.fixturesDir = workerData.fixturesDir || process.env.EXTRACTION_FIXTURES_DIR || null;
+    this.fixtureServer = null;
+
+    // Metrics recorded in this thread are posted to the main process (see utils/metrics.js)
+    this.metricsLabel = workerData.workerId ? String(workerData.workerId) : 'single';
+    this.metricsTimer = null;
+    this.metricsInterval = 15 * 1000;
+  }
+
+  reportMetrics() {
+    const pending = metrics.registry.takePending();
+    if (pending) {
+      parentPort.postMessage({ type: 'metrics', data: pending });
+    }
+  }
+
+  // URL to load for a NewsBreak page (the matching snapshot in replay mode)
+  resolvePageUrl(url) {
+    return this.fixtureServer ? this.fixtureServer.resolve(url) : url;
+  }
+
+  async startReplay() {
+    if (!this.fixtureServer) {
+      this.fixtureServer = new FixtureServer({ dir: this.fixturesDir });
+      await this.fixtureServer.start();
+      logger.info(`📼 Replay mode: serving snapshots from ${this.fixturesDir} at ${this.fixtureServer.baseUrl}`);
+    }
+    await this.fixtureServer.isolatePage(this.page);
   }
 
   async initialize() {
@@ -59,6 +109,29 @@ class WorkerAdExtractor {
         await this.resumeFromSession(workerData.resumeFrom);
       }
 
+      logger.info(`🧩 Extractors: ${this.extractors.join(', ')}`);
+
+      // smart proposes selector candidates, learned runs the approved ones
+      if (this.extractors.includes('smart') || this.extractors.includes('learned')) {
+        try {
+          const SelectorLearningService = require('./selectorLearning');
+          const selectorLearning = new SelectorLearningService();
+          await selectorLearning.initialize();
+          this.selectorLearning = selectorLearning;
+        } catch (learningError) {
+          logger.warn(`Learned selectors unavailable: ${learningError.message}`);
+        }
+      }
+
+      // Single-thread unlimited runs rotate through the database city list too
+      if (workerData.extractionMode === 'unlimited' && !workerData.rotationCities && !this.fixturesDir) {
+        await this.loadRotationCities();
+      }
+
+      if (workerData.extractionMode === 'unlimited') {
+        await this.loadRotationPolicy();
+      }
+
       // Initialize browser with reconnection support
       await this.initializeBrowser();
 
@@ -101,14 +174,8 @@ class WorkerAdExtractor {
           // Rebuild seen ads set for deduplication - use same normalization as extraction
           this.seenAds.clear();
           for (const ad of sessionAds) {
-            // Normalize to match the exact logic used in extraction
-            const headline = (ad.heading || ad.headline || '').trim().toLowerCase();
-            const body = (ad.description || ad.body || '').trim().toLowerCase().substring(0, 200);
-            const advertiser = (ad.ad_network || ad.advertiser || '').trim().toLowerCase();
-
-            // Same key format as used in extraction filter
-            const key = `${headline}_${body}_${advertiser}`;
-            this.seenAds.add(key);
+            // Same key as the database uses for deduplication
+            this.seenAds.add(getAdSignature(normalizeAd(ad)));
           }
 
           logger.info(`📊 Loaded ${sessionAds.length} ads from database for deduplication`);
@@ -140,439 +207,16 @@ class WorkerAdExtractor {
   async extractAds() {
     try {
       const extractionMode = workerData.extractionMode;
-      const ads = await this.page.evaluate((mode) => {
-        const foundAds = [];
-
-        console.log(`Starting NewsBreak ad extraction (${mode} mode)...`);
-
-        if (mode === 'unlimited') {
-          // UNLIMITED MODE: FOCUS ONLY ON ForYou CONTAINERS
-          console.log('🎯 UNLIMITED MODE: Focusing on ForYou containers only');
-
-          // Primary ForYou containers with enhanced selectors
-          const forYouSelectors = [
-            '[id^="ForYou"]',
-            '[id*="ForYou" i]',
-            '[id*="foryou" i]',
-            '[id*="for-you" i]',
-            '[class*="ForYou"]',
-            '[class*="for-you"]',
-            '[class*="foryou" i]',
-            '[class*="for_you" i]',
-            'div[class*="ForYou"]',
-            'div[class*="for-you"]',
-            'section[class*="ForYou"]',
-            'section[class*="for-you"]',
-            '[data-testid*="foryou" i]',
-            '[data-testid*="ForYou" i]',
-            '[data-testid*="for-you" i]'
-          ];
-
-          forYouSelectors.forEach(selector => {
-            try {
-              const containers = document.querySelectorAll(selector);
-              if (containers.length > 0) {
-                console.log(`Found ${containers.length} containers with "${selector}"`);
-              }
-
-              containers.forEach((container, index) => {
-                // Skip if already processed
-                if (foundAds.find(ad => ad.container === container)) return;
-
-                // Check for iframe (primary ad indicator)
-                const iframe = container.querySelector('iframe');
-                if (iframe) {
-                  console.log('✅ ForYou container with iframe:', container.id || container.className);
-                  foundAds.push({ container, iframe, type: 'ForYou-Iframe' });
-                  return;
-                }
-
-                // Also check for sponsored content in ForYou containers even without iframes
-                const hasAdIndicators = container.querySelector('[class*="sponsor" i], [class*="promoted" i], [class*="ad-" i]') ||
-                                      container.textContent.toLowerCase().includes('sponsored') ||
-                                      container.textContent.toLowerCase().includes('promoted');
-
-                if (hasAdIndicators) {
-                  console.log('✅ ForYou container with ad indicators:', container.id || container.className);
-                  foundAds.push({ container, iframe: null, type: 'ForYou-Sponsored' });
-                }
-              });
-            } catch (e) {
-              console.warn('Error with selector:', selector, e.message);
-            }
-          });
-
-          console.log(`🎯 UNLIMITED MODE: Found ${foundAds.length} ForYou ads`);
-
-          // ALWAYS RUN MULTI-PATTERN DETECTION IN UNLIMITED MODE
-          // Don't wait for zero ads - extract from all sources for maximum results
-
-          // Pattern 2: Ad network iframes (mspai, nova, google ads, taboola, outbrain)
-          const adIframeSelectors = [
-            'iframe[class*="mspai"]',
-            'iframe[class*="nova"]',
-            'iframe[id*="google_ads"]',
-            'iframe[name*="google_ads"]',
-            'iframe[src*="doubleclick"]',
-            'iframe[src*="googlesyndication"]',
-            'iframe[src*="adsystem"]',
-            'iframe[src*="adnxs"]',
-            'iframe[src*="taboola"]',
-            'iframe[src*="outbrain"]'
-          ];
-
-          adIframeSelectors.forEach(selector => {
-            try {
-              const iframes = document.querySelectorAll(selector);
-              iframes.forEach(iframe => {
-                if (!foundAds.find(ad => ad.iframe === iframe)) {
-                  const container = iframe.closest('div, section, article') || iframe.parentElement;
-                  foundAds.push({ container, iframe, type: 'AdNetwork' });
-                }
-              });
-            } catch (e) {}
-          });
-
-          // Pattern 3: ALL iframes as potential ads
-          document.querySelectorAll('iframe').forEach(iframe => {
-            if (foundAds.find(ad => ad.iframe === iframe)) return;
-            const src = iframe.src || '';
-            const className = iframe.className || '';
-            const id = iframe.id || '';
-            // Any iframe with ad indicators or any src could be an ad
-            if (src.includes('ad') || src.includes('sponsor') ||
-                className.includes('ad') || className.includes('sponsor') ||
-                id.includes('ad') || id.includes('sponsor') ||
-                src.length > 0) {
-              const container = iframe.closest('div, section, article') || iframe.parentElement;
-              foundAds.push({ container, iframe, type: 'Generic-Iframe' });
-            }
-          });
-
-          // Pattern 4: Expanded sponsored content selectors
-          const sponsoredSelectors = [
-            '[class*="sponsor" i]',
-            '[class*="promoted" i]',
-            '[class*="ad-" i]',
-            '[class*="advertisement" i]',
-            '[data-ad]',
-            '[data-sponsor]',
-            '[data-promoted]',
-            'div[class*="taboola"]',
-            'div[class*="outbrain"]',
-            'div[id*="taboola"]',
-            'div[id*="outbrain"]',
-            '[class*="native-ad" i]',
-            '[class*="paid-content" i]',
-            '[class*="partner-content" i]'
-          ];
-
-          sponsoredSelectors.forEach(selector => {
-            try {
-              const elements = document.querySelectorAll(selector);
-              elements.forEach(element => {
-                if (!foundAds.find(ad => ad.container === element)) {
-                  foundAds.push({ container: element, iframe: null, type: 'Sponsored-Content' });
-                }
-              });
-            } catch (e) {}
-          });
-
-          // Pattern 5: Native ads (articles/cards with sponsored text)
-          document.querySelectorAll('article, div[class*="card"], div[class*="post"], div[class*="item"], div[class*="story"]').forEach(article => {
-            if (foundAds.find(ad => ad.container === article)) return;
-            const text = article.textContent.toLowerCase();
-            if (text.includes('sponsored') || text.includes('promoted') ||
-                text.includes('advertisement') || text.includes('partner content') ||
-                text.includes('paid content')) {
-              foundAds.push({ container: article, iframe: null, type: 'NativeAd' });
-            }
-          });
-
-          console.log(`✅ Total ads found with multi-pattern detection: ${foundAds.length}`);
-
-          if (foundAds.length === 0) {
-            console.log('No ads found even with broader detection - page may be loading or have no ads');
-          } else {
-            console.log(`✅ Total ads found: ${foundAds.length} (ForYou + fallback detection)`);
-          }
-
-        } else {
-          // TIMED MODE: USE COMPREHENSIVE EXTRACTION
-          console.log('🔍 TIMED MODE: Using comprehensive ad detection');
-
-          // PATTERN 1: ForYou containers (highest priority) - Same selectors as unlimited mode
-          const forYouSelectors = [
-            '[id^="ForYou"]',
-            '[id*="ForYou" i]',
-            '[id*="foryou" i]',
-            '[id*="for-you" i]',
-            '[class*="ForYou"]',
-            '[class*="for-you"]',
-            '[class*="foryou" i]',
-            '[class*="for_you" i]',
-            'div[class*="ForYou"]',
-            'div[class*="for-you"]',
-            'section[class*="ForYou"]',
-            'section[class*="for-you"]',
-            '[data-testid*="foryou" i]',
-            '[data-testid*="ForYou" i]',
-            '[data-testid*="for-you" i]'
-          ];
-
-          forYouSelectors.forEach(selector => {
-            try {
-              const containers = document.querySelectorAll(selector);
-
-              containers.forEach((container, index) => {
-                // Skip if already processed
-                if (foundAds.find(ad => ad.container === container)) return;
-
-                // Check for iframe (primary ad indicator)
-                const iframe = container.querySelector('iframe');
-                if (iframe) {
-                  foundAds.push({ container, iframe, type: 'ForYou' });
-                  return;
-                }
-
-                // Check for ad-related content even without iframe
-                const hasAdContent = container.querySelector('[class*="sponsor"], [class*="promoted"], [class*="ad"], [class*="Sponsor"], [class*="Promoted"]') ||
-                                   container.textContent.toLowerCase().includes('sponsored') ||
-                                   container.textContent.toLowerCase().includes('promoted');
-
-                if (hasAdContent) {
-                  foundAds.push({ container, iframe: null, type: 'ForYou-NoIframe' });
-                }
-              });
-            } catch (e) {
-              console.warn('Error with selector:', selector, e.message);
-            }
-          });
-
-          // Add the same fallback logic as unlimited mode
-          // ENHANCED DETECTION: If no ForYou containers found, use broader detection
-          if (foundAds.length === 0) {
-            console.log('No ForYou containers found, trying broader detection...');
-
-            // FALLBACK 1: Look for any containers with iframes (broader than ForYou)
-            const allIframes = document.querySelectorAll('iframe');
-            allIframes.forEach((iframe, index) => {
-              const container = iframe.closest('div, section, article') || iframe.parentElement;
-              if (container && !foundAds.find(ad => ad.container === container)) {
-                foundAds.push({ container, iframe, type: 'General-Iframe' });
-              }
-            });
-
-            // FALLBACK 2: Look for sponsored/promoted content indicators
-            const sponsoredSelectors = [
-              '[class*="sponsored" i]',
-              '[class*="promoted" i]',
-              '[class*="advertisement" i]',
-              '[class*="ad-" i]',
-              '[data-ad]',
-              '[data-sponsored]',
-              'div[class*="ad_"]'
-            ];
-
-            sponsoredSelectors.forEach(selector => {
-              try {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach(element => {
-                  if (!foundAds.find(ad => ad.container === element)) {
-                    foundAds.push({ container: element, iframe: null, type: 'Sponsored-Content' });
-                  }
-                });
-              } catch (e) {
-                console.warn('Error with sponsored selector:', selector, e.message);
-              }
-            });
-
-            console.log(`Found ${foundAds.length} ads using broader detection`);
-          }
-
-          // ORIGINAL LOGIC: Only use ForYou containers, no other patterns
-        }
-
-
-        // Extract data from all found ads
-        const extractedAds = [];
-        foundAds.forEach(({ container, iframe, type }) => {
-          if (!container && !iframe) return;
-
-          const adData = {
-            id: `ad_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: new Date().toISOString(),
-            containerId: container ? container.id : 'no-container',
-            adType: type,
-            advertiser: '',
-            headline: '',
-            body: '',
-            image: '',
-            link: '',
-            iframeSize: iframe ? `${iframe.width}x${iframe.height}` : 'N/A',
-            iframeSrc: iframe ? (iframe.src || '') : ''
-          };
-
-          try {
-            // Try to extract from iframe if available
-            if (iframe) {
-              const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-              if (iframeDoc && iframeDoc.body) {
-                // Extract from iframe
-                const advertiserEl = iframeDoc.querySelector('.ad-advertiser');
-                const headlineEl = iframeDoc.querySelector('.ad-headline');
-                const bodyEl = iframeDoc.querySelector('.ad-body');
-                const imageContainer = iframeDoc.querySelector('.ad-image-container');
-
-                adData.advertiser = advertiserEl ? advertiserEl.textContent.trim() : '';
-                adData.headline = headlineEl ? headlineEl.textContent.trim() : '';
-                adData.body = bodyEl ? bodyEl.textContent.trim() : '';
-
-                if (imageContainer) {
-                  const img = imageContainer.querySelector('img');
-                  if (img && img.src) {
-                    adData.image = img.src;
-                  } else {
-                    const bgImage = window.getComputedStyle(imageContainer).backgroundImage;
-                    if (bgImage && bgImage !== 'none') {
-                      const match = bgImage.match(/url\(['"]?(.*?)['"]?\)/);
-                      if (match) adData.image = match[1];
-                    }
-                  }
-                }
-
-                // Extract ad link
-                const linkEl = iframeDoc.querySelector('a[href]');
-                if (linkEl && linkEl.href) {
-                  adData.link = linkEl.href;
-                }
-
-                // Look for click tracking in iframe attributes
-                if (!adData.link && iframe.src) {
-                  const urlParams = new URLSearchParams(iframe.src.split('?')[1] || '');
-                  const clickUrl = urlParams.get('click_url') ||
-                                 urlParams.get('clickUrl') ||
-                                 urlParams.get('click') ||
-                                 urlParams.get('url');
-                  if (clickUrl) {
-                    adData.link = decodeURIComponent(clickUrl);
-                  }
-                }
-              }
-            }
-
-            // Extract from container if no iframe or couldn't extract from iframe
-            if (container && (!adData.headline && !adData.body)) {
-              // FILTER: Skip main page containers that aren't actually ads
-              const containerId = container.id || '';
-              const containerClass = container.className || '';
-
-              // Skip main page containers
-              const invalidContainers = ['__next', 'root', 'main', 'body', 'header', 'footer', 'nav', 'content'];
-              const isInvalidContainer = invalidContainers.some(invalid =>
-                containerId.toLowerCase().includes(invalid) ||
-                containerClass.toLowerCase().includes(invalid)
-              );
-
-              if (!isInvalidContainer) {
-                // Look for common ad text patterns (but limit text length to prevent page dumps)
-                const textElements = container.querySelectorAll('h1, h2, h3, h4, h5, h6, p, span, div, [class*="title"], [class*="headline"], [class*="description"], [class*="summary"]');
-                textElements.forEach(el => {
-                  const text = el.textContent.trim();
-                  // Limit text length to prevent capturing entire page content
-                  if (text && text.length <= 200 && !adData.headline && (el.tagName.match(/^H[1-6]$/) || el.className.includes('title') || el.className.includes('headline'))) {
-                    adData.headline = text;
-                  } else if (text && text.length > 20 && text.length <= 500 && !adData.body) {
-                    adData.body = text;
-                  }
-                });
-
-                // Look for advertiser name
-                const advertiserEl = container.querySelector('[class*="advertiser"], [class*="sponsor"], [class*="promoted-by"], [class*="source"]');
-                if (advertiserEl) {
-                  const advertiserText = advertiserEl.textContent.trim();
-                  if (advertiserText.length <= 100) { // Limit advertiser name length
-                    adData.advertiser = advertiserText;
-                  }
-                }
-
-                // Look for images
-                const img = container.querySelector('img');
-                if (img && img.src) {
-                  adData.image = img.src || img.dataset.src || img.dataset.lazySrc || '';
-                }
-
-                // Look for links
-                const link = container.querySelector('a[href]') || container.closest('a[href]');
-                if (link && link.href) {
-                  adData.link = link.href;
-                }
-              }
-            }
-          } catch (e) {
-            // Cross-origin iframe or error
-            if (iframe) {
-              adData.advertiser = 'Protected Ad';
-              adData.headline = 'Cross-origin iframe';
-              adData.body = `Cannot access content (${adData.iframeSize})`;
-
-              // For cross-origin, try to extract URL from iframe src
-              if (iframe.src && iframe.src.includes('http')) {
-                adData.link = iframe.src;
-              }
-            }
-          }
-
-          // Additional check: Look for click URL in container data attributes
-          if (!adData.link && container) {
-            const containerClickUrl = container.getAttribute('data-click-url') ||
-                                    container.getAttribute('data-link') ||
-                                    container.getAttribute('data-ad-link');
-            if (containerClickUrl) {
-              adData.link = containerClickUrl;
-            }
-
-            // Check parent elements for click tracking
-            let parent = container.parentElement;
-            while (!adData.link && parent && parent !== document.body) {
-              const parentClickUrl = parent.getAttribute('data-click-url') ||
-                                    parent.getAttribute('data-link') ||
-                                    parent.getAttribute('data-ad-link');
-              if (parentClickUrl) {
-                adData.link = parentClickUrl;
-                break;
-              }
-              parent = parent.parentElement;
-            }
-          }
-
-          // VALIDATION: Only save if it's a valid ad with reasonable content
-          const hasValidContent = (adData.advertiser || adData.headline || adData.body || adData.link) &&
-                                  (!adData.body || adData.body.length <= 1000) && // Prevent page dumps
-                                  (!adData.headline || adData.headline.length <= 300) && // Reasonable headline length
-                                  (!adData.advertiser || adData.advertiser.length <= 150); // Reasonable advertiser length
-
-          // Additional check: Skip if body contains navigation/page elements
-          const containsPageElements = adData.body && (
-            adData.body.includes('Sign In') ||
-            adData.body.includes('About NewsBreak') ||
-            adData.body.includes('Terms of Use') ||
-            adData.body.includes('Privacy Policy') ||
-            adData.body.includes('See all locations') ||
-            adData.body.includes('emoji_like') ||
-            adData.body.length > 800
-          );
-
-          if (hasValidContent && !containsPageElements) {
-            extractedAds.push(adData);
-          }
-        });
-
-        if (extractedAds.length > 0) {
-          console.log(`✅ Extracted ${extractedAds.length} valid ads`);
-        }
-        return extractedAds;
-      }, extractionMode);
+      const { ads, rejected } = await extractorRegistry.run(this.page, this.extractors, {
+        mode: extractionMode,
+        deviceMode: workerData.deviceMode,
+        pageUrl: this.currentUrl, // City page each ad was seen on (used for sighting history)
+        selectorLearning: this.selectorLearning,
+        logger
+      });
+      if (rejected > 0) {
+        logger.debug(`Skipped ${rejected} extracted ads that failed schema validation`);
+      }
 
       // ============================================================================
       // DUPLICATE FILTERING DISABLED - SHOW ALL ADS
@@ -702,20 +346,7 @@ class WorkerAdExtractor {
               logger.debug(`Interaction attempt failed: ${interactionError.message}`);
             }
 
-            // If still stuck after 8 attempts, try page refresh
-            if (this.consecutiveNoNewAds > 8) {
-              logger.info(`🔄 Refreshing page to load new ad inventory...`);
-              try {
-                await this.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
-                await new Promise(resolve => setTimeout(resolve, 5000));
-                this.consecutiveNoNewAds = 0; // Reset counter after refresh
-                logger.info(`✅ Page refreshed successfully`);
-              } catch (refreshError) {
-                logger.warn(`Page refresh failed: ${refreshError.message}`);
-              }
-            }
-
-            // Continue extraction - URL rotation happens automatically
+            // Refreshing and URL rotation are left to the adaptive policy
           }
         } else {
           // Only log occasionally to reduce spam
@@ -737,8 +368,6 @@ class WorkerAdExtractor {
 
           if (ads.length <= 1) {
             logger.info(`💡 Try: 1) Different URL, 2) Clear cookies, 3) Check if ads are blocked`);
-          } else {
-            // No longer needed - rotation happens automatically at 50 attempts
           }
         }
       }
@@ -914,6 +543,7 @@ class WorkerAdExtractor {
     // Attempt to reconnect if we haven't exceeded max attempts
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
+      metrics.reconnectAttempts.inc({ worker: this.metricsLabel });
       logger.info(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`);
 
       try {
@@ -974,7 +604,8 @@ class WorkerAdExtractor {
 
     // TRY ADSPOWER FIRST (if available and running), then fallback to Puppeteer
     // Only use AdsPower in development/offline mode, NOT in production/deployment
-    const useAdsPower = !isProduction && workerData.useAdsPower !== false;
+    const replay = !!this.fixturesDir;
+    const useAdsPower = !isProduction && !replay && workerData.useAdsPower !== false;
 
     if (useAdsPower) {
       try {
@@ -1101,7 +732,8 @@ class WorkerAdExtractor {
     }
 
     // FALLBACK: Launch Puppeteer browser (original code)
-    logger.info(`🖥️ Browser Mode: ${isProduction ? 'Headless (Server/Production)' : 'GUI (Development)'}`);
+    const headless = isProduction || replay;
+    logger.info(`🖥️ Browser Mode: ${headless ? 'Headless (Server/Production)' : 'GUI (Development)'}`);
 
     let browserLaunched = false;
     let lastError = null;
@@ -1111,7 +743,7 @@ class WorkerAdExtractor {
         logger.info(`🚀 Browser launch attempt ${attempt}/3...`);
 
         this.browser = await puppeteer.launch({
-          headless: isProduction ? 'new' : false,
+          headless: headless ? 'new' : false,
           args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
@@ -1205,11 +837,16 @@ class WorkerAdExtractor {
       logger.info(`🖥️ Desktop mode configured: 1920x1080`);
     }
 
+    if (replay) {
+      await this.startReplay();
+    }
+
     // Navigate to URL with increased timeout and better error handling
     logger.info(`🌐 Loading ${workerData.url}...`);
+    const pageUrl = this.resolvePageUrl(workerData.url);
 
     try {
-      await this.page.goto(workerData.url, {
+      await this.page.goto(pageUrl, {
         waitUntil: 'networkidle2',
         timeout: 80000 // 80 seconds as requested
       });
@@ -1218,7 +855,7 @@ class WorkerAdExtractor {
       if (navError.message.includes('timeout')) {
         logger.warn(`⏰ Navigation timeout, trying with domcontentloaded...`);
         try {
-          await this.page.goto(workerData.url, {
+          await this.page.goto(pageUrl, {
             waitUntil: 'domcontentloaded',
             timeout: 60000
           });
@@ -1307,9 +944,15 @@ class WorkerAdExtractor {
 
       // Try to save ads
       try {
-        await dbSync.syncAds(newAds, this.sessionTimestamp);
+        const results = await dbSync.syncAds(newAds, this.sessionTimestamp);
         this.totalDbAds += newAds.length;
+        metrics.adsExtracted.inc({ worker: this.metricsLabel, city: getCityFromUrl(this.currentUrl) || 'unknown' }, newAds.length);
         logger.info(`💾 Saved ${newAds.length} ads to database (total DB: ${this.totalDbAds})`);
+
+        // Queue webhook notifications for this batch; the dispatcher in the main process sends them
+        const NotificationService = require('./notificationService');
+        const notifications = new NotificationService({ db: dbSync.db.db });
+        await notifications.evaluateBatch({ sessionId: this.sessionTimestamp, ads: newAds, results });
       } catch (saveError) {
         logger.warn(`Failed to save ads to database: ${saveError.message}`);
         // Continue - data is still saved in JSON files
@@ -1338,6 +981,7 @@ class WorkerAdExtractor {
         duration: workerData.duration,
         deviceMode: workerData.deviceMode,
         extractionMode: workerData.extractionMode,
+        extractors: this.extractors,
         endTime: new Date().toISOString(),
         totalAds: this.totalAdsExtracted, // Total extracted (accurate count)
         totalDbAds: this.totalDbAds, // Database count
@@ -1383,6 +1027,7 @@ class WorkerAdExtractor {
   async restartBrowser() {
     try {
       logger.info('🔄 Restarting browser for memory cleanup...');
+      metrics.browserRestarts.inc({ worker: this.metricsLabel });
 
       // Save current data before restart
       await this.saveSession();
@@ -1464,19 +1109,103 @@ class WorkerAdExtractor {
     }
   }
 
+  async loadRotationCities() {
+    let cityRotation = null;
+    try {
+      const CityRotationService = require('./cityRotationService');
+      cityRotation = new CityRotationService();
+      await cityRotation.initialize();
+      const cities = await cityRotation.getRotationCities();
+      if (cities.length > 0) {
+        this.urlRotation = new URLRotationManager(workerData.url, { cities, strategy: workerData.rotationStrategy });
+        logger.info(`🌆 Rotating through ${cities.length} crawl cities (${this.urlRotation.strategy})`);
+      }
+    } catch (error) {
+      logger.warn(`Crawl city list unavailable, using the built-in list: ${error.message}`);
+    } finally {
+      if (cityRotation) await cityRotation.close().catch(() => {});
+    }
+  }
+
+  // Policy statistics from earlier runs (replay runs learn in memory only)
+  async loadRotationPolicy() {
+    let stats = {};
+    if (!this.fixturesDir) {
+      try {
+        const RotationPolicyService = require('./rotationPolicyService');
+        const policyStore = new RotationPolicyService();
+        await policyStore.initialize();
+        stats = await policyStore.loadStats();
+        this.policyStore = policyStore;
+      } catch (error) {
+        logger.warn(`Rotation policy statistics unavailable, starting without history: ${error.message}`);
+      }
+    }
+
+    this.policy = new AdaptiveRotationPolicy({ arms: stats.arms, yields: stats.yields });
+    this.policy.setUrl(this.currentUrl);
+    logger.info(`🎰 Adaptive rotation policy loaded (${(stats.arms || []).length} learned action stats)`);
+  }
+
+  async saveRotationPolicy() {
+    this.lastPolicySave = Date.now();
+    if (!this.policy || !this.policyStore) return;
+    try {
+      await this.policyStore.recordStats(this.policy.takePendingStats());
+    } catch (error) {
+      logger.warn(`Failed to save rotation policy statistics: ${error.message}`);
+    }
+  }
+
+  // Feed one extraction pass to the policy and carry out its decision
+  async applyRotationPolicy(newAds) {
+    const now = Date.now();
+    const seconds = this.lastPassAt ? (now - this.lastPassAt) / 1000 : 0;
+    this.lastPassAt = now;
+
+    this.policy.observe(newAds, seconds);
+    const action = this.policy.decide();
+
+    if (action === 'refresh') {
+      await this.refreshPage();
+    } else if (action === 'rotate') {
+      await this.rotateToNewUrl();
+    }
+
+    if (action) {
+      parentPort.postMessage({ type: 'policy_update', data: this.policy.getState() });
+    }
+
+    if (Date.now() - this.lastPolicySave >= this.policySaveInterval) {
+      await this.saveRotationPolicy();
+    }
+  }
+
+  async refreshPage() {
+    logger.info(`🔄 Refreshing page to load new ad inventory (adaptive policy)...`);
+    try {
+      await this.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      this.consecutiveNoNewAds = 0;
+      logger.info(`✅ Page refreshed successfully`);
+    } catch (refreshError) {
+      logger.warn(`Page refresh failed: ${refreshError.message}`);
+    }
+  }
+
   async rotateToNewUrl() {
     try {
       const oldUrl = this.currentUrl;
       const newUrl = this.urlRotation.getNextUrl();
 
-      logger.info(`\n🔄 ROTATING URL - No new ads for ${this.consecutiveNoNewAds} extractions`);
+      logger.info(`\n🔄 ROTATING URL - ${this.consecutiveNoNewAds} extractions since the last new ads`);
       logger.info(`📍 Old: ${oldUrl}`);
       logger.info(`📍 New: ${newUrl}`);
       logger.info(`📊 Stats: ${this.totalDbAds} total ads extracted before rotation\n`);
 
       // Navigate to new URL
       try {
-        await this.page.goto(newUrl, {
+        await this.page.goto(this.resolvePageUrl(newUrl), {
           waitUntil: 'domcontentloaded',
           timeout: 60000
         });
@@ -1489,9 +1218,16 @@ class WorkerAdExtractor {
         this.consecutiveNoNewAds = 0;
         this.lastUrlRotation = Date.now();
         this.adsBeforeRotation = this.totalDbAds;
+        if (this.policy) this.policy.setUrl(newUrl);
 
         logger.info(`✅ Successfully rotated to new URL`);
 
+        // Let a multi-thread parent account the old city's yield
+        parentPort.postMessage({
+          type: 'url_changed',
+          data: { url: newUrl, previousUrl: oldUrl }
+        });
+
         // Send update to parent
         parentPort.postMessage({
           type: 'log',
@@ -1514,6 +1250,7 @@ class WorkerAdExtractor {
 
   async run() {
     this.isRunning = true;
+    this.metricsTimer = setInterval(() => this.reportMetrics(), this.metricsInterval);
 
     try {
       await this.initialize();
@@ -1546,6 +1283,7 @@ class WorkerAdExtractor {
 
       // Initial extraction
       await this.extractAds();
+      this.lastPassAt = Date.now();
 
       // In unlimited mode, run forever. In timed mode, check duration
       // Use faster timing for better ad discovery
@@ -1577,8 +1315,9 @@ class WorkerAdExtractor {
         }
 
         // Extract ads after scrolling (captures ads in BOTH directions)
+        let passNewAds = 0;
         try {
-          await this.extractAds();
+          passNewAds = await this.extractAds();
           this.consecutiveErrors = 0; // Reset error counter on success
         } catch (extractError) {
           this.consecutiveErrors++;
@@ -1622,7 +1361,7 @@ class WorkerAdExtractor {
 
             // Try to reload the page
             try {
-              await this.page.goto(workerData.url, {
+              await this.page.goto(this.resolvePageUrl(workerData.url), {
                 waitUntil: 'domcontentloaded',
                 timeout: 60000
               });
@@ -1652,9 +1391,9 @@ class WorkerAdExtractor {
           await this.performBrowserHealthCheck();
         }
 
-        // URL rotation for unlimited mode when stuck (reduced threshold for faster rotation)
-        if (workerData.extractionMode === 'unlimited' && this.consecutiveNoNewAds >= 12) {
-          await this.rotateToNewUrl();
+        // Scroll on, refresh or rotate city: the adaptive policy decides from the new-ads rate
+        if (this.policy) {
+          await this.applyRotationPolicy(passNewAds);
         }
 
         // Update progress for timed extractions
@@ -1835,9 +1574,26 @@ class WorkerAdExtractor {
       if (this.browser) {
         await this.browser.close();
       }
+      if (this.fixtureServer) {
+        await this.fixtureServer.stop();
+      }
+      if (this.selectorLearning) {
+        await this.selectorLearning.close();
+      }
+      if (this.policyStore) {
+        await this.saveRotationPolicy();
+        await this.policyStore.close();
+        this.policyStore = null;
+      }
     } catch (error) {
       logger.warn(`Cleanup error: ${error.message}`);
     }
+
+    if (this.metricsTimer) {
+      clearInterval(this.metricsTimer);
+      this.metricsTimer = null;
+    }
+    this.reportMetrics();
   }
 }
 
@@ -1897,6 +1653,11 @@ async function startExtraction() {
       data: { message: `Worker failed: ${error.message}` }
     });
   }
+
+  // Queue jobs end the thread once run() has cleaned up (the parent message port keeps it alive otherwise)
+  if (workerData.exitWhenDone) {
+    process.exit(0);
+  }
 }
 
 startExtraction();
\ No newline at end of file
@@ -0,0 +1,380 @@
+// Background archiver for ad creatives
+// Downloads each ad image into a content-addressed store (data/images/<sha256 prefix>/<sha256>.<ext>),
+// computes a perceptual hash and groups visually identical creatives, so images
+// keep working after the source CDN link expires.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { computeImageHash, hammingDistance } = require('../utils/imageHash');
+const { assertPublicUrl, createGuardedAgents } = require('../utils/networkGuard');
+
+// Raster formats only: SVG can carry script and archived images are served from the dashboard origin
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp'
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+const DATA_URI_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i;
+
+class ImageArchiver {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.storageDir = options.storageDir || path.join(process.cwd(), 'data', 'images');
+    this.concurrency = options.concurrency || 2;
+    this.batchSize = options.batchSize || 20;
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 60000;
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    // Max differing hash bits for two images to count as the same creative
+    this.similarityThreshold = options.similarityThreshold ?? 4;
+    this.allowHosts = options.allowHosts || []; // Hosts exempt from the private-network check (tests)
+    this.agents = createGuardedAgents();
+
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.hashIndex = []; // [{ sha256, phash, creativeGroup }] for similarity lookups
+    this.stats = { archived: 0, reused: 0, failed: 0 };
+  }
+
+  async initialize() {
+    await this.db.initialize();
+    await fs.ensureDir(this.storageDir);
+
+    // Rows claimed by a process that died mid-download go back on the queue
+    await this.db.run(
+      "UPDATE ads SET image_archive_status = 'retry', next_archive_at = ? WHERE image_archive_status = 'archiving'",
+      [new Date().toISOString()]
+    );
+
+    const rows = await this.db.all('SELECT sha256, phash, creative_group FROM archived_images WHERE phash IS NOT NULL');
+    this.hashIndex = rows.map(row => ({ sha256: row.sha256, phash: row.phash, creativeGroup: row.creative_group }));
+
+    logger.info(`🖼️ Image archiver initialized (${this.hashIndex.length} hashed images in ${this.storageDir})`);
+  }
+
+  start() {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => {
+      this.processQueue().catch(error => {
+        logger.error(`Image archiver failed: ${error.message}`);
+      });
+    }, this.pollIntervalMs);
+
+    logger.info(`🖼️ Image archiver started (polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  getFilePath(sha256, extension) {
+    return path.join(this.storageDir, sha256.slice(0, 2), `${sha256}.${extension}`);
+  }
+
+  async download(url) {
+    const dataUri = url.match(DATA_URI_PATTERN);
+    if (dataUri) {
+      const contentType = dataUri[1].toLowerCase();
+      this.assertSupportedType(contentType);
+      return { buffer: Buffer.from(dataUri[2], 'base64'), contentType };
+    }
+
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      let parsed;
+      try {
+        parsed = new URL(currentUrl);
+      } catch (error) {
+        throw Object.assign(new Error(`Invalid image URL: ${currentUrl}`), { permanent: true });
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw Object.assign(new Error(`Unsupported URL scheme: ${parsed.protocol}`), { permanent: true });
+      }
+      // Redirects are followed here rather than by axios so every hop gets checked
+      await assertPublicUrl(parsed.href, { allowHosts: this.allowHosts });
+
+      const response = await axios.get(parsed.href, {
+        responseType: 'arraybuffer',
+        timeout: this.timeoutMs,
+        maxContentLength: this.maxBytes,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...this.agents,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+      });
+
+      if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw Object.assign(new Error(`Too many redirects (>${MAX_REDIRECTS})`), { permanent: true });
+        }
+        currentUrl = new URL(response.headers.location, parsed.href).href;
+        continue;
+      }
+
+      if (response.status === 404 || response.status === 410) {
+        throw Object.assign(new Error(`Image gone (HTTP ${response.status})`), { permanent: true });
+      }
+      if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      this.assertSupportedType(contentType);
+
+      return { buffer: Buffer.from(response.data), contentType };
+    }
+  }
+
+  assertSupportedType(contentType) {
+    if (!contentType.startsWith('image/')) {
+      throw Object.assign(new Error(`Not an image (${contentType || 'no content type'})`), { permanent: true });
+    }
+    if (!EXTENSIONS[contentType]) {
+      throw Object.assign(new Error(`Unsupported image type ${contentType}`), { permanent: true });
+    }
+  }
+
+  // First hashed image within the similarity threshold defines the creative group
+  findCreativeGroup(phash) {
+    for (const entry of this.hashIndex) {
+      if (hammingDistance(entry.phash, phash) <= this.similarityThreshold) {
+        return entry.creativeGroup;
+      }
+    }
+    return null;
+  }
+
+  // Write an image to the store (once per distinct content) and return its sha256
+  async storeImage(buffer, contentType, sourceUrl) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = await this.db.get('SELECT sha256 FROM archived_images WHERE sha256 = ?', [sha256]);
+    if (existing) return sha256;
+
+    const extension = EXTENSIONS[contentType];
+    const filePath = this.getFilePath(sha256, extension);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, buffer);
+
+    // Formats Jimp can't decode (webp, avif) are archived without a perceptual hash
+    let imageHash = null;
+    try {
+      imageHash = await computeImageHash(buffer);
+    } catch (error) {
+      logger.debug(`Could not hash ${contentType} image ${sha256}: ${error.message}`);
+    }
+
+    const creativeGroup = (imageHash && this.findCreativeGroup(imageHash.hash)) || sha256;
+
+    await this.db.run(
+      `INSERT OR IGNORE INTO archived_images
+         (sha256, phash, creative_group, file_path, content_type, byte_size, width, height, source_url)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sha256,
+        imageHash ? imageHash.hash : null,
+        creativeGroup,
+        path.relative(this.storageDir, filePath),
+        contentType,
+        buffer.length,
+        imageHash ? imageHash.width : null,
+        imageHash ? imageHash.height : null,
+        sourceUrl && sourceUrl.startsWith('data:') ? null : sourceUrl
+      ]
+    );
+
+    if (imageHash) {
+      this.hashIndex.push({ sha256, phash: imageHash.hash, creativeGroup });
+    }
+
+    return sha256;
+  }
+
+  async getPendingAds(limit) {
+    return this.db.all(
+      `SELECT id, image_url, image_archive_attempts FROM ads
+       WHERE image_url IS NOT NULL AND image_url != ''
+         AND (image_archive_status IS NULL OR (image_archive_status = 'retry' AND next_archive_at <= ?))
+       ORDER BY id DESC
+       LIMIT ?`,
+      [new Date().toISOString(), limit]
+    );
+  }
+
+  async claim(ad) {
+    const result = await this.db.run(
+      `UPDATE ads SET image_archive_status = 'archiving'
+       WHERE id = ? AND (image_archive_status IS NULL OR image_archive_status = 'retry')`,
+      [ad.id]
+    );
+    return result.changes > 0;
+  }
+
+  async archiveAd(ad) {
+    if (!(await this.claim(ad))) return null;
+
+    const attempts = (ad.image_archive_attempts || 0) + 1;
+
+    try {
+      // Many ads share one image URL - only download it once
+      const known = await this.db.get(
+        'SELECT image_sha256 FROM ads WHERE image_url = ? AND image_sha256 IS NOT NULL LIMIT 1',
+        [ad.image_url]
+      );
+
+      let sha256;
+      if (known) {
+        sha256 = known.image_sha256;
+        this.stats.reused++;
+      } else {
+        const { buffer, contentType } = await this.download(ad.image_url);
+        sha256 = await this.storeImage(buffer, contentType, ad.image_url);
+        this.stats.archived++;
+      }
+
+      await this.db.run(
+        `UPDATE ads SET image_sha256 = ?, image_archive_status = 'archived', image_archive_attempts = ?,
+                        image_archive_error = NULL, next_archive_at = NULL
+         WHERE id = ?`,
+        [sha256, attempts, ad.id]
+      );
+
+      return { status: 'archived', sha256 };
+    } catch (error) {
+      const giveUp = error.permanent || attempts >= this.maxAttempts;
+      const nextArchiveAt = giveUp
+        ? null
+        : new Date(Date.now() + this.retryBaseDelayMs * Math.pow(2, attempts - 1)).toISOString();
+
+      await this.db.run(
+        `UPDATE ads SET image_archive_status = ?, image_archive_attempts = ?, image_archive_error = ?, next_archive_at = ?
+         WHERE id = ?`,
+        [giveUp ? 'failed' : 'retry', attempts, error.message, nextArchiveAt, ad.id]
+      );
+
+      if (giveUp) {
+        this.stats.failed++;
+        logger.warn(`🖼️ Giving up on image for ad ${ad.id} after ${attempts} attempts: ${error.message}`);
+      } else {
+        logger.debug(`🖼️ Image for ad ${ad.id} failed (attempt ${attempts}), retrying at ${nextArchiveAt}: ${error.message}`);
+      }
+
+      return { status: giveUp ? 'failed' : 'retry', error: error.message };
+    }
+  }
+
+  // Archive one batch of queued ads with limited concurrency
+  async processQueue() {
+    if (this.isProcessing) return { processed: 0 };
+    this.isProcessing = true;
+
+    try {
+      const ads = await this.getPendingAds(this.batchSize);
+      if (ads.length === 0) return { processed: 0 };
+
+      const queue = [...ads];
+      const runners = Array.from({ length: Math.min(this.concurrency, queue.length) }, async () => {
+        while (queue.length > 0) {
+          await this.archiveAd(queue.shift());
+        }
+      });
+      await Promise.all(runners);
+
+      logger.info(`🖼️ Image archiver processed ${ads.length} ads (downloaded: ${this.stats.archived}, reused: ${this.stats.reused}, failed: ${this.stats.failed})`);
+      return { processed: ads.length };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Keep processing until nothing is due (used by the CLI script)
+  async drain() {
+    let total = 0;
+    while (true) {
+      const { processed } = await this.processQueue();
+      if (processed === 0) break;
+      total += processed;
+    }
+    return total;
+  }
+
+  async requeueFailed() {
+    const result = await this.db.run(
+      `UPDATE ads SET image_archive_status = 'retry', image_archive_attempts = 0, next_archive_at = ?
+       WHERE image_archive_status = 'failed'`,
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  // Archived image metadata with its absolute path, or null
+  async getArchivedImage(sha256) {
+    const row = await this.db.get('SELECT * FROM archived_images WHERE sha256 = ?', [sha256]);
+    if (!row) return null;
+    return { ...row, absolutePath: path.join(this.storageDir, row.file_path) };
+  }
+
+  async findArchivedImageByUrl(imageUrl) {
+    const row = await this.db.get(
+      `SELECT image_sha256 FROM ads WHERE image_url = ? AND image_sha256 IS NOT NULL
+       UNION ALL
+       SELECT sha256 FROM archived_images WHERE source_url = ?
+       LIMIT 1`,
+      [imageUrl, imageUrl]
+    );
+    return row ? this.getArchivedImage(row.image_sha256) : null;
+  }
+
+  async getStatus() {
+    const rows = await this.db.all(
+      `SELECT COALESCE(image_archive_status, 'pending') as status, COUNT(*) as count
+       FROM ads WHERE image_url IS NOT NULL AND image_url != ''
+       GROUP BY COALESCE(image_archive_status, 'pending')`
+    );
+
+    const counts = { pending: 0, archiving: 0, retry: 0, archived: 0, failed: 0 };
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+
+    const store = await this.db.get(
+      `SELECT COUNT(*) as images, COUNT(DISTINCT creative_group) as creatives, COALESCE(SUM(byte_size), 0) as bytes
+       FROM archived_images`
+    );
+
+    return {
+      running: !!this.pollInterval,
+      processing: this.isProcessing,
+      counts,
+      store,
+      session: { ...this.stats }
+    };
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+}
+
+module.exports = ImageArchiver;
@@ -0,0 +1,396 @@
+// Post-processing resolver for ad click URLs
+// Follows the HTTP redirect chain of stored ads.link_url values with plain HEAD/GET
+// requests (no browser, no rendering) and records the hop chain and final landing domain.
+// Runs as a DB-backed queue with per-host rate limiting and retry with backoff.
+
+const axios = require('axios');
+const DatabaseConnection = require('../database/connection');
+const AdClassificationService = require('./adClassificationService');
+const logger = require('../utils/logger');
+const { extractLandingDomain } = require('../utils/advertiserNormalizer');
+const { assertPublicUrl, createGuardedAgents } = require('../utils/networkGuard');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const META_REFRESH_PATTERN = /<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\s*\d+\s*;\s*url=([^"'>\s]+)/i;
+const MAX_BODY_BYTES = 64 * 1024; // Only sniff the top of HTML pages for meta refresh
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LandingPageResolver {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.classification = new AdClassificationService({ db: this.db });
+    this.maxHops = options.maxHops || 10;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.concurrency = options.concurrency || 2;
+    this.batchSize = options.batchSize || 20;
+    this.perHostIntervalMs = options.perHostIntervalMs ?? 1000; // Minimum gap between requests to one host
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 60000; // 1m, 2m, 4m...
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.followMetaRefresh = options.followMetaRefresh !== false;
+    this.allowHosts = options.allowHosts || []; // Hosts exempt from the private-network check (tests)
+    this.userAgent = options.userAgent ||
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+    this.hostLastRequest = new Map();
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.stats = { resolved: 0, failed: 0, retried: 0 };
+
+    this.client = axios.create({
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      responseType: 'stream',
+      decompress: true,
+      ...createGuardedAgents({ keepAlive: false }),
+      headers: {
+        'User-Agent': this.userAgent,
+        Accept: 'text/html,application/xhtml+xml,*/*;q=0.8'
+      }
+    });
+  }
+
+  async initialize() {
+    await this.db.initialize();
+
+    // Rows claimed by a process that died mid-resolve go back on the queue
+    const result = await this.db.run(
+      "UPDATE ads SET resolve_status = 'retry', next_resolve_at = ? WHERE resolve_status = 'resolving'",
+      [new Date().toISOString()]
+    );
+    if (result.changes > 0) {
+      logger.info(`🔗 Re-queued ${result.changes} landing page resolutions interrupted by a restart`);
+    }
+  }
+
+  start() {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => {
+      this.processQueue().catch(error => {
+        logger.error(`Landing page resolver failed: ${error.message}`);
+      });
+    }, this.pollIntervalMs);
+
+    logger.info(`🔗 Landing page resolver started (polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  // Wait until this host may be hit again
+  async throttle(url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return;
+    }
+
+    const last = this.hostLastRequest.get(host) || 0;
+    const wait = last + this.perHostIntervalMs - Date.now();
+    // Reserve the slot before sleeping so concurrent resolvers queue up behind it
+    this.hostLastRequest.set(host, Math.max(Date.now(), last + this.perHostIntervalMs));
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  async request(method, url) {
+    await this.throttle(url);
+    const response = await this.client.request({ method, url });
+
+    let body = '';
+    const contentType = String(response.headers['content-type'] || '');
+
+    if (method === 'GET' && contentType.includes('html') && response.status === 200) {
+      body = await this.readBody(response.data);
+    } else if (response.data && typeof response.data.destroy === 'function') {
+      response.data.destroy();
+    }
+
+    return { status: response.status, headers: response.headers, contentType, body };
+  }
+
+  readBody(stream) {
+    return new Promise(resolve => {
+      const chunks = [];
+      let size = 0;
+
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_BODY_BYTES) {
+          stream.destroy();
+        }
+      });
+      stream.on('close', () => resolve(Buffer.concat(chunks).toString('utf8', 0, MAX_BODY_BYTES)));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8', 0, MAX_BODY_BYTES)));
+      stream.on('error', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+  }
+
+  // HEAD first; fall back to GET for servers that reject or mishandle HEAD
+  async fetchHop(url) {
+    let head = null;
+    try {
+      head = await this.request('HEAD', url);
+    } catch (error) {
+      logger.debug(`HEAD failed for ${url}: ${error.message} - retrying with GET`);
+    }
+
+    if (head && REDIRECT_STATUSES.includes(head.status) && head.headers.location) {
+      return { ...head, method: 'HEAD' };
+    }
+
+    const headRejected = !head || [403, 405, 501].includes(head.status);
+    const mayMetaRefresh = this.followMetaRefresh && head && head.status === 200 && head.contentType.includes('html');
+
+    if (headRejected || mayMetaRefresh) {
+      const get = await this.request('GET', url);
+      return { ...get, method: 'GET' };
+    }
+
+    return { ...head, method: 'HEAD' };
+  }
+
+  // Follow redirects from a URL; returns { finalUrl, finalStatus, landingDomain, chain }
+  async resolveUrl(startUrl) {
+    let parsed;
+    try {
+      parsed = new URL(startUrl);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid URL: ${startUrl}`), { permanent: true });
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw Object.assign(new Error(`Unsupported URL scheme: ${parsed.protocol}`), { permanent: true });
+    }
+
+    const chain = [];
+    const visited = new Set();
+    let currentUrl = parsed.href;
+
+    while (chain.length < this.maxHops) {
+      if (visited.has(currentUrl)) {
+        throw Object.assign(new Error(`Redirect loop at ${currentUrl}`), { permanent: true, chain });
+      }
+      visited.add(currentUrl);
+
+      // Click URLs come from scraped ads: every hop must be http(s) on a public address
+      try {
+        const { protocol } = new URL(currentUrl);
+        if (!['http:', 'https:'].includes(protocol)) {
+          throw new Error(`Unsupported URL scheme: ${protocol}`);
+        }
+        await assertPublicUrl(currentUrl, { allowHosts: this.allowHosts });
+      } catch (error) {
+        throw Object.assign(error, { permanent: true, chain });
+      }
+
+      const hop = await this.fetchHop(currentUrl);
+      let nextUrl = null;
+      let via = null;
+
+      if (REDIRECT_STATUSES.includes(hop.status) && hop.headers.location) {
+        nextUrl = new URL(hop.headers.location, currentUrl).href;
+        via = 'location';
+      } else if (hop.body) {
+        const meta = hop.body.match(META_REFRESH_PATTERN);
+        if (meta) {
+          nextUrl = new URL(meta[1].replace(/&amp;/g, '&'), currentUrl).href;
+          via = 'meta-refresh';
+        }
+      }
+
+      chain.push({ url: currentUrl, status: hop.status, method: hop.method, via });
+
+      if (!nextUrl) {
+        if (hop.status === 429 || hop.status >= 500) {
+          throw Object.assign(new Error(`HTTP ${hop.status} from ${currentUrl}`), { chain });
+        }
+
+        return {
+          finalUrl: currentUrl,
+          finalStatus: hop.status,
+          landingDomain: new URL(currentUrl).hostname.toLowerCase().replace(/^www\./, ''),
+          chain
+        };
+      }
+
+      currentUrl = nextUrl;
+    }
+
+    throw Object.assign(new Error(`Too many redirects (>${this.maxHops})`), { permanent: true, chain });
+  }
+
+  async getPendingAds(limit) {
+    return this.db.all(
+      `SELECT id, link_url, advertiser_id, resolve_attempts FROM ads
+       WHERE link_url IS NOT NULL AND link_url != ''
+         AND (resolve_status IS NULL OR (resolve_status = 'retry' AND next_resolve_at <= ?))
+       ORDER BY id DESC
+       LIMIT ?`,
+      [new Date().toISOString(), limit]
+    );
+  }
+
+  async claim(ad) {
+    const result = await this.db.run(
+      `UPDATE ads SET resolve_status = 'resolving'
+       WHERE id = ? AND (resolve_status IS NULL OR resolve_status = 'retry')`,
+      [ad.id]
+    );
+    return result.changes > 0;
+  }
+
+  async resolveAd(ad) {
+    if (!(await this.claim(ad))) return null;
+
+    const attempts = (ad.resolve_attempts || 0) + 1;
+
+    try {
+      const result = await this.resolveUrl(ad.link_url);
+      const resolvedAt = new Date().toISOString();
+
+      await this.db.run(
+        `UPDATE ads
+         SET landing_url = ?, landing_domain = ?, redirect_chain = ?, resolve_status = 'resolved',
+             resolve_attempts = ?, resolve_error = NULL, resolved_at = ?, next_resolve_at = NULL
+         WHERE id = ?`,
+        [result.finalUrl, result.landingDomain, JSON.stringify(result.chain), attempts, resolvedAt, ad.id]
+      );
+
+      // The real destination is a much better advertiser domain than the tracking link
+      const advertiserDomain = extractLandingDomain(result.finalUrl);
+      if (ad.advertiser_id && advertiserDomain) {
+        await this.db.run(
+          'INSERT OR IGNORE INTO advertiser_domains (advertiser_id, domain, first_seen, last_seen) VALUES (?, ?, ?, ?)',
+          [ad.advertiser_id, advertiserDomain, resolvedAt, resolvedAt]
+        );
+        await this.db.run(
+          'UPDATE advertiser_domains SET last_seen = MAX(last_seen, ?) WHERE advertiser_id = ? AND domain = ?',
+          [resolvedAt, ad.advertiser_id, advertiserDomain]
+        );
+      }
+
+      // The landing domain is classification evidence the tracking link didn't have
+      try {
+        await this.classification.classifyAndStore(ad.id);
+      } catch (classifyError) {
+        logger.debug(`Reclassification of ad ${ad.id} failed: ${classifyError.message}`);
+      }
+
+      this.stats.resolved++;
+      logger.debug(`🔗 Resolved ad ${ad.id}: ${result.chain.length} hops -> ${result.landingDomain}`);
+      return { status: 'resolved', ...result };
+    } catch (error) {
+      const giveUp = error.permanent || attempts >= this.maxAttempts;
+      const nextResolveAt = giveUp
+        ? null
+        : new Date(Date.now() + this.retryBaseDelayMs * Math.pow(2, attempts - 1)).toISOString();
+
+      await this.db.run(
+        `UPDATE ads
+         SET resolve_status = ?, resolve_attempts = ?, resolve_error = ?, next_resolve_at = ?, redirect_chain = ?
+         WHERE id = ?`,
+        [giveUp ? 'failed' : 'retry', attempts, error.message, nextResolveAt, error.chain ? JSON.stringify(error.chain) : null, ad.id]
+      );
+
+      if (giveUp) {
+        this.stats.failed++;
+        logger.warn(`🔗 Giving up on landing page for ad ${ad.id} after ${attempts} attempts: ${error.message}`);
+      } else {
+        this.stats.retried++;
+        logger.debug(`🔗 Landing page for ad ${ad.id} failed (attempt ${attempts}), retrying at ${nextResolveAt}: ${error.message}`);
+      }
+
+      return { status: giveUp ? 'failed' : 'retry', error: error.message };
+    }
+  }
+
+  // Resolve one batch of queued ads with limited concurrency
+  async processQueue() {
+    if (this.isProcessing) return { processed: 0 };
+    this.isProcessing = true;
+
+    try {
+      const ads = await this.getPendingAds(this.batchSize);
+      if (ads.length === 0) return { processed: 0 };
+
+      const queue = [...ads];
+      const runners = Array.from({ length: Math.min(this.concurrency, queue.length) }, async () => {
+        while (queue.length > 0) {
+          await this.resolveAd(queue.shift());
+        }
+      });
+      await Promise.all(runners);
+
+      logger.info(`🔗 Landing page resolver processed ${ads.length} ads (resolved: ${this.stats.resolved}, failed: ${this.stats.failed})`);
+      return { processed: ads.length };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Keep processing until nothing is due (used by the CLI script)
+  async drain() {
+    let total = 0;
+    while (true) {
+      const { processed } = await this.processQueue();
+      if (processed === 0) break;
+      total += processed;
+    }
+    return total;
+  }
+
+  async requeueFailed() {
+    const result = await this.db.run(
+      `UPDATE ads SET resolve_status = 'retry', resolve_attempts = 0, next_resolve_at = ?
+       WHERE resolve_status = 'failed'`,
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  async getStatus() {
+    const rows = await this.db.all(
+      `SELECT COALESCE(resolve_status, 'pending') as status, COUNT(*) as count
+       FROM ads WHERE link_url IS NOT NULL AND link_url != ''
+       GROUP BY COALESCE(resolve_status, 'pending')`
+    );
+
+    const counts = { pending: 0, resolving: 0, retry: 0, resolved: 0, failed: 0 };
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+
+    const topDomains = await this.db.all(
+      `SELECT landing_domain, COUNT(*) as count FROM ads
+       WHERE landing_domain IS NOT NULL
+       GROUP BY landing_domain ORDER BY count DESC LIMIT 10`
+    );
+
+    return {
+      running: !!this.pollInterval,
+      processing: this.isProcessing,
+      counts,
+      session: { ...this.stats },
+      topDomains
+    };
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+}
+
+module.exports = LandingPageResolver;
@@ -5,13 +5,27 @@ const { Worker } = require('worker_threads');
 const path = require('path');
 const fs = require('fs-extra');
 const logger = require('../utils/logger');
-const { URLRotationManager } = require('../config/urlRotation');
+const { validationError } = require('../utils/validation');
+const { URLRotationManager, ROTATION_STRATEGIES } = require('../config/urlRotation');
+const { WorkerAutoscaler, MAX_WORKERS } = require('./workerAutoscaler');
+const { metrics } = require('../utils/metrics');
 
 class MultiThreadExtractor {
-  constructor(config = {}) {
+  constructor(options = {}) {
+    // The city store, job queue and log store are services, not configuration (keeps them out of getStatus().config)
+    const { cityRotation, jobQueue, extractionLogs, ...config } = options;
+
     this.maxWorkers = config.maxWorkers || 5; // Default: 5 parallel workers (increased for better performance)
     this.workers = new Map(); // workerId -> worker info
-    this.urlRotation = new URLRotationManager();
+    this.cityRotation = cityRotation || null; // CityRotationService: editable city list and yield stats
+    this.rotationStrategy = ROTATION_STRATEGIES.includes(config.rotationStrategy) ? config.rotationStrategy : 'sequential';
+    this.urlRotation = new URLRotationManager(null, { strategy: this.rotationStrategy });
+    this.cityYield = new Map(); // url -> { visits, newAds, seconds } for this run
+    this.jobQueue = jobQueue || null; // CrawlJobQueue: leased crawl tasks in queue mode
+    this.extractionLogs = extractionLogs || null; // ExtractionLogService: persisted worker logs
+    this.isDispatching = false;
+    this.autoscaler = null; // WorkerAutoscaler while autoscaling is on
+    this.scalingEvents = []; // Recent worker count changes (API and autoscaler)
     this.sharedSessionId = null;
     this.startTime = null;
     this.totalAds = 0;
@@ -30,7 +44,19 @@ class MultiThreadExtractor {
       workerRestartDelay: 3000, // 3 seconds (faster restart)
       sameUrl: config.sameUrl || false, // All workers on same URL
       baseUrl: config.baseUrl || null, // URL to use if sameUrl=true
-      ...config
+      urls: config.urls || null, // Explicit city list (workers are spread across it)
+      durationMinutes: config.durationMinutes || null, // Stop automatically after N minutes
+      extractors: config.extractors || null, // Extractor plugin names for every worker
+      stuckAfterMinutes: 10, // Rotate a worker that found fewer than stuckMinAds on its city in this time
+      stuckMinAds: 10,
+      queue: false, // Worker slots run jobs leased from jobQueue instead of fixed URLs
+      queuePollSeconds: 5, // How often free slots look for queued jobs
+      heartbeatSeconds: 20, // How often running jobs renew their lease
+      jobGraceSeconds: 120, // Time allowed beyond a job's budget (browser start, final save)
+      retireTimeoutSeconds: 30, // A worker removed by scaling down is terminated if it has not stopped by then
+      autoscale: null, // WorkerAutoscaler settings (true for the defaults)
+      ...config,
+      rotationStrategy: this.rotationStrategy
     };
   }
 
@@ -38,10 +64,18 @@ class MultiThreadExtractor {
     logger.info('🚀 Initializing Multi-Thread Extractor');
     logger.info(`📊 Configuration: ${this.maxWorkers} parallel workers`);
 
-    if (this.config.sameUrl) {
+    if (this.config.queue) {
+      if (!this.jobQueue) {
+        throw new Error('Queue mode needs a job queue');
+      }
+      logger.info(`🔗 Mode: JOB QUEUE - ${this.maxWorkers} worker slots lease crawl jobs`);
+    } else if (this.config.sameUrl) {
       logger.info(`🔗 Mode: SAME URL - All workers on ${this.config.baseUrl || 'default URL'}`);
+    } else if (this.config.urls && this.config.urls.length > 0) {
+      logger.info(`🔗 Mode: URL LIST - Workers spread across ${this.config.urls.length} URLs`);
     } else {
-      logger.info(`🔗 Mode: DIFFERENT URLs - Workers on different cities`);
+      logger.info(`🔗 Mode: DIFFERENT URLs - Workers on different cities (${this.rotationStrategy} rotation)`);
+      await this.loadCities();
     }
 
     this.sharedSessionId = `multi_${Date.now()}`;
@@ -50,29 +84,111 @@ class MultiThreadExtractor {
     await fs.ensureDir(path.join(process.cwd(), 'data', 'sessions'));
   }
 
-  async startWorker(workerId) {
+  // Rotation list from the database (falls back to the built-in list)
+  async loadCities() {
+    if (!this.cityRotation) return;
+    try {
+      const cities = await this.cityRotation.getRotationCities();
+      if (cities.length === 0) {
+        logger.warn('⚠️ No enabled crawl cities - using the built-in city list');
+        return;
+      }
+      this.urlRotation = new URLRotationManager(null, { cities, strategy: this.rotationStrategy });
+      logger.info(`🌆 Loaded ${cities.length} crawl cities`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not load crawl cities, using the built-in list: ${error.message}`);
+    }
+  }
+
+  // Next city for a worker by the rotation strategy, avoiding cities other workers are on
+  pickNextUrl(workerId) {
+    const busy = [...this.assignedUrls.entries()]
+      .filter(([id]) => id !== workerId)
+      .map(([, url]) => url);
+    return this.urlRotation.getNextUrl({ exclude: busy });
+  }
+
+  // A worker left its city: count the time and new ads towards the city's yield
+  finishCityVisit(workerInfo) {
+    if (!workerInfo || !workerInfo.cityStartTime) return;
+
+    const url = workerInfo.url;
+    const seconds = (Date.now() - workerInfo.cityStartTime) / 1000;
+    const newAds = workerInfo.cityAds;
+    workerInfo.cityStartTime = null;
+
+    const stats = this.cityYield.get(url) || { visits: 0, newAds: 0, seconds: 0 };
+    stats.visits++;
+    stats.newAds += newAds;
+    stats.seconds += seconds;
+    this.cityYield.set(url, stats);
+
+    this.urlRotation.recordVisit(url, { newAds, seconds });
+    if (this.cityRotation) {
+      this.cityRotation.recordVisit(url, { newAds, seconds })
+        .catch(error => logger.warn(`Failed to record city visit for ${url}: ${error.message}`));
+    }
+  }
+
+  startCityVisit(workerInfo, url) {
+    workerInfo.url = url;
+    workerInfo.cityStartTime = Date.now();
+    workerInfo.cityAds = 0;
+    this.assignedUrls.set(workerInfo.workerId, url);
+  }
+
+  // Yield per city for this run, best first
+  getCityYield() {
+    return [...this.cityYield.entries()]
+      .map(([url, stats]) => ({
+        url,
+        visits: stats.visits,
+        newAds: stats.newAds,
+        minutes: Math.round(stats.seconds / 6) / 10,
+        adsPerHour: stats.seconds > 0 ? Math.round((stats.newAds / (stats.seconds / 3600)) * 10) / 10 : 0
+      }))
+      .sort((a, b) => b.adsPerHour - a.adsPerHour);
+  }
+
+  async startWorker(workerId, nextUrl = null, job = null) {
     try {
       // Get URL for this worker
       let url;
-      if (this.config.sameUrl && this.config.baseUrl) {
+      if (job) {
+        url = job.url;
+        logger.info(`🔷 Starting Worker #${workerId} on job #${job.id}: ${url} (${job.timeBudgetMinutes} min, attempt ${job.attempts}/${job.maxAttempts})`);
+      } else if (nextUrl) {
+        url = nextUrl;
+        logger.info(`🔷 Starting Worker #${workerId} on ${url}`);
+      } else if (this.config.sameUrl && this.config.baseUrl) {
         // All workers use the same URL
         url = this.config.baseUrl;
         logger.info(`🔷 Starting Worker #${workerId} on SAME URL: ${url}`);
+      } else if (this.config.urls && this.config.urls.length > 0) {
+        // Workers take URLs from the configured list in order
+        url = this.config.urls[(workerId - 1) % this.config.urls.length];
+        logger.info(`🔷 Starting Worker #${workerId} on ${url}`);
       } else {
-        // Each worker gets a unique URL
-        url = this.urlRotation.getNextUrl();
+        // Each worker gets a different city, chosen by the rotation strategy
+        url = this.pickNextUrl(workerId);
         logger.info(`🔷 Starting Worker #${workerId} on ${url}`);
       }
 
       const worker = new Worker(path.join(__dirname, 'extractionWorker.js'), {
         workerData: {
           url,
-          duration: 0, // Unlimited
-          deviceMode: this.config.deviceMode,
+          // Jobs are timed crawls of one URL within their budget
+          duration: job ? job.timeBudgetMinutes : 0,
+          deviceMode: job ? job.deviceMode : this.config.deviceMode,
           extractionId: `${this.sharedSessionId}_worker${workerId}`,
-          extractionMode: 'unlimited',
+          extractionMode: job ? 'timed' : 'unlimited',
+          exitWhenDone: !!job, // Free the slot once the crawl is over
+          extractors: this.config.extractors || null,
           workerId: workerId,
-          multiThreadMode: true
+          multiThreadMode: true,
+          // Workers rotate on their own when a city dries up; give them the same list and strategy
+          rotationStrategy: this.rotationStrategy,
+          rotationCities: job || this.config.sameUrl || this.config.urls ? null : this.urlRotation.cities
         }
       });
 
@@ -82,13 +198,18 @@ class MultiThreadExtractor {
         url,
         status: 'starting',
         startTime: Date.now(),
+        lastMessageAt: Date.now(),
         adsExtracted: 0,
         errors: 0,
-        logs: []
+        logs: [],
+        job, // Leased crawl job in queue mode
+        jobCompleted: false,
+        jobSettled: false,
+        jobError: null
       };
 
       this.workers.set(workerId, workerInfo);
-      this.assignedUrls.set(workerId, url);
+      this.startCityVisit(workerInfo, url);
 
       // Handle worker messages
       worker.on('message', (message) => {
@@ -97,29 +218,21 @@ class MultiThreadExtractor {
 
       // Handle worker errors
       worker.on('error', (error) => {
-        logger.error(`❌ Worker #${workerId} error: ${error.message}`);
+        logger.error(`❌ Worker #${workerId} error: ${error.message}`, { extractionId: this.sharedSessionId, workerId });
+        this.recordLog(workerInfo, 'error', `Worker error: ${error.message}`);
         workerInfo.errors++;
         workerInfo.status = 'error';
+        workerInfo.jobError = workerInfo.jobError || error.message;
 
-        if (this.config.restartOnFailure && this.isRunning) {
+        // A job worker is settled by the exit handler instead of being restarted
+        if (this.config.restartOnFailure && this.isRunning && !job && !workerInfo.retiring) {
           this.restartWorker(workerId);
         }
       });
 
       // Handle worker exit
       worker.on('exit', (code) => {
-        if (code !== 0) {
-          logger.warn(`⚠️ Worker #${workerId} exited with code ${code}`);
-
-          if (this.config.restartOnFailure && this.isRunning) {
-            this.restartWorker(workerId);
-          }
-        } else {
-          logger.info(`✅ Worker #${workerId} completed successfully`);
-        }
-
-        this.workers.delete(workerId);
-        this.assignedUrls.delete(workerId);
+        this.handleWorkerExit(workerInfo, code);
       });
 
       return workerInfo;
@@ -130,6 +243,49 @@ class MultiThreadExtractor {
     }
   }
 
+  handleWorkerExit(workerInfo, code) {
+    const { workerId, job } = workerInfo;
+
+    // Workers moved to another city are replaced by checkAndRotateUrls
+    if (workerInfo.rotating) return;
+
+    if (job) {
+      this.finishCityVisit(workerInfo);
+      this.workers.delete(workerId);
+      this.workerStats.delete(workerId); // The slot is idle until it gets the next job
+      this.assignedUrls.delete(workerId);
+      this.settleJob(workerInfo, code).then(() => this.dispatchJobs());
+      return;
+    }
+
+    if (workerInfo.retiring) {
+      logger.info(`👋 Worker #${workerId} removed (scaled down)`);
+    } else if (code !== 0) {
+      logger.warn(`⚠️ Worker #${workerId} exited with code ${code}`, { extractionId: this.sharedSessionId, workerId });
+      this.recordLog(workerInfo, 'warn', `Worker exited with code ${code}`);
+
+      if (this.config.restartOnFailure && this.isRunning) {
+        this.restartWorker(workerId);
+      }
+    } else {
+      logger.info(`✅ Worker #${workerId} completed successfully`);
+    }
+
+    this.finishCityVisit(workerInfo);
+    if (this.workers.get(workerId) === workerInfo) {
+      this.workers.delete(workerId);
+      this.assignedUrls.delete(workerId);
+    }
+    if (workerInfo.retiring) {
+      this.workerStats.delete(workerId);
+
+      // Scaled back up before this worker finished stopping: scale() skipped the busy slot
+      if (this.isRunning && workerId <= this.maxWorkers && !this.workers.has(workerId)) {
+        this.startWorker(workerId).catch(() => {}); // startWorker logs the failure
+      }
+    }
+  }
+
   async restartWorker(workerId) {
     try {
       logger.info(`🔄 Restarting Worker #${workerId} in ${this.config.workerRestartDelay}ms...`);
@@ -137,8 +293,8 @@ class MultiThreadExtractor {
       // Wait before restarting
       await new Promise(resolve => setTimeout(resolve, this.config.workerRestartDelay));
 
-      // Check if still running
-      if (this.isRunning) {
+      // Check if still running (and the slot was not removed by scaling down meanwhile)
+      if (this.isRunning && workerId <= this.maxWorkers && !this.workers.has(workerId)) {
         await this.startWorker(workerId);
       }
     } catch (error) {
@@ -149,9 +305,12 @@ class MultiThreadExtractor {
   handleWorkerMessage(workerId, message) {
     const workerInfo = this.workers.get(workerId);
     if (!workerInfo) return;
+    workerInfo.lastMessageAt = Date.now();
 
     switch (message.type) {
       case 'log':
+        this.recordLog(workerInfo, message.data.level, message.data.message);
+
         // Store logs but don't flood console
         workerInfo.logs.push({
           timestamp: new Date().toISOString(),
@@ -169,7 +328,9 @@ class MultiThreadExtractor {
           this.onUpdate({
             type: 'log',
             message: `[Worker ${workerId}] ${message.data.message}`,
-            level: message.data.level || 'info'
+            level: message.data.level || 'info',
+            runId: this.sharedSessionId,
+            workerId
           });
         }
 
@@ -179,12 +340,13 @@ class MultiThreadExtractor {
             message.data.message.includes('new ads') ||
             message.data.message.includes('Scan #') ||
             message.data.message.includes('rotating')) {
-          logger.info(`[Worker #${workerId}] ${message.data.message}`);
+          logger.info(message.data.message, { extractionId: this.sharedSessionId, workerId });
         }
         break;
 
       case 'ads_update':
         workerInfo.adsExtracted += message.data.newAds?.length || 0;
+        workerInfo.cityAds += message.data.newAds?.length || 0;
         this.totalAds += message.data.newAds?.length || 0;
 
         if (message.data.newAds?.length > 0) {
@@ -196,7 +358,8 @@ class MultiThreadExtractor {
               type: 'new_ads',
               newAds: message.data.newAds,
               totalAds: this.totalAds,
-              sessionId: this.sharedSessionId
+              sessionId: this.sharedSessionId,
+              runId: this.sharedSessionId
             });
           }
         }
@@ -204,10 +367,37 @@ class MultiThreadExtractor {
 
       case 'status_update':
         workerInfo.status = message.data.status || workerInfo.status;
+        // Job workers exit on their own after cleanup; the exit handler settles the job
+        if (workerInfo.job && message.data.status === 'completed') {
+          workerInfo.jobCompleted = true;
+        }
+        break;
+
+      case 'error':
+        if (workerInfo.job) {
+          workerInfo.jobError = message.data.message;
+        }
         break;
 
       case 'session_created':
         workerInfo.sessionFile = message.data.sessionFile;
+        workerInfo.sessionId = message.data.sessionId;
+        break;
+
+      case 'url_changed':
+        // The worker rotated on its own
+        this.finishCityVisit(workerInfo);
+        this.startCityVisit(workerInfo, message.data.url);
+        break;
+
+      case 'policy_update':
+        // Adaptive rotation policy state after each scroll/refresh/rotate decision
+        workerInfo.policy = message.data;
+        break;
+
+      case 'metrics':
+        // Counters and histograms the worker thread recorded since its last report
+        metrics.registry.merge(message.data);
         break;
 
       default:
@@ -226,6 +416,7 @@ class MultiThreadExtractor {
       status: workerInfo.status,
       adsExtracted: workerInfo.adsExtracted,
       errors: workerInfo.errors,
+      jobId: workerInfo.job ? workerInfo.job.id : null,
       uptime: Date.now() - workerInfo.startTime,
       lastUpdate: new Date().toISOString()
     });
@@ -244,20 +435,37 @@ class MultiThreadExtractor {
     logger.info(`🚀 MULTI-THREAD EXTRACTION STARTED`);
     logger.info(`📊 Workers: ${this.maxWorkers} parallel threads`);
     logger.info(`📱 Device Mode: ${this.config.deviceMode}`);
-    logger.info(`⏱️ Mode: Unlimited (continuous)`);
+    logger.info(`⏱️ Mode: ${this.config.durationMinutes ? `${this.config.durationMinutes} minutes` : 'Unlimited (continuous)'}`);
     logger.info(`${'='.repeat(60)}\n`);
 
-    // Start all workers
-    const startPromises = [];
-    for (let i = 1; i <= this.maxWorkers; i++) {
-      startPromises.push(this.startWorker(i));
-    }
+    if (this.config.queue) {
+      // Worker slots are filled from the job queue as jobs become available
+      await this.dispatchJobs();
+    } else {
+      // Start all workers
+      const startPromises = [];
+      for (let i = 1; i <= this.maxWorkers; i++) {
+        startPromises.push(this.startWorker(i));
+      }
 
-    await Promise.all(startPromises);
+      await Promise.all(startPromises);
+    }
 
     // Start monitoring
     this.startMonitoring();
 
+    if (this.config.autoscale) {
+      this.setAutoscale(this.config.autoscale);
+    }
+
+    // Timed multi-thread runs (e.g. scheduled crawls) stop themselves
+    if (this.config.durationMinutes) {
+      this.durationTimer = setTimeout(() => {
+        logger.info(`⏰ Duration of ${this.config.durationMinutes} minutes reached`);
+        this.stop().catch(error => logger.error(`Failed to stop after duration: ${error.message}`));
+      }, this.config.durationMinutes * 60 * 1000);
+    }
+
     logger.info(`✅ All ${this.maxWorkers} workers started successfully\n`);
   }
 
@@ -267,28 +475,207 @@ class MultiThreadExtractor {
       this.reportStats();
     }, 30000);
 
+    if (this.config.queue) {
+      this.dispatchInterval = setInterval(() => {
+        this.dispatchJobs();
+      }, this.config.queuePollSeconds * 1000);
+
+      this.heartbeatInterval = setInterval(() => {
+        this.heartbeatJobs().catch(error => logger.error(`Job heartbeat failed: ${error.message}`));
+      }, this.config.heartbeatSeconds * 1000);
+      return;
+    }
+
     // URL rotation check every 60 seconds
     this.rotationInterval = setInterval(() => {
       this.checkAndRotateUrls();
     }, 60000);
   }
 
+  // Change the worker count of a running pool. New workers start right away (queue mode: as jobs
+  // are available); removed workers are asked to stop cleanly and their queue jobs are released.
+  async scale(target, { source = 'api', reason = null } = {}) {
+    if (!this.isRunning) {
+      throw new Error('Multi-thread extraction is not running');
+    }
+
+    const workers = Number(target);
+    if (!Number.isInteger(workers) || workers < 1 || workers > MAX_WORKERS) {
+      throw validationError(`workers must be between 1 and ${MAX_WORKERS}`);
+    }
+
+    const from = this.maxWorkers;
+    if (workers === from) return null;
+    this.maxWorkers = workers;
+
+    if (workers > from) {
+      if (this.config.queue) {
+        await this.dispatchJobs();
+      } else {
+        for (let workerId = from + 1; workerId <= workers; workerId++) {
+          if (!this.workers.has(workerId)) {
+            await this.startWorker(workerId);
+          }
+        }
+      }
+    } else {
+      for (const [workerId, workerInfo] of this.workers.entries()) {
+        if (workerId > workers && !workerInfo.retiring) {
+          this.retireWorker(workerInfo);
+        }
+      }
+    }
+
+    const event = {
+      type: 'scaling',
+      runId: this.sharedSessionId,
+      from,
+      to: workers,
+      source,
+      reason,
+      timestamp: new Date().toISOString(),
+      message: `${from > workers ? '📉' : '📈'} Workers ${from} → ${workers} (${source}${reason ? `: ${reason}` : ''})`
+    };
+    this.scalingEvents = [...this.scalingEvents, event].slice(-20);
+    logger.info(event.message, { extractionId: this.sharedSessionId });
+    this.recordLog(null, 'info', event.message);
+
+    if (this.onUpdate && typeof this.onUpdate === 'function') {
+      this.onUpdate(event);
+    }
+    return event;
+  }
+
+  retireWorker(workerInfo) {
+    workerInfo.retiring = true;
+    workerInfo.worker.postMessage({ type: 'stop' });
+
+    const timer = setTimeout(() => {
+      logger.warn(`⚠️ Worker #${workerInfo.workerId} did not stop in ${this.config.retireTimeoutSeconds}s - terminating`);
+      workerInfo.worker.terminate();
+    }, this.config.retireTimeoutSeconds * 1000);
+    workerInfo.worker.once('exit', () => clearTimeout(timer));
+  }
+
+  // Turn the autoscaler on (true or settings) or off (false/null) for this run
+  setAutoscale(options) {
+    // Built first so invalid settings leave the current autoscaler running
+    const autoscaler = options ? new WorkerAutoscaler(this, options === true ? {} : options) : null;
+
+    if (this.autoscaler) {
+      this.autoscaler.stop();
+    }
+    this.autoscaler = autoscaler;
+    if (autoscaler) {
+      autoscaler.start();
+    }
+    this.config.autoscale = this.autoscaler ? this.autoscaler.settings : null;
+    return this.getAutoscaleStatus();
+  }
+
+  getAutoscaleStatus() {
+    return this.autoscaler ? this.autoscaler.getStatus() : { enabled: false };
+  }
+
+  // Queue mode: lease a job for every free worker slot
+  async dispatchJobs() {
+    if (!this.isRunning || this.isDispatching) return;
+    this.isDispatching = true;
+
+    try {
+      // Jobs whose lease ran out (crashed worker or server) go back to the queue first
+      await this.jobQueue.requeueExpired();
+
+      for (let workerId = 1; workerId <= this.maxWorkers && this.isRunning; workerId++) {
+        if (this.workers.has(workerId)) continue;
+
+        const job = await this.jobQueue.lease(`${this.sharedSessionId}:worker${workerId}`);
+        if (!job) break;
+
+        try {
+          await this.startWorker(workerId, null, job);
+        } catch (error) {
+          await this.jobQueue.fail(job.id, job.leaseToken, `Worker failed to start: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Job dispatch failed: ${error.message}`);
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  // Renew the leases of running jobs; workers that went silent or overran their budget lose the job
+  async heartbeatJobs() {
+    const now = Date.now();
+
+    for (const [workerId, workerInfo] of [...this.workers.entries()]) {
+      const { job } = workerInfo;
+      if (!job || workerInfo.jobSettled || workerInfo.jobCompleted) continue;
+
+      const silentMs = now - workerInfo.lastMessageAt;
+      const overrun = now - workerInfo.startTime > (job.timeBudgetMinutes * 60 + this.config.jobGraceSeconds) * 1000;
+      if (overrun || silentMs > this.jobQueue.leaseSeconds * 1000) {
+        workerInfo.jobError = overrun
+          ? `Time budget of ${job.timeBudgetMinutes} minutes exceeded`
+          : `No worker activity for ${Math.round(silentMs / 1000)}s`;
+        logger.warn(`⚠️ Worker #${workerId} job #${job.id}: ${workerInfo.jobError} - terminating`);
+        await workerInfo.worker.terminate(); // The exit handler fails the job
+        continue;
+      }
+
+      if (!(await this.jobQueue.heartbeat(job.id, job.leaseToken))) {
+        // The lease expired and the job was requeued; this run's result no longer counts
+        logger.warn(`⚠️ Worker #${workerId} lost the lease on job #${job.id} - terminating`);
+        workerInfo.jobSettled = true;
+        await workerInfo.worker.terminate();
+      }
+    }
+  }
+
+  // Record how a job worker ended: completed, given back (pool stopping) or failed (retry / dead letter)
+  async settleJob(workerInfo, code) {
+    if (workerInfo.jobSettled) return;
+    workerInfo.jobSettled = true;
+
+    const { job } = workerInfo;
+    try {
+      // A retired worker's stop also ends its crawl loop normally, so check retiring first
+      if (workerInfo.retiring || (!this.isRunning && !workerInfo.jobCompleted)) {
+        await this.jobQueue.release(job.id, job.leaseToken);
+        logger.info(`↩️ Job #${job.id} returned to the queue`);
+      } else if (workerInfo.jobCompleted) {
+        await this.jobQueue.complete(job.id, job.leaseToken, { newAds: workerInfo.adsExtracted });
+        logger.info(`✅ Job #${job.id} completed by Worker #${workerInfo.workerId} (${workerInfo.adsExtracted} new ads)`);
+      } else {
+        await this.jobQueue.fail(job.id, job.leaseToken, workerInfo.jobError || `Worker exited with code ${code}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to settle job #${job.id}: ${error.message}`);
+    }
+  }
+
   async checkAndRotateUrls() {
-    // Check if any worker has been on same URL too long without results
-    for (const [workerId, stats] of this.workerStats.entries()) {
-      const workerInfo = this.workers.get(workerId);
-      if (!workerInfo) continue;
+    // Only workers spread across cities rotate
+    if (this.config.sameUrl || this.config.urls || this.config.queue) return;
 
-      // If worker has been running for 10+ minutes with <10 ads, rotate
-      const uptimeMinutes = stats.uptime / (60 * 1000);
-      if (uptimeMinutes > 10 && stats.adsExtracted < 10) {
-        logger.info(`🔄 Worker #${workerId} seems stuck - triggering URL rotation`);
+    // Check if any worker has been on same city too long without results
+    for (const [workerId, workerInfo] of [...this.workers.entries()]) {
+      if (!workerInfo.cityStartTime || workerInfo.retiring) continue;
 
-        // Send rotation message to worker (if supported)
-        // For now, we'll restart the worker
+      const minutesOnCity = (Date.now() - workerInfo.cityStartTime) / (60 * 1000);
+      if (minutesOnCity > this.config.stuckAfterMinutes && workerInfo.cityAds < this.config.stuckMinAds) {
+        const nextUrl = this.pickNextUrl(workerId);
+        logger.info(`🔄 Worker #${workerId} found ${workerInfo.cityAds} ads in ${Math.round(minutesOnCity)}m on ${workerInfo.url} - rotating to ${nextUrl} (${this.rotationStrategy})`);
+
+        // Restart the worker on the new city
         try {
+          workerInfo.rotating = true;
+          this.finishCityVisit(workerInfo);
           await workerInfo.worker.terminate();
-          await this.restartWorker(workerId);
+          if (this.isRunning && workerId <= this.maxWorkers) {
+            await this.startWorker(workerId, nextUrl);
+          }
         } catch (error) {
           logger.error(`Failed to rotate worker #${workerId}: ${error.message}`);
         }
@@ -313,6 +700,12 @@ class MultiThreadExtractor {
       const uptimeMin = Math.floor(stats.uptime / 1000 / 60);
       logger.info(`  Worker #${workerId}: ${stats.adsExtracted} ads, ${uptimeMin}m uptime, ${stats.status}`);
     }
+
+    // Best cities of this run
+    const cityYield = this.getCityYield().slice(0, 5);
+    if (cityYield.length > 0) {
+      logger.info(`  Top cities: ${cityYield.map(city => `${city.url.split('/').pop()} ${city.adsPerHour}/h`).join(', ')}`);
+    }
     logger.info(`${'─'.repeat(60)}\n`);
   }
 
@@ -332,10 +725,26 @@ class MultiThreadExtractor {
     if (this.rotationInterval) {
       clearInterval(this.rotationInterval);
     }
+    if (this.dispatchInterval) {
+      clearInterval(this.dispatchInterval);
+    }
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+    }
+    if (this.autoscaler) {
+      this.autoscaler.stop();
+    }
+    if (this.durationTimer) {
+      clearTimeout(this.durationTimer);
+    }
 
-    // Terminate all workers
+    // Terminate all workers (running jobs go back to the queue without using up an attempt)
     const terminatePromises = [];
     for (const [workerId, workerInfo] of this.workers.entries()) {
+      if (workerInfo.job) {
+        terminatePromises.push(this.settleJob(workerInfo, 0));
+      }
+      this.finishCityVisit(workerInfo);
       logger.info(`Terminating Worker #${workerId}...`);
       terminatePromises.push(
         workerInfo.worker.terminate().catch(err =>
@@ -365,10 +774,47 @@ class MultiThreadExtractor {
       activeWorkers,
       totalAds: this.totalAds,
       workers: Array.from(this.workerStats.values()),
+      rotation: {
+        strategy: this.rotationStrategy,
+        totalCities: this.urlRotation.urls.length,
+        recentRotations: this.urlRotation.rotationHistory.slice(-10)
+      },
+      cityYield: this.getCityYield(),
+      policy: this.getPolicyState(),
+      autoscale: this.getAutoscaleStatus(),
+      scalingEvents: this.scalingEvents,
       config: this.config
     };
   }
 
+  // Live adaptive rotation policy state of every worker, with decision totals
+  getPolicyState() {
+    const decisions = { scroll: 0, refresh: 0, rotate: 0 };
+    const workers = [];
+
+    for (const [workerId, workerInfo] of this.workers.entries()) {
+      if (!workerInfo.policy) continue;
+      Object.entries(workerInfo.policy.decisions || {}).forEach(([action, count]) => {
+        decisions[action] = (decisions[action] || 0) + count;
+      });
+      workers.push({ workerId, ...workerInfo.policy });
+    }
+
+    return { decisions, workers };
+  }
+
+  // Persist a line for this run (workerInfo null for run-level events)
+  recordLog(workerInfo, level, message) {
+    if (!this.extractionLogs || !this.sharedSessionId) return;
+    this.extractionLogs.record({
+      extractionId: this.sharedSessionId,
+      workerId: workerInfo ? workerInfo.workerId : null,
+      sessionId: workerInfo ? workerInfo.sessionId : null,
+      level,
+      message
+    });
+  }
+
   // Get logs from specific worker
   getWorkerLogs(workerId, limit = 50) {
     const workerInfo = this.workers.get(workerId);
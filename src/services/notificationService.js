@@ -0,0 +1,505 @@
+// Notification rules and webhook registry
+// Evaluates configurable rules against every batch of ads the extraction workers save
+// and enqueues one webhook_deliveries row per matching event. Volume drop rules run on a
+// timer in the main process instead. Delivery (signing, retries) is done by WebhookDispatcher.
+
+const crypto = require('crypto');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { getCityFromUrl } = require('../utils/pageUrl');
+const { normalizeAd } = require('../extractors/adSchema');
+
+const RULE_TYPES = ['new_advertiser', 'new_landing_domain', 'new_creative', 'keyword', 'volume_drop'];
+const KEYWORD_FIELDS = ['headline', 'body', 'advertiser'];
+// Rules evaluated by start()'s timer rather than per saved batch
+const SCHEDULED_RULE_TYPES = ['volume_drop'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class NotificationService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.volumeCheckIntervalMs = options.volumeCheckIntervalMs || 5 * 60 * 1000;
+    this.volumeInterval = null;
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+  }
+
+  // A city whose crawl stopped producing ads saves no batches, so volume drops are checked here
+  start() {
+    if (this.volumeInterval) return;
+
+    this.volumeInterval = setInterval(() => {
+      this.evaluateScheduled();
+    }, this.volumeCheckIntervalMs);
+
+    logger.info(`🔔 Volume drop rules checked every ${this.volumeCheckIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.volumeInterval) {
+      clearInterval(this.volumeInterval);
+      this.volumeInterval = null;
+    }
+  }
+
+  // Webhooks
+
+  validateWebhook(data, partial = false) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) {
+        errors.push('name is required');
+      }
+    }
+
+    if (!partial || data.url !== undefined) {
+      let parsed = null;
+      try {
+        parsed = new URL(data.url);
+      } catch (error) {
+        // Reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.push('url must be an http(s) URL');
+      }
+    }
+
+    if (data.secret !== undefined && data.secret !== null && String(data.secret).length < 16) {
+      errors.push('secret must be at least 16 characters');
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { validation: true });
+    }
+  }
+
+  async createWebhook(data) {
+    this.validateWebhook(data);
+
+    // The secret is only returned here; later reads mask it
+    const secret = data.secret || crypto.randomBytes(24).toString('hex');
+    const result = await this.db.run(
+      'INSERT INTO webhooks (name, url, secret, enabled) VALUES (?, ?, ?, ?)',
+      [String(data.name).trim(), data.url, secret, data.enabled === false ? 0 : 1]
+    );
+
+    logger.info(`🔔 Registered webhook "${data.name}" -> ${data.url}`);
+    return { ...(await this.getWebhook(result.id)), secret };
+  }
+
+  async updateWebhook(id, data) {
+    const existing = await this.db.get('SELECT id FROM webhooks WHERE id = ?', [id]);
+    if (!existing) {
+      throw new Error('Webhook not found');
+    }
+
+    this.validateWebhook(data, true);
+
+    const columns = {
+      name: data.name !== undefined ? String(data.name).trim() : undefined,
+      url: data.url,
+      secret: data.secret || undefined,
+      enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : undefined
+    };
+
+    const setParts = [];
+    const params = [];
+    Object.entries(columns).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setParts.push(`${column} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (setParts.length > 0) {
+      setParts.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+      await this.db.run(`UPDATE webhooks SET ${setParts.join(', ')} WHERE id = ?`, params);
+    }
+
+    return this.getWebhook(id);
+  }
+
+  async deleteWebhook(id) {
+    // Rules and the delivery log go with it (ON DELETE CASCADE)
+    const result = await this.db.run('DELETE FROM webhooks WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      throw new Error('Webhook not found');
+    }
+    return { success: true };
+  }
+
+  async getWebhook(id) {
+    const row = await this.db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (!row) return null;
+
+    const rules = await this.db.all('SELECT * FROM notification_rules WHERE webhook_id = ? ORDER BY id ASC', [id]);
+    return { ...this.formatWebhook(row), rules: rules.map(rule => this.formatRule(rule)) };
+  }
+
+  async getWebhooks() {
+    const rows = await this.db.all('SELECT * FROM webhooks ORDER BY id ASC');
+    const rules = await this.db.all('SELECT * FROM notification_rules ORDER BY id ASC');
+
+    return rows.map(row => ({
+      ...this.formatWebhook(row),
+      rules: rules.filter(rule => rule.webhook_id === row.id).map(rule => this.formatRule(rule))
+    }));
+  }
+
+  formatWebhook(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      secret: `${row.secret.slice(0, 4)}…`,
+      enabled: !!row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Rules
+
+  // Returns the normalized config for a rule type, or throws with every problem found
+  validateRuleConfig(type, config = {}) {
+    const errors = [];
+    let normalized = {};
+
+    switch (type) {
+      case 'keyword': {
+        const keywords = Array.isArray(config.keywords)
+          ? config.keywords.map(keyword => String(keyword).trim()).filter(Boolean)
+          : [];
+        if (keywords.length === 0) {
+          errors.push('keyword rules need a non-empty keywords array');
+        }
+        const fields = config.fields || ['headline', 'body'];
+        if (!Array.isArray(fields) || fields.some(field => !KEYWORD_FIELDS.includes(field))) {
+          errors.push(`fields must be a subset of: ${KEYWORD_FIELDS.join(', ')}`);
+        }
+        normalized = { keywords, fields };
+        break;
+      }
+      case 'volume_drop': {
+        const windowMinutes = parseInt(config.windowMinutes ?? 60);
+        const dropPercent = parseInt(config.dropPercent ?? 50);
+        const minBaseline = parseInt(config.minBaseline ?? 20);
+        if (isNaN(windowMinutes) || windowMinutes < 5 || windowMinutes > 1440) {
+          errors.push('windowMinutes must be between 5 and 1440');
+        }
+        if (isNaN(dropPercent) || dropPercent < 1 || dropPercent > 100) {
+          errors.push('dropPercent must be between 1 and 100');
+        }
+        if (isNaN(minBaseline) || minBaseline < 1) {
+          errors.push('minBaseline must be at least 1');
+        }
+        normalized = { windowMinutes, dropPercent, minBaseline, city: config.city || null };
+        break;
+      }
+      default:
+        // new_advertiser / new_landing_domain / new_creative take no options
+        normalized = {};
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { validation: true });
+    }
+    return normalized;
+  }
+
+  async createRule(webhookId, data) {
+    const webhook = await this.db.get('SELECT id FROM webhooks WHERE id = ?', [webhookId]);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    if (!RULE_TYPES.includes(data.type)) {
+      throw Object.assign(new Error(`type must be one of: ${RULE_TYPES.join(', ')}`), { validation: true });
+    }
+
+    const config = this.validateRuleConfig(data.type, data.config);
+    const result = await this.db.run(
+      'INSERT INTO notification_rules (webhook_id, name, type, config, enabled) VALUES (?, ?, ?, ?, ?)',
+      [webhookId, String(data.name || data.type).trim(), data.type, JSON.stringify(config), data.enabled === false ? 0 : 1]
+    );
+
+    return this.getRule(result.id);
+  }
+
+  async updateRule(webhookId, ruleId, data) {
+    const existing = await this.db.get('SELECT * FROM notification_rules WHERE id = ? AND webhook_id = ?', [ruleId, webhookId]);
+    if (!existing) {
+      throw new Error('Rule not found');
+    }
+
+    const columns = {
+      name: data.name !== undefined ? String(data.name).trim() : undefined,
+      config: data.config !== undefined ? JSON.stringify(this.validateRuleConfig(existing.type, data.config)) : undefined,
+      enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : undefined
+    };
+
+    const setParts = [];
+    const params = [];
+    Object.entries(columns).forEach(([column, value]) => {
+      if (value !== undefined) {
+        setParts.push(`${column} = ?`);
+        params.push(value);
+      }
+    });
+
+    if (setParts.length > 0) {
+      setParts.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(ruleId);
+      await this.db.run(`UPDATE notification_rules SET ${setParts.join(', ')} WHERE id = ?`, params);
+    }
+
+    return this.getRule(ruleId);
+  }
+
+  async deleteRule(webhookId, ruleId) {
+    const result = await this.db.run('DELETE FROM notification_rules WHERE id = ? AND webhook_id = ?', [ruleId, webhookId]);
+    if (result.changes === 0) {
+      throw new Error('Rule not found');
+    }
+    return { success: true };
+  }
+
+  async getRule(id) {
+    const row = await this.db.get('SELECT * FROM notification_rules WHERE id = ?', [id]);
+    return row ? this.formatRule(row) : null;
+  }
+
+  formatRule(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      name: row.name,
+      type: row.type,
+      config: JSON.parse(row.config || '{}'),
+      enabled: !!row.enabled,
+      lastTriggeredAt: row.last_triggered_at,
+      triggerCount: row.trigger_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Evaluation
+
+  // ads: the batch handed to saveAds; results: saveAds' per-ad results in the same order
+  async evaluateBatch({ sessionId, ads, results }) {
+    try {
+      const rules = (await this.getActiveRules()).filter(rule => !SCHEDULED_RULE_TYPES.includes(rule.type));
+      if (rules.length === 0) return 0;
+
+      const saved = (ads || []).map((ad, index) => ({ ad, result: (results || [])[index] }))
+        .filter(entry => entry.result && entry.result.id);
+
+      let queued = 0;
+      for (const rule of rules) {
+        const events = await this.matchRule(this.formatRule(rule), saved);
+        for (const event of events) {
+          if (await this.enqueue(rule, event, sessionId)) {
+            queued++;
+          }
+        }
+      }
+
+      if (queued > 0) {
+        logger.info(`🔔 Queued ${queued} webhook notifications for session ${sessionId}`);
+      }
+      return queued;
+    } catch (error) {
+      // Notifications must never break ad extraction
+      logger.warn(`Notification rule evaluation failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Timer side of evaluateBatch: rules that depend on time passing rather than on new ads
+  async evaluateScheduled() {
+    try {
+      const rules = (await this.getActiveRules()).filter(rule => SCHEDULED_RULE_TYPES.includes(rule.type));
+
+      let queued = 0;
+      for (const rule of rules) {
+        const events = await this.matchVolumeDrop(this.formatRule(rule));
+        for (const event of events) {
+          if (await this.enqueue(rule, event, null)) {
+            queued++;
+          }
+        }
+      }
+
+      if (queued > 0) {
+        logger.info(`🔔 Queued ${queued} volume drop notifications`);
+      }
+      return queued;
+    } catch (error) {
+      logger.warn(`Volume drop rule evaluation failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async getActiveRules() {
+    return this.db.all(
+      `SELECT r.* FROM notification_rules r
+       JOIN webhooks w ON w.id = r.webhook_id
+       WHERE r.enabled = 1 AND w.enabled = 1`
+    );
+  }
+
+  // Events ({ type, key, data }) a rule produces for one saved batch
+  async matchRule(rule, saved) {
+    // Only ads inserted by this batch count as new creatives; re-sightings have changes = 0
+    const inserted = saved.filter(entry => entry.result.changes > 0);
+
+    switch (rule.type) {
+      case 'new_creative':
+        return inserted.map(({ ad, result }) => ({
+          key: `new_creative:${result.id}`,
+          data: { ad: this.describeAd(ad, result) }
+        }));
+
+      case 'new_advertiser':
+        return inserted.filter(({ result }) => result.isNewAdvertiser).map(({ ad, result }) => ({
+          key: `new_advertiser:${result.advertiserId}`,
+          data: {
+            advertiser: { id: result.advertiserId, name: normalizeAd(ad).advertiser },
+            ad: this.describeAd(ad, result)
+          }
+        }));
+
+      case 'new_landing_domain':
+        return inserted.filter(({ result }) => result.newDomain).map(({ ad, result }) => ({
+          key: `new_landing_domain:${result.newDomain}`,
+          data: {
+            domain: result.newDomain,
+            advertiser: { id: result.advertiserId, name: normalizeAd(ad).advertiser },
+            ad: this.describeAd(ad, result)
+          }
+        }));
+
+      case 'keyword': {
+        const patterns = rule.config.keywords.map(keyword => ({
+          keyword,
+          pattern: new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i')
+        }));
+
+        return inserted.map(({ ad, result }) => {
+          const described = this.describeAd(ad, result);
+          const text = rule.config.fields.map(field => described[field] || '').join('\n');
+          const matched = patterns.filter(({ pattern }) => pattern.test(text)).map(({ keyword }) => keyword);
+          return matched.length > 0
+            ? { key: `keyword:${rule.id}:${result.id}`, data: { keywords: matched, ad: described } }
+            : null;
+        }).filter(Boolean);
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // Compare each city's sightings in the last window with the window before it
+  async matchVolumeDrop(rule) {
+    const { windowMinutes, dropPercent, minBaseline, city } = rule.config;
+    const now = Date.now();
+    const windowMs = windowMinutes * 60 * 1000;
+    const currentStart = new Date(now - windowMs).toISOString();
+    const previousStart = new Date(now - 2 * windowMs).toISOString();
+
+    const params = [currentStart, currentStart, previousStart];
+    let cityFilter = '';
+    if (city) {
+      cityFilter = ' AND city = ?';
+      params.push(city);
+    }
+
+    const rows = await this.db.all(
+      `SELECT city,
+              SUM(CASE WHEN seen_at >= ? THEN 1 ELSE 0 END) as current_count,
+              SUM(CASE WHEN seen_at < ? THEN 1 ELSE 0 END) as previous_count
+       FROM ad_sightings
+       WHERE seen_at >= ? AND city IS NOT NULL${cityFilter}
+       GROUP BY city`,
+      params
+    );
+
+    // One alert per city per window, however often the rule is checked in it
+    const bucket = Math.floor(now / windowMs);
+
+    return rows
+      .filter(row => row.previous_count >= minBaseline &&
+        row.current_count <= row.previous_count * (1 - dropPercent / 100))
+      .map(row => ({
+        key: `volume_drop:${rule.id}:${row.city}:${bucket}`,
+        data: {
+          city: row.city,
+          windowMinutes,
+          currentCount: row.current_count,
+          previousCount: row.previous_count,
+          dropPercent: Math.round((1 - row.current_count / row.previous_count) * 100)
+        }
+      }));
+  }
+
+  describeAd(rawAd, result) {
+    const ad = normalizeAd(rawAd);
+    return {
+      id: result.id,
+      advertiser: ad.advertiser || '',
+      headline: ad.headline || '',
+      body: ad.body || '',
+      link: ad.link || '',
+      image: ad.image && !ad.image.startsWith('data:') ? ad.image : '',
+      pageUrl: ad.pageUrl,
+      city: getCityFromUrl(ad.pageUrl),
+      timestamp: ad.timestamp
+    };
+  }
+
+  // Insert the delivery row; returns false when this event was already queued for the webhook
+  async enqueue(rule, event, sessionId) {
+    const occurredAt = new Date().toISOString();
+    const payload = {
+      event: rule.type,
+      rule: { id: rule.id, name: rule.name },
+      sessionId: sessionId || null,
+      occurredAt,
+      data: event.data
+    };
+
+    const result = await this.db.run(
+      `INSERT OR IGNORE INTO webhook_deliveries (webhook_id, rule_id, event_type, event_key, payload, status, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [rule.webhook_id, rule.id, rule.type, event.key, JSON.stringify(payload), occurredAt]
+    );
+
+    if (result.changes > 0) {
+      await this.db.run(
+        'UPDATE notification_rules SET last_triggered_at = ?, trigger_count = trigger_count + 1 WHERE id = ?',
+        [occurredAt, rule.id]
+      );
+      return true;
+    }
+    return false;
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+}
+
+NotificationService.RULE_TYPES = RULE_TYPES;
+
+module.exports = NotificationService;
@@ -0,0 +1,100 @@
+// Adaptive rotation policy statistics
+// Extraction workers in unlimited mode decide between scrolling, refreshing and rotating city with
+// AdaptiveRotationPolicy (utils/rotationPolicy.js). Its per-action rewards and per-city yield,
+// keyed by city URL and time-of-day bucket, are stored here so every run starts from what earlier
+// runs learned.
+
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { formatHourBucket } = require('../utils/rotationPolicy');
+
+class RotationPolicyService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+  }
+
+  // Rows for the AdaptiveRotationPolicy constructor
+  async loadStats() {
+    const arms = await this.db.all('SELECT url, hour_bucket, action, pulls, reward_sum FROM rotation_policy_arms');
+    const yields = await this.db.all('SELECT url, hour_bucket, new_ads, seconds FROM rotation_policy_yield');
+    return { arms, yields };
+  }
+
+  // Add the deltas from AdaptiveRotationPolicy.takePendingStats (several workers write concurrently,
+  // so rows are incremented rather than replaced)
+  async recordStats({ arms = [], yields = [] }) {
+    for (const arm of arms) {
+      await this.db.run(
+        'INSERT OR IGNORE INTO rotation_policy_arms (url, hour_bucket, action) VALUES (?, ?, ?)',
+        [arm.url, arm.hourBucket, arm.action]
+      );
+      await this.db.run(
+        `UPDATE rotation_policy_arms
+         SET pulls = pulls + ?, reward_sum = reward_sum + ?, updated_at = CURRENT_TIMESTAMP
+         WHERE url = ? AND hour_bucket = ? AND action = ?`,
+        [arm.pulls, arm.rewardSum, arm.url, arm.hourBucket, arm.action]
+      );
+    }
+
+    for (const stats of yields) {
+      await this.db.run(
+        'INSERT OR IGNORE INTO rotation_policy_yield (url, hour_bucket) VALUES (?, ?)',
+        [stats.url, stats.hourBucket]
+      );
+      await this.db.run(
+        `UPDATE rotation_policy_yield
+         SET new_ads = new_ads + ?, seconds = seconds + ?, updated_at = CURRENT_TIMESTAMP
+         WHERE url = ? AND hour_bucket = ?`,
+        [stats.newAds, stats.seconds, stats.url, stats.hourBucket]
+      );
+    }
+
+    if (arms.length > 0 || yields.length > 0) {
+      logger.debug(`🎰 Saved rotation policy stats (${arms.length} actions, ${yields.length} city buckets)`);
+    }
+  }
+
+  // Best city / time-of-day buckets by learned new ads per minute (at least minMinutes of crawling)
+  async getTopYields({ limit = 10, minMinutes = 5 } = {}) {
+    const rows = await this.db.all(
+      `SELECT url, hour_bucket, new_ads, seconds, new_ads * 60.0 / seconds AS ads_per_minute
+       FROM rotation_policy_yield
+       WHERE seconds >= ?
+       ORDER BY ads_per_minute DESC
+       LIMIT ?`,
+      [minMinutes * 60, limit]
+    );
+    return rows.map(row => ({
+      url: row.url,
+      hourBucket: formatHourBucket(row.hour_bucket),
+      newAds: row.new_ads,
+      minutes: Math.round(row.seconds / 6) / 10,
+      adsPerMinute: Math.round(row.ads_per_minute * 100) / 100
+    }));
+  }
+
+  // Mean reward and pulls per action over all contexts
+  async getActionSummary() {
+    const rows = await this.db.all(
+      `SELECT action, SUM(pulls) AS pulls, SUM(reward_sum) AS reward_sum
+       FROM rotation_policy_arms GROUP BY action ORDER BY action ASC`
+    );
+    return rows.map(row => ({
+      action: row.action,
+      pulls: row.pulls,
+      meanReward: row.pulls > 0 ? Math.round((row.reward_sum / row.pulls) * 100) / 100 : null
+    }));
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = RotationPolicyService;
@@ -0,0 +1,266 @@
+// Learned selector store
+// SmartAdDetector proposes CSS selectors as `candidate` rows; an admin approves or rejects them.
+// The `learned` extractor runs approved selectors on every pass and reports back how many
+// elements matched and how many of those produced a valid ad. Elements that don't are counted as
+// false positives, and selectors that stop matching or fall below the confidence floor are demoted
+// (the worker stops using them until they are approved again).
+
+const fs = require('fs-extra');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+
+const STATUSES = ['candidate', 'approved', 'rejected', 'demoted'];
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+// Share of matched elements that were real ads, with one virtual hit and one virtual false
+// positive so a new selector starts at 0.5 and a handful of observations can't pin it at 0 or 1
+function computeConfidence(hits, falsePositives) {
+  return Math.round(((hits + 1) / (hits + falsePositives + 2)) * 1000) / 1000;
+}
+
+// computeConfidence in SQL, for an UPDATE that adds (hits, hits, falsePositives) to the stored
+// counts, so concurrent workers' increments are never lost between a read and a write
+const CONFIDENCE_SQL = 'ROUND((hit_count + ? + 1.0) / (hit_count + ? + false_positive_count + ? + 2), 3)';
+
+class SelectorLearningService {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.demoteAfterMisses = options.demoteAfterMisses || 40; // passes in a row without a match
+    this.minConfidence = options.minConfidence || 0.3;
+    this.minObservations = options.minObservations || 10; // matches before confidence can demote
+    this.cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : 60000;
+
+    this.approvedCache = null;
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+  }
+
+  // Candidates from SmartAdDetector; known selectors only get their proposal count bumped
+  async recordCandidates(selectors, { pageUrl } = {}) {
+    const now = new Date().toISOString();
+    let added = 0;
+
+    for (const selector of [...new Set(selectors.map(s => String(s || '').trim()).filter(Boolean))]) {
+      const existing = await this.db.get('SELECT id FROM learned_selectors WHERE selector = ?', [selector]);
+      if (existing) {
+        await this.db.run(
+          `UPDATE learned_selectors
+           SET times_proposed = times_proposed + 1, last_proposed_at = ?,
+               sample_page_url = COALESCE(sample_page_url, ?)
+           WHERE id = ?`,
+          [now, pageUrl || null, existing.id]
+        );
+        continue;
+      }
+
+      await this.db.run(
+        'INSERT INTO learned_selectors (selector, sample_page_url, last_proposed_at) VALUES (?, ?, ?)',
+        [selector, pageUrl || null, now]
+      );
+      added++;
+      logger.info(`🧠 New selector candidate: ${selector}`);
+    }
+
+    return { added };
+  }
+
+  // Approved selectors for the extraction worker, cached for cacheTtlMs
+  async getApprovedSelectors() {
+    if (this.approvedCache && Date.now() - this.approvedCache.loadedAt < this.cacheTtlMs) {
+      return this.approvedCache.selectors;
+    }
+
+    const rows = await this.db.all(
+      "SELECT id, selector FROM learned_selectors WHERE status = 'approved' ORDER BY confidence DESC, id ASC"
+    );
+    this.approvedCache = { loadedAt: Date.now(), selectors: rows };
+    return rows;
+  }
+
+  // One extraction pass: [{ selector, matched, valid }] for every approved selector that ran.
+  // Returns the selectors demoted by this pass.
+  async recordResults(results) {
+    const now = new Date().toISOString();
+    const demoted = [];
+
+    for (const { selector, matched = 0, valid = 0 } of results) {
+      const falsePositives = Math.max(0, matched - valid);
+      const result = await this.db.run(
+        `UPDATE learned_selectors
+         SET hit_count = hit_count + ?, false_positive_count = false_positive_count + ?,
+             miss_streak = CASE WHEN ? > 0 THEN 0 ELSE miss_streak + 1 END,
+             confidence = ${CONFIDENCE_SQL},
+             last_matched_at = COALESCE(?, last_matched_at), updated_at = ?
+         WHERE selector = ? AND status = 'approved'`,
+        [valid, falsePositives, matched, valid, valid, falsePositives, matched > 0 ? now : null, now, selector]
+      );
+      if (result.changes === 0) continue;
+
+      const reason = await this.demoteIfNeeded('selector', selector);
+      if (reason) {
+        demoted.push(selector);
+        logger.warn(`🧠 Demoted selector ${selector}: ${reason}`);
+      }
+    }
+
+    if (demoted.length > 0) this.approvedCache = null;
+    return { demoted };
+  }
+
+  // Demote an approved selector (looked up by id or selector) whose updated counts call for it
+  async demoteIfNeeded(column, value) {
+    const row = await this.db.get(`SELECT * FROM learned_selectors WHERE ${column} = ? AND status = 'approved'`, [value]);
+    if (!row) return null;
+
+    const reason = this.demotionReason({
+      hits: row.hit_count,
+      falsePositives: row.false_positive_count,
+      missStreak: row.miss_streak,
+      confidence: row.confidence
+    });
+    if (!reason) return null;
+
+    const result = await this.db.run(
+      `UPDATE learned_selectors SET status = 'demoted', status_reason = ?, updated_at = ?
+       WHERE id = ? AND status = 'approved'`,
+      [reason, new Date().toISOString(), row.id]
+    );
+    return result.changes > 0 ? reason : null;
+  }
+
+  demotionReason({ hits, falsePositives, missStreak, confidence }) {
+    if (missStreak >= this.demoteAfterMisses) {
+      return `no matches in the last ${missStreak} passes`;
+    }
+    if (hits + falsePositives >= this.minObservations && confidence < this.minConfidence) {
+      return `confidence ${confidence} below ${this.minConfidence}`;
+    }
+    return null;
+  }
+
+  // Admin review: approve (also re-approves demoted selectors with a fresh miss streak) or reject
+  async review(id, decision, reviewer) {
+    const status = DECISIONS[decision];
+    if (!status) {
+      throw validationError(`decision must be one of: ${Object.keys(DECISIONS).join(', ')}`);
+    }
+
+    const existing = await this.getSelector(id);
+    if (!existing) {
+      throw new Error('Selector not found');
+    }
+
+    await this.db.run(
+      `UPDATE learned_selectors
+       SET status = ?, status_reason = NULL, miss_streak = 0, reviewed_by = ?, reviewed_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [status, reviewer || null, new Date().toISOString(), new Date().toISOString(), id]
+    );
+
+    this.approvedCache = null;
+    logger.info(`🧠 Selector ${existing.selector} ${status}${reviewer ? ` by ${reviewer}` : ''}`);
+    return this.getSelector(id);
+  }
+
+  // Reviewer flagged ads found by this selector as not being ads
+  async markFalsePositive(id, count = 1) {
+    const row = await this.db.get('SELECT * FROM learned_selectors WHERE id = ?', [id]);
+    if (!row) {
+      throw new Error('Selector not found');
+    }
+
+    const amount = parseInt(count);
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw validationError('count must be a positive integer');
+    }
+
+    await this.db.run(
+      `UPDATE learned_selectors
+       SET false_positive_count = false_positive_count + ?, confidence = ${CONFIDENCE_SQL}, updated_at = ?
+       WHERE id = ?`,
+      [amount, 0, 0, amount, new Date().toISOString(), id]
+    );
+
+    const reason = await this.demoteIfNeeded('id', id);
+    if (reason) {
+      this.approvedCache = null;
+      logger.warn(`🧠 Demoted selector ${row.selector}: ${reason}`);
+    }
+    return this.getSelector(id);
+  }
+
+  async getSelector(id) {
+    const row = await this.db.get('SELECT * FROM learned_selectors WHERE id = ?', [id]);
+    return row ? this.formatSelector(row) : null;
+  }
+
+  // Review queue: candidates and demoted selectors first, most proposed first
+  async listSelectors({ status, limit } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw validationError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    const rows = await this.db.all(
+      `SELECT * FROM learned_selectors
+       ${status ? 'WHERE status = ?' : ''}
+       ORDER BY CASE status WHEN 'candidate' THEN 0 WHEN 'demoted' THEN 1 WHEN 'approved' THEN 2 ELSE 3 END,
+                times_proposed DESC, id ASC
+       LIMIT ?`,
+      [...(status ? [status] : []), Math.min(parseInt(limit) || 200, 1000)]
+    );
+    return rows.map(row => this.formatSelector(row));
+  }
+
+  async getStatus() {
+    const rows = await this.db.all('SELECT status, COUNT(*) AS count FROM learned_selectors GROUP BY status');
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    rows.forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  // One-time import of the JSON file SmartAdDetector used to write; renamed once imported
+  async importLegacyFile(file) {
+    if (!await fs.pathExists(file)) return { imported: 0 };
+
+    const data = await fs.readJson(file);
+    const { added } = await this.recordCandidates(data.selectors || []);
+    await fs.move(file, `${file}.imported`, { overwrite: true });
+
+    logger.info(`🧠 Imported ${added} learned selectors from ${file}`);
+    return { imported: added };
+  }
+
+  formatSelector(row) {
+    return {
+      id: row.id,
+      selector: row.selector,
+      status: row.status,
+      statusReason: row.status_reason,
+      timesProposed: row.times_proposed,
+      samplePageUrl: row.sample_page_url,
+      hitCount: row.hit_count,
+      falsePositiveCount: row.false_positive_count,
+      missStreak: row.miss_streak,
+      confidence: row.confidence,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      lastProposedAt: row.last_proposed_at,
+      lastMatchedAt: row.last_matched_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+SelectorLearningService.STATUSES = STATUSES;
+SelectorLearningService.computeConfidence = computeConfidence;
+
+module.exports = SelectorLearningService;
@@ -0,0 +1,289 @@
+// Background sender for queued webhook notifications
+// Posts webhook_deliveries payloads as signed JSON and retries failures with backoff.
+// Receivers verify X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// using the X-Webhook-Timestamp header, and can drop replays by X-Webhook-Delivery.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.concurrency = options.concurrency || 2;
+    this.batchSize = options.batchSize || 20;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 30000; // 30s, 1m, 2m, 4m...
+    this.pollIntervalMs = options.pollIntervalMs || 10000;
+
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.stats = { delivered: 0, failed: 0, retried: 0 };
+  }
+
+  async initialize() {
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+
+    // Rows claimed by a process that died mid-request go back on the queue
+    await this.db.run(
+      "UPDATE webhook_deliveries SET status = 'retry', next_attempt_at = ? WHERE status = 'delivering'",
+      [new Date().toISOString()]
+    );
+
+    logger.info('🔔 Webhook dispatcher initialized');
+  }
+
+  start() {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => {
+      this.processQueue().catch(error => {
+        logger.error(`Webhook dispatcher failed: ${error.message}`);
+      });
+    }, this.pollIntervalMs);
+
+    logger.info(`🔔 Webhook dispatcher started (polling every ${this.pollIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  async getPendingDeliveries(limit) {
+    return this.db.all(
+      `SELECT d.*, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE w.enabled = 1 AND d.status IN ('pending', 'retry') AND d.next_attempt_at <= ?
+       ORDER BY d.id ASC
+       LIMIT ?`,
+      [new Date().toISOString(), limit]
+    );
+  }
+
+  async claim(delivery) {
+    const result = await this.db.run(
+      `UPDATE webhook_deliveries SET status = 'delivering'
+       WHERE id = ? AND status IN ('pending', 'retry')`,
+      [delivery.id]
+    );
+    return result.changes > 0;
+  }
+
+  async send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await axios.post(delivery.url, delivery.payload, {
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      // The body is sent exactly as signed
+      transformRequest: [data => data],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NewsBreak-Ads-Crawler-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+      }
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return response.status;
+    }
+
+    // Client errors won't fix themselves, except timeouts and rate limiting
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw Object.assign(new Error(`HTTP ${response.status}`), {
+      status: response.status,
+      permanent: !retryable
+    });
+  }
+
+  async deliver(delivery) {
+    if (!(await this.claim(delivery))) return null;
+
+    const attempts = (delivery.attempts || 0) + 1;
+
+    try {
+      const status = await this.send(delivery);
+
+      await this.db.run(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+             next_attempt_at = NULL, delivered_at = ?
+         WHERE id = ?`,
+        [attempts, status, new Date().toISOString(), delivery.id]
+      );
+
+      this.stats.delivered++;
+      return { status: 'delivered', responseStatus: status };
+    } catch (error) {
+      const giveUp = error.permanent || attempts >= this.maxAttempts;
+      const nextAttemptAt = giveUp
+        ? null
+        : new Date(Date.now() + this.retryBaseDelayMs * Math.pow(2, attempts - 1)).toISOString();
+
+      await this.db.run(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?
+         WHERE id = ?`,
+        [giveUp ? 'failed' : 'retry', attempts, error.status || null, error.message, nextAttemptAt, delivery.id]
+      );
+
+      if (giveUp) {
+        this.stats.failed++;
+        logger.warn(`🔔 Webhook delivery ${delivery.id} to ${delivery.url} failed after ${attempts} attempts: ${error.message}`);
+      } else {
+        this.stats.retried++;
+        logger.debug(`🔔 Webhook delivery ${delivery.id} failed (attempt ${attempts}), retrying at ${nextAttemptAt}: ${error.message}`);
+      }
+
+      return { status: giveUp ? 'failed' : 'retry', error: error.message };
+    }
+  }
+
+  // Send one batch of due deliveries with limited concurrency
+  async processQueue() {
+    if (this.isProcessing) return { processed: 0 };
+    this.isProcessing = true;
+
+    try {
+      const deliveries = await this.getPendingDeliveries(this.batchSize);
+      if (deliveries.length === 0) return { processed: 0 };
+
+      const queue = [...deliveries];
+      const runners = Array.from({ length: Math.min(this.concurrency, queue.length) }, async () => {
+        while (queue.length > 0) {
+          await this.deliver(queue.shift());
+        }
+      });
+      await Promise.all(runners);
+
+      logger.info(`🔔 Webhook dispatcher processed ${deliveries.length} deliveries (delivered: ${this.stats.delivered}, failed: ${this.stats.failed})`);
+      return { processed: deliveries.length };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Keep processing until nothing is due
+  async drain() {
+    let total = 0;
+    while (true) {
+      const { processed } = await this.processQueue();
+      if (processed === 0) break;
+      total += processed;
+    }
+    return total;
+  }
+
+  // Queue and immediately send a test event so a receiver can be checked from the admin UI
+  async sendTest(webhookId) {
+    const webhook = await this.db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    const occurredAt = new Date().toISOString();
+    const payload = JSON.stringify({
+      event: 'test',
+      rule: null,
+      sessionId: null,
+      occurredAt,
+      data: { message: 'Test notification from NewsBreak Ads Crawler' }
+    });
+
+    const result = await this.db.run(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, event_key, payload, status, next_attempt_at)
+       VALUES (?, 'test', ?, ?, 'pending', ?)`,
+      [webhookId, `test:${Date.now()}`, payload, occurredAt]
+    );
+
+    const outcome = await this.deliver({
+      id: result.id,
+      url: webhook.url,
+      secret: webhook.secret,
+      event_type: 'test',
+      payload,
+      attempts: 0
+    });
+    return { deliveryId: result.id, ...outcome };
+  }
+
+  async getDeliveries(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.webhookId) {
+      conditions.push('d.webhook_id = ?');
+      params.push(filters.webhookId);
+    }
+    if (filters.status) {
+      conditions.push('d.status = ?');
+      params.push(filters.status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(Math.min(parseInt(filters.limit) || 100, 1000));
+
+    const rows = await this.db.all(
+      `SELECT d.id, d.webhook_id, w.name as webhook_name, d.rule_id, d.event_type, d.event_key,
+              d.status, d.attempts, d.response_status, d.last_error, d.next_attempt_at,
+              d.delivered_at, d.created_at, d.payload
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       ${where}
+       ORDER BY d.id DESC
+       LIMIT ?`,
+      params
+    );
+
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  async requeueFailed() {
+    const result = await this.db.run(
+      `UPDATE webhook_deliveries SET status = 'retry', attempts = 0, next_attempt_at = ?
+       WHERE status = 'failed'`,
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  async getStatus() {
+    const rows = await this.db.all(
+      'SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status'
+    );
+
+    const counts = { pending: 0, delivering: 0, retry: 0, delivered: 0, failed: 0 };
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+
+    return {
+      running: !!this.pollInterval,
+      processing: this.isProcessing,
+      counts,
+      session: { ...this.stats }
+    };
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,162 @@
+// Worker autoscaler for multi-thread runs
+// Every interval it samples host memory and CPU load plus the new ads per worker since the last
+// sample and asks MultiThreadExtractor to add or remove one worker. Resource pressure always wins
+// and skips the cooldown; a pool whose workers find next to nothing shrinks; a productive pool
+// grows while the host has headroom.
+
+const os = require('os');
+const logger = require('../utils/logger');
+const { validationError } = require('../utils/validation');
+
+const MAX_WORKERS = 10;
+
+const DEFAULT_AUTOSCALE = {
+  minWorkers: 1,
+  maxWorkers: MAX_WORKERS,
+  intervalSeconds: 120,
+  cooldownSeconds: 300, // Between yield-driven changes (new workers need time to warm up)
+  memoryHighPercent: 85, // Scale down above
+  memoryLowPercent: 70, // Scale up only below
+  cpuHighPercent: 90, // 1-minute load average as a share of all cores
+  cpuLowPercent: 60,
+  scaleUpAdsPerWorkerHour: 30,
+  scaleDownAdsPerWorkerHour: 5
+};
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function sampleHost() {
+  return {
+    memoryPercent: round((1 - os.freemem() / os.totalmem()) * 100),
+    cpuPercent: round((os.loadavg()[0] / os.cpus().length) * 100)
+  };
+}
+
+// true / {} / { minWorkers, ... } -> full settings; throws a validation error for bad values
+function resolveAutoscaleOptions(options) {
+  const given = options && typeof options === 'object' ? options : {};
+  const settings = {};
+  const errors = [];
+
+  Object.keys(DEFAULT_AUTOSCALE).forEach(key => {
+    const value = Number(given[key] !== undefined ? given[key] : DEFAULT_AUTOSCALE[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+    settings[key] = value;
+  });
+
+  if (!Number.isInteger(settings.minWorkers) || !Number.isInteger(settings.maxWorkers) ||
+      settings.minWorkers < 1 || settings.maxWorkers > MAX_WORKERS || settings.minWorkers > settings.maxWorkers) {
+    errors.push(`minWorkers and maxWorkers must be whole numbers with 1 <= minWorkers <= maxWorkers <= ${MAX_WORKERS}`);
+  }
+  if (settings.intervalSeconds < 10) {
+    errors.push('intervalSeconds must be at least 10');
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors.join('; '));
+  }
+  return settings;
+}
+
+// metrics: { workers, memoryPercent, cpuPercent, adsPerWorkerHour (null before the first sample) }
+// Returns { action: 'up' | 'down' | null, reason, urgent }
+function decideScaling(metrics, settings) {
+  const { workers, memoryPercent, cpuPercent, adsPerWorkerHour } = metrics;
+  const canShrink = workers > settings.minWorkers;
+
+  if (workers < settings.minWorkers) {
+    return { action: 'up', reason: `below the minimum of ${settings.minWorkers} workers`, urgent: true };
+  }
+  if (workers > settings.maxWorkers) {
+    return { action: 'down', reason: `above the maximum of ${settings.maxWorkers} workers`, urgent: true };
+  }
+  if (canShrink && memoryPercent > settings.memoryHighPercent) {
+    return { action: 'down', reason: `host memory at ${memoryPercent}%`, urgent: true };
+  }
+  if (canShrink && cpuPercent > settings.cpuHighPercent) {
+    return { action: 'down', reason: `host CPU load at ${cpuPercent}%`, urgent: true };
+  }
+  if (adsPerWorkerHour === null) {
+    return { action: null, reason: 'waiting for a yield sample', urgent: false };
+  }
+  if (canShrink && adsPerWorkerHour < settings.scaleDownAdsPerWorkerHour) {
+    return { action: 'down', reason: `${adsPerWorkerHour} new ads per worker-hour`, urgent: false };
+  }
+  if (workers < settings.maxWorkers && adsPerWorkerHour >= settings.scaleUpAdsPerWorkerHour &&
+      memoryPercent < settings.memoryLowPercent && cpuPercent < settings.cpuLowPercent) {
+    return { action: 'up', reason: `${adsPerWorkerHour} new ads per worker-hour with host headroom`, urgent: false };
+  }
+  return { action: null, reason: 'within limits', urgent: false };
+}
+
+class WorkerAutoscaler {
+  constructor(extractor, options = {}) {
+    this.extractor = extractor; // MultiThreadExtractor: maxWorkers, totalAds, scale()
+    this.settings = resolveAutoscaleOptions(options);
+    this.sampleHost = options.sampleHost || sampleHost;
+    this.timer = null;
+    this.lastSample = null;
+    this.lastScaledAt = 0;
+    this.lastDecision = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.lastSample = { at: Date.now(), totalAds: this.extractor.totalAds };
+    this.lastScaledAt = Date.now(); // Give the starting workers a cooldown to warm up
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error(`Autoscaler check failed: ${error.message}`));
+    }, this.settings.intervalSeconds * 1000);
+    logger.info(`📈 Autoscaler on: ${this.settings.minWorkers}-${this.settings.maxWorkers} workers, checking every ${this.settings.intervalSeconds}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = Date.now()) {
+    const workers = this.extractor.maxWorkers;
+    const hours = (now - this.lastSample.at) / 3600000;
+    const newAds = this.extractor.totalAds - this.lastSample.totalAds;
+    this.lastSample = { at: now, totalAds: this.extractor.totalAds };
+
+    const metrics = {
+      workers,
+      ...this.sampleHost(),
+      adsPerWorkerHour: hours > 0 && workers > 0 ? round(newAds / workers / hours) : null
+    };
+    const decision = decideScaling(metrics, this.settings);
+    this.lastDecision = { ...decision, metrics, at: new Date(now).toISOString() };
+
+    if (!decision.action) return null;
+    if (!decision.urgent && now - this.lastScaledAt < this.settings.cooldownSeconds * 1000) return null;
+
+    this.lastScaledAt = now;
+    const target = Math.min(this.settings.maxWorkers, Math.max(this.settings.minWorkers, workers + (decision.action === 'up' ? 1 : -1)));
+    return this.extractor.scale(target, { source: 'autoscaler', reason: decision.reason });
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      settings: this.settings,
+      lastDecision: this.lastDecision
+    };
+  }
+}
+
+module.exports = {
+  MAX_WORKERS,
+  DEFAULT_AUTOSCALE,
+  WorkerAutoscaler,
+  resolveAutoscaleOptions,
+  decideScaling,
+  sampleHost
+};
@@ -0,0 +1,327 @@
+// Server-side Excel export
+// Builds a workbook straight from the database with an Ads sheet (hyperlinked links and
+// archived images), an Advertisers pivot, a per-city breakdown and the session metadata.
+// Rows are selected with the same filters as /api/query/ads (see utils/adFilters).
+// Plain exports use ExcelJS's streaming writer so rows are flushed as they are read;
+// embedding thumbnails needs the buffered workbook and is therefore capped.
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const DatabaseConnection = require('../database/connection');
+const logger = require('../utils/logger');
+const { buildAdFilterSql } = require('../utils/adFilters');
+
+// ExcelJS can only embed these formats
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+};
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+const THUMBNAIL_SIZE = 60; // px, also used as the row height for image rows
+
+class XlsxExporter {
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseConnection();
+    this.storageDir = options.storageDir || path.join(process.cwd(), 'data', 'images');
+    this.batchSize = options.batchSize || 500;
+    this.maxImageRows = options.maxImageRows || 2000;
+  }
+
+  async initialize() {
+    // The connection may be shared with (and already opened by) DatabaseModels
+    if (!this.db.isConnected()) {
+      await this.db.initialize();
+    }
+  }
+
+  // SQL filter shared by every sheet; ads belong to the session they were first seen in
+  buildFilter(filters = {}) {
+    return buildAdFilterSql(filters, { ftsAvailable: this.db.ftsAvailable, alias: 'a' });
+  }
+
+  async countAds(filters) {
+    await this.initialize();
+    const { where, params } = this.buildFilter(filters);
+    const row = await this.db.get(`SELECT COUNT(*) as count FROM ads a WHERE ${where}`, params);
+    return row.count;
+  }
+
+  // Write the workbook to a writable stream (an Express response or a file stream).
+  // options: { filters, embedImages, baseUrl }
+  async exportAds(stream, options = {}) {
+    await this.initialize();
+
+    const workbook = options.embedImages
+      ? new ExcelJS.Workbook()
+      : new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+
+    workbook.creator = 'NewsBreak Ads Crawler';
+    workbook.created = new Date();
+
+    const totalAds = await this.writeAdsSheet(workbook, options);
+    await this.writeAdvertisersSheet(workbook, options.filters);
+    await this.writeCitiesSheet(workbook, options.filters);
+    await this.writeSessionsSheet(workbook, options.filters);
+    await this.writeExportSheet(workbook, totalAds, options.filters);
+
+    if (options.embedImages) {
+      await workbook.xlsx.write(stream);
+    } else {
+      await workbook.commit();
+    }
+
+    logger.info(`📊 Exported ${totalAds} ads to Excel`);
+    return { totalAds };
+  }
+
+  addSheet(workbook, name, columns) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+
+    const header = sheet.getRow(1);
+    header.eachCell(cell => {
+      cell.font = { bold: true };
+      cell.fill = HEADER_FILL;
+    });
+    header.commit();
+
+    return sheet;
+  }
+
+  // Streaming sheets must be committed; the buffered workbook has nothing to flush
+  commitSheet(sheet) {
+    if (typeof sheet.commit === 'function') {
+      sheet.commit();
+    }
+  }
+
+  async writeAdsSheet(workbook, options) {
+    const { where, params } = this.buildFilter(options.filters);
+    const columns = [
+      { header: 'ID', key: 'id', width: 10 },
+      { header: 'First Seen', key: 'timestamp', width: 22 },
+      { header: 'Advertiser', key: 'advertiser', width: 28 },
+      { header: 'Headline', key: 'heading', width: 40 },
+      { header: 'Description', key: 'description', width: 60 },
+      { header: 'Link', key: 'link', width: 40 },
+      { header: 'Landing Domain', key: 'landingDomain', width: 28 },
+      { header: 'Vertical', key: 'vertical', width: 18 },
+      { header: 'Creative Type', key: 'creativeType', width: 13 },
+      { header: 'Image', key: 'image', width: 40 },
+      { header: 'Sightings', key: 'sightings', width: 11 },
+      { header: 'Cities', key: 'cities', width: 30 }
+    ];
+    if (options.embedImages) {
+      columns.push({ header: 'Thumbnail', key: 'thumbnail', width: 12 });
+    }
+
+    const sheet = this.addSheet(workbook, 'Ads', columns);
+    const thumbnailColumn = columns.length - 1;
+    let lastId = 0;
+    let total = 0;
+
+    // Keyset over ads.id so only one batch is held in memory at a time
+    while (true) {
+      const ads = await this.db.all(
+        `SELECT a.id, a.timestamp, a.heading, a.description, a.link_url, a.image_url, a.ad_network,
+                a.landing_domain, a.vertical, a.creative_type, a.image_sha256, adv.canonical_name as advertiser_name,
+                img.file_path as image_file, img.content_type as image_type,
+                (SELECT COUNT(*) FROM ad_sightings s WHERE s.ad_id = a.id) as sightings,
+                (SELECT GROUP_CONCAT(DISTINCT s.city) FROM ad_sightings s WHERE s.ad_id = a.id) as cities
+         FROM ads a
+         LEFT JOIN advertisers adv ON adv.id = a.advertiser_id
+         LEFT JOIN archived_images img ON img.sha256 = a.image_sha256
+         WHERE ${where} AND a.id > ?
+         ORDER BY a.id ASC
+         LIMIT ?`,
+        [...params, lastId, this.batchSize]
+      );
+      if (ads.length === 0) break;
+
+      for (const ad of ads) {
+        const imageUrl = ad.image_sha256 && options.baseUrl
+          ? `${options.baseUrl}/api/images/${ad.image_sha256}`
+          : ad.image_url;
+
+        const row = sheet.addRow({
+          id: ad.id,
+          timestamp: ad.timestamp,
+          advertiser: ad.advertiser_name || ad.ad_network || '',
+          heading: ad.heading || '',
+          description: ad.description || '',
+          link: this.hyperlink(ad.link_url),
+          landingDomain: ad.landing_domain || '',
+          vertical: ad.vertical || '',
+          creativeType: ad.creative_type || '',
+          image: this.hyperlink(imageUrl),
+          sightings: ad.sightings || 1,
+          cities: ad.cities ? ad.cities.split(',').join(', ') : ''
+        });
+
+        if (options.embedImages && ad.image_file && IMAGE_EXTENSIONS[ad.image_type]) {
+          const imageId = workbook.addImage({
+            filename: path.join(this.storageDir, ad.image_file),
+            extension: IMAGE_EXTENSIONS[ad.image_type]
+          });
+          sheet.addImage(imageId, {
+            tl: { col: thumbnailColumn, row: row.number - 1 },
+            ext: { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE }
+          });
+          row.height = THUMBNAIL_SIZE * 0.75; // points
+        }
+
+        row.commit();
+      }
+
+      total += ads.length;
+      lastId = ads[ads.length - 1].id;
+    }
+
+    sheet.autoFilter = { from: 'A1', to: { row: 1, column: columns.length } };
+    this.commitSheet(sheet);
+    return total;
+  }
+
+  async writeAdvertisersSheet(workbook, filters) {
+    const { where, params } = this.buildFilter(filters);
+    const rows = await this.db.all(
+      `SELECT COALESCE(adv.canonical_name, NULLIF(a.ad_network, ''), 'Unknown') as advertiser,
+              COUNT(*) as ads,
+              SUM((SELECT COUNT(*) FROM ad_sightings s WHERE s.ad_id = a.id)) as sightings,
+              MIN(a.timestamp) as first_seen,
+              MAX(a.timestamp) as last_seen,
+              GROUP_CONCAT(DISTINCT a.landing_domain) as landing_domains
+       FROM ads a
+       LEFT JOIN advertisers adv ON adv.id = a.advertiser_id
+       WHERE ${where}
+       GROUP BY advertiser
+       ORDER BY ads DESC, advertiser ASC`,
+      params
+    );
+
+    const sheet = this.addSheet(workbook, 'Advertisers', [
+      { header: 'Advertiser', key: 'advertiser', width: 32 },
+      { header: 'Ads', key: 'ads', width: 8 },
+      { header: 'Sightings', key: 'sightings', width: 11 },
+      { header: 'First Seen', key: 'first_seen', width: 22 },
+      { header: 'Last Seen', key: 'last_seen', width: 22 },
+      { header: 'Landing Domains', key: 'landing_domains', width: 40 }
+    ]);
+
+    rows.forEach(row => {
+      sheet.addRow({
+        ...row,
+        landing_domains: row.landing_domains ? row.landing_domains.split(',').join(', ') : ''
+      }).commit();
+    });
+
+    this.commitSheet(sheet);
+  }
+
+  // Where the exported ads were seen; limited to sightings in the selected sessions
+  async writeCitiesSheet(workbook, filters = {}) {
+    const { where, params } = this.buildFilter(filters);
+    let sightingFilter = '';
+    if (filters.sessionIds && filters.sessionIds.length > 0) {
+      sightingFilter = ` AND s.session_id IN (${filters.sessionIds.map(() => '?').join(',')})`;
+      params.push(...filters.sessionIds);
+    }
+
+    const rows = await this.db.all(
+      `SELECT COALESCE(s.city, 'unknown') as city,
+              COUNT(DISTINCT s.ad_id) as ads,
+              COUNT(*) as sightings,
+              COUNT(DISTINCT a.advertiser_id) as advertisers,
+              MIN(s.seen_at) as first_seen,
+              MAX(s.seen_at) as last_seen
+       FROM ad_sightings s
+       JOIN ads a ON a.id = s.ad_id
+       WHERE ${where}${sightingFilter}
+       GROUP BY COALESCE(s.city, 'unknown')
+       ORDER BY sightings DESC`,
+      params
+    );
+
+    const sheet = this.addSheet(workbook, 'Cities', [
+      { header: 'City', key: 'city', width: 28 },
+      { header: 'Ads', key: 'ads', width: 8 },
+      { header: 'Sightings', key: 'sightings', width: 11 },
+      { header: 'Advertisers', key: 'advertisers', width: 12 },
+      { header: 'First Seen', key: 'first_seen', width: 22 },
+      { header: 'Last Seen', key: 'last_seen', width: 22 }
+    ]);
+
+    rows.forEach(row => sheet.addRow(row).commit());
+    this.commitSheet(sheet);
+  }
+
+  async writeSessionsSheet(workbook, filters) {
+    const { where, params } = this.buildFilter(filters);
+    const rows = await this.db.all(
+      `SELECT a.session_id, s.url, s.device_mode, s.status, s.start_time, s.end_time, s.duration,
+              COUNT(*) as exported_ads
+       FROM ads a
+       LEFT JOIN sessions s ON s.session_id = a.session_id
+       WHERE ${where}
+       GROUP BY a.session_id
+       ORDER BY s.start_time DESC`,
+      params
+    );
+
+    const sheet = this.addSheet(workbook, 'Sessions', [
+      { header: 'Session ID', key: 'session_id', width: 36 },
+      { header: 'URL', key: 'url', width: 40 },
+      { header: 'Device Mode', key: 'device_mode', width: 12 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Started', key: 'start_time', width: 22 },
+      { header: 'Ended', key: 'end_time', width: 22 },
+      { header: 'Duration', key: 'duration', width: 10 },
+      { header: 'Ads Exported', key: 'exported_ads', width: 13 }
+    ]);
+
+    rows.forEach(row => sheet.addRow(row).commit());
+    this.commitSheet(sheet);
+  }
+
+  // The filters behind the workbook, so a file can be traced back to what was on screen
+  async writeExportSheet(workbook, totalAds, filters = {}) {
+    const sheet = this.addSheet(workbook, 'Export', [
+      { header: 'Field', key: 'field', width: 20 },
+      { header: 'Value', key: 'value', width: 60 }
+    ]);
+
+    const fields = [
+      ['Exported At', new Date().toISOString()],
+      ['Ads Exported', totalAds],
+      ['Sessions', (filters.sessionIds || []).join(', ') || 'All'],
+      ['Ad Networks', (filters.adNetworks || []).join(', ') || 'All'],
+      ['Verticals', (filters.verticals || []).join(', ') || 'All'],
+      ['Creative Types', (filters.creativeTypes || []).join(', ') || 'All'],
+      ['Cities', (filters.cities || []).join(', ') || 'All'],
+      ['State', filters.state || 'All'],
+      ['Min Confidence', filters.minConfidence !== undefined ? filters.minConfidence : ''],
+      ['Start Date', filters.startDate || ''],
+      ['End Date', filters.endDate || ''],
+      ['Search', filters.search || '']
+    ];
+
+    fields.forEach(([field, value]) => sheet.addRow({ field, value }).commit());
+    this.commitSheet(sheet);
+  }
+
+  hyperlink(url) {
+    // Inline data: URIs would bloat the sheet; those images are only reachable through the archive
+    if (!url || url.startsWith('data:')) return '';
+    if (!/^https?:\/\//i.test(url)) return url;
+    return { text: url, hyperlink: url };
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = XlsxExporter;
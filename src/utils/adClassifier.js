@@ -0,0 +1,204 @@
+// src/utils/adClassifier.js
+// Rule-based ad classification: an industry vertical from keyword dictionaries over the headline,
+// description and advertiser plus fragments of the landing domain, and a creative type from the
+// ad's markup, slot type and size. Rules live in the category_rules table (see
+// services/adClassificationService.js); DEFAULT_CATEGORY_RULES seeds it.
+
+const { extractLandingDomain } = require('./advertiserNormalizer');
+
+const UNCLASSIFIED = 'other';
+const CREATIVE_TYPES = ['native', 'display', 'video'];
+
+// A domain fragment ("insur" in acmeinsurance.com) is stronger evidence than one keyword in the copy
+const DOMAIN_WEIGHT = 2;
+
+const DEFAULT_CATEGORY_RULES = [
+  {
+    vertical: 'insurance',
+    keywords: ['insurance', 'insure', 'insurer', 'auto quote', 'car quote', 'coverage', 'policyholder', 'medicare', 'life policy', 'deductible'],
+    domains: ['insur', 'medicare', 'geico', 'progressive', 'allstate']
+  },
+  {
+    vertical: 'health_supplements',
+    keywords: ['supplement', 'vitamin', 'probiotic', 'keto', 'weight loss', 'metabolism', 'gut health', 'collagen', 'blood sugar', 'joint pain', 'capsule', 'gummies', 'cbd', 'fat burn', 'detox'],
+    domains: ['supplement', 'vitamin', 'nutrition', 'keto', 'wellness']
+  },
+  {
+    vertical: 'healthcare',
+    keywords: ['doctor', 'clinic', 'dental', 'dentist', 'hearing aid', 'treatment', 'symptoms', 'therapy', 'medication', 'prescription', 'urgent care', 'diagnosis'],
+    domains: ['health', 'clinic', 'dental', 'medical', 'pharma']
+  },
+  {
+    vertical: 'finance',
+    keywords: ['loan', 'mortgage', 'credit card', 'checking account', 'savings account', 'bank', 'invest', 'refinanc', 'debt', 'credit score', 'retirement', '401k', 'crypto', 'direct deposit'],
+    domains: ['bank', 'loan', 'credit', 'finance', 'invest', 'mortgage', 'lending', 'capital']
+  },
+  {
+    vertical: 'local_services',
+    keywords: ['plumber', 'plumbing', 'roofing', 'roofer', 'hvac', 'electrician', 'lawn care', 'cleaning service', 'house cleaning', 'pest control', 'locksmith', 'contractor', 'near you', 'in your area', 'local pros'],
+    domains: ['plumb', 'roof', 'hvac', 'pest', 'clean', 'lawn', 'handyman']
+  },
+  {
+    vertical: 'home_improvement',
+    keywords: ['solar', 'window replacement', 'gutter', 'remodel', 'flooring', 'walk-in tub', 'siding', 'home improvement', 'heat pump'],
+    domains: ['solar', 'window', 'gutter', 'remodel', 'bath']
+  },
+  {
+    vertical: 'real_estate',
+    keywords: ['home value', 'realtor', 'real estate', 'sell your house', 'sell your home', 'apartment', 'for rent', 'homebuyer', 'open house'],
+    domains: ['realty', 'realestate', 'homes', 'rental', 'apartments', 'zillow', 'redfin']
+  },
+  {
+    vertical: 'legal',
+    keywords: ['lawyer', 'attorney', 'lawsuit', 'settlement', 'injury claim', 'compensation', 'class action', 'legal help'],
+    domains: ['lawyer', 'lawfirm', 'legal', 'attorney', 'injury']
+  },
+  {
+    vertical: 'automotive',
+    keywords: ['suv', 'truck', 'dealership', 'vehicle', 'car lease', 'new car', 'used car', 'test drive', 'electric vehicle', 'sedan'],
+    domains: ['motors', 'dealer', 'autos']
+  },
+  {
+    vertical: 'retail',
+    keywords: ['% off', 'free shipping', 'shop now', 'discount', 'coupon', 'clearance', 'buy now', 'limited stock', 'best seller'],
+    domains: ['shop', 'store', 'deals', 'outlet']
+  },
+  {
+    vertical: 'travel',
+    keywords: ['flight', 'hotel', 'vacation', 'cruise', 'resort', 'getaway', 'airfare', 'travel deal'],
+    domains: ['travel', 'hotel', 'cruise', 'flight', 'vacation']
+  },
+  {
+    vertical: 'education',
+    keywords: ['degree', 'online course', 'college', 'university', 'certificate program', 'enroll', 'scholarship', 'training program'],
+    domains: ['university', 'college', 'academy', 'school', 'learn']
+  }
+];
+
+// Standard IAB display sizes (width x height)
+const DISPLAY_SIZES = new Set(['728x90', '300x250', '336x280', '320x50', '320x100', '160x600', '300x600', '970x250', '970x90', '468x60', '300x50', '250x250']);
+
+const VIDEO_PATTERN = /youtube\.com|youtu\.be|vimeo\.com|jwplayer|brightcove|\.(mp4|webm|m3u8)(\?|$)/i;
+const NATIVE_TYPE_PATTERN = /foryou|native|in-?feed|sponsored|taboola|outbrain|learned/i;
+const DISPLAY_TYPE_PATTERN = /banner|display|gpt|adsense|safeframe|sticky|leaderboard|skyscraper/i;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rule rows -> matchers. Keywords match at the start of a word so stems ("refinanc") work.
+function compileRules(rules) {
+  return rules
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({
+      id: rule.id,
+      vertical: rule.vertical,
+      weight: Number(rule.weight) || 1,
+      keywords: (rule.keywords || []).map(keyword => ({
+        keyword,
+        // Only word-like keywords need a word start: "% off" has to match "50% off"
+        pattern: new RegExp(`${/^[a-z0-9]/i.test(keyword) ? '(?:^|[^a-z0-9])' : ''}${escapeRegExp(keyword.toLowerCase())}`, 'i')
+      })),
+      domains: (rule.domains || []).map(domain => domain.toLowerCase())
+    }));
+}
+
+// Name part of a landing domain ("shop.brightsolar.com" -> "brightsolar", "news.bbc.co.uk" -> "bbc"),
+// so subdomains like shop. or go. don't count as evidence
+function getDomainName(domain) {
+  const labels = domain.split('.');
+  if (labels.length < 2) return domain;
+  const secondLevel = labels[labels.length - 2];
+  return labels.length > 2 && secondLevel.length <= 3 ? labels[labels.length - 3] : secondLevel;
+}
+
+function getClassificationText(ad) {
+  return [ad.heading, ad.headline, ad.description, ad.body, ad.ad_network, ad.advertiser]
+    .filter(Boolean)
+    .join(' \n ')
+    .toLowerCase();
+}
+
+// Vertical with the most matched weight; confidence is its share of all matched weight with one
+// unmatched unit added, so a single keyword gives 0.5 and agreeing evidence pushes it towards 1
+function classifyVertical(ad, compiledRules) {
+  const text = getClassificationText(ad);
+  const landingDomain = ad.landing_domain || extractLandingDomain(ad.link_url || ad.link);
+  const domain = landingDomain ? getDomainName(landingDomain) : '';
+  const scores = new Map();
+  const matches = new Map();
+
+  for (const rule of compiledRules) {
+    const matchedKeywords = rule.keywords.filter(({ pattern }) => pattern.test(text)).map(({ keyword }) => keyword);
+    const matchedDomains = domain ? rule.domains.filter(fragment => domain.includes(fragment)) : [];
+    const score = rule.weight * (matchedKeywords.length + DOMAIN_WEIGHT * matchedDomains.length);
+    if (score <= 0) continue;
+
+    scores.set(rule.vertical, (scores.get(rule.vertical) || 0) + score);
+    matches.set(rule.vertical, [...(matches.get(rule.vertical) || []), ...matchedKeywords, ...matchedDomains.map(d => `domain:${d}`)]);
+  }
+
+  if (scores.size === 0) {
+    return { vertical: UNCLASSIFIED, confidence: 0, matched: [] };
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  const [vertical, top] = ranked[0];
+
+  return {
+    vertical,
+    confidence: Math.round((top / (total + 1)) * 100) / 100,
+    matched: matches.get(vertical)
+  };
+}
+
+// native (in-feed copy), display (banner slots) or video, from the strongest signal available
+function classifyCreativeType(ad) {
+  const adType = [ad.ad_type || ad.adType, ad.container_id || ad.containerId].filter(Boolean).join(' ');
+  const html = ad.element_html || ad.elementHtml || '';
+  const urls = [ad.image_url || ad.image, ad.link_url || ad.link, ad.iframeSrc].filter(Boolean).join(' ');
+  const dimensions = ad.dimensions || { width: ad.width, height: ad.height };
+  const size = dimensions.width && dimensions.height ? `${dimensions.width}x${dimensions.height}` : null;
+
+  if (/<video\b/i.test(html) || /video/i.test(adType) || VIDEO_PATTERN.test(urls)) {
+    return { creativeType: 'video', confidence: 0.9 };
+  }
+  if (NATIVE_TYPE_PATTERN.test(adType)) {
+    return { creativeType: 'native', confidence: 0.8 };
+  }
+  if (DISPLAY_TYPE_PATTERN.test(adType)) {
+    return { creativeType: 'display', confidence: 0.8 };
+  }
+  if (size && DISPLAY_SIZES.has(size)) {
+    return { creativeType: 'display', confidence: 0.7 };
+  }
+  // Headline plus copy or image reads like an in-feed unit; an image alone like a banner
+  if ((ad.heading || ad.headline) && (ad.description || ad.body || ad.image_url || ad.image)) {
+    return { creativeType: 'native', confidence: 0.6 };
+  }
+  return { creativeType: 'display', confidence: 0.4 };
+}
+
+// ad: a database row (heading, description, link_url, ...) or a normalized ad
+function classifyAd(ad, compiledRules) {
+  const vertical = classifyVertical(ad, compiledRules);
+  const creative = classifyCreativeType(ad);
+  return {
+    vertical: vertical.vertical,
+    verticalConfidence: vertical.confidence,
+    matched: vertical.matched,
+    creativeType: creative.creativeType,
+    creativeTypeConfidence: creative.confidence
+  };
+}
+
+module.exports = {
+  DEFAULT_CATEGORY_RULES,
+  CREATIVE_TYPES,
+  UNCLASSIFIED,
+  compileRules,
+  classifyAd,
+  classifyVertical,
+  classifyCreativeType
+};
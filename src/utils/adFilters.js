@@ -0,0 +1,120 @@
+// src/utils/adFilters.js
+// Ad filters shared by /api/query/ads and /api/export so both return exactly the same rows
+
+const { buildFtsQuery } = require('./ftsQuery');
+
+// "a,b" / ["a", "b"] / "a" -> ["a", "b"]; repeated query params arrive as arrays
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Query-string filters (session_id, session_ids, ad_network, vertical, creative_type,
+// min_confidence, city, state, start_date, end_date, search)
+function parseAdFilters(query = {}) {
+  const filters = {};
+
+  const sessionIds = [...toList(query.session_id), ...toList(query.session_ids)];
+  if (sessionIds.length > 0) filters.sessionIds = sessionIds;
+
+  const adNetworks = toList(query.ad_network);
+  if (adNetworks.length > 0) filters.adNetworks = adNetworks;
+
+  const verticals = toList(query.vertical);
+  if (verticals.length > 0) filters.verticals = verticals;
+
+  const creativeTypes = toList(query.creative_type);
+  if (creativeTypes.length > 0) filters.creativeTypes = creativeTypes;
+
+  const minConfidence = parseFloat(query.min_confidence);
+  if (Number.isFinite(minConfidence)) filters.minConfidence = minConfidence;
+
+  const cities = toList(query.city).map(city => city.toLowerCase());
+  if (cities.length > 0) filters.cities = cities;
+
+  if (query.state) filters.state = String(query.state).toUpperCase();
+
+  if (query.start_date) filters.startDate = query.start_date;
+  if (query.end_date) filters.endDate = query.end_date;
+  if (query.search) filters.search = query.search;
+
+  return filters;
+}
+
+// WHERE clause for the ads table; `alias` is the table alias used in the surrounding query
+function buildAdFilterSql(filters = {}, { ftsAvailable = false, alias = '' } = {}) {
+  const column = name => (alias ? `${alias}.${name}` : name);
+  const conditions = [];
+  const params = [];
+
+  const sessionIds = filters.sessionIds || (filters.sessionId ? [filters.sessionId] : []);
+  if (sessionIds.length > 0) {
+    conditions.push(`${column('session_id')} IN (${sessionIds.map(() => '?').join(',')})`);
+    params.push(...sessionIds);
+  }
+
+  const adNetworks = filters.adNetworks || (filters.adNetwork ? [filters.adNetwork] : []);
+  if (adNetworks.length > 0) {
+    conditions.push(`${column('ad_network')} IN (${adNetworks.map(() => '?').join(',')})`);
+    params.push(...adNetworks);
+  }
+
+  if (filters.verticals && filters.verticals.length > 0) {
+    conditions.push(`${column('vertical')} IN (${filters.verticals.map(() => '?').join(',')})`);
+    params.push(...filters.verticals);
+  }
+
+  if (filters.creativeTypes && filters.creativeTypes.length > 0) {
+    conditions.push(`${column('creative_type')} IN (${filters.creativeTypes.map(() => '?').join(',')})`);
+    params.push(...filters.creativeTypes);
+  }
+
+  // Vertical confidence
+  if (filters.minConfidence !== undefined) {
+    conditions.push(`${column('vertical_confidence')} >= ?`);
+    params.push(filters.minConfidence);
+  }
+
+  // Seen in any of these cities / in this state (see ad_sightings)
+  if (filters.cities && filters.cities.length > 0) {
+    conditions.push(`${column('id')} IN (SELECT ad_id FROM ad_sightings WHERE city IN (${filters.cities.map(() => '?').join(',')}))`);
+    params.push(...filters.cities);
+  }
+
+  if (filters.state) {
+    conditions.push(`${column('id')} IN (SELECT ad_id FROM ad_sightings WHERE state = ?)`);
+    params.push(filters.state);
+  }
+
+  if (filters.startDate) {
+    conditions.push(`${column('timestamp')} >= ?`);
+    params.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    conditions.push(`${column('timestamp')} <= ?`);
+    params.push(filters.endDate);
+  }
+
+  if (filters.search) {
+    const ftsQuery = ftsAvailable ? buildFtsQuery(filters.search) : null;
+    if (ftsQuery) {
+      conditions.push(`${column('id')} IN (SELECT rowid FROM ads_fts WHERE ads_fts MATCH ?)`);
+      params.push(ftsQuery);
+    } else {
+      conditions.push(`(${column('heading')} LIKE ? OR ${column('description')} LIKE ?)`);
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : '1=1',
+    params
+  };
+}
+
+module.exports = {
+  parseAdFilters,
+  buildAdFilterSql
+};
@@ -0,0 +1,122 @@
+// src/utils/advertiserNormalizer.js
+// Normalizes raw advertiser strings so "Acme Inc", "ACME" and "acme.com" resolve to one identity
+
+// Values the extractors emit when they could not read a real advertiser
+const PLACEHOLDER_ADVERTISERS = new Set([
+  'protected ad',
+  'unknown',
+  'sponsored',
+  'promoted',
+  'advertisement',
+  'ad',
+  'ads'
+]);
+
+// Corporate suffixes that don't distinguish advertisers
+const CORPORATE_SUFFIXES = [
+  'incorporated', 'inc', 'llc', 'l l c', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'lp', 'llp'
+];
+
+const DOMAIN_PATTERN = /^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)\.(?:com|net|org|io|co|us|biz|info|app|shop|store|online)(?:\/.*)?$/i;
+
+// Ad-tech redirect/tracking hosts are never the advertiser's landing domain
+const AD_TECH_DOMAINS = [
+  'doubleclick.net',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'google.com',
+  'adnxs.com',
+  'taboola.com',
+  'outbrain.com',
+  'newsbreak.com',
+  'adsrvr.org',
+  'criteo.com',
+  'amazon-adsystem.com'
+];
+
+// Query parameters that change per click or campaign without changing where the ad goes
+const TRACKING_PARAMS = new Set([
+  'gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'yclid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'cb', 'cachebuster', 'ord', 'rnd', 'random', 'ts', 'timestamp',
+  'click_id', 'clickid', 'nb_click_id'
+]);
+
+function normalizeAdvertiserName(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  let value = name.trim().toLowerCase();
+  if (!value || PLACEHOLDER_ADVERTISERS.has(value)) return null;
+
+  // "acme.com" / "https://www.acme.com" -> "acme"
+  const domainMatch = value.match(DOMAIN_PATTERN);
+  if (domainMatch) {
+    const labels = domainMatch[1].split('.');
+    value = labels[labels.length - 1];
+  }
+
+  value = value
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  // Strip trailing corporate suffixes ("acme holdings inc" keeps "holdings")
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const suffix of CORPORATE_SUFFIXES) {
+      if (value.endsWith(` ${suffix}`)) {
+        value = value.slice(0, -(suffix.length + 1)).trim();
+        changed = true;
+      }
+    }
+  }
+
+  value = value.replace(/\s+/g, '');
+  if (!value || PLACEHOLDER_ADVERTISERS.has(value)) return null;
+
+  return value;
+}
+
+function extractLandingDomain(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  try {
+    const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    if (!hostname) return null;
+
+    const isAdTech = AD_TECH_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    return isAdTech ? null : hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Creative identity of an ad link: tracking parameters (utm_*, click IDs, cache busters) and the
+// fragment are dropped and the remaining parameters sorted. Parameters such as a click tracker's
+// destination (?adurl=) are kept, so different destinations stay different creatives.
+function normalizeLinkUrl(url) {
+  if (!url || typeof url !== 'string') return '';
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return url.trim();
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(name.toLowerCase()))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.hash = '';
+  return parsed.href;
+}
+
+module.exports = {
+  normalizeAdvertiserName,
+  extractLandingDomain,
+  normalizeLinkUrl,
+  AD_TECH_DOMAINS
+};
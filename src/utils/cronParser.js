@@ -0,0 +1,161 @@
+// src/utils/cronParser.js
+// Minimal 5-field cron expression parser (minute hour day-of-month month day-of-week)
+// Supports "*", lists ("1,15"), ranges ("9-17"), steps ("*/15", "0-30/10") and
+// the common @hourly/@daily/@weekly/@monthly aliases. Times are server local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Don't search further than this for a matching minute (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(part, field) {
+  const values = new Set();
+
+  for (const segment of part.split(',')) {
+    const [rangePart, stepPart] = segment.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(v => parseInt(v, 10));
+    } else {
+      start = parseInt(rangePart, 10);
+      // "5/10" means "from 5 to max every 10"
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) ||
+        start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid value "${segment}" in ${field.name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+function matchesDay(parsed, date) {
+  const domMatch = parsed.dayOfMonth.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+// Returns the first Date strictly after `from` that matches the expression
+function getNextRun(expression, from = new Date()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+
+  while (date.getTime() <= limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+// Returns the next `count` run times, useful for previewing a schedule in the UI
+function getNextRuns(expression, count = 5, from = new Date()) {
+  const parsed = parseCron(expression);
+  const runs = [];
+  let cursor = from;
+
+  while (runs.length < count) {
+    const next = getNextRun(parsed, cursor);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+
+  return runs;
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { parseCron, getNextRun, getNextRuns, isValidCron };
@@ -0,0 +1,22 @@
+// src/utils/cursor.js
+// Opaque keyset-pagination cursors: base64url JSON of the last row's sort key
+
+function encodeCursor(row) {
+  if (!row) return null;
+  return Buffer.from(JSON.stringify({ t: row.timestamp, id: row.id })).toString('base64url');
+}
+
+// Returns { timestamp, id } or throws on a malformed cursor
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof t !== 'string' || id === undefined || id === null) {
+      throw new Error('missing fields');
+    }
+    return { timestamp: t, id };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
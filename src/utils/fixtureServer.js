@@ -0,0 +1,126 @@
+// src/utils/fixtureServer.js
+// Serves captured page snapshots (see scripts/captureFixture.js) from a local static server so
+// extractors can replay them offline. A fixtures directory holds one snapshot per subdirectory:
+//   <dir>/<name>/manifest.json, <dir>/<name>/index.html, <dir>/<name>/frames/frame-<n>.html
+// A directory that is itself a snapshot (has index.html) is served as a single fixture.
+
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Requests a replayed page may make without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+function normalizePath(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '').toLowerCase() || '/';
+  } catch (error) {
+    return null;
+  }
+}
+
+class FixtureServer {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir);
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+
+    this.server = null;
+    this.baseUrl = null;
+    this.fixtures = []; // [{ name, url, path }]
+    this.nextFixture = 0;
+  }
+
+  async loadFixtures() {
+    if (!(await fs.pathExists(this.dir))) {
+      throw new Error(`Fixtures directory not found: ${this.dir}`);
+    }
+
+    const readFixture = async (fixtureDir, name) => {
+      if (!(await fs.pathExists(path.join(fixtureDir, 'index.html')))) return null;
+      const manifestFile = path.join(fixtureDir, 'manifest.json');
+      const manifest = (await fs.pathExists(manifestFile)) ? await fs.readJson(manifestFile) : {};
+      return { name, url: manifest.url || null, path: name ? `/${encodeURIComponent(name)}/` : '/' };
+    };
+
+    const single = await readFixture(this.dir, '');
+    if (single) return [single];
+
+    const entries = await fs.readdir(this.dir, { withFileTypes: true });
+    const fixtures = [];
+    for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const fixture = await readFixture(path.join(this.dir, entry.name), entry.name);
+      if (fixture) fixtures.push(fixture);
+    }
+    return fixtures;
+  }
+
+  async start() {
+    if (this.server) return this.baseUrl;
+
+    this.fixtures = await this.loadFixtures();
+    if (this.fixtures.length === 0) {
+      throw new Error(`No page snapshots found in ${this.dir}`);
+    }
+
+    const app = express();
+    app.use(express.static(this.dir, { etag: false, maxAge: 0 }));
+
+    await new Promise((resolve, reject) => {
+      this.server = app.listen(this.port, this.host, resolve);
+      this.server.once('error', reject);
+    });
+
+    this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  // Local URL for a live page URL: the snapshot captured from the same path, one named after
+  // the city slug, or else the next snapshot in turn (so URL rotation still moves between pages)
+  resolve(url) {
+    if (!this.baseUrl) {
+      throw new Error('Fixture server is not running');
+    }
+    if (this.isLocalUrl(url)) return url;
+
+    const wanted = normalizePath(url);
+    const slug = wanted ? wanted.split('/').filter(Boolean)[0] : null;
+
+    let fixture = this.fixtures.find(entry => entry.url && normalizePath(entry.url) === wanted) ||
+      this.fixtures.find(entry => slug && entry.name.toLowerCase() === slug);
+
+    if (!fixture) {
+      fixture = this.fixtures[this.nextFixture % this.fixtures.length];
+      this.nextFixture++;
+    }
+
+    return `${this.baseUrl}${fixture.path}`;
+  }
+
+  isLocalUrl(url) {
+    return !!this.baseUrl && (url === this.baseUrl || url.startsWith(`${this.baseUrl}/`));
+  }
+
+  // Abort every request that would leave the machine (ad scripts, trackers, images)
+  async isolatePage(page) {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const url = request.url();
+      if (this.isLocalUrl(url) || LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) {
+        request.continue();
+      } else {
+        request.abort('blockedbyclient');
+      }
+    });
+  }
+}
+
+module.exports = FixtureServer;
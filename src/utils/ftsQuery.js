@@ -0,0 +1,92 @@
+// src/utils/ftsQuery.js
+// Turns user search input into a safe SQLite FTS5 MATCH expression and renders
+// highlighted snippets as escaped HTML.
+//
+//   insurance quote      -> both words (any order)
+//   "free shipping"      -> exact phrase
+//   insur*               -> prefix
+//   solar OR roofing     -> either word
+//   -medicare            -> exclude word
+
+// Private-use markers for highlight()/snippet(); swapped for <mark> after escaping
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+function quoteTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+// Returns null when the input has nothing searchable
+function buildFtsQuery(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = input.match(/-?"[^"]*"|\S+/g) || [];
+  const include = [];
+  const exclude = [];
+  let pendingOr = false;
+
+  for (const token of tokens) {
+    if (token === 'OR') {
+      pendingOr = include.length > 0;
+      continue;
+    }
+
+    const negated = token.startsWith('-') && token.length > 1;
+    const raw = negated ? token.slice(1) : token;
+    let expression = null;
+
+    if (raw.startsWith('"')) {
+      const phrase = raw.replace(/"/g, '').trim();
+      if (phrase) expression = quoteTerm(phrase);
+    } else {
+      // Punctuation splits words the same way the unicode61 tokenizer does ("e-bike" -> phrase "e bike")
+      const prefix = raw.endsWith('*');
+      const words = raw.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+      if (words.length > 0) expression = quoteTerm(words.join(' ')) + (prefix ? '*' : '');
+    }
+
+    if (!expression) continue;
+
+    if (negated) {
+      exclude.push(expression);
+    } else if (pendingOr) {
+      include[include.length - 1] = `${include[include.length - 1]} OR ${expression}`;
+    } else {
+      include.push(expression);
+    }
+    pendingOr = false;
+  }
+
+  // FTS5 NOT needs a positive left-hand side
+  if (include.length === 0) return null;
+
+  let query = include.map(part => (part.includes(' OR ') ? `(${part})` : part)).join(' AND ');
+  if (exclude.length > 0) {
+    query += ` NOT (${exclude.join(' OR ')})`;
+  }
+  return query;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Escape FTS highlight output and turn the markers into <mark> tags
+function renderHighlight(text) {
+  if (text === null || text === undefined) return '';
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+module.exports = {
+  buildFtsQuery,
+  renderHighlight,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END
+};
@@ -0,0 +1,49 @@
+// src/utils/imageHash.js
+// Perceptual "difference hash" (dHash) for ad creatives, pure JS via Jimp.
+// Re-encoded, resized or recompressed copies of one creative hash to (nearly) the same value.
+
+const Jimp = require('jimp');
+
+const HASH_WIDTH = 9; // 9x8 pixels -> 8 comparisons per row -> 64 bits
+const HASH_HEIGHT = 8;
+
+// Returns { hash (16 hex chars), width, height } for an image buffer
+async function computeImageHash(buffer) {
+  const image = await Jimp.read(buffer);
+  const { width, height } = image.bitmap;
+
+  image.greyscale().resize(HASH_WIDTH, HASH_HEIGHT, Jimp.RESIZE_BILINEAR);
+
+  let bits = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = Jimp.intToRGBA(image.getPixelColor(x, y)).r;
+      const right = Jimp.intToRGBA(image.getPixelColor(x + 1, y)).r;
+      bits += left > right ? '1' : '0';
+    }
+  }
+
+  let hash = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hash += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+
+  return { hash, width, height };
+}
+
+// Number of differing bits between two hex hashes
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = { computeImageHash, hammingDistance };
@@ -2,8 +2,18 @@ const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
 
+// Lines can be tagged with the extraction they belong to: logger.info(message, { extractionId, workerId, sessionId }).
+// The console shows the tags in front of the message; log files get one JSON object per line.
+const consoleFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp, level, message, stack, extractionId, workerId }) => {
+    const tags = [extractionId, workerId ? `worker ${workerId}` : null].filter(Boolean);
+    return `${timestamp} [${level}]${tags.length > 0 ? ` [${tags.join(' ')}]` : ''}: ${stack || message}`;
+  })
+);
+
 // Build transports array - always include console
-const transports = [new winston.transports.Console()];
+const transports = [new winston.transports.Console({ format: consoleFormat })];
 
 // Only add file transport in development or if explicitly enabled
 const enableFileLogging = process.env.ENABLE_FILE_LOGGING === 'true' || process.env.NODE_ENV === 'development';
@@ -22,6 +32,7 @@ if (enableFileLogging) {
     // Add file transport
     transports.push(new winston.transports.File({
       filename: path.join('logs', 'crawler.log'),
+      format: winston.format.json(),
       maxsize: 5242880, // 5MB
       maxFiles: 5
     }));
@@ -35,11 +46,7 @@ const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.colorize(),
-    winston.format.printf(({ timestamp, level, message, stack }) => {
-      return `${timestamp} [${level}]: ${stack || message}`;
-    })
+    winston.format.errors({ stack: true })
   ),
   transports: transports
 });
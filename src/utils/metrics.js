@@ -0,0 +1,208 @@
+// Prometheus metrics
+// Counters, gauges and histograms rendered in the Prometheus text format by GET /metrics.
+// Every thread gets its own registry (module state is per thread): extraction workers record into
+// theirs and post takePending() to the main process every few seconds, which merge()s the deltas
+// into the registry /metrics renders.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // JSON of label values -> { labels, ... }
+  }
+
+  getSeries(labels = {}, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const series = create();
+      series.labels = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+      this.series.set(key, series);
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`${this.name}: counters only go up`);
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  newSeries() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => this.newSeries());
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds since a process.hrtime.bigint() start
+  observeSince(labels, start) {
+    this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Counter and histogram values recorded since the last call (gauges: current values), for a
+  // worker thread to post to the main process. Returns null when nothing was recorded.
+  takePending() {
+    const pending = [];
+    for (const metric of this.metrics.values()) {
+      for (const series of metric.series.values()) {
+        if (metric.type === 'histogram') {
+          if (series.count === 0) continue;
+          pending.push({ name: metric.name, labels: series.labels, counts: series.counts, sum: series.sum, count: series.count });
+        } else {
+          if (metric.type === 'counter' && series.value === 0) continue;
+          pending.push({ name: metric.name, labels: series.labels, value: series.value });
+        }
+      }
+      if (metric.type !== 'gauge') metric.reset();
+    }
+    return pending.length > 0 ? pending : null;
+  }
+
+  // Add deltas from a worker's takePending()
+  merge(pending) {
+    for (const entry of pending || []) {
+      const metric = this.metrics.get(entry.name);
+      if (!metric) continue;
+
+      if (metric.type === 'counter') {
+        metric.inc(entry.labels, entry.value);
+      } else if (metric.type === 'gauge') {
+        metric.set(entry.labels, entry.value);
+      } else if (entry.counts && entry.counts.length === metric.buckets.length) {
+        const series = metric.getSeries(entry.labels, () => metric.newSeries());
+        entry.counts.forEach((count, index) => { series.counts[index] += count; });
+        series.sum += entry.sum;
+        series.count += entry.count;
+      }
+    }
+  }
+}
+
+// The crawler's metrics (the same definitions in every thread, so deltas merge by name)
+const registry = new MetricsRegistry();
+const metrics = {
+  registry,
+  adsExtracted: registry.counter('newsbreak_ads_extracted_total', 'New ads extracted and handed to the database, per worker and city', ['worker', 'city']),
+  duplicateAds: registry.counter('newsbreak_duplicate_ads_total', 'Ads rejected by saveAd as duplicates of a stored ad', ['reason']),
+  browserRestarts: registry.counter('newsbreak_browser_restarts_total', 'Planned browser restarts (memory cleanup)', ['worker']),
+  reconnectAttempts: registry.counter('newsbreak_browser_reconnect_attempts_total', 'Attempts to reconnect a disconnected browser', ['worker']),
+  dbWriteDuration: registry.histogram('newsbreak_db_write_duration_seconds', 'SQLite write statement latency', [], [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]),
+  sseClients: registry.gauge('newsbreak_sse_clients', 'Connected real-time update (SSE) clients'),
+  workerUptime: registry.gauge('newsbreak_worker_uptime_seconds', 'Seconds since each running multi-thread worker started', ['worker']),
+  activeWorkers: registry.gauge('newsbreak_workers_active', 'Running multi-thread workers')
+};
+
+module.exports = {
+  metrics,
+  MetricsRegistry
+};
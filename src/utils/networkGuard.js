@@ -0,0 +1,92 @@
+// src/utils/networkGuard.js
+// Outbound requests to URLs taken from scraped ads (image URLs, click trackers) must not reach
+// the server's own network: loopback, private, link-local (cloud metadata at 169.254.169.254)
+// and other non-public ranges are refused before connecting.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// [network, prefix length]
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((value, part) => (value << 8) + parseInt(part, 10), 0) >>> 0;
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4.some(([network, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return (value & mask) === (ipv4ToInt(network) & mask);
+    });
+  }
+
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1' ||
+      /^f[cd]/.test(lower) || // fc00::/7 unique local
+      /^fe[89ab]/.test(lower) || // fe80::/10 link-local
+      lower.startsWith('ff'); // multicast
+  }
+
+  return true; // Not an IP address at all
+}
+
+function blockedError(host, address) {
+  const error = new Error(`Blocked request to non-public address ${address}${host !== address ? ` (${host})` : ''}`);
+  error.blocked = true;
+  error.permanent = true;
+  return error;
+}
+
+// Throws unless every address the URL's host resolves to is public.
+// allowHosts lists hostnames that skip the check (test servers on 127.0.0.1).
+async function assertPublicUrl(url, { allowHosts = [] } = {}) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (allowHosts.includes(host)) return;
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw blockedError(host, blocked.address);
+  }
+}
+
+// dns.lookup replacement for http agents: re-checks the address actually connected to, so a
+// hostname that resolves differently after assertPublicUrl (DNS rebinding) is still refused
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function createGuardedAgents(options = {}) {
+  return {
+    httpAgent: new http.Agent({ ...options, lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ ...options, lookup: guardedLookup })
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  guardedLookup,
+  createGuardedAgents
+};
@@ -0,0 +1,124 @@
+// src/utils/pageCapture.js
+// Saves a loaded Puppeteer page as a static snapshot that FixtureServer can replay:
+// the main document and every iframe document are written as separate HTML files with scripts
+// removed, iframe src attributes pointed at the saved frame files and other URLs made absolute.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_MAX_FRAME_DEPTH = 3;
+
+// Runs in the page: serialize the document without scripts and with absolute resource URLs.
+// Iframes marked with data-fixture-src get that as their src.
+function serializeDocument() {
+  const clone = document.documentElement.cloneNode(true);
+
+  clone.querySelectorAll('script, noscript, base').forEach(el => el.remove());
+  clone.querySelectorAll('link[rel="preload"], link[rel="prefetch"], link[rel="modulepreload"]').forEach(el => el.remove());
+
+  const absolutize = value => {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  };
+
+  clone.querySelectorAll('[src], [href], [poster], [data-src]').forEach(el => {
+    ['src', 'href', 'poster', 'data-src'].forEach(attribute => {
+      const value = el.getAttribute(attribute);
+      if (value && !/^(data:|javascript:|#)/i.test(value)) {
+        el.setAttribute(attribute, absolutize(value));
+      }
+    });
+    if (el.hasAttribute('srcset')) el.removeAttribute('srcset');
+  });
+
+  clone.querySelectorAll('iframe').forEach(el => {
+    const local = el.getAttribute('data-fixture-src');
+    el.removeAttribute('srcdoc');
+    if (local) {
+      el.setAttribute('data-original-src', el.getAttribute('src') || '');
+      el.setAttribute('src', local);
+      el.removeAttribute('data-fixture-src');
+    } else {
+      el.setAttribute('src', 'about:blank');
+    }
+  });
+
+  return `<!DOCTYPE html>\n${clone.outerHTML}`;
+}
+
+async function captureFrame(frame, context, depth, prefix) {
+  const iframes = await frame.$$('iframe');
+
+  for (const handle of iframes) {
+    try {
+      const child = await handle.contentFrame();
+      if (!child || depth >= context.maxFrameDepth) continue;
+
+      const index = ++context.frameCount;
+      const file = `frame-${index}.html`;
+      const { originalSrc, name } = await handle.evaluate(el => ({
+        originalSrc: el.getAttribute('src') ? el.src : '',
+        name: el.getAttribute('name')
+      }));
+
+      await captureFrame(child, context, depth + 1, '');
+
+      // Keep the original query string: extractors read click URLs from iframe.src parameters
+      let query = '';
+      try {
+        query = originalSrc ? new URL(originalSrc).search : '';
+      } catch (error) {
+        query = '';
+      }
+
+      await handle.evaluate((el, local) => el.setAttribute('data-fixture-src', local), `${prefix}${file}${query}`);
+      context.frames.push({ file: `frames/${file}`, src: originalSrc, name: name || null, depth: depth + 1 });
+
+      const html = await child.evaluate(serializeDocument);
+      await fs.writeFile(path.join(context.outDir, 'frames', file), html);
+    } catch (error) {
+      // Detached or navigating frames are skipped; the main document is still usable
+      context.skippedFrames++;
+    } finally {
+      await handle.dispose();
+    }
+  }
+}
+
+// Snapshot `page` into outDir (index.html, frames/, manifest.json) and return the manifest
+async function capturePage(page, outDir, options = {}) {
+  await fs.emptyDir(outDir);
+  await fs.ensureDir(path.join(outDir, 'frames'));
+
+  const context = {
+    outDir,
+    maxFrameDepth: options.maxFrameDepth || DEFAULT_MAX_FRAME_DEPTH,
+    frameCount: 0,
+    skippedFrames: 0,
+    frames: []
+  };
+
+  await captureFrame(page.mainFrame(), context, 0, 'frames/');
+  const html = await page.evaluate(serializeDocument);
+  await fs.writeFile(path.join(outDir, 'index.html'), html);
+
+  const manifest = {
+    url: options.url || page.url(),
+    title: await page.title(),
+    capturedAt: new Date().toISOString(),
+    deviceMode: options.deviceMode || 'desktop',
+    viewport: page.viewport(),
+    frames: context.frames.sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true })),
+    skippedFrames: context.skippedFrames
+  };
+  await fs.writeJson(path.join(outDir, 'manifest.json'), manifest, { spaces: 2 });
+
+  return manifest;
+}
+
+module.exports = {
+  capturePage
+};
@@ -0,0 +1,57 @@
+// src/utils/pageUrl.js
+// Helpers for the NewsBreak page URLs ads are extracted from
+
+// USPS codes that end NewsBreak city slugs ("houston-tx")
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+  KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+  MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+  NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+  OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+  WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// "https://www.newsbreak.com/new-york-ny" -> "new-york-ny"
+function getCityFromUrl(url) {
+  if (!url) return null;
+  try {
+    const slug = new URL(url).pathname.split('/').filter(Boolean)[0];
+    return slug || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "oklahoma-city-ok" -> { slug, name: "Oklahoma City", state: "OK" }.
+// Slugs without a trailing state code keep the whole slug as the name and a null state.
+function parseCitySlug(slug) {
+  if (!slug) return null;
+  const parts = String(slug).toLowerCase().split('-').filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const last = parts[parts.length - 1].toUpperCase();
+  const state = parts.length > 1 && US_STATES[last] ? last : null;
+  const nameParts = state ? parts.slice(0, -1) : parts;
+
+  return {
+    slug: parts.join('-'),
+    name: nameParts.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' '),
+    state
+  };
+}
+
+// City and state of the page an ad was seen on (null for non-city pages)
+function getLocationFromUrl(url) {
+  return parseCitySlug(getCityFromUrl(url));
+}
+
+module.exports = {
+  US_STATES,
+  getCityFromUrl,
+  parseCitySlug,
+  getLocationFromUrl
+};
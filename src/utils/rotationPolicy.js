@@ -0,0 +1,240 @@
+// src/utils/rotationPolicy.js
+// Adaptive scroll / refresh / rotate controller for unlimited extraction. Every action opens an
+// evaluation window of a few extraction passes; the window's new ads per minute is the action's
+// reward in its context (city URL and time-of-day bucket). At the end of each window a UCB1 bandit
+// picks the next action. Contexts without history borrow the city's all-day averages, then the
+// averages over all cities. Statistics are persisted by services/rotationPolicyService.js so later
+// runs start from what earlier runs learned.
+
+const POLICY_ACTIONS = ['scroll', 'refresh', 'rotate'];
+
+const HOURS_PER_BUCKET = 3; // 8 time-of-day buckets
+
+const DEFAULTS = {
+  windowPasses: 4, // Extraction passes per evaluation window
+  exploration: 1.0, // UCB exploration weight (scaled by the context's reward level)
+  minRotateMinutes: 2 // Never leave a city before this much time on it
+};
+
+function getHourBucket(date = new Date()) {
+  return Math.floor(date.getHours() / HOURS_PER_BUCKET);
+}
+
+// 0 -> "00-03h"
+function formatHourBucket(bucket) {
+  const start = bucket * HOURS_PER_BUCKET;
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(start)}-${pad(start + HOURS_PER_BUCKET)}h`;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function emptyArm() {
+  return { pulls: 0, rewardSum: 0 };
+}
+
+class AdaptiveRotationPolicy {
+  // arms / yields: rows from RotationPolicyService.loadStats()
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options.config };
+    this.now = options.now || (() => new Date());
+
+    this.arms = new Map(); // "url|bucket|action" -> { pulls, rewardSum }
+    this.yields = new Map(); // "url|bucket" -> { newAds, seconds }
+    this.pendingArms = new Map(); // Deltas not yet persisted, same keys
+    this.pendingYields = new Map();
+
+    (options.arms || []).forEach(row => {
+      this.arms.set(`${row.url}|${row.hour_bucket}|${row.action}`, { pulls: row.pulls, rewardSum: row.reward_sum });
+    });
+    (options.yields || []).forEach(row => {
+      this.yields.set(`${row.url}|${row.hour_bucket}`, { newAds: row.new_ads, seconds: row.seconds });
+    });
+
+    this.url = null;
+    this.urlSince = null;
+    this.window = null;
+    this.lastDecision = null;
+    this.decisions = { scroll: 0, refresh: 0, rotate: 0 };
+  }
+
+  // The worker is now on url (start of the run or after a rotation)
+  setUrl(url) {
+    this.url = url;
+    this.urlSince = this.now().getTime();
+  }
+
+  // Open an evaluation window for an action taken on the current city
+  startWindow(action) {
+    this.window = {
+      action,
+      url: this.url,
+      bucket: getHourBucket(this.now()),
+      passes: 0,
+      newAds: 0,
+      seconds: 0
+    };
+  }
+
+  // One extraction pass on the current city found newAds new ads in seconds
+  observe(newAds, seconds) {
+    if (!this.url) return;
+    if (!this.window) this.startWindow('scroll');
+
+    const count = Math.max(0, newAds || 0);
+    const elapsed = Math.max(0, seconds || 0);
+
+    this.window.passes++;
+    this.window.newAds += count;
+    this.window.seconds += elapsed;
+
+    const yieldKey = `${this.url}|${getHourBucket(this.now())}`;
+    [this.yields, this.pendingYields].forEach(map => {
+      const stats = map.get(yieldKey) || { newAds: 0, seconds: 0 };
+      stats.newAds += count;
+      stats.seconds += elapsed;
+      map.set(yieldKey, stats);
+    });
+  }
+
+  // Next action once the current window is complete, otherwise null (keep scrolling)
+  decide() {
+    if (!this.window || this.window.passes < this.options.windowPasses) return null;
+
+    this.closeWindow();
+    const action = this.chooseAction(this.url, getHourBucket(this.now()));
+    this.decisions[action]++;
+    this.lastDecision = { action, at: this.now().toISOString() };
+    this.startWindow(action);
+    return action;
+  }
+
+  // Credit the window's new ads per minute to the action that opened it
+  closeWindow() {
+    const { action, url, bucket, newAds, seconds } = this.window;
+    if (seconds <= 0) return;
+
+    const reward = newAds / (seconds / 60);
+    const key = `${url}|${bucket}|${action}`;
+    [this.arms, this.pendingArms].forEach(map => {
+      const arm = map.get(key) || emptyArm();
+      arm.pulls++;
+      arm.rewardSum += reward;
+      map.set(key, arm);
+    });
+  }
+
+  // Pulls and mean reward for an action in a context, falling back to the city's other time
+  // buckets and then to every city. Returns null when nothing has been learned at any level.
+  getArm(url, bucket, action) {
+    const exact = this.arms.get(`${url}|${bucket}|${action}`);
+    if (exact && exact.pulls > 0) {
+      return { pulls: exact.pulls, mean: exact.rewardSum / exact.pulls, source: 'context' };
+    }
+
+    const fallbacks = [
+      { source: 'city', matches: key => key.startsWith(`${url}|`) },
+      { source: 'global', matches: () => true }
+    ];
+    for (const { source, matches } of fallbacks) {
+      let pulls = 0;
+      let rewardSum = 0;
+      for (const [key, arm] of this.arms) {
+        if (key.endsWith(`|${action}`) && matches(key)) {
+          pulls += arm.pulls;
+          rewardSum += arm.rewardSum;
+        }
+      }
+      // Borrowed history counts as a single pull so the context still gets explored
+      if (pulls > 0) return { pulls: 1, mean: rewardSum / pulls, source };
+    }
+    return null;
+  }
+
+  // UCB1 over the available actions; untried actions go first in POLICY_ACTIONS order
+  chooseAction(url, bucket) {
+    const scores = this.scoreActions(url, bucket);
+    const untried = scores.find(score => score.pulls === 0);
+    if (untried) return untried.action;
+    return scores.reduce((best, score) => (score.score > best.score ? score : best)).action;
+  }
+
+  scoreActions(url, bucket) {
+    const minutesOnUrl = this.urlSince ? (this.now().getTime() - this.urlSince) / 60000 : 0;
+    const actions = POLICY_ACTIONS.filter(action => action !== 'rotate' || minutesOnUrl >= this.options.minRotateMinutes);
+
+    const arms = actions.map(action => ({ action, arm: this.getArm(url, bucket, action) }));
+    const totalPulls = arms.reduce((sum, { arm }) => sum + (arm ? arm.pulls : 0), 0);
+    // Rewards are ads per minute, so the exploration bonus is scaled to the context's reward level
+    const scale = Math.max(1, ...arms.map(({ arm }) => (arm ? arm.mean : 0)));
+
+    return arms.map(({ action, arm }) => {
+      if (!arm) return { action, pulls: 0, mean: null, score: Infinity, source: null };
+      const bonus = this.options.exploration * scale * Math.sqrt((2 * Math.log(totalPulls + 1)) / arm.pulls);
+      return { action, pulls: arm.pulls, mean: round(arm.mean), score: round(arm.mean + bonus), source: arm.source };
+    });
+  }
+
+  // Learned new ads per minute for a city in a time bucket (all buckets when bucket is null)
+  getYieldRate(url, bucket = null) {
+    let newAds = 0;
+    let seconds = 0;
+    for (const [key, stats] of this.yields) {
+      const [keyUrl, keyBucket] = key.split('|');
+      if (keyUrl === url && (bucket === null || Number(keyBucket) === bucket)) {
+        newAds += stats.newAds;
+        seconds += stats.seconds;
+      }
+    }
+    return seconds > 0 ? round(newAds / (seconds / 60)) : null;
+  }
+
+  // Statistics gathered since the last call, as rows for RotationPolicyService.recordStats
+  takePendingStats() {
+    const arms = [...this.pendingArms.entries()].map(([key, arm]) => {
+      const [url, bucket, action] = key.split('|');
+      return { url, hourBucket: Number(bucket), action, pulls: arm.pulls, rewardSum: arm.rewardSum };
+    });
+    const yields = [...this.pendingYields.entries()].map(([key, stats]) => {
+      const [url, bucket] = key.split('|');
+      return { url, hourBucket: Number(bucket), newAds: stats.newAds, seconds: stats.seconds };
+    });
+    this.pendingArms.clear();
+    this.pendingYields.clear();
+    return { arms, yields };
+  }
+
+  // Snapshot for the status API
+  getState() {
+    const bucket = getHourBucket(this.now());
+    const window = this.window;
+    return {
+      url: this.url,
+      hourBucket: formatHourBucket(bucket),
+      window: window ? {
+        action: window.action,
+        passes: window.passes,
+        newAds: window.newAds,
+        adsPerMinute: window.seconds > 0 ? round(window.newAds / (window.seconds / 60)) : null
+      } : null,
+      lastDecision: this.lastDecision,
+      decisions: { ...this.decisions },
+      actions: this.url ? this.scoreActions(this.url, bucket) : [],
+      yield: this.url ? {
+        thisBucket: this.getYieldRate(this.url, bucket),
+        allDay: this.getYieldRate(this.url)
+      } : null
+    };
+  }
+}
+
+module.exports = {
+  POLICY_ACTIONS,
+  HOURS_PER_BUCKET,
+  AdaptiveRotationPolicy,
+  getHourBucket,
+  formatHourBucket
+};
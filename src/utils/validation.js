@@ -0,0 +1,10 @@
+// src/utils/validation.js
+// Errors for bad caller input; app.js's sendServiceError answers them with 400
+
+function validationError(message) {
+  const error = new Error(message);
+  error.validation = true;
+  return error;
+}
+
+module.exports = { validationError };
@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const AdClassificationService = require('../src/services/adClassificationService');
+const {
+  DEFAULT_CATEGORY_RULES,
+  compileRules,
+  classifyAd,
+  classifyCreativeType
+} = require('../src/utils/adClassifier');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('classifyAd', () => {
+  const rules = compileRules(DEFAULT_CATEGORY_RULES);
+
+  it('picks the vertical with the most keyword and domain evidence', () => {
+    const result = classifyAd({
+      heading: 'Drivers Over 50 Are Getting Cheaper Auto Insurance',
+      description: 'Compare coverage from top insurers in minutes.',
+      link_url: 'https://quotes.acmeinsurance.com/start'
+    }, rules);
+
+    assert.equal(result.vertical, 'insurance');
+    assert.ok(result.verticalConfidence > 0.8);
+    assert.ok(result.matched.includes('domain:insur'));
+  });
+
+  it('reads normalized ads as well as database rows', () => {
+    const result = classifyAd({ headline: 'Refinance Your Mortgage Today', body: 'Rates are dropping.' }, rules);
+    assert.equal(result.vertical, 'finance');
+    assert.deepEqual(result.matched.sort(), ['mortgage', 'refinanc']);
+  });
+
+  it('only matches keywords at the start of a word', () => {
+    // "lawn" is not "lawyer", "april" is not a finance term
+    const result = classifyAd({ heading: 'Spring lawn tips for April', description: '' }, rules);
+    assert.equal(result.vertical, 'other');
+    assert.equal(result.verticalConfidence, 0);
+  });
+
+  it('matches keywords that start with punctuation inside words', () => {
+    const custom = compileRules([{ vertical: 'retail', keywords: ['% off', 'sale'], domains: [] }]);
+    assert.deepEqual(classifyAd({ heading: 'Get 50% off today' }, custom).matched, ['% off']);
+    assert.equal(classifyAd({ heading: 'Wholesale prices' }, custom).vertical, 'other');
+  });
+
+  it('ignores subdomains of the landing page', () => {
+    const result = classifyAd({ heading: 'Weekend reading', link_url: 'https://shop.example-news.com/' }, rules);
+    assert.equal(result.vertical, 'other');
+  });
+
+  it('lowers confidence when verticals compete', () => {
+    const result = classifyAd({ heading: 'Solar loan with no credit check', description: '' }, rules);
+    assert.ok(result.verticalConfidence < 0.7);
+  });
+
+  it('skips disabled rules and applies weights', () => {
+    const custom = compileRules([
+      { vertical: 'pets', keywords: ['dog'], domains: [], weight: 3 },
+      { vertical: 'food', keywords: ['treat', 'snack'], domains: [] },
+      { vertical: 'finance', keywords: ['dog'], domains: [], enabled: false }
+    ]);
+    assert.equal(classifyAd({ heading: 'Dog treat snack box' }, custom).vertical, 'pets');
+  });
+
+  it('detects video, native and display creatives', () => {
+    assert.equal(classifyCreativeType({ element_html: '<div><video src="a.mp4"></video></div>' }).creativeType, 'video');
+    assert.equal(classifyCreativeType({ ad_type: 'forYou', heading: 'x' }).creativeType, 'native');
+    assert.equal(classifyCreativeType({ adType: 'gpt-banner' }).creativeType, 'display');
+    assert.deepEqual(classifyCreativeType({ dimensions: { width: 300, height: 250 } }), { creativeType: 'display', confidence: 0.7 });
+    assert.deepEqual(classifyCreativeType({ heading: 'Headline', description: 'Copy' }), { creativeType: 'native', confidence: 0.6 });
+    assert.deepEqual(classifyCreativeType({ image_url: 'https://cdn.example.com/a.jpg' }), { creativeType: 'display', confidence: 0.4 });
+  });
+});
+
+describe('AdClassificationService', () => {
+  let classification;
+  let db;
+  let tmpDb;
+
+  async function insertAd(adId, heading, description, linkUrl) {
+    await db.run(
+      `INSERT INTO ads (ad_id, session_id, heading, description, link_url, timestamp)
+       VALUES (?, 'session_test', ?, ?, ?, '2024-05-01T10:00:00.000Z')`,
+      [adId, heading, description, linkUrl || null]
+    );
+  }
+
+  before(async () => {
+    db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'classification');
+    classification = new AdClassificationService({ db, cacheTtlMs: 0 });
+    await classification.initialize();
+    await db.run("INSERT INTO sessions (session_id, start_time, url) VALUES ('session_test', '2024-05-01T09:55:00.000Z', 'https://www.newsbreak.com/')");
+  });
+
+  after(async () => {
+    await classification.close();
+    await tmpDb.remove();
+  });
+
+  it('seeds the default rules once', async () => {
+    assert.equal((await classification.getRules()).length, DEFAULT_CATEGORY_RULES.length);
+    assert.equal(await classification.seedDefaultRules(), 0);
+  });
+
+  it('validates rules', async () => {
+    await assert.rejects(classification.createRule({ vertical: 'Pet Care', keywords: ['dog'] }), error => error.validation === true);
+    await assert.rejects(classification.createRule({ vertical: 'pets', keywords: [], domains: '' }), /at least one keyword or domain/);
+    await assert.rejects(classification.createRule({ vertical: 'pets', keywords: 'dog', weight: 0 }), /weight/);
+    await assert.rejects(classification.updateRule(9999, { weight: 2 }), /Category rule not found/);
+    await assert.rejects(classification.deleteRule(9999), /Category rule not found/);
+  });
+
+  it('creates, updates and deletes rules', async () => {
+    const rule = await classification.createRule({ vertical: 'pets', keywords: 'Dog Food, puppy, dog food', domains: ['petco'] });
+    assert.deepEqual(rule.keywords, ['dog food', 'puppy']);
+    assert.deepEqual(rule.domains, ['petco']);
+    assert.equal(rule.weight, 1);
+    assert.equal(rule.enabled, true);
+
+    const updated = await classification.updateRule(rule.id, { weight: 2.5, enabled: false });
+    assert.equal(updated.weight, 2.5);
+    assert.equal(updated.enabled, false);
+    assert.deepEqual(updated.keywords, ['dog food', 'puppy']);
+
+    assert.equal((await classification.classify({ heading: 'Puppy training guide' })).vertical, 'other');
+    await classification.updateRule(rule.id, { enabled: true });
+    assert.equal((await classification.classify({ heading: 'Puppy training guide' })).vertical, 'pets');
+
+    await classification.deleteRule(rule.id);
+    assert.equal(await classification.getRule(rule.id), null);
+  });
+
+  it('reclassifies stored ads after a rule change', async () => {
+    await insertAd('ad_1', 'Find a Lawyer Near You', 'Free case review for injury claims.');
+    await insertAd('ad_2', 'Puppy food that dogs love', 'Grain-free recipes.');
+    await insertAd('ad_3', 'Hotel deals this weekend', 'Save on your next getaway.', 'https://www.cheaptravel.com/deals');
+
+    assert.deepEqual(await classification.reclassifyAds({ batchSize: 2 }), { processed: 3, changed: 3 });
+    const before = await db.all('SELECT ad_id, vertical, creative_type FROM ads ORDER BY id');
+    assert.deepEqual(before.map(row => row.vertical), ['legal', 'other', 'travel']);
+    assert.ok(before.every(row => row.creative_type === 'native'));
+
+    // Only the ad the new rule matches changes
+    await classification.createRule({ vertical: 'pets', keywords: ['puppy', 'dogs'] });
+    assert.deepEqual(await classification.reclassifyAds(), { processed: 3, changed: 1 });
+    assert.equal((await db.get("SELECT vertical FROM ads WHERE ad_id = 'ad_2'")).vertical, 'pets');
+
+    await insertAd('ad_4', 'Online college degree programs', 'Enroll this fall.');
+    assert.deepEqual(await classification.reclassifyAds({ all: false }), { processed: 1, changed: 1 });
+
+    const summary = await classification.getSummary();
+    assert.equal(summary.verticals.length, 4);
+    assert.deepEqual(summary.creativeTypes, [{ creativeType: 'native', count: 4 }]);
+  });
+
+  it('runs admin reclassifications in the background', async () => {
+    assert.deepEqual(classification.getReclassification(), { status: 'idle' });
+
+    const started = classification.startReclassification({ all: true });
+    assert.equal(started.status, 'running');
+    assert.throws(() => classification.startReclassification(), /already running/);
+
+    await classification.reclassificationRun;
+    const finished = classification.getReclassification();
+    assert.deepEqual([finished.status, finished.processed, finished.changed, finished.error], ['completed', 4, 0, null]);
+    assert.ok(finished.finishedAt);
+  });
+
+  it('does not re-seed rules the admin deleted', async () => {
+    await db.run('DELETE FROM category_rules');
+    assert.equal(await classification.seedDefaultRules(), 0);
+    assert.deepEqual(await classification.getRules(), []);
+  });
+});
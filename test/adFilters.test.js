@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const { parseAdFilters, buildAdFilterSql } = require('../src/utils/adFilters');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('parseAdFilters', () => {
+  it('reads comma lists and repeated params into arrays', () => {
+    assert.deepEqual(parseAdFilters({
+      session_id: 's1',
+      session_ids: 's2, s3',
+      ad_network: ['Acme', 'Bright Solar'],
+      vertical: 'insurance,,solar',
+      creative_type: 'image',
+      city: 'Houston-TX,chicago-il',
+      state: 'tx',
+      min_confidence: '0.75',
+      start_date: '2024-05-01',
+      end_date: '2024-05-31',
+      search: 'solar -medicare'
+    }), {
+      sessionIds: ['s1', 's2', 's3'],
+      adNetworks: ['Acme', 'Bright Solar'],
+      verticals: ['insurance', 'solar'],
+      creativeTypes: ['image'],
+      minConfidence: 0.75,
+      cities: ['houston-tx', 'chicago-il'],
+      state: 'TX',
+      startDate: '2024-05-01',
+      endDate: '2024-05-31',
+      search: 'solar -medicare'
+    });
+  });
+
+  it('leaves out empty and unparseable values', () => {
+    assert.deepEqual(parseAdFilters({ session_id: '', vertical: ' , ', min_confidence: 'high', city: [] }), {});
+    assert.deepEqual(parseAdFilters(), {});
+  });
+});
+
+describe('buildAdFilterSql', () => {
+  it('matches everything without filters', () => {
+    assert.deepEqual(buildAdFilterSql(), { where: '1=1', params: [] });
+  });
+
+  it('prefixes columns with the alias and keeps values out of the SQL', () => {
+    const { where, params } = buildAdFilterSql({ adNetwork: "Acme'; DROP TABLE ads; --", verticals: ['solar'] }, { alias: 'a' });
+    assert.equal(where, 'a.ad_network IN (?) AND a.vertical IN (?)');
+    assert.deepEqual(params, ["Acme'; DROP TABLE ads; --", 'solar']);
+  });
+
+  it('uses FTS only when it is available and the search has searchable terms', () => {
+    assert.deepEqual(buildAdFilterSql({ search: 'solar' }, { ftsAvailable: true }), {
+      where: 'id IN (SELECT rowid FROM ads_fts WHERE ads_fts MATCH ?)',
+      params: ['"solar"']
+    });
+    assert.deepEqual(buildAdFilterSql({ search: 'solar' }), {
+      where: '(heading LIKE ? OR description LIKE ?)',
+      params: ['%solar%', '%solar%']
+    });
+    assert.equal(buildAdFilterSql({ search: '-medicare' }, { ftsAvailable: true }).where, '(heading LIKE ? OR description LIKE ?)');
+  });
+});
+
+describe('Ad filters against the database', () => {
+  let db;
+  let tmpDb;
+
+  const ids = async (query, options = {}) => {
+    const { where, params } = buildAdFilterSql(parseAdFilters(query), { ftsAvailable: db.ftsAvailable, alias: 'a', ...options });
+    const rows = await db.all(`SELECT a.ad_id FROM ads a WHERE ${where} ORDER BY a.id`, params);
+    return rows.map(row => row.ad_id);
+  };
+
+  before(async () => {
+    db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'ad-filters');
+    await db.initialize();
+
+    await db.run("INSERT INTO sessions (session_id, start_time) VALUES ('s1', '2024-05-01T09:00:00.000Z'), ('s2', '2024-05-02T09:00:00.000Z')");
+    const ads = [
+      ['solar-1', 's1', 'Solar panels with free shipping', 'Acme', 'solar', 0.9, '2024-05-01T10:00:00.000Z'],
+      ['insurance-1', 's1', 'Cheap insurance quote', 'Bright', 'insurance', 0.6, '2024-05-01T11:00:00.000Z'],
+      ['insurance-2', 's2', 'Medicare insurance plans', 'Bright', 'insurance', 0.95, '2024-05-02T10:00:00.000Z']
+    ];
+    for (const [adId, sessionId, heading, network, vertical, confidence, timestamp] of ads) {
+      const ad = await db.run(
+        'INSERT INTO ads (ad_id, session_id, heading, ad_network, vertical, vertical_confidence, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [adId, sessionId, heading, network, vertical, confidence, timestamp]
+      );
+      const [city, state] = sessionId === 's1' ? ['houston-tx', 'TX'] : ['chicago-il', 'IL'];
+      await db.run(
+        'INSERT INTO ad_sightings (ad_id, observation_id, city, state, seen_at) VALUES (?, ?, ?, ?, ?)',
+        [ad.id, `obs-${adId}`, city, state, timestamp]
+      );
+    }
+  });
+
+  after(async () => {
+    await db.close();
+    await tmpDb.remove();
+  });
+
+  it('combines filters with AND', async () => {
+    assert.deepEqual(await ids({}), ['solar-1', 'insurance-1', 'insurance-2']);
+    assert.deepEqual(await ids({ vertical: 'insurance', min_confidence: '0.9' }), ['insurance-2']);
+    assert.deepEqual(await ids({ session_ids: 's1', ad_network: 'Bright' }), ['insurance-1']);
+    assert.deepEqual(await ids({ start_date: '2024-05-01T10:30:00.000Z', end_date: '2024-05-01T23:59:59.999Z' }), ['insurance-1']);
+  });
+
+  it('filters by where ads were seen', async () => {
+    assert.deepEqual(await ids({ city: 'Chicago-IL' }), ['insurance-2']);
+    assert.deepEqual(await ids({ state: 'tx' }), ['solar-1', 'insurance-1']);
+    assert.deepEqual(await ids({ city: 'houston-tx,chicago-il', vertical: 'solar' }), ['solar-1']);
+  });
+
+  it('searches with FTS and with the LIKE fallback', async () => {
+    assert.equal(db.ftsAvailable, true);
+    assert.deepEqual(await ids({ search: 'insur* -medicare' }), ['insurance-1']);
+    assert.deepEqual(await ids({ search: 'shipping' }, { ftsAvailable: false }), ['solar-1']);
+  });
+});
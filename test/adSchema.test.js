@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeAd, validateAd, getAdSignature } = require('../src/extractors/adSchema');
+const { ExtractorRegistry } = require('../src/extractors/registry');
+const extractorRegistry = require('../src/extractors/registry');
+
+describe('normalizeAd', () => {
+  it('maps legacy field names onto the common schema', () => {
+    const ad = normalizeAd({
+      ad_id: 'ad_1',
+      heading: '  Solar for $0 Down ',
+      description: 'See if your home qualifies.',
+      ad_network: 'Bright Solar',
+      imageUrl: 'https://img.example/solar.png',
+      link_url: 'https://shop.example/quote',
+      page_url: 'https://www.newsbreak.com/queens-ny',
+      timestamp: Date.UTC(2024, 4, 1, 10),
+      position_x: 12.4,
+      position_y: 300,
+      width: 600,
+      height: 500
+    });
+
+    assert.deepEqual(ad, {
+      id: 'ad_1',
+      sessionId: null,
+      source: null,
+      adType: null,
+      advertiser: 'Bright Solar',
+      headline: 'Solar for $0 Down',
+      body: 'See if your home qualifies.',
+      image: 'https://img.example/solar.png',
+      link: 'https://shop.example/quote',
+      iframeSrc: null,
+      containerId: null,
+      pageUrl: 'https://www.newsbreak.com/queens-ny',
+      timestamp: '2024-05-01T10:00:00.000Z',
+      position: { x: 12, y: 300 },
+      dimensions: { width: 600, height: 500 },
+      viewport: null,
+      elementHtml: null
+    });
+  });
+
+  it('is idempotent', () => {
+    const ad = normalizeAd({ headline: 'Hi', link: 'https://a.example/', position: { x: 1, y: 2 } });
+    assert.deepEqual(normalizeAd(ad), ad);
+  });
+
+  it('fills only empty fields from defaults', () => {
+    const ad = normalizeAd({ headline: 'Hi', pageUrl: '', source: 'smart' }, { source: 'forYou', pageUrl: 'https://www.newsbreak.com/x' });
+    assert.equal(ad.source, 'smart');
+    assert.equal(ad.pageUrl, 'https://www.newsbreak.com/x');
+  });
+
+  it('drops URLs that cannot be followed and clips long text', () => {
+    const ad = normalizeAd({ headline: 'x'.repeat(400), link: 'javascript:void(0)', image: '/relative.png', iframeSrc: 'about:blank' });
+    assert.equal(ad.headline.length, 300);
+    assert.equal(ad.link, null);
+    assert.equal(ad.image, null);
+    assert.equal(ad.iframeSrc, 'about:blank');
+  });
+});
+
+describe('validateAd', () => {
+  it('accepts an ad with any text field', () => {
+    assert.deepEqual(validateAd(normalizeAd({ advertiser: 'Acme' })), []);
+  });
+
+  it('rejects ads with no text to deduplicate on', () => {
+    assert.deepEqual(validateAd(normalizeAd({ link: 'https://a.example/', image: 'https://a.example/i.png' })), [
+      'ad needs at least one of advertiser, headline, body'
+    ]);
+  });
+
+  it('rejects bad timestamps and URLs on unnormalized input', () => {
+    assert.deepEqual(validateAd({ headline: 'Hi', link: 'ftp://a.example', timestamp: 'yesterday' }), [
+      'link is not a usable URL',
+      'timestamp must be a valid date'
+    ]);
+    assert.deepEqual(validateAd(null), ['ad must be an object']);
+  });
+});
+
+describe('getAdSignature', () => {
+  it('ignores case, surrounding whitespace and body text after 200 chars', () => {
+    const body = 'b'.repeat(200);
+    assert.equal(
+      getAdSignature({ headline: ' Hello ', body: `${body}one`, advertiser: 'ACME' }),
+      getAdSignature({ headline: 'hello', body: `${body}two`, advertiser: 'acme' })
+    );
+    assert.equal(getAdSignature({ headline: 'Hello', body: null, advertiser: null }), 'hello__');
+  });
+});
+
+describe('ExtractorRegistry', () => {
+  it('registers the built-in extractors with forYou and learned as the defaults', () => {
+    assert.deepEqual(extractorRegistry.list().map(plugin => plugin.name), [
+      'forYou', 'learned', 'smart', 'mobile', 'gpt', 'adNetwork', 'simple', 'generic'
+    ]);
+    assert.deepEqual(extractorRegistry.resolve(), ['forYou', 'learned']);
+    assert.deepEqual(extractorRegistry.resolve('smart, forYou,smart'), ['smart', 'forYou']);
+  });
+
+  it('rejects unknown extractor names as a validation error', () => {
+    assert.throws(() => extractorRegistry.resolve(['forYou', 'nope']), error => {
+      assert.equal(error.validation, true);
+      assert.match(error.message, /Unknown extractors: nope/);
+      return true;
+    });
+  });
+
+  it('rejects plugins without a name or extract function and duplicate names', () => {
+    const registry = new ExtractorRegistry();
+    registry.register({ name: 'one', extract: async () => [] });
+    assert.throws(() => registry.register({ name: 'two' }));
+    assert.throws(() => registry.register({ name: 'one', extract: async () => [] }), /already registered/);
+  });
+
+  it('runs plugins in order, normalizing, validating and deduplicating their ads', async () => {
+    const registry = new ExtractorRegistry();
+    const quietLogger = { warn() {}, debug() {} };
+
+    registry.register({
+      name: 'first',
+      extract: async (page, context) => [
+        { title: 'Solar for $0 Down', sponsor: 'Bright Solar', href: 'https://shop.example/', mode: context.mode },
+        { href: 'https://empty.example/' }
+      ],
+      toAd: raw => ({ headline: raw.title, advertiser: raw.sponsor, link: raw.href, adType: raw.mode })
+    });
+    registry.register({
+      name: 'second',
+      extract: async () => [
+        { headline: 'solar for $0 down', advertiser: 'BRIGHT SOLAR' },
+        { headline: 'No-fee checking', pageUrl: 'https://www.newsbreak.com/boston-ma' }
+      ]
+    });
+    registry.register({
+      name: 'broken',
+      extract: async () => { throw new Error('page crashed'); }
+    });
+
+    const { ads, rejected } = await registry.run(null, ['broken', 'first', 'second'], {
+      mode: 'timed',
+      pageUrl: 'https://www.newsbreak.com/new-york-ny',
+      logger: quietLogger
+    });
+
+    assert.equal(rejected, 1);
+    assert.deepEqual(ads.map(ad => [ad.source, ad.headline, ad.adType, ad.pageUrl]), [
+      ['first', 'Solar for $0 Down', 'timed', 'https://www.newsbreak.com/new-york-ny'],
+      ['second', 'No-fee checking', null, 'https://www.newsbreak.com/boston-ma']
+    ]);
+  });
+});
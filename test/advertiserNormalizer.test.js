@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeAdvertiserName, extractLandingDomain, normalizeLinkUrl } = require('../src/utils/advertiserNormalizer');
+
+describe('normalizeAdvertiserName', () => {
+  it('resolves names, domains and URLs of one advertiser to the same identity', () => {
+    assert.equal(normalizeAdvertiserName('Acme Inc'), 'acme');
+    assert.equal(normalizeAdvertiserName('  ACME  '), 'acme');
+    assert.equal(normalizeAdvertiserName('acme.com'), 'acme');
+    assert.equal(normalizeAdvertiserName('https://www.acme.com/offer'), 'acme');
+    assert.equal(normalizeAdvertiserName('Acme Corp., Ltd.'), 'acme');
+  });
+
+  it('keeps distinguishing words and spells out ampersands', () => {
+    assert.equal(normalizeAdvertiserName('Acme Holdings, Inc.'), 'acmeholdings');
+    assert.equal(normalizeAdvertiserName('Smith & Sons LLC'), 'smithandsons');
+  });
+
+  it('returns null for placeholders and non-strings', () => {
+    assert.equal(normalizeAdvertiserName('Protected Ad'), null);
+    assert.equal(normalizeAdvertiserName('Sponsored'), null);
+    assert.equal(normalizeAdvertiserName('Ads Inc'), null);
+    assert.equal(normalizeAdvertiserName('   '), null);
+    assert.equal(normalizeAdvertiserName(null), null);
+    assert.equal(normalizeAdvertiserName(42), null);
+  });
+});
+
+describe('extractLandingDomain', () => {
+  it('returns the landing host without www', () => {
+    assert.equal(extractLandingDomain('https://www.acme.com/quote?id=1'), 'acme.com');
+    assert.equal(extractLandingDomain('https://shop.acme.com/'), 'shop.acme.com');
+  });
+
+  it('ignores ad-tech hosts, but not hosts that merely end with their name', () => {
+    assert.equal(extractLandingDomain('https://ad.doubleclick.net/clk'), null);
+    assert.equal(extractLandingDomain('https://www.newsbreak.com/houston-tx'), null);
+    assert.equal(extractLandingDomain('https://notdoubleclick.net/'), 'notdoubleclick.net');
+  });
+
+  it('returns null for missing or unparseable URLs', () => {
+    assert.equal(extractLandingDomain('not a url'), null);
+    assert.equal(extractLandingDomain(''), null);
+    assert.equal(extractLandingDomain(undefined), null);
+  });
+});
+
+describe('normalizeLinkUrl', () => {
+  it('drops tracking parameters and the fragment and sorts the rest', () => {
+    assert.equal(
+      normalizeLinkUrl('https://acme.example/quote?utm_source=nb&b=2&gclid=abc&a=1#top'),
+      'https://acme.example/quote?a=1&b=2'
+    );
+    assert.equal(
+      normalizeLinkUrl('https://acme.example/quote?UTM_Medium=cpc&FBCLID=x&cb=1712345678&ord=99'),
+      'https://acme.example/quote'
+    );
+  });
+
+  it('gives per-click variants of one link the same identity', () => {
+    const first = normalizeLinkUrl('https://acme.example/quote?id=7&click_id=1&ts=1714557600');
+    const second = normalizeLinkUrl('https://acme.example/quote?ts=1714561200&click_id=2&id=7');
+    assert.equal(first, second);
+  });
+
+  it('keeps destination parameters so different destinations stay different', () => {
+    const solar = normalizeLinkUrl('https://ad.doubleclick.net/clk?adurl=https%3A%2F%2Fsolar.example%2F&cb=1');
+    const roofing = normalizeLinkUrl('https://ad.doubleclick.net/clk?adurl=https%3A%2F%2Froofing.example%2F&cb=1');
+    assert.equal(solar, 'https://ad.doubleclick.net/clk?adurl=https%3A%2F%2Fsolar.example%2F');
+    assert.notEqual(solar, roofing);
+  });
+
+  it('returns unparseable links trimmed and missing links as an empty string', () => {
+    assert.equal(normalizeLinkUrl('  /relative/path?utm_source=nb '), '/relative/path?utm_source=nb');
+    assert.equal(normalizeLinkUrl(null), '');
+    assert.equal(normalizeLinkUrl(''), '');
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const userManager = require('../src/auth/userManager');
+const { requireAuth, requirePermission, requireAdmin, generateToken } = require('../src/auth/authMiddleware');
+const { useTempDatabase } = require('./helpers/db');
+
+// Run a middleware against a fake request; resolves with { status, body, user, next }
+function runMiddleware(middleware, headers = {}) {
+  return new Promise((resolve) => {
+    const req = { headers, cookies: {}, accepts: () => false };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body, user: req.user }); },
+      redirect(url) { resolve({ status: 302, body: url }); }
+    };
+    middleware(req, res, () => resolve({ status: 200, next: true, user: req.user }));
+  });
+}
+
+describe('API keys', () => {
+  let tmpDb;
+
+  before(async () => {
+    tmpDb = await useTempDatabase(userManager, 'api-keys', 'users.db');
+    await userManager.initialize();
+  });
+
+  after(async () => {
+    userManager.close();
+    await tmpDb.remove();
+  });
+
+  it('creates keys that are stored hashed and validates scopes and expiry', async () => {
+    const created = await userManager.createApiKey({ name: 'bi-export', scopes: 'ads:read, ads:export', createdBy: 'admin' });
+    assert.match(created.key, /^nbk_[0-9a-f]{48}$/);
+    assert.equal(created.keyPrefix, created.key.slice(0, 12));
+    assert.deepEqual(created.scopes, ['ads:read', 'ads:export']);
+
+    const listed = (await userManager.getAllApiKeys()).find(key => key.id === created.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+    assert.equal(listed.status, 'active');
+
+    await assert.rejects(userManager.createApiKey({ name: 'x', scopes: ['ads:read'] }), /Name must be/);
+    await assert.rejects(userManager.createApiKey({ name: 'no-scopes', scopes: [] }), /At least one scope/);
+    await assert.rejects(userManager.createApiKey({ name: 'bad-scope', scopes: ['ads:delete'] }), /Unknown scopes: ads:delete/);
+    await assert.rejects(userManager.createApiKey({ name: 'past', scopes: ['ads:read'], expiresAt: '2020-01-01' }), /future date/);
+  });
+
+  it('accepts active keys, records their last use and rejects revoked or expired ones', async () => {
+    const created = await userManager.createApiKey({ name: 'short-lived', scopes: ['ads:read'], expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    const verified = await userManager.verifyApiKey(created.key);
+    assert.equal(verified.id, created.id);
+    assert.ok(verified.lastUsedAt);
+    assert.equal(await userManager.verifyApiKey('nbk_unknown'), null);
+
+    await userManager.revokeApiKey(created.id);
+    assert.equal(await userManager.verifyApiKey(created.key), null);
+    await assert.rejects(userManager.revokeApiKey(created.id), /not found/);
+
+    const expired = await userManager.createApiKey({ name: 'expired', scopes: ['ads:read'], expiresAt: new Date(Date.now() + 200).toISOString() });
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal(await userManager.verifyApiKey(expired.key), null);
+    assert.equal((await userManager.getAllApiKeys()).find(key => key.id === expired.id).status, 'expired');
+  });
+
+  it('authenticates "Authorization: ApiKey" requests and enforces scopes', async () => {
+    const { key } = await userManager.createApiKey({ name: 'reader', scopes: ['ads:read'] });
+
+    const authed = await runMiddleware(requireAuth, { authorization: `ApiKey ${key}` });
+    assert.equal(authed.next, true);
+    assert.deepEqual(authed.user.apiKey.scopes, ['ads:read']);
+
+    const rejected = await runMiddleware(requireAuth, { authorization: 'ApiKey nbk_wrong' });
+    assert.equal(rejected.status, 401);
+
+    const read = await runMiddleware((req, res, next) => requireAuth(req, res, () => requirePermission('ads:read')(req, res, next)), { authorization: `ApiKey ${key}` });
+    assert.equal(read.next, true);
+
+    const exportAttempt = await runMiddleware((req, res, next) => requireAuth(req, res, () => requirePermission('ads:export')(req, res, next)), { authorization: `ApiKey ${key}` });
+    assert.equal(exportAttempt.status, 403);
+    assert.match(exportAttempt.body.error, /ads:export/);
+
+    const admin = await runMiddleware((req, res, next) => requireAuth(req, res, () => requireAdmin(req, res, next)), { authorization: `ApiKey ${key}` });
+    assert.equal(admin.status, 403);
+  });
+
+  it('keeps role checks for signed-in users on scoped routes', async () => {
+    const viewerToken = generateToken(await userManager.createUser('viewer_user', 'secret123', 'viewer'));
+    const adminToken = generateToken(await userManager.getUserByUsername('admin'));
+    const guarded = scope => (req, res, next) => requireAuth(req, res, () => requirePermission(scope)(req, res, next));
+
+    assert.equal((await runMiddleware(guarded('ads:read'), { authorization: `Bearer ${viewerToken}` })).next, true);
+    assert.equal((await runMiddleware(guarded('ads:export'), { authorization: `Bearer ${viewerToken}` })).status, 403);
+    assert.equal((await runMiddleware(guarded('extract:start'), { authorization: `Bearer ${viewerToken}` })).status, 403);
+    assert.equal((await runMiddleware(guarded('extract:start'), { authorization: `Bearer ${adminToken}` })).next, true);
+    assert.equal((await runMiddleware(guarded('ads:read'), {})).status, 401);
+  });
+});
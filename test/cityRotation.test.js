@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const CityRotationService = require('../src/services/cityRotationService');
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const { NEWSBREAK_LOCATIONS } = require('../src/config/urlRotation');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('CityRotationService', () => {
+  let cities;
+  let tmpDb;
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'city-rotation');
+    cities = new CityRotationService({ db });
+    await cities.initialize();
+  });
+
+  after(async () => {
+    await cities.close();
+    await tmpDb.remove();
+  });
+
+  it('seeds the built-in city list once', async () => {
+    const list = await cities.getCities();
+    assert.equal(list.length, NEWSBREAK_LOCATIONS.length);
+    assert.deepEqual(
+      { ...list[0], createdAt: undefined },
+      {
+        id: list[0].id,
+        url: 'https://www.newsbreak.com/new-york-ny',
+        slug: 'new-york-ny',
+        name: 'New York',
+        state: 'NY',
+        region: 'northeast',
+        enabled: true,
+        visitCount: 0,
+        crawlSeconds: 0,
+        newAds: 0,
+        adsPerHour: null,
+        lastCrawledAt: null,
+        createdAt: undefined
+      }
+    );
+    assert.equal(await cities.seedDefaultCities(), 0);
+  });
+
+  it('adds cities with a normalized URL and default region', async () => {
+    const city = await cities.createCity({ url: 'https://newsbreak.com/Boise-ID/' });
+    assert.equal(city.url, 'https://www.newsbreak.com/boise-id');
+    assert.equal(city.name, 'Boise');
+    assert.equal(city.region, 'west');
+
+    const tagged = await cities.createCity({ url: 'https://www.newsbreak.com/reno-nv', region: 'Mountain' });
+    assert.equal(tagged.region, 'mountain');
+  });
+
+  it('rejects invalid and duplicate cities', async () => {
+    await assert.rejects(cities.createCity({ url: 'https://example.com/houston-tx' }), error => error.validation === true);
+    await assert.rejects(cities.createCity({ url: 'https://www.newsbreak.com/' }), error => error.validation === true);
+    await assert.rejects(cities.createCity({ url: 'https://www.newsbreak.com/boise-id' }), /already in the city list/);
+    await assert.rejects(cities.createCity({ url: 'https://www.newsbreak.com/ely-nv', region: 'a b' }), /region/);
+    await assert.rejects(cities.updateCity(9999, { enabled: false }), /City not found/);
+    await assert.rejects(cities.deleteCity(9999), /City not found/);
+  });
+
+  it('retags, disables and removes cities', async () => {
+    const [boise] = (await cities.getCities()).filter(city => city.slug === 'boise-id');
+    const updated = await cities.updateCity(boise.id, { region: 'northwest', enabled: false });
+    assert.equal(updated.region, 'northwest');
+    assert.equal(updated.enabled, false);
+
+    const rotation = await cities.getRotationCities();
+    assert.equal(rotation.some(city => city.url === boise.url), false);
+    assert.equal(rotation.length, NEWSBREAK_LOCATIONS.length + 1);
+
+    await cities.deleteCity(boise.id);
+    assert.equal(await cities.getCity(boise.id), null);
+  });
+
+  it('accumulates visits into per-city yield', async () => {
+    const url = 'https://www.newsbreak.com/houston-tx';
+    await cities.recordVisit(url, { newAds: 30, seconds: 1800 });
+    await cities.recordVisit(url, { newAds: 10, seconds: 1800.4 });
+    await cities.recordVisit('https://www.newsbreak.com/not-listed', { newAds: 5, seconds: 60 });
+
+    const [houston] = (await cities.getCities()).filter(city => city.url === url);
+    assert.equal(houston.visitCount, 2);
+    assert.equal(houston.newAds, 40);
+    assert.equal(houston.crawlSeconds, 3600);
+    assert.equal(houston.adsPerHour, 40);
+    assert.ok(houston.lastCrawledAt);
+
+    const [rotationCity] = (await cities.getRotationCities()).filter(city => city.url === url);
+    assert.deepEqual({ ...rotationCity, lastCrawledAt: null }, { url, region: 'south', newAds: 40, crawlSeconds: 3600, lastCrawledAt: null });
+  });
+
+  it('does not re-seed a list the admin emptied', async () => {
+    await cities.db.run('DELETE FROM crawl_cities');
+    assert.equal(await cities.seedDefaultCities(), 0);
+    assert.deepEqual(await cities.getCities(), []);
+  });
+});
+
+describe('MultiThreadExtractor city rotation', () => {
+  function fakeStore(rotationCities) {
+    const visits = [];
+    return {
+      visits,
+      getRotationCities: async () => rotationCities,
+      recordVisit: async (url, stats) => { visits.push({ url, ...stats }); }
+    };
+  }
+
+  it('loads the database city list with the chosen strategy', async () => {
+    const store = fakeStore([
+      { url: 'https://www.newsbreak.com/houston-tx', region: 'south' },
+      { url: 'https://www.newsbreak.com/chicago-il', region: 'midwest' }
+    ]);
+    const extractor = new MultiThreadExtractor({ cityRotation: store, rotationStrategy: 'least_recent' });
+    await extractor.loadCities();
+
+    assert.deepEqual(extractor.urlRotation.urls, ['https://www.newsbreak.com/houston-tx', 'https://www.newsbreak.com/chicago-il']);
+    assert.equal(extractor.urlRotation.strategy, 'least_recent');
+    assert.equal(extractor.getStatus().config.cityRotation, undefined);
+    assert.equal(extractor.getStatus().rotation.strategy, 'least_recent');
+  });
+
+  it('keeps workers on different cities and reports yield per city', async () => {
+    const store = fakeStore([
+      { url: 'https://www.newsbreak.com/houston-tx' },
+      { url: 'https://www.newsbreak.com/chicago-il' },
+      { url: 'https://www.newsbreak.com/denver-co' }
+    ]);
+    const extractor = new MultiThreadExtractor({ cityRotation: store });
+    await extractor.loadCities();
+
+    const first = { workerId: 1 };
+    const second = { workerId: 2 };
+    extractor.startCityVisit(first, extractor.pickNextUrl(1));
+    extractor.startCityVisit(second, extractor.pickNextUrl(2));
+    assert.notEqual(first.url, second.url);
+
+    // 12 new ads in half an hour on the first city
+    first.cityStartTime = Date.now() - 30 * 60 * 1000;
+    first.cityAds = 12;
+    extractor.finishCityVisit(first);
+    extractor.finishCityVisit(first); // already finished: no double count
+
+    assert.equal(store.visits.length, 1);
+    assert.equal(store.visits[0].url, first.url);
+    assert.equal(store.visits[0].newAds, 12);
+
+    const [stats] = extractor.getStatus().cityYield;
+    assert.equal(stats.url, first.url);
+    assert.equal(stats.visits, 1);
+    assert.equal(stats.adsPerHour, 24);
+  });
+
+  it('falls back to the built-in list without enabled cities', async () => {
+    const extractor = new MultiThreadExtractor({ cityRotation: fakeStore([]) });
+    await extractor.loadCities();
+    assert.equal(extractor.urlRotation.urls.length, NEWSBREAK_LOCATIONS.length);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const CrawlJobQueue = require('../src/services/crawlJobQueue');
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const { useTempDatabase } = require('./helpers/db');
+
+const HOUSTON = 'https://www.newsbreak.com/houston-tx';
+const CHICAGO = 'https://www.newsbreak.com/chicago-il';
+
+describe('CrawlJobQueue', () => {
+  let queue;
+  let tmpDb;
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'crawl-job-queue');
+    queue = new CrawlJobQueue({ db, retryDelaySeconds: 0, maxAttempts: 2 });
+    await queue.initialize();
+  });
+
+  after(async () => {
+    await queue.close();
+    await tmpDb.remove();
+  });
+
+  async function setStatus(status) {
+    await queue.db.run("UPDATE crawl_jobs SET status = ? WHERE status IN ('queued', 'leased')", [status]);
+  }
+
+  it('validates jobs before queueing any of them', async () => {
+    await assert.rejects(queue.enqueue({ url: 'https://example.com/', timeBudgetMinutes: 5 }), error => error.validation === true);
+    await assert.rejects(queue.enqueue({ url: HOUSTON, timeBudgetMinutes: 0 }), /timeBudgetMinutes/);
+    await assert.rejects(queue.enqueue({ url: HOUSTON, timeBudgetMinutes: 5, deviceMode: 'watch' }), /deviceMode/);
+    await assert.rejects(
+      queue.enqueueMany([{ url: HOUSTON, timeBudgetMinutes: 5 }, { url: CHICAGO }]),
+      /jobs\[1\]: timeBudgetMinutes/
+    );
+    assert.deepEqual((await queue.getCounts()).queued, 0);
+  });
+
+  it('leases by priority, then age, and never hands a job out twice', async () => {
+    await queue.enqueueMany([
+      { url: HOUSTON, timeBudgetMinutes: 5 },
+      { url: CHICAGO, timeBudgetMinutes: 10, priority: 5, deviceMode: 'mobile' }
+    ]);
+
+    const [first, second, third] = await Promise.all([queue.lease('a'), queue.lease('b'), queue.lease('c')]);
+    const leased = [first, second, third].filter(Boolean);
+    assert.equal(leased.length, 2);
+    assert.deepEqual(leased.map(job => job.url).sort(), [CHICAGO, HOUSTON]);
+    assert.equal(first.url, CHICAGO);
+    assert.equal(first.deviceMode, 'mobile');
+    assert.equal(first.status, 'leased');
+    assert.equal(first.attempts, 1);
+    assert.ok(first.leaseToken);
+
+    assert.equal(await queue.heartbeat(first.id, first.leaseToken), true);
+    assert.equal(await queue.heartbeat(first.id, 'stale-token'), false);
+    assert.equal(await queue.complete(first.id, first.leaseToken, { newAds: 7 }), true);
+
+    const done = await queue.getJob(first.id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.newAds, 7);
+    assert.equal(done.leaseToken, undefined);
+    await setStatus('cancelled');
+  });
+
+  it('retries failed jobs and dead-letters them after max attempts', async () => {
+    const job = await queue.enqueue({ url: HOUSTON, timeBudgetMinutes: 5 });
+
+    let lease = await queue.lease('a');
+    assert.equal(await queue.fail(lease.id, lease.leaseToken, 'Browser crashed'), 'queued');
+    assert.equal((await queue.getJob(job.id)).lastError, 'Browser crashed');
+
+    lease = await queue.lease('a');
+    assert.equal(lease.attempts, 2);
+    assert.equal(await queue.fail(lease.id, lease.leaseToken, 'Browser crashed again'), 'dead');
+    assert.equal(await queue.lease('a'), null);
+
+    const dead = await queue.getJob(job.id);
+    assert.equal(dead.status, 'dead');
+    assert.deepEqual((await queue.listJobs({ status: 'dead' })).map(row => row.id), [job.id]);
+
+    const retried = await queue.retryJob(job.id);
+    assert.equal(retried.status, 'queued');
+    assert.equal(retried.attempts, 0);
+    await assert.rejects(queue.retryJob(job.id), error => error.validation === true);
+    await setStatus('cancelled');
+  });
+
+  it('requeues jobs whose lease expired and releases without using an attempt', async () => {
+    const job = await queue.enqueue({ url: CHICAGO, timeBudgetMinutes: 5 });
+    const lease = await queue.lease('crashed-worker');
+    await queue.db.run('UPDATE crawl_jobs SET lease_expires_at = ? WHERE id = ?', ['2000-01-01T00:00:00.000Z', job.id]);
+
+    // Another process requeues the same expired lease first
+    const stale = await queue.db.get('SELECT * FROM crawl_jobs WHERE id = ?', [job.id]);
+    assert.equal(await queue.requeueExpired(), 1);
+    assert.equal(await queue.retryOrBury(stale, 'Lease expired (second sweep)'), null);
+    const requeued = await queue.getJob(job.id);
+    assert.equal(requeued.status, 'queued');
+    assert.match(requeued.lastError, /Lease expired \(held by crashed-worker\)/);
+    assert.equal(await queue.complete(job.id, lease.leaseToken), false); // The old lease no longer counts
+
+    const again = await queue.lease('b');
+    assert.equal(again.attempts, 2);
+    assert.equal(await queue.release(again.id, again.leaseToken), true);
+    assert.equal((await queue.getJob(job.id)).attempts, 1);
+  });
+
+  it('cancels only queued jobs', async () => {
+    const [job] = await queue.listJobs({ status: 'queued' });
+    assert.equal((await queue.cancelJob(job.id)).status, 'cancelled');
+    await assert.rejects(queue.cancelJob(job.id), /Only queued jobs/);
+    await assert.rejects(queue.cancelJob(9999), /Crawl job not found/);
+    await assert.rejects(queue.listJobs({ status: 'running' }), error => error.validation === true);
+  });
+});
+
+describe('MultiThreadExtractor queue mode', () => {
+  function fakeQueue(jobs) {
+    const calls = [];
+    return {
+      calls,
+      leaseSeconds: 90,
+      requeueExpired: async () => 0,
+      lease: async owner => {
+        const job = jobs.shift();
+        if (job) calls.push(['lease', owner, job.id]);
+        return job || null;
+      },
+      complete: async (id, token, result) => { calls.push(['complete', id, result.newAds]); return true; },
+      fail: async (id, token, error) => { calls.push(['fail', id, error]); return 'queued'; },
+      release: async id => { calls.push(['release', id]); return true; }
+    };
+  }
+
+  function job(id) {
+    return { id, url: HOUSTON, timeBudgetMinutes: 5, deviceMode: 'desktop', attempts: 1, maxAttempts: 3, leaseToken: `t${id}` };
+  }
+
+  it('fills free worker slots with leased jobs', async () => {
+    const queue = fakeQueue([job(1), job(2), job(3)]);
+    const extractor = new MultiThreadExtractor({ maxWorkers: 2, queue: true, jobQueue: queue });
+    extractor.isRunning = true;
+    extractor.sharedSessionId = 'multi_1';
+    const started = [];
+    extractor.startWorker = async (workerId, nextUrl, leased) => {
+      started.push([workerId, leased.id]);
+      extractor.workers.set(workerId, { workerId, job: leased });
+    };
+
+    await extractor.dispatchJobs();
+    assert.deepEqual(started, [[1, 1], [2, 2]]);
+    assert.deepEqual(queue.calls.map(call => call[1]), ['multi_1:worker1', 'multi_1:worker2']);
+
+    // A freed slot takes the next job
+    extractor.workers.delete(1);
+    await extractor.dispatchJobs();
+    assert.deepEqual(started[2], [1, 3]);
+  });
+
+  it('completes, fails or releases a job depending on how its worker ended', async () => {
+    const queue = fakeQueue([]);
+    const extractor = new MultiThreadExtractor({ queue: true, jobQueue: queue });
+    extractor.isRunning = true;
+
+    await extractor.settleJob({ workerId: 1, job: job(1), jobCompleted: true, adsExtracted: 4 }, 1);
+    await extractor.settleJob({ workerId: 2, job: job(2), jobError: 'Navigation timeout' }, 1);
+    const settled = { workerId: 3, job: job(3), jobSettled: true };
+    await extractor.settleJob(settled, 1);
+    extractor.isRunning = false;
+    await extractor.settleJob({ workerId: 4, job: job(4) }, 1);
+
+    assert.deepEqual(queue.calls, [
+      ['complete', 1, 4],
+      ['fail', 2, 'Navigation timeout'],
+      ['release', 4]
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, getNextRun, getNextRuns, isValidCron } = require('../src/utils/cronParser');
+
+const sorted = set => [...set].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and aliases', () => {
+    const parsed = parseCron('*/15 9-17/4 1,15 * 1-5');
+    assert.deepEqual(sorted(parsed.minute), [0, 15, 30, 45]);
+    assert.deepEqual(sorted(parsed.hour), [9, 13, 17]);
+    assert.deepEqual(sorted(parsed.dayOfMonth), [1, 15]);
+    assert.equal(parsed.month.size, 12);
+    assert.deepEqual(sorted(parsed.dayOfWeek), [1, 2, 3, 4, 5]);
+    assert.equal(parsed.dayOfMonthRestricted, true);
+
+    assert.deepEqual(sorted(parseCron('5/20 * * * *').minute), [5, 25, 45]);
+    assert.deepEqual(sorted(parseCron('@weekly').dayOfWeek), [0]);
+  });
+
+  it('treats day-of-week 7 as Sunday, alone, in lists and at the end of ranges', () => {
+    assert.deepEqual(sorted(parseCron('0 9 * * 7').dayOfWeek), [0]);
+    assert.deepEqual(sorted(parseCron('0 9 * * 5-7').dayOfWeek), [0, 5, 6]);
+    assert.deepEqual(sorted(parseCron('0 9 * * 1,7').dayOfWeek), [0, 1]);
+    assert.deepEqual(sorted(parseCron('0 9 * * 1-7/2').dayOfWeek), [0, 1, 3, 5]);
+    assert.deepEqual(sorted(parseCron('0 9 * * *').dayOfWeek), [0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron(''), /required/);
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid value "60" in minute field/);
+    assert.throws(() => parseCron('* * * * 8'), /dayOfWeek/);
+    assert.throws(() => parseCron('* 17-9 * * *'), /hour/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+    assert.equal(isValidCron('0 0 * * 0'), true);
+    assert.equal(isValidCron('every day'), false);
+  });
+});
+
+describe('getNextRun', () => {
+  // Local times: the parser works in server local time
+  const friday = new Date(2024, 4, 3, 10, 0);
+
+  it('finds the next matching minute strictly after the start', () => {
+    assert.deepEqual(getNextRun('30 9 * * 1-5', friday), new Date(2024, 4, 6, 9, 30));
+    assert.deepEqual(getNextRun('0 10 * * *', friday), new Date(2024, 4, 4, 10, 0));
+    assert.deepEqual(getNextRun('0 9 * * 5-7', friday), new Date(2024, 4, 4, 9, 0));
+    assert.deepEqual(getNextRun('0 9 * * 7', friday), new Date(2024, 4, 5, 9, 0));
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 13th, or any Friday
+    assert.deepEqual(getNextRun('0 0 13 * 5', new Date(2024, 4, 4, 0, 0)), new Date(2024, 4, 10, 0, 0));
+    assert.deepEqual(getNextRun('0 0 13 * 5', new Date(2024, 4, 11, 0, 0)), new Date(2024, 4, 13, 0, 0));
+  });
+
+  it('looks ahead to the next leap day and lists upcoming runs', () => {
+    assert.deepEqual(getNextRun('0 0 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 0, 0));
+    assert.deepEqual(
+      getNextRuns('0 */12 * * *', 3, friday),
+      [new Date(2024, 4, 3, 12, 0), new Date(2024, 4, 4, 0, 0), new Date(2024, 4, 4, 12, 0)]
+    );
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+describe('cursor', () => {
+  it('round-trips the last row\'s sort key through a URL-safe token', () => {
+    const cursor = encodeCursor({ id: 42, timestamp: '2024-05-01T10:00:00.000Z', heading: 'Ignored' });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { timestamp: '2024-05-01T10:00:00.000Z', id: 42 });
+  });
+
+  it('returns no cursor when there is no last row', () => {
+    assert.equal(encodeCursor(null), null);
+    assert.equal(encodeCursor(undefined), null);
+  });
+
+  it('rejects tokens that are not cursors', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    assert.throws(() => decodeCursor('not-a-cursor'), /^Error: Invalid cursor$/);
+    assert.throws(() => decodeCursor(encode({ id: 1 })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(encode({ t: 1714557600, id: 1 })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(encode({ t: '2024-05-01T10:00:00.000Z', id: null })), /Invalid cursor/);
+    assert.throws(() => decodeCursor(undefined), /Invalid cursor/);
+  });
+});
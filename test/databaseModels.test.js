@@ -0,0 +1,293 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseModels = require('../src/database/models');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('DatabaseModels', () => {
+  let models;
+  let tmpDb;
+
+  const sessionId = 'session_test_1';
+  const ad = {
+    id: 'ad_1',
+    headline: 'New York Drivers Are Switching to Save $500',
+    body: 'Compare auto insurance quotes in minutes.',
+    advertiser: 'Acme Insurance',
+    image: 'https://cdn.acmeinsurance.example/creative.jpg',
+    link: 'https://www.acmeinsurance.example/quote',
+    timestamp: '2024-05-01T10:00:00.000Z'
+  };
+
+  before(async () => {
+    models = new DatabaseModels();
+    tmpDb = await useTempDatabase(models.db, 'models');
+    await models.initialize();
+
+    await models.createSession({
+      sessionId,
+      startTime: '2024-05-01T09:55:00.000Z',
+      url: 'https://www.newsbreak.com/new-york-ny',
+      duration: 3600,
+      deviceMode: 'desktop'
+    });
+  });
+
+  after(async () => {
+    await models.close();
+    await tmpDb.remove();
+  });
+
+  it('creates and updates sessions', async () => {
+    let session = await models.getSession(sessionId);
+    assert.equal(session.url, 'https://www.newsbreak.com/new-york-ny');
+    assert.equal(session.device_mode, 'desktop');
+
+    await models.updateSession(sessionId, { status: 'completed' });
+    session = await models.getSession(sessionId);
+    assert.equal(session.status, 'completed');
+  });
+
+  it('saves an ad with its advertiser and landing URL', async () => {
+    const result = await models.saveAd({ ...ad, sessionId });
+    assert.equal(result.changes, 1);
+    assert.ok(result.advertiserId);
+    assert.equal(result.isNewAdvertiser, true);
+
+    const [row] = await models.getSessionAds(sessionId);
+    assert.equal(row.heading, ad.headline);
+    assert.equal(row.description, ad.body);
+    assert.equal(row.ad_network, 'Acme Insurance');
+    assert.equal(row.link_url, ad.link);
+    assert.equal(row.image_url, ad.image);
+    assert.equal(row.advertiser_id, result.advertiserId);
+  });
+
+  it('deduplicates re-extracted ads by signature', async () => {
+    const result = await models.saveAd({ ...ad, id: 'ad_1_again', sessionId, timestamp: '2024-05-01T10:05:00.000Z' });
+    assert.equal(result.duplicate, true);
+    assert.equal(result.changes, 0);
+
+    const ads = await models.getSessionAds(sessionId);
+    assert.equal(ads.length, 1);
+    assert.equal(result.id, ads[0].id);
+  });
+
+  it('saves a batch and skips duplicates', async () => {
+    const results = await models.saveAds([
+      { id: 'ad_2', headline: 'Solar for $0 Down', body: 'See if your home qualifies.', advertiser: 'Bright Solar', timestamp: '2024-05-01T10:10:00.000Z' },
+      { id: 'ad_3', headline: 'No-fee checking', body: 'Early direct deposit.', advertiser: 'Harbor Bank', timestamp: '2024-05-01T10:20:00.000Z' },
+      { ...ad, id: 'ad_1_dup' }
+    ], sessionId);
+
+    assert.deepEqual(results.map(r => r.changes), [1, 1, 0]);
+    assert.equal((await models.getSessionAds(sessionId)).length, 3);
+    assert.equal((await models.getSessionAds(sessionId, 1)).length, 1);
+  });
+
+  it('returns session ads newest first', async () => {
+    const ads = await models.getSessionAds(sessionId);
+    assert.deepEqual(ads.map(row => row.heading), [
+      'No-fee checking',
+      'Solar for $0 Down',
+      ad.headline
+    ]);
+  });
+
+  it('filters ads by session, network and time range', async () => {
+    const ads = await models.queryAds({ sessionId, startDate: '2024-05-01T10:05:00.000Z' });
+    assert.deepEqual(ads.map(row => row.heading), ['No-fee checking', 'Solar for $0 Down']);
+
+    const harbor = await models.queryAds({ adNetworks: ['Harbor Bank', 'Nobody'] });
+    assert.deepEqual(harbor.map(row => row.heading), ['No-fee checking']);
+
+    assert.equal((await models.queryAds({ sessionId: 'missing' })).length, 0);
+  });
+
+  it('classifies ads on save and filters by vertical and creative type', async () => {
+    const rows = await models.getSessionAds(sessionId);
+    const verticals = Object.fromEntries(rows.map(row => [row.heading, row.vertical]));
+    assert.deepEqual(verticals, {
+      [ad.headline]: 'insurance',
+      'Solar for $0 Down': 'home_improvement',
+      'No-fee checking': 'finance'
+    });
+    assert.ok(rows.every(row => row.creative_type === 'native' && row.classified_at));
+
+    const finance = await models.queryAds({ verticals: ['finance', 'legal'] });
+    assert.deepEqual(finance.map(row => row.heading), ['No-fee checking']);
+    assert.equal((await models.queryAds({ creativeTypes: ['video'] })).length, 0);
+  });
+
+  it('records the city of each sighting and aggregates by city and state', async () => {
+    const houston = 'https://www.newsbreak.com/houston-tx';
+    const roofing = { headline: 'Roof repair in one day', body: 'Local pros, free estimate.', advertiser: 'Lone Star Roofing', timestamp: '2024-05-02T10:00:00.000Z' };
+    await models.saveAd({ ...roofing, id: 'geo_1', sessionId, pageUrl: houston });
+    await models.saveAd({ ...roofing, id: 'geo_2', sessionId, pageUrl: 'https://www.newsbreak.com/austin-tx', timestamp: '2024-05-02T11:00:00.000Z' });
+    await models.saveAd({ ...ad, id: 'geo_3', sessionId, pageUrl: 'https://www.newsbreak.com/chicago-il', timestamp: '2024-05-02T12:00:00.000Z' });
+
+    const cities = await models.getGeoCityStats();
+    assert.deepEqual(cities.map(row => [row.city, row.city_name, row.state, row.ad_count]), [
+      ['austin-tx', 'Austin', 'TX', 1],
+      ['chicago-il', 'Chicago', 'IL', 1],
+      ['houston-tx', 'Houston', 'TX', 1]
+    ]);
+
+    const states = await models.getGeoStateStats();
+    assert.deepEqual(states.map(row => [row.state, row.city_count, row.ad_count, row.sighting_count]), [
+      ['TX', 2, 1, 2],
+      ['IL', 1, 1, 1]
+    ]);
+
+    const compared = await models.getGeoAdvertisers({ cities: ['houston-tx', 'chicago-il'] });
+    assert.deepEqual(compared.map(row => [row.canonical_name, Object.keys(row.cities)]), [
+      ['Acme Insurance', ['chicago-il']],
+      ['Lone Star Roofing', ['houston-tx']]
+    ]);
+
+    const inTexas = await models.queryAds({ state: 'TX' });
+    assert.deepEqual(inTexas.map(row => row.heading), ['Roof repair in one day']);
+    assert.equal((await models.queryAds({ cities: ['chicago-il'] }))[0].heading, ad.headline);
+  });
+
+  it('backfills locations for older sightings and ads without sightings', async () => {
+    await models.db.run("UPDATE sessions SET url = 'https://www.newsbreak.com/new-york-ny' WHERE session_id = ?", [sessionId]);
+    await models.db.run('UPDATE ad_sightings SET state = NULL WHERE city = ?', ['houston-tx']);
+    const legacy = await models.db.run(
+      "INSERT INTO ads (session_id, ad_id, heading, description, timestamp) VALUES (?, 'legacy_1', 'Legacy ad', '', '2024-04-30T10:00:00.000Z')",
+      [sessionId]
+    );
+
+    const result = await models.backfillLocations(2);
+    assert.deepEqual(result, { processed: 2, located: 2 });
+
+    const [sighting] = (await models.getAdHistory(legacy.id)).sightings;
+    assert.equal(sighting.city, 'new-york-ny');
+    assert.equal(sighting.state, 'NY');
+    assert.equal((await models.db.get("SELECT state FROM ad_sightings WHERE city = 'houston-tx'")).state, 'TX');
+    assert.deepEqual(await models.backfillLocations(), { processed: 0, located: 0 });
+  });
+
+  it('keys creative versions by link without tracking parameters', async () => {
+    const solar = { headline: 'Solar panels for $0 down', body: 'See if your home qualifies.', advertiser: 'Sunny Home Solar', image: 'https://cdn.sunny.example/a.jpg', sessionId };
+    const tracker = 'https://adclick.g.doubleclick.net/pcs/click';
+    const { id } = await models.saveAd({ ...solar, id: 'ver_1', link: `${tracker}?adurl=https://sunny.example/quote&gclid=abc`, timestamp: '2024-05-03T10:00:00.000Z' });
+    await models.saveAd({ ...solar, id: 'ver_2', link: `${tracker}?utm_source=newsbreak&gclid=def&adurl=https://sunny.example/quote#top`, timestamp: '2024-05-03T10:01:00.000Z' });
+    await models.saveAd({ ...solar, id: 'ver_3', link: `${tracker}?adurl=https://sunny.example/roof&gclid=ghi`, timestamp: '2024-05-03T10:02:00.000Z' });
+
+    const { versions } = await models.getAdHistory(id);
+    assert.deepEqual(versions.map(version => [version.version_number, version.link_url, version.sighting_count]), [
+      [1, `${tracker}?adurl=https%3A%2F%2Fsunny.example%2Fquote`, 2],
+      [2, `${tracker}?adurl=https%3A%2F%2Fsunny.example%2Froof`, 1]
+    ]);
+    await assert.rejects(
+      models.db.run("INSERT INTO ad_creative_versions (ad_id, version_number, link_url, first_seen, last_seen) VALUES (?, 2, 'x', '', '')", [id]),
+      /UNIQUE constraint failed/
+    );
+  });
+
+  it('builds the full-text index for older ads once per database', async () => {
+    const indexed = async () => (await models.db.get('SELECT COUNT(*) as count FROM ads_fts_docsize')).count;
+    const total = (await models.db.get('SELECT COUNT(*) as count FROM ads')).count;
+    assert.equal(await indexed(), total);
+
+    // A database whose ads predate ads_fts
+    await models.db.run("INSERT INTO ads_fts(ads_fts) VALUES('delete-all')");
+    await models.db.run("DELETE FROM app_settings WHERE key = 'backfilled:ads_fts'");
+    await models.db.migrateFullTextSearch();
+    assert.equal(await indexed(), total);
+    assert.equal(models.db.ftsAvailable, true);
+
+    // Later connections leave the index to the triggers
+    await models.db.run("INSERT INTO ads_fts(ads_fts) VALUES('delete-all')");
+    await models.db.migrateFullTextSearch();
+    assert.equal(await indexed(), 0);
+    await models.db.run("INSERT INTO ads_fts(ads_fts) VALUES('rebuild')");
+  });
+
+  it('merges duplicate signatures from older databases and then enforces one row per signature', async () => {
+    // A database from before the unique index
+    await models.db.run('DROP INDEX idx_ads_signature_unique');
+    const insertAd = heading => models.db.run(
+      "INSERT INTO ads (session_id, heading, ad_signature, timestamp) VALUES (?, ?, 'sig-dup', '2024-05-04T10:00:00.000Z')",
+      [sessionId, heading]
+    );
+    const kept = await insertAd('First copy');
+    const copies = [await insertAd('Second copy'), await insertAd('Third copy')];
+    const sight = (adId, observationId) => models.db.run(
+      "INSERT INTO ad_sightings (ad_id, observation_id, seen_at) VALUES (?, ?, '2024-05-04T10:00:00.000Z')",
+      [adId, observationId]
+    );
+    await sight(kept.id, 'obs-a');
+    await sight(copies[0].id, 'obs-b');
+    await sight(copies[1].id, 'obs-a'); // Same observation as the kept row's
+
+    await models.db.migrateAdSignatures();
+
+    const rows = await models.db.all("SELECT id FROM ads WHERE ad_signature = 'sig-dup'");
+    assert.deepEqual(rows.map(row => row.id), [kept.id]);
+    const sightings = await models.db.all('SELECT observation_id FROM ad_sightings WHERE ad_id = ? ORDER BY observation_id', [kept.id]);
+    assert.deepEqual(sightings.map(row => row.observation_id), ['obs-a', 'obs-b']);
+    await assert.rejects(insertAd('Racing copy'), /UNIQUE constraint failed/);
+  });
+
+  it('applies the shared ad filters to full-text search', async () => {
+    await models.db.run("INSERT INTO sessions (session_id, start_time) VALUES ('search_s2', '2024-05-05T09:00:00.000Z')");
+    const insertAd = (session, heading, vertical) => models.db.run(
+      "INSERT INTO ads (session_id, heading, vertical, timestamp) VALUES (?, ?, ?, '2024-05-05T10:00:00.000Z')",
+      [session, heading, vertical]
+    );
+    await insertAd(sessionId, 'Zephyr heat pumps on sale', 'home');
+    await insertAd('search_s2', 'Zephyr heat pump financing', 'finance');
+    await insertAd('search_s2', 'Zephyr pump insurance', 'insurance');
+
+    const headings = async filters => (await models.searchAds('zephyr pump*', { limit: 10, ...filters })).results.map(ad => ad.heading).sort();
+    assert.equal((await headings({})).length, 3);
+    assert.deepEqual(await headings({ sessionIds: ['search_s2'] }), ['Zephyr heat pump financing', 'Zephyr pump insurance']);
+    assert.deepEqual(await headings({ sessionIds: ['search_s2'], verticals: ['insurance'] }), ['Zephyr pump insurance']);
+    assert.deepEqual(await headings({ search: 'ignored', verticals: ['home'] }), ['Zephyr heat pumps on sale']);
+    assert.equal((await models.searchAds('zephyr', { verticals: ['finance'] })).total, 1);
+  });
+
+  it('keeps the advertiser\'s last sighting current while its creative keeps running', async () => {
+    await models.db.run("INSERT INTO sessions (session_id, start_time) VALUES ('later_session', '2024-05-06T09:00:00.000Z')");
+    await models.saveAd({ ...ad, id: 'ad_1_later', sessionId: 'later_session', timestamp: '2024-05-09T08:00:00.000Z' });
+
+    const [advertiser] = await models.db.all("SELECT first_seen, last_seen FROM advertisers WHERE normalized_name = 'acmeinsurance'");
+    assert.deepEqual(advertiser, { first_seen: ad.timestamp, last_seen: '2024-05-09T08:00:00.000Z' });
+    const domain = await models.db.get("SELECT last_seen FROM advertiser_domains WHERE domain = 'acmeinsurance.example'");
+    assert.equal(domain.last_seen, '2024-05-09T08:00:00.000Z');
+
+    // Re-sending the same observation changes nothing
+    await models.saveAd({ ...ad, id: 'ad_1', sessionId: 'later_session', timestamp: '2024-05-10T08:00:00.000Z' });
+    assert.equal((await models.db.get("SELECT last_seen FROM advertisers WHERE normalized_name = 'acmeinsurance'")).last_seen, '2024-05-09T08:00:00.000Z');
+  });
+
+  it('saves concurrent copies of one ad as a single row and rolls back failed saves', async () => {
+    const racing = { ...ad, headline: 'Racing headline', advertiser: 'Race Co', sessionId: 'later_session' };
+    const results = await Promise.all([
+      models.saveAd({ ...racing, id: 'race_1' }),
+      models.saveAd({ ...racing, id: 'race_2' }),
+      models.saveAd({ ...racing, id: 'race_3' })
+    ]);
+    assert.deepEqual(results.map(result => result.changes), [1, 0, 0]);
+    const [row] = await models.db.all("SELECT id FROM ads WHERE heading = 'Racing headline'");
+    assert.equal((await models.db.get('SELECT COUNT(*) as count FROM ad_sightings WHERE ad_id = ?', [row.id])).count, 3);
+
+    // Nothing from a failed save is kept, including its new advertiser
+    await assert.rejects(
+      models.saveAd({ ...racing, headline: 'Orphan', advertiser: 'Orphan Ads LLC', id: 'orphan', sessionId: 'no_such_session' }),
+      /FOREIGN KEY constraint failed/
+    );
+    assert.equal(await models.db.get("SELECT id FROM advertisers WHERE normalized_name = 'orphanads'"), undefined);
+  });
+
+  it('treats different casing and whitespace as the same ad', () => {
+    const signature = models.getAdSignature(ad);
+    assert.equal(models.getAdSignature({
+      heading: `  ${ad.headline.toUpperCase()} `,
+      description: ad.body,
+      advertiser: 'acme insurance'
+    }), signature);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const EventStream = require('../src/services/eventStream');
+
+const ADMIN = { username: 'admin', role: 'admin' };
+const VIEWER = { username: 'viewer', role: 'viewer' };
+
+// Request/response pair that records what the stream writes
+function fakeConnection() {
+  const req = new EventEmitter();
+  const res = {
+    status: null,
+    chunks: [],
+    writeHead(status) { this.status = status; },
+    write(chunk) { this.chunks.push(chunk); }
+  };
+  return { req, res };
+}
+
+// Parsed SSE messages: [{ id, data }]
+function messages(res) {
+  return res.chunks
+    .filter(chunk => chunk.includes('data: '))
+    .map(chunk => {
+      const id = chunk.match(/^id: (\d+)$/m);
+      return { id: id ? Number(id[1]) : null, data: JSON.parse(chunk.match(/^data: (.*)$/m)[1]) };
+    });
+}
+
+function types(res) {
+  return messages(res).map(message => message.data.type);
+}
+
+function open(stream, user, options = {}) {
+  const connection = fakeConnection();
+  stream.connect(connection.req, connection.res, { user, ...options });
+  return connection;
+}
+
+describe('EventStream', () => {
+  it('parses and validates topics', () => {
+    assert.deepEqual(EventStream.parseTopics('ads, run:multi_1,ads'), ['ads', 'run:multi_1']);
+    assert.deepEqual(EventStream.parseTopics(''), []);
+    assert.throws(() => EventStream.parseTopics('ads,everything'), error => error.validation === true);
+    assert.deepEqual(EventStream.getEventTopics({ type: 'log', runId: 'multi_1' }), ['logs', 'run:multi_1']);
+    assert.deepEqual(EventStream.getEventTopics({ type: 'status_update', extractionId: '42' }), ['status', 'extraction:42']);
+  });
+
+  it('numbers events and sends each client only its topics', () => {
+    const stream = new EventStream();
+    const all = open(stream, ADMIN);
+    const ads = open(stream, ADMIN, { topics: ['ads'] });
+    const run = open(stream, ADMIN, { topics: ['run:multi_1'] });
+
+    stream.publish({ type: 'new_ads', newAds: [{}], runId: 'multi_1' });
+    stream.publish({ type: 'log', message: 'Scan #1', runId: 'multi_1' });
+    stream.publish({ type: 'new_ads', newAds: [{}], extractionId: '42' });
+
+    assert.deepEqual(messages(all.res).slice(1).map(message => message.id), [1, 2, 3]);
+    assert.deepEqual(types(ads.res), ['connected', 'new_ads', 'new_ads']);
+    assert.deepEqual(types(run.res), ['connected', 'new_ads', 'log']);
+    assert.equal(all.res.status, 200);
+    [all, ads, run].forEach(connection => connection.req.emit('close'));
+    assert.equal(stream.getClientCount(), 0);
+  });
+
+  it('keeps admin-only events from viewers', () => {
+    const stream = new EventStream();
+    const viewer = open(stream, VIEWER);
+
+    stream.publish({ type: 'log', message: 'Worker error' });
+    stream.publish({ type: 'scaling', message: 'Workers 2 → 3' });
+    stream.publish({ type: 'new_ads', newAds: [{}] });
+    assert.deepEqual(types(viewer.res), ['connected', 'new_ads']);
+
+    assert.throws(() => open(stream, VIEWER, { topics: ['logs'] }), error => error.forbidden === true);
+    viewer.req.emit('close');
+    assert.equal(stream.getClientCount(), 0);
+  });
+
+  it('replays missed events after Last-Event-ID and asks for a reload past the buffer', () => {
+    const stream = new EventStream({ bufferSize: 3 });
+    for (let i = 1; i <= 5; i++) {
+      stream.publish({ type: 'new_ads', newAds: [{ id: `ad_${i}` }] });
+    }
+
+    const resumed = open(stream, VIEWER, { lastEventId: '3' });
+    assert.deepEqual(messages(resumed.res).slice(1).map(message => message.id), [4, 5]);
+
+    const late = open(stream, VIEWER, { lastEventId: '1' });
+    assert.deepEqual(types(late.res), ['connected', 'resync', 'new_ads', 'new_ads', 'new_ads']);
+
+    const afterRestart = open(stream, VIEWER, { lastEventId: '99' });
+    assert.deepEqual(types(afterRestart.res), ['connected', 'resync']);
+
+    const current = open(stream, VIEWER, { lastEventId: '5' });
+    assert.deepEqual(types(current.res), ['connected']);
+    [resumed, late, afterRestart, current].forEach(connection => connection.req.emit('close'));
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const ExtractionLogService = require('../src/services/extractionLogService');
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('ExtractionLogService', () => {
+  let logs;
+  let tmpDb;
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'extraction-logs');
+    logs = new ExtractionLogService({ db, retentionDays: 2, maxRows: 1000 });
+    await logs.initialize();
+
+    logs.record({ extractionId: 'multi_1', workerId: 1, sessionId: 's1', level: 'info', message: 'Scan #1: 3 new ads', timestamp: '2026-03-01T10:00:00.000Z' });
+    logs.record({ extractionId: 'multi_1', workerId: 2, sessionId: 's2', level: 'warn', message: 'Navigation slow', timestamp: '2026-03-01T10:01:00.000Z' });
+    logs.record({ extractionId: 'multi_1', workerId: 1, sessionId: 's1', level: 'error', message: 'Browser crashed', timestamp: '2026-03-01T10:02:00.000Z' });
+    logs.record({ extractionId: 'extraction_2', level: 'debug', message: 'Scroll pass', timestamp: '2026-03-01T11:00:00.000Z' });
+    logs.record({ extractionId: 'extraction_2', level: 'loud', message: 'Unknown level', timestamp: '2026-03-01T11:01:00.000Z' });
+    logs.record({ message: 'No run: ignored' });
+    assert.equal(await logs.flush(), 5);
+  });
+
+  after(async () => {
+    await logs.close();
+    await tmpDb.remove();
+  });
+
+  it('filters by run, worker, level, time range and text', async () => {
+    const run = await logs.query({ extractionId: 'multi_1' });
+    assert.deepEqual(run.logs.map(log => log.message), ['Browser crashed', 'Navigation slow', 'Scan #1: 3 new ads']);
+    assert.deepEqual(run.logs[0], {
+      id: run.logs[0].id,
+      extractionId: 'multi_1',
+      workerId: 1,
+      sessionId: 's1',
+      level: 'error',
+      message: 'Browser crashed',
+      timestamp: '2026-03-01T10:02:00.000Z'
+    });
+
+    assert.equal((await logs.query({ workerId: '2' })).logs.length, 1);
+    assert.deepEqual((await logs.query({ level: 'warn' })).logs.map(log => log.level), ['error', 'warn']);
+    assert.deepEqual((await logs.query({ extractionId: 'extraction_2' })).logs.map(log => log.level), ['info', 'debug']);
+    assert.deepEqual(
+      (await logs.query({ since: '2026-03-01T10:00:30Z', until: '2026-03-01T10:30:00Z' })).logs.map(log => log.message),
+      ['Browser crashed', 'Navigation slow']
+    );
+    assert.equal((await logs.query({ search: 'new ads' })).logs.length, 1);
+  });
+
+  it('pages through older lines with a cursor', async () => {
+    const first = await logs.query({ limit: 2 });
+    assert.equal(first.logs.length, 2);
+    assert.ok(first.nextCursor);
+
+    const second = await logs.query({ limit: 2, cursor: first.nextCursor });
+    const third = await logs.query({ limit: 2, cursor: second.nextCursor });
+    assert.equal(third.logs.length, 1);
+    assert.equal(third.nextCursor, null);
+    assert.equal(new Set([...first.logs, ...second.logs, ...third.logs].map(log => log.id)).size, 5);
+  });
+
+  it('rejects bad filters', async () => {
+    await assert.rejects(logs.query({ level: 'loud' }), error => error.validation === true);
+    await assert.rejects(logs.query({ since: 'yesterday-ish' }), /since must be a date/);
+    await assert.rejects(logs.query({ workerId: 'two' }), /workerId/);
+    await assert.rejects(logs.query({ cursor: 'garbage' }), /Invalid cursor/);
+  });
+
+  it('summarizes runs and prunes lines past the retention period', async () => {
+    const runs = await logs.listRuns();
+    assert.deepEqual(runs.map(run => [run.extractionId, run.lines, run.errors, run.warnings]), [
+      ['extraction_2', 2, 0, 0],
+      ['multi_1', 3, 1, 1]
+    ]);
+
+    logs.record({ extractionId: 'multi_3', level: 'info', message: 'Fresh line' });
+    await logs.flush();
+    assert.equal(await logs.prune(), 5);
+    assert.deepEqual((await logs.query()).logs.map(log => log.message), ['Fresh line']);
+  });
+});
+
+describe('MultiThreadExtractor log persistence', () => {
+  it('records worker log lines with the run, worker and session', () => {
+    const recorded = [];
+    const extractor = new MultiThreadExtractor({ extractionLogs: { record: entry => recorded.push(entry) } });
+    extractor.sharedSessionId = 'multi_9';
+    extractor.workers.set(3, { workerId: 3, logs: [], startTime: Date.now() });
+
+    extractor.handleWorkerMessage(3, { type: 'session_created', data: { sessionId: 'sess_3', sessionFile: 'worker_sess_3.json' } });
+    extractor.handleWorkerMessage(3, { type: 'log', data: { level: 'warn', message: 'Slow page' } });
+
+    assert.deepEqual(recorded, [{ extractionId: 'multi_9', workerId: 3, sessionId: 'sess_3', level: 'warn', message: 'Slow page' }]);
+    assert.equal(extractor.getStatus().config.extractionLogs, undefined);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExtractionScheduler = require('../src/services/extractionScheduler');
+const { useTempDatabase } = require('./helpers/db');
+
+const HOUSTON = 'https://www.newsbreak.com/houston-tx';
+const CHICAGO = 'https://www.newsbreak.com/chicago-il';
+
+describe('ExtractionScheduler', () => {
+  let tmpDb;
+  let scheduler;
+  const started = [];
+  const extractions = [];
+  let multiThreadBusy = false;
+
+  before(async () => {
+    scheduler = new ExtractionScheduler({
+      backgroundExtractor: {
+        startExtraction: async (config) => {
+          started.push({ mode: 'single-thread', config });
+          extractions.push({ id: config.sessionId, status: 'running' });
+          return { extractionId: config.sessionId, config };
+        },
+        getExtractionStatus: async () => extractions
+      },
+      startMultiThread: async (config) => {
+        if (multiThreadBusy) return null;
+        started.push({ mode: 'multi-thread', config });
+        return { getStatus: () => ({ sessionId: 'multi_1' }) };
+      }
+    });
+    tmpDb = await useTempDatabase(scheduler.db, 'scheduler');
+    await scheduler.initialize();
+  });
+
+  after(async () => {
+    await scheduler.close();
+    await tmpDb.remove();
+  });
+
+  async function makeDue(id) {
+    await scheduler.db.run('UPDATE extraction_schedules SET next_run_at = ? WHERE id = ?', [new Date(Date.now() - 60000).toISOString(), id]);
+  }
+
+  it('validates schedules and computes their next runs', async () => {
+    await assert.rejects(scheduler.createSchedule({ name: '', cronExpression: '0 9 * * *', urls: [HOUSTON] }), /name is required/);
+    await assert.rejects(scheduler.createSchedule({ name: 'Bad', cronExpression: '0 25 * * *', urls: [HOUSTON] }), /hour field/);
+    await assert.rejects(scheduler.createSchedule({ name: 'Bad', cronExpression: '0 9 * * *', urls: ['https://example.com/'] }), /NewsBreak URLs/);
+    await assert.rejects(scheduler.createSchedule({ name: 'Bad', cronExpression: '0 9 * * *', urls: [HOUSTON], maxWorkers: 11 }), /maxWorkers/);
+
+    const schedule = await scheduler.createSchedule({ name: 'Weekend', cronExpression: '0 9 * * 6-7', urls: [HOUSTON], duration: 30 });
+    assert.equal(schedule.enabled, true);
+    assert.equal(schedule.upcomingRuns.length, 3);
+    assert.equal(schedule.nextRunAt, schedule.upcomingRuns[0]);
+    assert.ok(schedule.upcomingRuns.every(run => [0, 6].includes(new Date(run).getDay())));
+
+    const disabled = await scheduler.updateSchedule(schedule.id, { enabled: false });
+    assert.equal(disabled.nextRunAt, null);
+    assert.deepEqual(disabled.upcomingRuns, []);
+    await assert.rejects(scheduler.updateSchedule(9999, { enabled: true }), /Schedule not found/);
+    await scheduler.deleteSchedule(schedule.id);
+  });
+
+  it('launches due schedules with the right extractor and moves them to the next slot', async () => {
+    const single = await scheduler.createSchedule({ name: 'Houston', cronExpression: '*/30 * * * *', urls: [HOUSTON], duration: 15 });
+    const multi = await scheduler.createSchedule({ name: 'Cities', cronExpression: '0 * * * *', urls: [HOUSTON, CHICAGO], maxWorkers: 2 });
+    await makeDue(single.id);
+    await makeDue(multi.id);
+
+    const runs = [];
+    scheduler.onRun = run => runs.push(run);
+    await scheduler.checkDueSchedules();
+
+    assert.deepEqual(started.map(run => run.mode).sort(), ['multi-thread', 'single-thread']);
+    const singleRun = started.find(run => run.mode === 'single-thread').config;
+    assert.deepEqual([singleRun.url, singleRun.duration, singleRun.extractionMode], [HOUSTON, 15, 'timed']);
+    assert.deepEqual(started.find(run => run.mode === 'multi-thread').config.urls, [HOUSTON, CHICAGO]);
+    assert.deepEqual(runs.map(run => run.status), ['started', 'started']);
+
+    const ran = await scheduler.getSchedule(single.id);
+    assert.equal(ran.lastStatus, 'started');
+    assert.equal(ran.runCount, 1);
+    assert.ok(new Date(ran.nextRunAt) > new Date());
+
+    // Nothing is due any more
+    await scheduler.checkDueSchedules();
+    assert.equal(started.length, 2);
+  });
+
+  it('records skipped and manual runs without shifting the cadence', async () => {
+    const [, multi] = await scheduler.getSchedules().then(list => list.sort((a, b) => a.id - b.id));
+
+    multiThreadBusy = true;
+    const skipped = await scheduler.triggerSchedule(multi.id);
+    assert.equal(skipped.status, 'skipped');
+    assert.match(skipped.error, /already running/);
+    assert.equal(skipped.nextRun, multi.nextRunAt);
+
+    const recorded = await scheduler.getSchedule(multi.id);
+    assert.deepEqual([recorded.lastStatus, recorded.runCount], ['skipped', 1]);
+    await assert.rejects(scheduler.triggerSchedule(9999), /Schedule not found/);
+    multiThreadBusy = false;
+  });
+
+  it('skips a single-thread run while the schedule\'s previous run is still going', async () => {
+    const [single] = await scheduler.getSchedules().then(list => list.sort((a, b) => a.id - b.id));
+    const [previous] = extractions;
+
+    const skipped = await scheduler.triggerSchedule(single.id);
+    assert.equal(skipped.status, 'skipped');
+    assert.equal(skipped.error, `Previous run ${previous.id} is still running`);
+    assert.equal(extractions.length, 1);
+
+    previous.status = 'completed';
+    const rerun = await scheduler.triggerSchedule(single.id);
+    assert.equal(rerun.status, 'started');
+    assert.equal(extractions.length, 2);
+    extractions[1].status = 'stopped';
+  });
+
+  it('moves schedules missed while offline to their next slot on startup', async () => {
+    const schedule = await scheduler.createSchedule({ name: 'Nightly', cronExpression: '0 3 * * *', urls: [HOUSTON] });
+    await makeDue(schedule.id);
+
+    const restarted = new ExtractionScheduler();
+    restarted.db.dbPath = scheduler.db.dbPath;
+    await restarted.initialize();
+    const moved = await restarted.getSchedule(schedule.id);
+    await restarted.close();
+    assert.ok(new Date(moved.nextRunAt) > new Date());
+    assert.equal(moved.runCount, 0);
+  });
+});
@@ -0,0 +1,406 @@
+// Extractors run in headless Chrome against the saved pages in test/fixtures/pages.
+// Positions and sizes depend on layout, and iframe URLs on the fixture server port, so those
+// are normalized before comparing; everything else must match exactly.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdNetworkDetector = require('../src/extractors/adNetworkDetector');
+const GPTAdExtractor = require('../src/extractors/gptAdExtractor');
+const SmartAdDetector = require('../src/extractors/smartAdDetector');
+const MobileAdExtractor = require('../src/extractors/mobileAdExtractor');
+const { extractForYouAds } = require('../src/extractors/forYouPageExtractor');
+const extractorRegistry = require('../src/extractors/registry');
+const { setupBrowser, teardownBrowser, openFixture, skipWithoutBrowser, stripVolatile } = require('./helpers/browser');
+
+const BASE = '<fixtures>';
+
+// Replace the fixture server origin so local iframe URLs compare across runs
+function withBase(value, baseUrl) {
+  return JSON.parse(JSON.stringify(value).split(baseUrl).join(BASE));
+}
+
+describe('extractors against saved pages', () => {
+  let env;
+
+  before(async () => {
+    env = await setupBrowser();
+  });
+
+  after(async () => {
+    await teardownBrowser(env);
+  });
+
+  it('AdNetworkDetector finds each network placement once', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'ad-networks');
+
+    const ads = await new AdNetworkDetector().detectAds(page);
+    const actual = withBase(stripVolatile(ads, ['id', 'timestamp', 'position', 'visible']), env.server.baseUrl);
+
+    assert.deepEqual(actual, [
+      {
+        type: 'iframe',
+        network: 'google',
+        selector: 'iframe',
+        attributes: { name: '', id: '' },
+        src: 'https://tpc.googlesyndication.com/safeframe/1-0-40/html/container.html'
+      },
+      {
+        type: 'iframe',
+        network: 'google',
+        selector: 'iframe#google_ads_iframe_/21775744923/newsbreak/feed_0',
+        attributes: {
+          name: 'google_ads_iframe_/21775744923/newsbreak/feed_0',
+          id: 'google_ads_iframe_/21775744923/newsbreak/feed_0'
+        },
+        src: `${BASE}/ad-networks/frames/gpt-feed.html`
+      },
+      {
+        type: 'div',
+        network: 'google',
+        selector: 'div#google_ads_div_sidebar',
+        attributes: { id: 'google_ads_div_sidebar', className: '', dataAdSlot: null, dataAdUnit: null },
+        innerIframeSrc: 'https://tpc.googlesyndication.com/safeframe/1-0-40/html/container.html'
+      },
+      {
+        type: 'div',
+        network: 'google',
+        selector: 'div#div-gpt-ad-1700000000000-0',
+        attributes: { id: 'div-gpt-ad-1700000000000-0', className: '', dataAdSlot: null, dataAdUnit: null },
+        innerIframeSrc: `${BASE}/ad-networks/frames/gpt-feed.html`
+      },
+      {
+        type: 'div',
+        network: 'google',
+        selector: 'ins.adsbygoogle',
+        attributes: {}
+      },
+      {
+        type: 'iframe',
+        network: 'amazon',
+        selector: 'iframe',
+        attributes: { name: '', id: '' },
+        src: 'https://aax.amazon-adsystem.com/e/dtb/admi?b=JDEy&size=300x250'
+      },
+      {
+        type: 'div',
+        network: 'taboola',
+        selector: 'div#taboola-below-article-thumbnails.taboola-container',
+        attributes: { id: 'taboola-below-article-thumbnails', className: 'taboola-container', dataAdSlot: null, dataAdUnit: null },
+        links: [
+          { href: 'https://www.gutterguard.example/offer?utm_source=taboola', text: 'Homeowners Are Replacing Their Gutters With This' }
+        ]
+      },
+      {
+        type: 'div',
+        network: 'outbrain',
+        selector: 'div.OUTBRAIN',
+        attributes: { id: '', className: 'OUTBRAIN ob-widget', dataAdSlot: null, dataAdUnit: null },
+        links: [
+          { href: 'https://www.travelcard.example/apply', text: 'The Travel Card Frequent Flyers Carry' }
+        ]
+      },
+      {
+        type: 'iframe',
+        network: 'labeled',
+        selector: 'iframe#partner_frame',
+        attributes: { name: '', id: 'partner_frame' },
+        src: `${BASE}/ad-networks/frames/partner.html`,
+        label: 'Advertisement'
+      }
+    ]);
+
+    await page.close();
+  });
+
+  it('GPTAdExtractor reports GPT slots, safeframes and AdSense units', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'ad-networks');
+
+    const ads = await new GPTAdExtractor().extractGoogleAds(page);
+    const actual = withBase(stripVolatile(ads, ['id', 'timestamp', 'position']), env.server.baseUrl);
+
+    assert.deepEqual(actual, [
+      {
+        type: 'iframe',
+        source: 'Google Ads',
+        iframe: {
+          id: 'google_ads_iframe_/21775744923/newsbreak/feed_0',
+          name: 'google_ads_iframe_/21775744923/newsbreak/feed_0',
+          src: `${BASE}/ad-networks/frames/gpt-feed.html`,
+          width: 300,
+          height: 250
+        },
+        container: { id: 'google_ads_iframe_/21775744923/newsbreak/feed_0', className: '', dataAdSlot: null, dataAdUnit: null }
+      },
+      {
+        type: 'iframe',
+        source: 'Google Ads',
+        iframe: {
+          id: '',
+          name: '',
+          src: 'https://tpc.googlesyndication.com/safeframe/1-0-40/html/container.html',
+          width: 160,
+          height: 600
+        },
+        container: { id: 'google_ads_div_sidebar', className: '', dataAdSlot: null, dataAdUnit: null }
+      },
+      {
+        type: 'div',
+        source: 'Google Ads',
+        divInfo: {
+          id: 'div-gpt-ad-1700000000000-0',
+          className: '',
+          dataAdSlot: null,
+          dataGoogleQueryId: 'CKfTq4nJ',
+          hasIframe: true
+        },
+        iframe: {
+          id: 'google_ads_iframe_/21775744923/newsbreak/feed_0',
+          src: `${BASE}/ad-networks/frames/gpt-feed.html`,
+          width: '300',
+          height: '250'
+        }
+      },
+      {
+        type: 'div',
+        source: 'Google Ads',
+        divInfo: {
+          id: '',
+          className: 'adsbygoogle',
+          dataAdSlot: '9876543210',
+          dataGoogleQueryId: null,
+          hasIframe: false
+        }
+      },
+      {
+        type: 'adsense',
+        source: 'Google AdSense',
+        attributes: {
+          dataAdClient: 'ca-pub-1234567890123456',
+          dataAdSlot: '9876543210',
+          dataAdFormat: 'auto',
+          dataFullWidthResponsive: 'true'
+        }
+      }
+    ]);
+
+    await page.close();
+  });
+
+  it('SmartAdDetector reads ForYou iframe creatives', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'new-york-ny');
+
+    const proposed = [];
+    const detector = new SmartAdDetector({
+      learning: { recordCandidates: async (selectors, { pageUrl }) => proposed.push({ selectors, pageUrl }) },
+      pageUrl: 'https://www.newsbreak.com/new-york-ny'
+    });
+
+    const ads = await detector.detectAds(page);
+
+    // Both iframe containers share the ForYou-card class
+    assert.deepEqual(proposed, [{ selectors: ['.ForYou-card'], pageUrl: 'https://www.newsbreak.com/new-york-ny' }]);
+
+    assert.deepEqual(stripVolatile(ads), [
+      {
+        type: 'ForYou-iframe',
+        selector: '#ForYou-ad-1',
+        advertiser: 'Acme Insurance',
+        headline: 'New York Drivers Are Switching to Save $500',
+        text: 'Compare auto insurance quotes in minutes. No fees, no spam.',
+        image: 'https://cdn.acmeinsurance.example/creatives/auto-quote-1200x628.jpg',
+        position: {},
+        attributes: { containerId: 'ForYou-ad-1', iframeWidth: '600', iframeHeight: '500' },
+        isSponsored: true,
+        clickable: false,
+        score: 100
+      },
+      {
+        type: 'ForYou-iframe',
+        selector: '#ForYou-ad-2',
+        advertiser: 'Bright Solar',
+        headline: 'Homeowners in Queens Can Get Solar for $0 Down',
+        text: 'See if your home qualifies for the state solar incentive before it ends.',
+        image: 'https://cdn.brightsolar.example/ads/rooftop-panels.png',
+        position: {},
+        attributes: { containerId: 'ForYou-ad-2', iframeWidth: '600', iframeHeight: '500' },
+        isSponsored: true,
+        clickable: false,
+        score: 100
+      }
+    ]);
+
+    await page.close();
+  });
+
+  it('MobileAdExtractor finds native, sticky and iframe mobile ads', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'mobile-feed', { mobile: true });
+
+    const ads = await new MobileAdExtractor(page).extractMobileAds();
+
+    assert.deepEqual(stripVolatile(ads, ['id', 'timestamp', 'dimensions']), [
+      {
+        deviceType: 'mobile',
+        adType: 'native',
+        selector: '.nb-feed-item[data-promoted="true"]',
+        headline: 'Cut Your Power Bill With Zero-Down Solar',
+        body: 'Check if your address qualifies in 30 seconds.',
+        advertiser: 'Sunny Home Solar',
+        imageUrl: 'https://img.sunnyhomesolar.example/panels-750x420.jpg',
+        imageAlt: 'Solar panels on a roof',
+        targetUrl: 'https://www.sunnyhomesolar.example/quote?src=nb_mobile',
+        linkText: 'Cut Your Power Bill With Zero-Down Solar',
+        dataAttributes: { 'data-promoted': 'true', 'data-ad-id': 'nat-4821' },
+        device: null
+      },
+      {
+        deviceType: 'mobile',
+        adType: 'sticky',
+        selector: '.mobile-sticky-bottom',
+        advertiser: 'Quick Loans',
+        imageUrl: 'https://img.quickloans.example/sticky-320x50.png',
+        imageAlt: 'Quick Loans',
+        targetUrl: 'https://www.quickloans.example/apply',
+        linkText: '',
+        isSticky: true,
+        stickyPosition: 'fixed',
+        device: null
+      },
+      {
+        deviceType: 'mobile',
+        adType: 'iframe',
+        iframeSrc: 'about:blank',
+        iframeId: 'ad_iframe_feed_2',
+        device: null
+      }
+    ]);
+
+    await page.close();
+  });
+
+  describe('ForYou extraction (extraction worker)', () => {
+    const acme = {
+      containerId: 'ForYou-ad-1',
+      advertiser: 'Acme Insurance',
+      headline: 'New York Drivers Are Switching to Save $500',
+      body: 'Compare auto insurance quotes in minutes. No fees, no spam.',
+      image: 'https://cdn.acmeinsurance.example/creatives/auto-quote-1200x628.jpg',
+      link: 'https://www.acmeinsurance.example/quote?utm_source=newsbreak',
+      iframeSize: '600x500',
+      iframeSrc: `${BASE}/new-york-ny/frames/frame-1.html?slot=foryou-1`
+    };
+    // Click URL comes from the click_url parameter on the iframe src
+    const brightSolar = {
+      containerId: 'ForYou-ad-2',
+      advertiser: 'Bright Solar',
+      headline: 'Homeowners in Queens Can Get Solar for $0 Down',
+      body: 'See if your home qualifies for the state solar incentive before it ends.',
+      image: 'https://cdn.brightsolar.example/ads/rooftop-panels.png',
+      link: 'https://shop.brightsolar.example/quote',
+      iframeSize: '600x500',
+      iframeSrc: `${BASE}/new-york-ny/frames/frame-2.html?slot=foryou-2&click_url=https%3A%2F%2Fshop.brightsolar.example%2Fquote`
+    };
+    const harborBank = {
+      containerId: 'ForYou-native-3',
+      advertiser: 'Sponsored',
+      headline: 'Open a checking account with no monthly fees',
+      body: 'Harbor Bank members get early direct deposit and free ATMs nationwide.',
+      image: 'https://img.harborbank.example/checking-600x400.jpg',
+      link: 'https://www.harborbank.example/checking',
+      iframeSize: 'N/A',
+      iframeSrc: ''
+    };
+
+    const extract = async (mode) => {
+      const page = await openFixture(env, 'new-york-ny');
+      const ads = await page.evaluate(extractForYouAds, mode);
+      await page.close();
+      return withBase(stripVolatile(ads), env.server.baseUrl);
+    };
+
+    it('timed mode returns only ForYou containers', async (t) => {
+      if (skipWithoutBrowser(t, env)) return;
+
+      assert.deepEqual(await extract('timed'), [
+        { ...acme, adType: 'ForYou' },
+        { ...brightSolar, adType: 'ForYou' },
+        { ...harborBank, adType: 'ForYou-NoIframe' }
+      ]);
+    });
+
+    it('unlimited mode also reports sponsored elements outside the ForYou matches', async (t) => {
+      if (skipWithoutBrowser(t, env)) return;
+
+      // The broad sponsored selectors pick up the native card's "Sponsored" label as well
+      assert.deepEqual(await extract('unlimited'), [
+        { ...acme, adType: 'ForYou-Iframe' },
+        { ...brightSolar, adType: 'ForYou-Iframe' },
+        { ...harborBank, adType: 'ForYou-Sponsored' },
+        {
+          containerId: '',
+          adType: 'Sponsored-Content',
+          advertiser: '',
+          headline: '',
+          body: '',
+          image: '',
+          link: 'https://www.harborbank.example/checking',
+          iframeSize: 'N/A',
+          iframeSrc: ''
+        }
+      ]);
+    });
+  });
+
+  it('extractor registry merges ForYou and smart results into one normalized list', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'new-york-ny');
+    const pageUrl = 'https://www.newsbreak.com/new-york-ny';
+
+    const { ads, rejected } = await extractorRegistry.run(page, ['forYou', 'smart'], { mode: 'timed', pageUrl });
+    await page.close();
+
+    // smart finds the two iframe ads again; they are kept once, from the first extractor
+    assert.equal(rejected, 0);
+    assert.deepEqual(ads.map(ad => [ad.source, ad.containerId, ad.advertiser, ad.link, ad.pageUrl]), [
+      ['forYou', 'ForYou-ad-1', 'Acme Insurance', 'https://www.acmeinsurance.example/quote?utm_source=newsbreak', pageUrl],
+      ['forYou', 'ForYou-ad-2', 'Bright Solar', 'https://shop.brightsolar.example/quote', pageUrl],
+      ['forYou', 'ForYou-native-3', 'Sponsored', 'https://www.harborbank.example/checking', pageUrl]
+    ]);
+    assert.deepEqual(ads[0].dimensions, { width: 600, height: 500 });
+  });
+
+  it('learned extractor runs approved selectors and reports matches per selector', async (t) => {
+    if (skipWithoutBrowser(t, env)) return;
+    const page = await openFixture(env, 'new-york-ny');
+
+    const recorded = [];
+    const selectorLearning = {
+      getApprovedSelectors: async () => [
+        { id: 1, selector: '.ForYou-card' },
+        { id: 2, selector: '.sponsored-label' },
+        { id: 3, selector: '#gone' }
+      ],
+      recordResults: async results => recorded.push(...results)
+    };
+
+    const { ads, rejected } = await extractorRegistry.run(page, ['learned'], { selectorLearning });
+    await page.close();
+
+    // The sponsored label has no readable text of its own, so it counts as a false positive
+    assert.deepEqual(recorded, [
+      { selector: '.ForYou-card', matched: 3, valid: 3 },
+      { selector: '.sponsored-label', matched: 1, valid: 0 },
+      { selector: '#gone', matched: 0, valid: 0 }
+    ]);
+    assert.equal(rejected, 1);
+    assert.deepEqual(ads.map(ad => [ad.source, ad.adType, ad.containerId, ad.advertiser, ad.link]), [
+      ['learned', 'learned:.ForYou-card', 'ForYou-ad-1', 'Acme Insurance', 'https://www.acmeinsurance.example/quote?utm_source=newsbreak'],
+      ['learned', 'learned:.ForYou-card', 'ForYou-ad-2', 'Bright Solar', 'https://shop.brightsolar.example/quote'],
+      ['learned', 'learned:.ForYou-card', 'ForYou-native-3', 'Harbor Bank', 'https://www.harborbank.example/checking']
+    ]);
+  });
+});
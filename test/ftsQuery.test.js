@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { buildFtsQuery, renderHighlight, HIGHLIGHT_START, HIGHLIGHT_END } = require('../src/utils/ftsQuery');
+
+describe('buildFtsQuery', () => {
+  it('translates words, phrases, prefixes, OR and exclusions', () => {
+    assert.equal(buildFtsQuery('insurance quote'), '"insurance" AND "quote"');
+    assert.equal(buildFtsQuery('"free shipping"'), '"free shipping"');
+    assert.equal(buildFtsQuery('insur*'), '"insur"*');
+    assert.equal(buildFtsQuery('solar OR roofing'), '("solar" OR "roofing")');
+    assert.equal(buildFtsQuery('solar OR roofing quote'), '("solar" OR "roofing") AND "quote"');
+    assert.equal(buildFtsQuery('insurance -medicare -"final expense"'), '"insurance" NOT ("medicare" OR "final expense")');
+  });
+
+  it('splits punctuation like the tokenizer and quotes FTS syntax away', () => {
+    assert.equal(buildFtsQuery('e-bike'), '"e bike"');
+    assert.equal(buildFtsQuery('heading:solar'), '"heading solar"');
+    assert.equal(buildFtsQuery('NEAR(solar roofing)'), '"NEAR solar" AND "roofing"');
+    assert.equal(buildFtsQuery('OR solar'), '"solar"');
+  });
+
+  it('returns null when nothing searchable is left', () => {
+    assert.equal(buildFtsQuery(''), null);
+    assert.equal(buildFtsQuery('   '), null);
+    assert.equal(buildFtsQuery('-medicare'), null);
+    assert.equal(buildFtsQuery('"" ***'), null);
+    assert.equal(buildFtsQuery(undefined), null);
+  });
+});
+
+describe('buildFtsQuery against FTS5', () => {
+  let db;
+
+  const all = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  // Every query it builds must be accepted by MATCH and find what the syntax promises
+  const search = async input => {
+    const rows = await all('SELECT heading FROM ads_fts WHERE ads_fts MATCH ? ORDER BY rowid', [buildFtsQuery(input)]);
+    return rows.map(row => row.heading);
+  };
+
+  before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await new Promise((resolve, reject) => db.exec(`
+      CREATE VIRTUAL TABLE ads_fts USING fts5(heading);
+      INSERT INTO ads_fts (heading) VALUES
+        ('Cheap insurance quote today'),
+        ('Medicare insurance plans'),
+        ('Solar panels with free shipping'),
+        ('Roofing deals: e-bike giveaway');
+    `, err => (err ? reject(err) : resolve())));
+  });
+
+  after(() => new Promise(resolve => db.close(resolve)));
+
+  it('matches the rows the syntax describes', async () => {
+    assert.deepEqual(await search('quote insurance'), ['Cheap insurance quote today']);
+    assert.deepEqual(await search('insur* -medicare'), ['Cheap insurance quote today']);
+    assert.deepEqual(await search('"free shipping"'), ['Solar panels with free shipping']);
+    assert.deepEqual(await search('solar OR roofing'), ['Solar panels with free shipping', 'Roofing deals: e-bike giveaway']);
+    assert.deepEqual(await search('e-bike'), ['Roofing deals: e-bike giveaway']);
+    assert.deepEqual(await search('deals: AND "unclosed'), []);
+  });
+});
+
+describe('renderHighlight', () => {
+  it('escapes the text and turns the markers into <mark> tags', () => {
+    const text = `<b>${HIGHLIGHT_START}Acme${HIGHLIGHT_END}</b> & "Co's" deals`;
+    assert.equal(renderHighlight(text), '&lt;b&gt;<mark>Acme</mark>&lt;/b&gt; &amp; &quot;Co&#039;s&quot; deals');
+  });
+
+  it('renders missing text as an empty string', () => {
+    assert.equal(renderHighlight(null), '');
+    assert.equal(renderHighlight(undefined), '');
+    assert.equal(renderHighlight(0), '0');
+  });
+});
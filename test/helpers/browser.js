@@ -0,0 +1,85 @@
+// Headless Chrome + fixture server shared by the extractor tests.
+// Tests call skipWithoutBrowser(t): a missing Chrome fails them unless SKIP_BROWSER_TESTS=1 is set.
+
+const path = require('path');
+const FixtureServer = require('../../src/utils/fixtureServer');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+
+let puppeteer = null;
+try {
+  puppeteer = require('puppeteer');
+} catch (error) {
+  puppeteer = null;
+}
+
+async function launchBrowser() {
+  if (!puppeteer) {
+    return { browser: null, reason: 'puppeteer is not installed' };
+  }
+  try {
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+    });
+    return { browser, reason: null };
+  } catch (error) {
+    return { browser: null, reason: `headless Chrome unavailable: ${error.message.split('\n')[0]}` };
+  }
+}
+
+// Starts Chrome and the fixture server once per test file
+async function setupBrowser() {
+  const { browser, reason } = await launchBrowser();
+  if (!browser) return { browser: null, server: null, reason };
+
+  const server = new FixtureServer({ dir: FIXTURES_DIR });
+  await server.start();
+  return { browser, server, reason: null };
+}
+
+async function teardownBrowser({ browser, server }) {
+  if (browser) await browser.close();
+  if (server) await server.stop();
+}
+
+// New page showing a fixture with every non-local request blocked
+async function openFixture(env, name, options = {}) {
+  const page = await env.browser.newPage();
+  if (options.mobile) {
+    await page.setViewport({ width: 390, height: 844, deviceScaleFactor: 1, isMobile: true, hasTouch: true });
+  } else {
+    await page.setViewport({ width: 1920, height: 1080 });
+  }
+  await env.server.isolatePage(page);
+  await page.goto(`${env.server.baseUrl}/${name}/`, { waitUntil: 'load' });
+  return page;
+}
+
+// Fails instead of skipping so a broken Chrome install can't pass CI with no extractor coverage
+function skipWithoutBrowser(t, env) {
+  if (env.browser) return false;
+  if (process.env.SKIP_BROWSER_TESTS !== '1') {
+    throw new Error(`${env.reason} (set SKIP_BROWSER_TESTS=1 to skip the browser tests)`);
+  }
+  t.skip(env.reason);
+  return true;
+}
+
+// Drop per-run values (random ids, timestamps) so results compare exactly
+function stripVolatile(ads, keys = ['id', 'timestamp']) {
+  return ads.map(ad => {
+    const copy = { ...ad };
+    keys.forEach(key => delete copy[key]);
+    return copy;
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  setupBrowser,
+  teardownBrowser,
+  openFixture,
+  skipWithoutBrowser,
+  stripVolatile
+};
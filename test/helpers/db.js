@@ -0,0 +1,21 @@
+// Throwaway SQLite files shared by the database tests.
+// Never touch data/ads_crawler.db or data/users.db: point the connection at a throwaway file.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Sets target.dbPath (a DatabaseConnection, userManager, ...) to a file in a fresh temp directory
+async function useTempDatabase(target, prefix, fileName = 'ads_crawler.db') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-test-`));
+  target.dbPath = path.join(dir, fileName);
+  return {
+    dir,
+    dbPath: target.dbPath,
+    remove: () => fs.remove(dir)
+  };
+}
+
+module.exports = {
+  useTempDatabase
+};
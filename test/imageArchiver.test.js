@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const ImageArchiver = require('../src/services/imageArchiver');
+
+// 1x1 transparent GIF
+const GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+describe('ImageArchiver downloads', () => {
+  let server;
+  let base;
+  let archiver;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/ad.gif') {
+        res.writeHead(200, { 'Content-Type': 'image/gif' });
+        return res.end(GIF);
+      }
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/ad.gif' });
+        return res.end();
+      }
+      if (req.url === '/metadata') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      if (req.url === '/creative.svg') {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+        return res.end('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    archiver = new ImageArchiver({ allowHosts: ['127.0.0.1'] });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('follows redirects to the image', async () => {
+    const { buffer, contentType } = await archiver.download(`${base}/redirect`);
+    assert.equal(contentType, 'image/gif');
+    assert.deepEqual(buffer, GIF);
+  });
+
+  it('refuses private hosts, including ones reached through a redirect', async () => {
+    await assert.rejects(new ImageArchiver().download(`${base}/ad.gif`), error => error.blocked === true);
+    await assert.rejects(archiver.download(`${base}/metadata`), /169\.254\.169\.254/);
+  });
+
+  it('does not archive SVG creatives', async () => {
+    await assert.rejects(archiver.download(`${base}/creative.svg`), error => error.permanent && /image\/svg\+xml/.test(error.message));
+    await assert.rejects(archiver.download('data:image/svg+xml;base64,PHN2Zy8+'), /Unsupported image type/);
+    await assert.rejects(archiver.download(`${base}/missing.gif`), /HTTP 404/);
+  });
+});
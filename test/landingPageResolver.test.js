@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const LandingPageResolver = require('../src/services/landingPageResolver');
+
+// Stub ad server: click tracker chains, loops and redirects into the private network
+function createStubServer() {
+  return http.createServer((req, res) => {
+    const { port } = req.socket.address();
+    const redirect = (status, location) => {
+      res.writeHead(status, { Location: location });
+      res.end();
+    };
+
+    if (req.url === '/click') return redirect(302, '/track?id=1');
+    if (req.url === '/track?id=1') return redirect(301, `http://127.0.0.1:${port}/interstitial`);
+    if (req.url === '/interstitial') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><head><meta http-equiv="refresh" content="0; url=/landing?utm_source=newsbreak"></head></html>');
+    }
+    if (req.url.startsWith('/landing')) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><body>Offer</body></html>');
+    }
+    if (req.url === '/loop-a') return redirect(302, '/loop-b');
+    if (req.url === '/loop-b') return redirect(302, '/loop-a');
+    const hop = req.url.match(/^\/hop\/(\d+)$/);
+    if (hop) return redirect(302, `/hop/${Number(hop[1]) + 1}`);
+    if (req.url === '/to-metadata') return redirect(302, 'http://169.254.169.254/latest/meta-data/');
+    if (req.url === '/to-localhost') return redirect(302, `http://localhost:${port}/landing`);
+
+    res.writeHead(404);
+    res.end();
+  });
+}
+
+describe('LandingPageResolver', () => {
+  let server;
+  let base;
+  let resolver;
+
+  before(async () => {
+    server = createStubServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolver = new LandingPageResolver({ allowHosts: ['127.0.0.1'], perHostIntervalMs: 0, maxHops: 5, timeoutMs: 2000 });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('follows location and meta refresh hops to the landing page', async () => {
+    const result = await resolver.resolveUrl(`${base}/click`);
+
+    assert.equal(result.finalUrl, `${base}/landing?utm_source=newsbreak`);
+    assert.equal(result.finalStatus, 200);
+    assert.equal(result.landingDomain, '127.0.0.1');
+    assert.deepEqual(result.chain.map(hop => [new URL(hop.url).pathname, hop.status, hop.via]), [
+      ['/click', 302, 'location'],
+      ['/track', 301, 'location'],
+      ['/interstitial', 200, 'meta-refresh'],
+      ['/landing', 200, null]
+    ]);
+  });
+
+  it('stops at redirect loops and after the hop limit', async () => {
+    await assert.rejects(resolver.resolveUrl(`${base}/loop-a`), error => {
+      assert.match(error.message, /Redirect loop at .*\/loop-a/);
+      assert.equal(error.permanent, true);
+      assert.equal(error.chain.length, 2);
+      return true;
+    });
+
+    await assert.rejects(resolver.resolveUrl(`${base}/hop/1`), error => {
+      assert.match(error.message, /Too many redirects \(>5\)/);
+      assert.equal(error.chain.length, 5);
+      return true;
+    });
+  });
+
+  it('refuses hops into private or loopback addresses', async () => {
+    await assert.rejects(resolver.resolveUrl(`${base}/to-metadata`), error => {
+      assert.equal(error.blocked, true);
+      assert.equal(error.permanent, true);
+      assert.deepEqual(error.chain.map(hop => new URL(hop.url).pathname), ['/to-metadata']);
+      return true;
+    });
+    await assert.rejects(resolver.resolveUrl(`${base}/to-localhost`), /Blocked request to non-public address/);
+    await assert.rejects(new LandingPageResolver().resolveUrl(`${base}/click`), error => error.blocked === true);
+    await assert.rejects(resolver.resolveUrl('ftp://example.com/file'), /Unsupported URL scheme/);
+  });
+});
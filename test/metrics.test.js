@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseModels = require('../src/database/models');
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const { MetricsRegistry, metrics } = require('../src/utils/metrics');
+const { useTempDatabase } = require('./helpers/db');
+
+function sample(text, series) {
+  const line = text.split('\n').find(row => row.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+describe('MetricsRegistry', () => {
+  function createRegistry() {
+    const registry = new MetricsRegistry();
+    return {
+      registry,
+      ads: registry.counter('test_ads_total', 'Ads', ['worker', 'city']),
+      clients: registry.gauge('test_clients', 'Clients'),
+      latency: registry.histogram('test_latency_seconds', 'Latency', [], [0.01, 0.1])
+    };
+  }
+
+  it('renders the Prometheus text format', () => {
+    const { registry, ads, clients, latency } = createRegistry();
+    ads.inc({ worker: 1, city: 'houston-tx' }, 3);
+    ads.inc({ worker: 1, city: 'houston-tx' });
+    ads.inc({ worker: 2, city: 'say "hi"' });
+    clients.set({}, 2);
+    latency.observe({}, 0.005);
+    latency.observe({}, 0.05);
+    latency.observe({}, 3);
+
+    assert.equal(registry.render(), [
+      '# HELP test_ads_total Ads',
+      '# TYPE test_ads_total counter',
+      'test_ads_total{worker="1",city="houston-tx"} 4',
+      'test_ads_total{worker="2",city="say \\"hi\\""} 1',
+      '# HELP test_clients Clients',
+      '# TYPE test_clients gauge',
+      'test_clients 2',
+      '# HELP test_latency_seconds Latency',
+      '# TYPE test_latency_seconds histogram',
+      'test_latency_seconds_bucket{le="0.01"} 1',
+      'test_latency_seconds_bucket{le="0.1"} 2',
+      'test_latency_seconds_bucket{le="+Inf"} 3',
+      'test_latency_seconds_sum 3.055',
+      'test_latency_seconds_count 3',
+      ''
+    ].join('\n'));
+    assert.throws(() => ads.inc({}, -1), /only go up/);
+  });
+
+  it('hands out deltas since the last report and merges them into another registry', () => {
+    const worker = createRegistry();
+    const main = createRegistry();
+    main.ads.inc({ worker: 1, city: 'houston-tx' }, 10);
+
+    worker.ads.inc({ worker: 1, city: 'houston-tx' }, 2);
+    worker.latency.observe({}, 0.05);
+    main.registry.merge(worker.registry.takePending());
+    assert.equal(worker.registry.takePending(), null);
+
+    worker.ads.inc({ worker: 1, city: 'houston-tx' });
+    main.registry.merge(worker.registry.takePending());
+
+    const text = main.registry.render();
+    assert.equal(sample(text, 'test_ads_total{worker="1",city="houston-tx"}'), 13);
+    assert.equal(sample(text, 'test_latency_seconds_bucket{le="0.1"}'), 1);
+    assert.equal(sample(text, 'test_latency_seconds_count'), 1);
+  });
+});
+
+describe('crawler metrics', () => {
+  let models;
+  let tmpDb;
+
+  before(async () => {
+    models = new DatabaseModels();
+    tmpDb = await useTempDatabase(models.db, 'metrics');
+    await models.initialize();
+    await models.createSession({ sessionId: 'metrics_session', startTime: new Date().toISOString(), url: 'https://www.newsbreak.com/houston-tx' });
+  });
+
+  after(async () => {
+    await models.close();
+    await tmpDb.remove();
+  });
+
+  it('counts duplicates rejected by saveAd and times database writes', async () => {
+    const before = metrics.registry.render();
+    const ad = { id: 'ad_m1', headline: 'Metrics headline', advertiser: 'Acme', sessionId: 'metrics_session' };
+    await models.saveAd(ad);
+    await models.saveAd({ ...ad, id: 'ad_m2' });
+
+    const text = metrics.registry.render();
+    const duplicates = 'newsbreak_duplicate_ads_total{reason="signature"}';
+    assert.equal((sample(text, duplicates) || 0) - (sample(before, duplicates) || 0), 1);
+    assert.ok(sample(text, 'newsbreak_db_write_duration_seconds_count') > sample(before, 'newsbreak_db_write_duration_seconds_count'));
+  });
+
+  it('merges metrics reported by multi-thread workers', () => {
+    const extractor = new MultiThreadExtractor();
+    extractor.workers.set(7, { workerId: 7, logs: [], startTime: Date.now() });
+
+    extractor.handleWorkerMessage(7, {
+      type: 'metrics',
+      data: [
+        { name: 'newsbreak_ads_extracted_total', labels: { worker: '7', city: 'austin-tx' }, value: 5 },
+        { name: 'newsbreak_browser_restarts_total', labels: { worker: '7' }, value: 1 }
+      ]
+    });
+
+    const text = metrics.registry.render();
+    assert.equal(sample(text, 'newsbreak_ads_extracted_total{worker="7",city="austin-tx"}'), 5);
+    assert.equal(sample(text, 'newsbreak_browser_restarts_total{worker="7"}'), 1);
+  });
+});
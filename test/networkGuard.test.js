@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isPrivateAddress, assertPublicUrl } = require('../src/utils/networkGuard');
+
+describe('networkGuard', () => {
+  it('recognizes loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it('refuses URLs whose host is or resolves to a private address', async () => {
+    await assert.rejects(assertPublicUrl('http://169.254.169.254/latest/meta-data/'), error => error.blocked && error.permanent);
+    await assert.rejects(assertPublicUrl('http://[::1]:8080/'), /non-public address ::1/);
+    await assert.rejects(assertPublicUrl('http://localhost:3000/'), /Blocked request/);
+    await assertPublicUrl('http://93.184.216.34/');
+    await assertPublicUrl('http://127.0.0.1:3000/', { allowHosts: ['127.0.0.1'] });
+  });
+});
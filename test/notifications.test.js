@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const DatabaseConnection = require('../src/database/connection');
+const NotificationService = require('../src/services/notificationService');
+const WebhookDispatcher = require('../src/services/webhookDispatcher');
+const { useTempDatabase } = require('./helpers/db');
+
+const SECRET = 'receiver-secret-0123456789';
+
+// Local webhook receiver: /flaky fails once before accepting, /gone always answers 410
+function createReceiver(received) {
+  let flakyCalls = 0;
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      if (req.url === '/flaky' && ++flakyCalls === 1) {
+        res.writeHead(503);
+      } else {
+        res.writeHead(req.url === '/gone' ? 410 : 204);
+      }
+      res.end();
+    });
+  });
+}
+
+describe('Webhook notifications', () => {
+  let tmpDb;
+  let server;
+  let base;
+  let notifications;
+  let dispatcher;
+  const received = [];
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'notifications');
+    dispatcher = new WebhookDispatcher({ db, retryBaseDelayMs: 1, maxAttempts: 3 });
+    notifications = new NotificationService({ db });
+    await dispatcher.initialize();
+
+    server = createReceiver(received);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await dispatcher.close();
+    await new Promise(resolve => server.close(resolve));
+    await tmpDb.remove();
+  });
+
+  it('signs deliveries, retries server errors and logs every attempt', async () => {
+    const flaky = await notifications.createWebhook({ name: 'Flaky', url: `${base}/flaky`, secret: SECRET });
+    const gone = await notifications.createWebhook({ name: 'Gone', url: `${base}/gone`, secret: SECRET });
+
+    const flakyTest = await dispatcher.sendTest(flaky.id);
+    assert.equal(flakyTest.status, 'retry');
+    const goneTest = await dispatcher.sendTest(gone.id);
+    assert.equal(goneTest.status, 'failed'); // 410 will not fix itself
+
+    await new Promise(resolve => setTimeout(resolve, 20)); // Past the 1ms retry delay
+    assert.equal(await dispatcher.drain(), 1);
+
+    const [request] = received;
+    assert.equal(request.headers['x-webhook-event'], 'test');
+    assert.equal(request.headers['x-webhook-delivery'], String(flakyTest.deliveryId));
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(`${request.headers['x-webhook-timestamp']}.${request.body}`)
+      .digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(request.body).event, 'test');
+    assert.deepEqual(received.map(entry => entry.url), ['/flaky', '/gone', '/flaky']);
+
+    const deliveries = await dispatcher.getDeliveries();
+    const flakyDelivery = deliveries.find(delivery => delivery.id === flakyTest.deliveryId);
+    assert.equal(flakyDelivery.status, 'delivered');
+    assert.equal(flakyDelivery.attempts, 2);
+    assert.equal(flakyDelivery.response_status, 204);
+    assert.equal(flakyDelivery.last_error, null);
+    const goneDelivery = deliveries.find(delivery => delivery.id === goneTest.deliveryId);
+    assert.deepEqual([goneDelivery.status, goneDelivery.attempts, goneDelivery.last_error], ['failed', 1, 'HTTP 410']);
+
+    assert.equal(await dispatcher.requeueFailed(), 1);
+    assert.equal((await dispatcher.getStatus()).counts.retry, 1);
+    await notifications.deleteWebhook(gone.id);
+  });
+
+  it('checks volume drops on the timer path, including cities with no new ads', async () => {
+    const webhook = await notifications.createWebhook({ name: 'Ops', url: `${base}/ops`, secret: SECRET });
+    const rule = await notifications.createRule(webhook.id, {
+      type: 'volume_drop',
+      config: { windowMinutes: 60, dropPercent: 50, minBaseline: 5 }
+    });
+
+    // Houston had ads in the previous hour and none since
+    const now = new Date().toISOString();
+    await notifications.db.run("INSERT INTO sessions (session_id, start_time) VALUES ('s1', ?)", [now]);
+    const ad = await notifications.db.run("INSERT INTO ads (session_id, heading, timestamp) VALUES ('s1', 'Offer', ?)", [now]);
+    const earlier = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+    for (let i = 0; i < 6; i++) {
+      await notifications.db.run(
+        'INSERT INTO ad_sightings (ad_id, observation_id, city, seen_at) VALUES (?, ?, ?, ?)',
+        [ad.id, `obs-${i}`, 'houston-tx', earlier]
+      );
+    }
+
+    // No batch is saved for a city that stopped producing ads, and batches skip volume rules
+    assert.equal(await notifications.evaluateBatch({ sessionId: 's2', ads: [], results: [] }), 0);
+
+    assert.equal(await notifications.evaluateScheduled(), 1);
+    assert.equal(await notifications.evaluateScheduled(), 0); // Once per city per window
+
+    const [delivery] = await dispatcher.getDeliveries({ webhookId: webhook.id });
+    assert.equal(delivery.event_type, 'volume_drop');
+    assert.equal(delivery.rule_id, rule.id);
+    assert.deepEqual(
+      [delivery.payload.data.city, delivery.payload.data.currentCount, delivery.payload.data.previousCount, delivery.payload.data.dropPercent],
+      ['houston-tx', 0, 6, 100]
+    );
+    assert.equal((await notifications.getRule(rule.id)).triggerCount, 1);
+  });
+});
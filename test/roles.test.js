@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const userManager = require('../src/auth/userManager');
+const { requireAuth, requirePermission, generateToken } = require('../src/auth/authMiddleware');
+const { useTempDatabase } = require('./helpers/db');
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+}
+
+// Whether this user, signed in with the token issued at login, gets past requirePermission
+async function allowed(username, permission, token = null) {
+  const authorization = `Bearer ${token || generateToken(await userManager.getUserByUsername(username))}`;
+  return new Promise((resolve) => {
+    const req = { headers: { authorization }, cookies: {}, accepts: () => false };
+    const res = {
+      status() { return this; },
+      json() { resolve(false); }
+    };
+    requireAuth(req, res, () => requirePermission(permission)(req, res, () => resolve(true)));
+  });
+}
+
+describe('Roles and permissions', () => {
+  let tmpDb;
+
+  before(async () => {
+    // Start from a copy of the old admin/viewer-only schema
+    tmpDb = await useTempDatabase(userManager, 'roles', 'users.db');
+    const legacy = new sqlite3.Database(tmpDb.dbPath);
+    await exec(legacy, `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('admin', 'viewer')),
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO users (username, password, role) VALUES ('reader', 'x', 'viewer');
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, keyPrefix TEXT NOT NULL, keyHash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL, createdBy TEXT, expiresAt DATETIME, lastUsedAt DATETIME, revokedAt DATETIME, createdAt DATETIME
+      );
+      INSERT INTO api_keys (name, keyPrefix, keyHash, scopes) VALUES ('crawler-bot', 'nbk_00000000', 'hash', 'ads:read,extraction:control');
+    `);
+    await new Promise(resolve => legacy.close(resolve));
+
+    await userManager.initialize();
+  });
+
+  after(async () => {
+    userManager.close();
+    await tmpDb.remove();
+  });
+
+  it('migrates the old schema and seeds the built-in roles', async () => {
+    const roles = await userManager.getAllRoles();
+    assert.deepEqual(roles.map(role => role.name), ['admin', 'analyst', 'operator', 'viewer']);
+    assert.equal(roles.find(role => role.name === 'viewer').users, 1);
+    assert.deepEqual(userManager.getRolePermissions('admin'), Object.keys(userManager.PERMISSIONS));
+
+    // Roles beyond admin/viewer are accepted once the CHECK constraint is gone
+    const operator = await userManager.createUser('op_user', 'secret123', 'operator');
+    assert.equal(operator.role, 'operator');
+    await assert.rejects(userManager.createUser('ghost', 'secret123', 'superuser'), /Invalid role/);
+    await assert.rejects(userManager.updateUserRole('op_user', 'superuser'), /Invalid role/);
+
+    const [key] = await userManager.getAllApiKeys();
+    assert.deepEqual(key.scopes, ['ads:read', 'extract:start', 'extract:stop']);
+  });
+
+  it('grants each built-in role its permissions', async () => {
+    await userManager.createUser('an_user', 'secret123', 'analyst');
+
+    assert.equal(await allowed('op_user', 'extract:start'), true);
+    assert.equal(await allowed('op_user', 'extract:stop'), true);
+    assert.equal(await allowed('op_user', 'users:manage'), false);
+    assert.equal(await allowed('an_user', 'ads:export'), true);
+    assert.equal(await allowed('an_user', 'ads:annotate'), true);
+    assert.equal(await allowed('an_user', 'extract:start'), false);
+    assert.equal(await allowed('reader', 'ads:read'), true);
+    assert.equal(await allowed('reader', 'ads:export'), false);
+    assert.equal(await allowed('admin', 'users:manage'), true);
+  });
+
+  it('applies role changes and deletions to tokens already issued', async () => {
+    const token = generateToken(await userManager.getUserByUsername('an_user'));
+
+    await userManager.updateUserRole('an_user', 'viewer');
+    assert.equal(await allowed('an_user', 'ads:export', token), false);
+    assert.equal(await allowed('an_user', 'ads:read', token), true);
+
+    await userManager.deleteUser('an_user');
+    assert.equal(await allowed('an_user', 'ads:read', token), false);
+
+    // A new account reusing the name does not inherit the old token
+    await userManager.createUser('an_user', 'secret123', 'analyst');
+    assert.equal(await allowed('an_user', 'ads:read', token), false);
+    await userManager.deleteUser('an_user');
+  });
+
+  it('creates, edits and deletes custom roles', async () => {
+    await userManager.createRole({ name: 'auditor', description: 'Reads and exports', permissions: ['ads:read'] });
+    await userManager.createUser('audit_user', 'secret123', 'auditor');
+    assert.equal(await allowed('audit_user', 'ads:export'), false);
+
+    await userManager.updateRole('auditor', { permissions: 'ads:read,ads:export' });
+    assert.equal(await allowed('audit_user', 'ads:export'), true);
+    assert.equal(userManager.roles.get('auditor').description, 'Reads and exports');
+
+    await assert.rejects(userManager.createRole({ name: 'auditor', permissions: [] }), /already exists/);
+    await assert.rejects(userManager.createRole({ name: 'Bad Name', permissions: [] }), /Role name/);
+    await assert.rejects(userManager.updateRole('auditor', { permissions: ['ads:delete'] }), /Unknown permissions: ads:delete/);
+    await assert.rejects(userManager.updateRole('admin', { permissions: [] }), /Cannot change the admin role/);
+    await assert.rejects(userManager.updateRole('nobody', { permissions: [] }), /not found/);
+    await assert.rejects(userManager.deleteRole('viewer'), /built-in/);
+
+    await assert.rejects(userManager.deleteRole('auditor'), /assigned to 1 user/);
+    await userManager.deleteUser('audit_user');
+    await userManager.deleteRole('auditor');
+    assert.equal(userManager.roles.has('auditor'), false);
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DatabaseConnection = require('../src/database/connection');
+const RotationPolicyService = require('../src/services/rotationPolicyService');
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const { AdaptiveRotationPolicy, getHourBucket, formatHourBucket } = require('../src/utils/rotationPolicy');
+const { useTempDatabase } = require('./helpers/db');
+
+const HOUSTON = 'https://www.newsbreak.com/houston-tx';
+const CHICAGO = 'https://www.newsbreak.com/chicago-il';
+
+// Policy on a hand-driven clock, starting at 14:00 local time (bucket 4)
+function createPolicy(options = {}) {
+  const clock = { time: new Date(2026, 0, 15, 14, 0, 0).getTime() };
+  const policy = new AdaptiveRotationPolicy({ ...options, now: () => new Date(clock.time) });
+  return { policy, clock };
+}
+
+// Run one evaluation window of passes, each finding newAds in 15 seconds
+function runWindow(policy, clock, newAds, passes = 4) {
+  let action = null;
+  for (let i = 0; i < passes; i++) {
+    clock.time += 15000;
+    policy.observe(newAds, 15);
+    action = policy.decide();
+  }
+  return action;
+}
+
+describe('AdaptiveRotationPolicy', () => {
+  it('buckets the day into 3-hour slots', () => {
+    assert.equal(getHourBucket(new Date(2026, 0, 15, 0, 30)), 0);
+    assert.equal(getHourBucket(new Date(2026, 0, 15, 14, 0)), 4);
+    assert.equal(getHourBucket(new Date(2026, 0, 15, 23, 59)), 7);
+    assert.equal(formatHourBucket(4), '12-15h');
+  });
+
+  it('keeps scrolling until an evaluation window is complete', () => {
+    const { policy, clock } = createPolicy();
+    policy.setUrl(HOUSTON);
+
+    for (let i = 0; i < 3; i++) {
+      policy.observe(0, 15);
+      assert.equal(policy.decide(), null);
+    }
+    clock.time += 60000;
+    policy.observe(0, 15);
+    assert.equal(policy.decide(), 'refresh'); // Nothing learned yet: untried actions go first
+    assert.deepEqual(policy.getState().decisions, { scroll: 0, refresh: 1, rotate: 0 });
+  });
+
+  it('only rotates after the minimum time on a city', () => {
+    const { policy, clock } = createPolicy({ config: { minRotateMinutes: 3 } });
+    policy.setUrl(HOUSTON);
+
+    assert.equal(runWindow(policy, clock, 0), 'refresh');
+    assert.equal(runWindow(policy, clock, 0), 'scroll'); // 2 of 3 minutes: rotate is not offered yet
+    assert.equal(runWindow(policy, clock, 0), 'rotate');
+  });
+
+  it('prefers the action with the best new-ads rate in the context', () => {
+    const { policy, clock } = createPolicy({ config: { exploration: 0.1 } });
+    policy.setUrl(HOUSTON);
+
+    runWindow(policy, clock, 3); // scroll: 12 ads/min -> refresh
+    runWindow(policy, clock, 0); // refresh: 0 ads/min -> rotate (untried)
+    const afterRotate = runWindow(policy, clock, 0); // rotate: 0 ads/min
+    assert.equal(afterRotate, 'scroll');
+
+    const state = policy.getState();
+    const scroll = state.actions.find(action => action.action === 'scroll');
+    assert.equal(scroll.mean, 12);
+    assert.equal(scroll.source, 'context');
+    assert.equal(state.yield.thisBucket, 4);
+  });
+
+  it('borrows learned rewards from the city and then all cities for new contexts', () => {
+    const { policy } = createPolicy({
+      arms: [
+        { url: HOUSTON, hour_bucket: 1, action: 'scroll', pulls: 4, reward_sum: 8 },
+        { url: CHICAGO, hour_bucket: 4, action: 'refresh', pulls: 2, reward_sum: 2 }
+      ]
+    });
+
+    assert.deepEqual(policy.getArm(HOUSTON, 4, 'scroll'), { pulls: 1, mean: 2, source: 'city' });
+    assert.deepEqual(policy.getArm(HOUSTON, 4, 'refresh'), { pulls: 1, mean: 1, source: 'global' });
+    assert.equal(policy.getArm(HOUSTON, 4, 'rotate'), null);
+  });
+
+  it('hands out statistics gathered since the last save', () => {
+    const { policy, clock } = createPolicy();
+    policy.setUrl(HOUSTON);
+    runWindow(policy, clock, 1);
+
+    const pending = policy.takePendingStats();
+    assert.deepEqual(pending.arms, [{ url: HOUSTON, hourBucket: 4, action: 'scroll', pulls: 1, rewardSum: 4 }]);
+    assert.deepEqual(pending.yields, [{ url: HOUSTON, hourBucket: 4, newAds: 4, seconds: 60 }]);
+    assert.deepEqual(policy.takePendingStats(), { arms: [], yields: [] });
+  });
+});
+
+describe('RotationPolicyService', () => {
+  let store;
+  let tmpDb;
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'rotation-policy');
+    store = new RotationPolicyService({ db });
+    await store.initialize();
+  });
+
+  after(async () => {
+    await store.close();
+    await tmpDb.remove();
+  });
+
+  it('adds worker deltas up and reloads them into a new policy', async () => {
+    const delta = {
+      arms: [{ url: HOUSTON, hourBucket: 4, action: 'scroll', pulls: 2, rewardSum: 6 }],
+      yields: [{ url: HOUSTON, hourBucket: 4, newAds: 30, seconds: 300 }]
+    };
+    await store.recordStats(delta);
+    await store.recordStats(delta);
+
+    const stats = await store.loadStats();
+    assert.deepEqual(stats.arms, [{ url: HOUSTON, hour_bucket: 4, action: 'scroll', pulls: 4, reward_sum: 12 }]);
+
+    const { policy } = createPolicy(stats);
+    assert.deepEqual(policy.getArm(HOUSTON, 4, 'scroll'), { pulls: 4, mean: 3, source: 'context' });
+    assert.equal(policy.getYieldRate(HOUSTON, 4), 6);
+  });
+
+  it('summarizes the best city buckets and the action rewards', async () => {
+    await store.recordStats({
+      arms: [{ url: CHICAGO, hourBucket: 4, action: 'rotate', pulls: 1, rewardSum: 1 }],
+      yields: [
+        { url: CHICAGO, hourBucket: 6, newAds: 10, seconds: 600 },
+        { url: CHICAGO, hourBucket: 7, newAds: 5, seconds: 60 } // under 5 minutes: not ranked
+      ]
+    });
+
+    assert.deepEqual(await store.getTopYields(), [
+      { url: HOUSTON, hourBucket: '12-15h', newAds: 60, minutes: 10, adsPerMinute: 6 },
+      { url: CHICAGO, hourBucket: '18-21h', newAds: 10, minutes: 10, adsPerMinute: 1 }
+    ]);
+    assert.deepEqual(await store.getActionSummary(), [
+      { action: 'rotate', pulls: 1, meanReward: 1 },
+      { action: 'scroll', pulls: 4, meanReward: 3 }
+    ]);
+  });
+});
+
+describe('MultiThreadExtractor policy status', () => {
+  it('collects the policy state workers report', () => {
+    const extractor = new MultiThreadExtractor({ sameUrl: true });
+    extractor.workers.set(1, { workerId: 1, logs: [], startTime: Date.now() });
+    extractor.workers.set(2, { workerId: 2, logs: [], startTime: Date.now() });
+
+    extractor.handleWorkerMessage(1, {
+      type: 'policy_update',
+      data: { url: HOUSTON, decisions: { scroll: 3, refresh: 1, rotate: 1 } }
+    });
+
+    assert.deepEqual(extractor.getStatus().policy, {
+      decisions: { scroll: 3, refresh: 1, rotate: 1 },
+      workers: [{ workerId: 1, url: HOUSTON, decisions: { scroll: 3, refresh: 1, rotate: 1 } }]
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+
+const DatabaseConnection = require('../src/database/connection');
+const SelectorLearningService = require('../src/services/selectorLearning');
+const { useTempDatabase } = require('./helpers/db');
+
+describe('SelectorLearningService', () => {
+  let learning;
+  let tmpDb;
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'selector-learning');
+    learning = new SelectorLearningService({ db, demoteAfterMisses: 3, minObservations: 10, cacheTtlMs: 0 });
+    await learning.initialize();
+  });
+
+  after(async () => {
+    await learning.close();
+    await tmpDb.remove();
+  });
+
+  async function findSelector(selector) {
+    return (await learning.listSelectors()).find(row => row.selector === selector);
+  }
+
+  it('records proposed selectors as candidates and counts repeat proposals', async () => {
+    const pageUrl = 'https://www.newsbreak.com/new-york-ny';
+    assert.deepEqual(await learning.recordCandidates(['.ForYou-card', '[data-click-url]'], { pageUrl }), { added: 2 });
+    assert.deepEqual(await learning.recordCandidates(['.ForYou-card', ' ', '.ForYou-card']), { added: 0 });
+
+    const card = await findSelector('.ForYou-card');
+    assert.equal(card.status, 'candidate');
+    assert.equal(card.timesProposed, 2);
+    assert.equal(card.samplePageUrl, pageUrl);
+    assert.equal(card.confidence, 0.5);
+    assert.deepEqual(await learning.getStatus(), { candidate: 2, approved: 0, rejected: 0, demoted: 0 });
+  });
+
+  it('only hands approved selectors to the worker', async () => {
+    assert.deepEqual(await learning.getApprovedSelectors(), []);
+
+    const card = await findSelector('.ForYou-card');
+    const reviewed = await learning.review(card.id, 'approve', 'admin');
+    assert.equal(reviewed.status, 'approved');
+    assert.equal(reviewed.reviewedBy, 'admin');
+
+    const rejected = await learning.review((await findSelector('[data-click-url]')).id, 'reject', 'admin');
+    assert.equal(rejected.status, 'rejected');
+
+    assert.deepEqual((await learning.getApprovedSelectors()).map(row => row.selector), ['.ForYou-card']);
+  });
+
+  it('rejects unknown decisions, statuses and ids', async () => {
+    const card = await findSelector('.ForYou-card');
+    await assert.rejects(learning.review(card.id, 'maybe'), error => error.validation === true);
+    await assert.rejects(learning.listSelectors({ status: 'pending' }), error => error.validation === true);
+    await assert.rejects(learning.review(9999, 'approve'), /Selector not found/);
+    await assert.rejects(learning.markFalsePositive(card.id, 0), error => error.validation === true);
+  });
+
+  it('scores hits and false positives from extraction passes', async () => {
+    await learning.recordResults([
+      { selector: '.ForYou-card', matched: 3, valid: 3 },
+      { selector: '[data-click-url]', matched: 5, valid: 5 } // rejected selectors are not scored
+    ]);
+    // Workers report at the same time; neither pass may be lost
+    await Promise.all([
+      learning.recordResults([{ selector: '.ForYou-card', matched: 1, valid: 0 }]),
+      learning.recordResults([{ selector: '.ForYou-card', matched: 1, valid: 1 }])
+    ]);
+
+    const card = await findSelector('.ForYou-card');
+    assert.equal(card.hitCount, 4);
+    assert.equal(card.falsePositiveCount, 1);
+    assert.equal(card.confidence, SelectorLearningService.computeConfidence(4, 1));
+    assert.ok(card.lastMatchedAt);
+    assert.equal((await findSelector('[data-click-url]')).hitCount, 0);
+  });
+
+  it('demotes approved selectors that stop matching', async () => {
+    await learning.recordResults([{ selector: '.ForYou-card', matched: 0 }]);
+    await learning.recordResults([{ selector: '.ForYou-card', matched: 0 }]);
+    assert.equal((await findSelector('.ForYou-card')).missStreak, 2);
+
+    const { demoted } = await learning.recordResults([{ selector: '.ForYou-card', matched: 0 }]);
+    assert.deepEqual(demoted, ['.ForYou-card']);
+
+    const card = await findSelector('.ForYou-card');
+    assert.equal(card.status, 'demoted');
+    assert.match(card.statusReason, /no matches in the last 3 passes/);
+    assert.deepEqual(await learning.getApprovedSelectors(), []);
+
+    // Re-approving puts it back in use with a fresh miss streak
+    const reapproved = await learning.review(card.id, 'approve', 'admin');
+    assert.equal(reapproved.status, 'approved');
+    assert.equal(reapproved.missStreak, 0);
+    assert.equal(reapproved.statusReason, null);
+  });
+
+  it('demotes selectors whose confidence falls too low once there are enough observations', async () => {
+    const card = await findSelector('.ForYou-card');
+    let flagged = await learning.markFalsePositive(card.id, 3);
+    assert.equal(flagged.falsePositiveCount, 4);
+    assert.equal(flagged.status, 'approved'); // 4 hits + 4 false positives: not enough observations yet
+
+    flagged = await learning.markFalsePositive(card.id, 8);
+    assert.equal(flagged.confidence, SelectorLearningService.computeConfidence(4, 12));
+    assert.equal(flagged.status, 'demoted');
+    assert.match(flagged.statusReason, /confidence/);
+  });
+
+  it('imports the legacy learned_selectors.json once', async () => {
+    const file = path.join(tmpDb.dir, 'learned_selectors.json');
+    await fs.writeJson(file, { selectors: ['.ad-slot', '.ForYou-card'], patterns: [] });
+
+    assert.deepEqual(await learning.importLegacyFile(file), { imported: 1 });
+    assert.equal(await fs.pathExists(file), false);
+    assert.equal(await fs.pathExists(`${file}.imported`), true);
+    assert.deepEqual(await learning.importLegacyFile(file), { imported: 0 });
+    assert.equal((await findSelector('.ad-slot')).status, 'candidate');
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TimeController } = require('../src/utils/timeController');
+
+describe('TimeController.parseDuration', () => {
+  const controller = new TimeController();
+  const parse = input => controller.parseDuration(input);
+
+  it('parses single units', () => {
+    assert.equal(parse('45s'), 45 * 1000);
+    assert.equal(parse('30m'), 30 * 60 * 1000);
+    assert.equal(parse('2h'), 2 * 60 * 60 * 1000);
+    assert.equal(parse('1d'), 24 * 60 * 60 * 1000);
+  });
+
+  it('adds up combined units', () => {
+    assert.equal(parse('9h30m'), (9 * 60 + 30) * 60 * 1000);
+    assert.equal(parse('1d2h'), 26 * 60 * 60 * 1000);
+  });
+
+  it('treats bare numbers as seconds', () => {
+    assert.equal(parse('45'), 45 * 1000);
+    assert.equal(parse(90), 90 * 1000);
+  });
+
+  it('returns null for empty or unparseable input', () => {
+    assert.equal(parse(''), null);
+    assert.equal(parse(null), null);
+    assert.equal(parse(undefined), null);
+    assert.equal(parse('soon'), null);
+    assert.equal(parse('0h'), null);
+    assert.equal(parse({ hours: 2 }), null);
+  });
+
+  it('uses the parsed value as the controller duration', () => {
+    assert.equal(new TimeController({ duration: '15m' }).duration, 15 * 60 * 1000);
+    assert.equal(new TimeController().duration, null);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NEWSBREAK_LOCATIONS, URLRotationManager, getRegionForUrl } = require('../src/config/urlRotation');
+const { parseCitySlug, getLocationFromUrl } = require('../src/utils/pageUrl');
+
+describe('URLRotationManager', () => {
+  it('starts from the first location by default', () => {
+    const manager = new URLRotationManager();
+    assert.equal(manager.getCurrentUrl(), NEWSBREAK_LOCATIONS[0]);
+  });
+
+  it('starts from a known starting URL and ignores unknown ones', () => {
+    assert.equal(new URLRotationManager('https://www.newsbreak.com/chicago-il').currentIndex, 2);
+    assert.equal(new URLRotationManager('https://example.com/').currentIndex, 0);
+  });
+
+  it('moves to the next location and wraps around', () => {
+    const manager = new URLRotationManager(NEWSBREAK_LOCATIONS[NEWSBREAK_LOCATIONS.length - 2]);
+
+    assert.equal(manager.getNextUrl(), NEWSBREAK_LOCATIONS[NEWSBREAK_LOCATIONS.length - 1]);
+    assert.equal(manager.getNextUrl(), NEWSBREAK_LOCATIONS[0]);
+    assert.equal(manager.getCurrentUrl(), NEWSBREAK_LOCATIONS[0]);
+    assert.deepEqual(manager.rotationHistory.map(entry => entry.index), [NEWSBREAK_LOCATIONS.length - 1, 0]);
+  });
+
+  it('keeps only the last 50 sequential rotations', () => {
+    const manager = new URLRotationManager();
+    for (let i = 0; i < 60; i++) manager.getNextUrl();
+
+    assert.equal(manager.rotationHistory.length, 50);
+    assert.equal(manager.rotationHistory[49].index, 60 % NEWSBREAK_LOCATIONS.length);
+    assert.equal(manager.getRotationStats().recentRotations.length, 10);
+  });
+
+  it('never picks the current location at random', () => {
+    const manager = new URLRotationManager();
+    for (let i = 0; i < 100; i++) {
+      const before = manager.getCurrentUrl();
+      const url = manager.getRandomUrl();
+      assert.notEqual(url, before);
+      assert.ok(NEWSBREAK_LOCATIONS.includes(url));
+    }
+    assert.ok(manager.rotationHistory.every(entry => entry.random));
+  });
+
+  it('reports rotation stats', () => {
+    const manager = new URLRotationManager();
+    manager.getNextUrl();
+
+    const stats = manager.getRotationStats();
+    assert.equal(stats.totalUrls, NEWSBREAK_LOCATIONS.length);
+    assert.equal(stats.currentIndex, 1);
+    assert.equal(stats.currentUrl, NEWSBREAK_LOCATIONS[1]);
+    assert.equal(stats.totalRotations, 1);
+  });
+});
+
+describe('rotation strategies', () => {
+  const city = (slug, stats = {}) => ({ url: `https://www.newsbreak.com/${slug}`, ...stats });
+
+  it('tags cities with their census region', () => {
+    assert.equal(getRegionForUrl('https://www.newsbreak.com/houston-tx'), 'south');
+    assert.equal(getRegionForUrl('https://www.newsbreak.com/boston-ma'), 'northeast');
+    assert.equal(getRegionForUrl('https://www.newsbreak.com/local'), 'other');
+  });
+
+  it('skips excluded cities unless nothing else is left', () => {
+    const manager = new URLRotationManager(null, { cities: [city('a-tx'), city('b-tx'), city('c-tx')] });
+    assert.equal(manager.getNextUrl({ exclude: [city('b-tx').url] }), city('c-tx').url);
+    assert.equal(manager.getNextUrl({ exclude: [city('a-tx').url, city('b-tx').url] }), city('a-tx').url);
+  });
+
+  it('prefers cities with a higher new-ad yield', () => {
+    const cities = [
+      city('dry-tx', { newAds: 5, crawlSeconds: 36000 }),
+      city('busy-il', { newAds: 600, crawlSeconds: 36000 }),
+      city('fresh-ca')
+    ];
+    const counts = {};
+    let seed = 0;
+    const manager = new URLRotationManager(null, {
+      cities,
+      strategy: 'weighted_yield',
+      random: () => (seed++ % 100) / 100
+    });
+    for (let i = 0; i < 300; i++) {
+      const url = manager.getNextUrl();
+      counts[url] = (counts[url] || 0) + 1;
+    }
+
+    // Unvisited cities get the average rate, so they are still tried
+    assert.ok(counts[city('busy-il').url] > counts[city('fresh-ca').url]);
+    assert.ok(counts[city('fresh-ca').url] > counts[city('dry-tx').url]);
+  });
+
+  it('counts visits recorded during a run', () => {
+    const manager = new URLRotationManager(null, { cities: [city('a-tx', { newAds: 10, crawlSeconds: 3600 }), city('b-tx')] });
+    manager.recordVisit(city('a-tx').url, { newAds: 5, seconds: 600 });
+    manager.recordVisit('https://www.newsbreak.com/unknown-tx', { newAds: 5, seconds: 600 });
+
+    assert.equal(manager.cities[0].newAds, 15);
+    assert.equal(manager.cities[0].crawlSeconds, 4200);
+    assert.ok(manager.cities[0].lastCrawledAt > 0);
+    assert.equal(manager.cities[1].newAds, 0);
+  });
+
+  it('cycles through regions, least recently crawled city first', () => {
+    const manager = new URLRotationManager(null, {
+      cities: [
+        city('houston-tx', { lastCrawledAt: '2024-05-01T10:00:00Z' }),
+        city('dallas-tx'),
+        city('chicago-il'),
+        city('seattle-wa', { lastCrawledAt: '2024-05-01T09:00:00Z' })
+      ],
+      strategy: 'region_round_robin'
+    });
+    manager.currentIndex = 3;
+
+    const visited = [];
+    for (let i = 0; i < 4; i++) visited.push(manager.getNextUrl().split('/').pop());
+    assert.deepEqual(visited, ['dallas-tx', 'chicago-il', 'seattle-wa', 'houston-tx']);
+  });
+
+  it('goes to the city crawled longest ago', () => {
+    const manager = new URLRotationManager(null, {
+      cities: [
+        city('a-tx', { lastCrawledAt: '2024-05-01T12:00:00Z' }),
+        city('b-tx', { lastCrawledAt: '2024-05-01T08:00:00Z' }),
+        city('c-tx', { lastCrawledAt: '2024-05-01T10:00:00Z' })
+      ],
+      strategy: 'least_recent'
+    });
+    assert.equal(manager.getNextUrl(), city('b-tx').url);
+    assert.equal(manager.getNextUrl(), city('c-tx').url);
+    assert.equal(manager.getNextUrl(), city('a-tx').url);
+    assert.equal(manager.getRotationStats().strategy, 'least_recent');
+  });
+
+  it('falls back to sequential for unknown strategies', () => {
+    assert.equal(new URLRotationManager(null, { strategy: 'fastest' }).strategy, 'sequential');
+  });
+});
+
+describe('city slugs', () => {
+  it('splits a slug into city name and state', () => {
+    assert.deepEqual(parseCitySlug('oklahoma-city-ok'), { slug: 'oklahoma-city-ok', name: 'Oklahoma City', state: 'OK' });
+    assert.deepEqual(getLocationFromUrl('https://www.newsbreak.com/washington-dc?tab=local'), { slug: 'washington-dc', name: 'Washington', state: 'DC' });
+  });
+
+  it('keeps slugs without a state code whole', () => {
+    assert.deepEqual(parseCitySlug('local-news'), { slug: 'local-news', name: 'Local News', state: null });
+    assert.deepEqual(parseCitySlug('ny'), { slug: 'ny', name: 'Ny', state: null });
+    assert.equal(getLocationFromUrl('https://www.newsbreak.com/'), null);
+    assert.equal(getLocationFromUrl('not a url'), null);
+  });
+
+  it('resolves every rotation location to a state', () => {
+    NEWSBREAK_LOCATIONS.forEach(url => assert.ok(getLocationFromUrl(url).state, url));
+  });
+});
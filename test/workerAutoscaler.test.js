@@ -0,0 +1,174 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const MultiThreadExtractor = require('../src/services/multiThreadExtractor');
+const {
+  WorkerAutoscaler,
+  DEFAULT_AUTOSCALE,
+  resolveAutoscaleOptions,
+  decideScaling
+} = require('../src/services/workerAutoscaler');
+
+const CALM = { memoryPercent: 40, cpuPercent: 20 };
+
+describe('decideScaling', () => {
+  const settings = resolveAutoscaleOptions({ minWorkers: 2, maxWorkers: 6 });
+
+  it('shrinks under memory or CPU pressure without waiting for a cooldown', () => {
+    assert.deepEqual(
+      decideScaling({ workers: 4, memoryPercent: 91, cpuPercent: 20, adsPerWorkerHour: 100 }, settings),
+      { action: 'down', reason: 'host memory at 91%', urgent: true }
+    );
+    assert.equal(decideScaling({ workers: 4, memoryPercent: 40, cpuPercent: 95, adsPerWorkerHour: 100 }, settings).action, 'down');
+    // Never below the minimum
+    assert.equal(decideScaling({ workers: 2, memoryPercent: 91, cpuPercent: 95, adsPerWorkerHour: 0 }, settings).action, null);
+  });
+
+  it('follows the new ads per worker-hour when the host is fine', () => {
+    assert.equal(decideScaling({ workers: 3, ...CALM, adsPerWorkerHour: null }, settings).action, null);
+    assert.equal(decideScaling({ workers: 3, ...CALM, adsPerWorkerHour: 2 }, settings).action, 'down');
+    assert.equal(decideScaling({ workers: 3, ...CALM, adsPerWorkerHour: 40 }, settings).action, 'up');
+    assert.equal(decideScaling({ workers: 3, ...CALM, adsPerWorkerHour: 10 }, settings).action, null);
+    assert.equal(decideScaling({ workers: 6, ...CALM, adsPerWorkerHour: 40 }, settings).action, null);
+    // Productive, but no headroom to add a browser
+    assert.equal(decideScaling({ workers: 3, memoryPercent: 75, cpuPercent: 20, adsPerWorkerHour: 40 }, settings).action, null);
+  });
+
+  it('brings the pool back inside the configured range', () => {
+    assert.equal(decideScaling({ workers: 1, ...CALM, adsPerWorkerHour: null }, settings).action, 'up');
+    assert.equal(decideScaling({ workers: 8, ...CALM, adsPerWorkerHour: null }, settings).action, 'down');
+  });
+});
+
+describe('resolveAutoscaleOptions', () => {
+  it('fills in defaults and rejects bad settings', () => {
+    assert.deepEqual(resolveAutoscaleOptions(true), DEFAULT_AUTOSCALE);
+    assert.equal(resolveAutoscaleOptions({ maxWorkers: '4' }).maxWorkers, 4);
+    assert.throws(() => resolveAutoscaleOptions({ minWorkers: 5, maxWorkers: 3 }), error => error.validation === true);
+    assert.throws(() => resolveAutoscaleOptions({ maxWorkers: 11 }), /maxWorkers/);
+    assert.throws(() => resolveAutoscaleOptions({ intervalSeconds: 1 }), /intervalSeconds/);
+    assert.throws(() => resolveAutoscaleOptions({ cooldownSeconds: 'soon' }), /cooldownSeconds/);
+  });
+});
+
+describe('WorkerAutoscaler', () => {
+  function fakeExtractor(maxWorkers) {
+    const calls = [];
+    return {
+      calls,
+      maxWorkers,
+      totalAds: 0,
+      scale: async (target, options) => {
+        calls.push([target, options.reason]);
+        return { to: target };
+      }
+    };
+  }
+
+  it('scales on yield only after the cooldown, and on pressure at once', async () => {
+    const extractor = fakeExtractor(2);
+    const host = { ...CALM };
+    const autoscaler = new WorkerAutoscaler(extractor, { cooldownSeconds: 3600, sampleHost: () => host });
+    const start = Date.now();
+    autoscaler.lastSample = { at: start, totalAds: 0 };
+    autoscaler.lastScaledAt = start;
+
+    // 2 workers, 60 new ads in 30 minutes = 60 per worker-hour, but still warming up
+    extractor.totalAds = 60;
+    assert.equal(await autoscaler.tick(start + 30 * 60000), null);
+    assert.equal(autoscaler.lastDecision.action, 'up');
+    assert.equal(autoscaler.lastDecision.metrics.adsPerWorkerHour, 60);
+
+    extractor.totalAds = 122;
+    await autoscaler.tick(start + 61 * 60000);
+    assert.deepEqual(extractor.calls, [[3, '60 new ads per worker-hour with host headroom']]);
+
+    extractor.maxWorkers = 3;
+    host.memoryPercent = 90;
+    await autoscaler.tick(start + 62 * 60000);
+    assert.deepEqual(extractor.calls[1], [2, 'host memory at 90%']);
+  });
+});
+
+describe('MultiThreadExtractor.scale', () => {
+  function fakeWorker() {
+    const worker = new EventEmitter();
+    worker.messages = [];
+    worker.postMessage = message => worker.messages.push(message);
+    worker.terminate = async () => worker.emit('exit', 1);
+    return worker;
+  }
+
+  function runningExtractor(maxWorkers) {
+    const extractor = new MultiThreadExtractor({ maxWorkers, retireTimeoutSeconds: 0.05 });
+    extractor.isRunning = true;
+    extractor.startWorker = async workerId => {
+      const workerInfo = { workerId, worker: fakeWorker() };
+      workerInfo.worker.on('exit', code => extractor.handleWorkerExit(workerInfo, code));
+      extractor.workers.set(workerId, workerInfo);
+    };
+    return extractor;
+  }
+
+  it('starts workers for new slots and reports the change', async () => {
+    const extractor = runningExtractor(2);
+    const updates = [];
+    extractor.onUpdate = data => updates.push(data);
+    await extractor.startWorker(1);
+    await extractor.startWorker(2);
+
+    const event = await extractor.scale(4, { reason: 'busy day' });
+    assert.deepEqual([...extractor.workers.keys()], [1, 2, 3, 4]);
+    assert.equal(extractor.maxWorkers, 4);
+    assert.equal(event.type, 'scaling');
+    assert.deepEqual([event.from, event.to, event.source], [2, 4, 'api']);
+    assert.deepEqual(updates, [event]);
+    assert.deepEqual(extractor.getStatus().scalingEvents, [event]);
+
+    assert.equal(await extractor.scale(4), null);
+    await assert.rejects(extractor.scale(11), error => error.validation === true);
+    await assert.rejects(extractor.scale(0), /workers must be between 1 and 10/);
+  });
+
+  it('asks removed workers to stop and terminates them if they hang', async () => {
+    const extractor = runningExtractor(3);
+    for (let workerId = 1; workerId <= 3; workerId++) {
+      await extractor.startWorker(workerId);
+    }
+    const third = extractor.workers.get(3);
+    const terminated = new Promise(resolve => third.worker.once('exit', resolve));
+
+    await extractor.scale(2, { source: 'autoscaler', reason: 'host memory at 90%' });
+    assert.equal(third.retiring, true);
+    assert.deepEqual(third.worker.messages, [{ type: 'stop' }]);
+    assert.equal(extractor.workers.get(2).retiring, undefined);
+
+    await terminated; // No answer within retireTimeoutSeconds
+  });
+
+  it('restarts slots whose retiring worker exits after scaling back up', async () => {
+    const extractor = runningExtractor(5);
+    for (let workerId = 1; workerId <= 5; workerId++) {
+      await extractor.startWorker(workerId);
+    }
+    const retiring = [extractor.workers.get(4), extractor.workers.get(5)];
+
+    await extractor.scale(3);
+    await extractor.scale(5); // Both workers are still stopping
+    assert.deepEqual(retiring.map(workerInfo => workerInfo.retiring), [true, true]);
+
+    for (const workerInfo of retiring) {
+      workerInfo.worker.emit('exit', 0);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual([...extractor.workers.keys()].sort(), [1, 2, 3, 4, 5]);
+    assert.ok(retiring.every(workerInfo => extractor.workers.get(workerInfo.workerId) !== workerInfo));
+    assert.ok([4, 5].every(workerId => !extractor.workers.get(workerId).retiring));
+  });
+
+  it('refuses to scale a pool that is not running', async () => {
+    const extractor = new MultiThreadExtractor();
+    await assert.rejects(extractor.scale(2), /not running/);
+  });
+});
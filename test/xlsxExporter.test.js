@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const ExcelJS = require('exceljs');
+
+const DatabaseConnection = require('../src/database/connection');
+const XlsxExporter = require('../src/services/xlsxExporter');
+const { useTempDatabase } = require('./helpers/db');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+describe('XlsxExporter', () => {
+  let exporter;
+  let tmpDb;
+
+  // Export to a file and read it back the way a spreadsheet app would
+  async function exportWorkbook(name, options) {
+    const file = path.join(tmpDb.dir, `${name}.xlsx`);
+    const stream = fs.createWriteStream(file);
+    const finished = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    const result = await exporter.exportAds(stream, options);
+    if (options.embedImages) stream.end();
+    await finished;
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    return { result, workbook };
+  }
+
+  // Data rows as { header: value } objects
+  function sheetRows(workbook, name) {
+    const sheet = workbook.getWorksheet(name);
+    const headers = sheet.getRow(1).values;
+    const rows = [];
+    sheet.eachRow((row, number) => {
+      if (number === 1) return;
+      const entry = {};
+      row.values.forEach((value, column) => { entry[headers[column]] = value; });
+      rows.push(entry);
+    });
+    return rows;
+  }
+
+  before(async () => {
+    const db = new DatabaseConnection();
+    tmpDb = await useTempDatabase(db, 'xlsx-exporter');
+    exporter = new XlsxExporter({ db, storageDir: path.join(tmpDb.dir, 'images'), batchSize: 2 });
+    await exporter.initialize();
+
+    await fs.outputFile(path.join(tmpDb.dir, 'images', 'ab', 'abc.png'), PNG);
+    await db.run("INSERT INTO archived_images (sha256, creative_group, file_path, content_type) VALUES ('abc', 'g1', 'ab/abc.png', 'image/png')");
+    await db.run("INSERT INTO advertisers (canonical_name, normalized_name) VALUES ('Acme Solar', 'acmesolar')");
+    await db.run(`INSERT INTO sessions (session_id, start_time, url, device_mode, status) VALUES
+      ('s1', '2024-05-01T09:00:00.000Z', 'https://www.newsbreak.com/houston-tx', 'desktop', 'completed'),
+      ('s2', '2024-05-02T09:00:00.000Z', 'https://www.newsbreak.com/chicago-il', 'mobile', 'completed')`);
+
+    const ads = [
+      ['a1', 's1', 'Solar panels', 'https://acmesolar.example/quote', 'https://cdn.example/solar.png', 1, 'Acme', 'solar', 'abc', '2024-05-01T10:00:00.000Z'],
+      ['a2', 's1', 'Roof repair', 'https://roofs.example/', 'data:image/png;base64,AAAA', null, 'Roofs R Us', 'home', null, '2024-05-01T11:00:00.000Z'],
+      ['a3', 's2', 'Cheap insurance', '/relative/link', null, null, null, 'insurance', null, '2024-05-02T10:00:00.000Z']
+    ];
+    for (const [adId, sessionId, heading, link, image, advertiserId, network, vertical, sha, timestamp] of ads) {
+      const ad = await db.run(
+        `INSERT INTO ads (ad_id, session_id, heading, link_url, image_url, advertiser_id, ad_network, vertical, image_sha256, timestamp)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [adId, sessionId, heading, link, image, advertiserId, network, vertical, sha, timestamp]
+      );
+      const cities = adId === 'a1' ? ['houston-tx', 'chicago-il'] : [sessionId === 's1' ? 'houston-tx' : 'chicago-il'];
+      for (const city of cities) {
+        await db.run(
+          'INSERT INTO ad_sightings (ad_id, observation_id, session_id, city, seen_at) VALUES (?, ?, ?, ?, ?)',
+          [ad.id, `${adId}-${city}`, city === 'houston-tx' ? 's1' : 's2', city, timestamp]
+        );
+      }
+    }
+  });
+
+  after(async () => {
+    await exporter.close();
+    await tmpDb.remove();
+  });
+
+  it('streams every ad across batches with links, archived images and sightings', async () => {
+    const { result, workbook } = await exportWorkbook('all', { baseUrl: 'http://localhost:3000' });
+
+    assert.equal(result.totalAds, 3);
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Ads', 'Advertisers', 'Cities', 'Sessions', 'Export']);
+
+    const ads = sheetRows(workbook, 'Ads');
+    assert.deepEqual(ads.map(ad => [ad.Headline, ad.Advertiser, ad.Sightings]), [
+      ['Solar panels', 'Acme Solar', 2],
+      ['Roof repair', 'Roofs R Us', 1],
+      ['Cheap insurance', undefined, 1] // Empty cells read back as missing
+    ]);
+    assert.deepEqual(ads[0].Link, { text: 'https://acmesolar.example/quote', hyperlink: 'https://acmesolar.example/quote' });
+    assert.equal(ads[0].Image.hyperlink, 'http://localhost:3000/api/images/abc');
+    assert.equal(ads[0].Cities.split(', ').sort().join(', '), 'chicago-il, houston-tx');
+    assert.equal(ads[1].Image, undefined); // data: URIs are left out
+    assert.equal(ads[2].Link, '/relative/link');
+
+    assert.deepEqual(sheetRows(workbook, 'Cities').map(row => [row.City, row.Ads, row.Sightings]).sort().reverse(), [
+      ['houston-tx', 2, 2],
+      ['chicago-il', 2, 2]
+    ]);
+    assert.deepEqual(sheetRows(workbook, 'Advertisers').map(row => [row.Advertiser, row.Ads]), [
+      ['Acme Solar', 1],
+      ['Roofs R Us', 1],
+      ['Unknown', 1]
+    ]);
+  });
+
+  it('applies the shared filters to every sheet and records them', async () => {
+    const filters = { sessionIds: ['s1'], verticals: ['solar', 'home'] };
+    assert.equal(await exporter.countAds(filters), 2);
+
+    const { result, workbook } = await exportWorkbook('filtered', { filters });
+    assert.equal(result.totalAds, 2);
+    assert.deepEqual(sheetRows(workbook, 'Ads').map(ad => ad.Headline), ['Solar panels', 'Roof repair']);
+    assert.equal(sheetRows(workbook, 'Ads')[0].Image.hyperlink, 'https://cdn.example/solar.png'); // No baseUrl
+    assert.deepEqual(sheetRows(workbook, 'Sessions').map(row => [row['Session ID'], row['Ads Exported']]), [['s1', 2]]);
+    // Only sightings from the selected sessions
+    assert.deepEqual(sheetRows(workbook, 'Cities').map(row => [row.City, row.Sightings]), [['houston-tx', 2]]);
+
+    const exported = Object.fromEntries(sheetRows(workbook, 'Export').map(row => [row.Field, row.Value]));
+    assert.equal(exported['Ads Exported'], 2);
+    assert.equal(exported.Sessions, 's1');
+    assert.equal(exported.Verticals, 'solar, home');
+    assert.equal(exported.State, 'All');
+  });
+
+  it('embeds archived images as thumbnails when asked', async () => {
+    const { result, workbook } = await exportWorkbook('images', { embedImages: true });
+    assert.equal(result.totalAds, 3);
+
+    const sheet = workbook.getWorksheet('Ads');
+    assert.equal(sheet.getRow(1).getCell(13).value, 'Thumbnail');
+    const images = sheet.getImages();
+    assert.equal(images.length, 1);
+    assert.equal(images[0].range.tl.nativeRow, 1); // The first ad's row
+    assert.equal(workbook.getImage(images[0].imageId).extension, 'png');
+  });
+});